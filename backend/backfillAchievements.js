@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+const User = require('./src/models/User');
+const achievements = require('./src/utils/achievements');
+
+// Check every achievement rule for every user, so badges earned before
+// achievements were persisted get recorded. Unlock times are set to the
+// run time. Already unlocked achievements are skipped; safe to run again.
+// Usage: node backfillAchievements.js
+async function backfillAchievements() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/astroimpact');
+    console.log('🚀 Backfilling achievements...');
+
+    let users = 0;
+    let unlocked = 0;
+
+    for await (const user of User.find({ isActive: true }).select('_id').lean().cursor()) {
+      const earned = await achievements.evaluate(user._id, null);
+      users++;
+      unlocked += earned.length;
+    }
+
+    console.log(`\n📊 Achievement backfill complete`);
+    console.log(`   👤 Users checked: ${users}`);
+    console.log(`   🏆 Achievements unlocked: ${unlocked}`);
+
+    mongoose.connection.close();
+  } catch (error) {
+    console.error('❌ Error backfilling achievements:', error.message);
+    mongoose.connection.close();
+    process.exit(1);
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  backfillAchievements();
+}
+
+module.exports = backfillAchievements;
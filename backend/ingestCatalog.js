@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+const nasaApi = require('./src/utils/nasaApi');
+
+// Walk the whole NeoWs catalog, resuming from the stored checkpoint.
+// Usage: node ingestCatalog.js [--pages N] [--restart]
+async function ingestCatalog() {
+  const args = process.argv.slice(2);
+  const pagesIndex = args.indexOf('--pages');
+  const maxPages = pagesIndex >= 0 ? parseInt(args[pagesIndex + 1], 10) : Infinity;
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/astroimpact');
+    console.log('🚀 Starting NASA catalog ingestion...');
+
+    const result = await nasaApi.ingestCatalog({ maxPages, restart: args.includes('--restart') });
+
+    console.log(`\n📊 Catalog ingestion ${result.status}`);
+    console.log(`   📄 Pages this run: ${result.pagesFetched}`);
+    console.log(`   📍 Next page: ${result.nextPage} of ${result.totalPages ?? '?'}`);
+    console.log(`   🆕 New asteroids: ${result.newCount}`);
+    console.log(`   🔄 Updated asteroids: ${result.updatedCount}`);
+    if (result.lastError) {
+      console.log(`   ⚠️ ${result.lastError}`);
+      console.log('   💡 Run again later to resume from the checkpoint');
+    }
+
+    mongoose.connection.close();
+  } catch (error) {
+    console.error('❌ Error ingesting NASA catalog:', error.message);
+    mongoose.connection.close();
+    process.exit(1);
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  ingestCatalog();
+}
+
+module.exports = ingestCatalog;
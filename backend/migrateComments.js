@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+const Simulation = require('./src/models/Simulation');
+const Comment = require('./src/models/Comment');
+const commentThreads = require('./src/utils/commentThreads');
+
+// Move comments embedded in simulations into the Comment collection.
+// Comments keep their ids and timestamps; safe to run again.
+// Usage: node migrateComments.js
+async function migrateComments() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/astroimpact');
+    console.log('🚀 Migrating embedded simulation comments...');
+
+    // The Simulation schema no longer declares comments, so read the raw documents
+    const cursor = Simulation.collection.find({ 'comments.0': { $exists: true } }, { projection: { comments: 1 } });
+    let simulations = 0;
+    let migrated = 0;
+
+    for await (const simulation of cursor) {
+      const comments = await Promise.all(simulation.comments
+        .filter(entry => entry.user && entry.text)
+        .map(async entry => new Comment({
+          _id: entry._id,
+          simulation: simulation._id,
+          user: entry.user,
+          text: String(entry.text).slice(0, 500),
+          mentions: await commentThreads.resolveMentions(entry.text),
+          createdAt: entry.timestamp,
+          updatedAt: entry.timestamp
+        }).toObject()));
+
+      if (comments.length) {
+        await Comment.collection.bulkWrite(comments.map(comment => ({
+          updateOne: { filter: { _id: comment._id }, update: { $setOnInsert: comment }, upsert: true }
+        })));
+      }
+
+      const commentCount = await Comment.countDocuments({ simulation: simulation._id, ...Comment.VISIBLE });
+      await Simulation.collection.updateOne(
+        { _id: simulation._id },
+        { $unset: { comments: '' }, $set: { commentCount } }
+      );
+
+      simulations++;
+      migrated += comments.length;
+    }
+
+    console.log(`\n📊 Comment migration complete`);
+    console.log(`   🪐 Simulations updated: ${simulations}`);
+    console.log(`   💬 Comments migrated: ${migrated}`);
+
+    mongoose.connection.close();
+  } catch (error) {
+    console.error('❌ Error migrating comments:', error.message);
+    mongoose.connection.close();
+    process.exit(1);
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  migrateComments();
+}
+
+module.exports = migrateComments;
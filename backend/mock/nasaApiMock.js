@@ -0,0 +1,117 @@
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Offline stand-in for the NASA NeoWs API, served from the fixtures in ./fixtures
+ * (trimmed neo/browse pages for eight early-numbered near-Earth asteroids).
+ * Point the backend at it with NASA_API_BASE_URL=http://localhost:5055/neo/rest/v1
+ *
+ * Run: node mock/nasaApiMock.js [port]
+ * Set MOCK_RATE_LIMIT_AFTER=n to answer 429 after n requests, like an exhausted API key.
+ */
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+const DEFAULT_PORT = 5055;
+
+const loadBrowsePages = () => fs.readdirSync(FIXTURES_DIR)
+  .filter(file => /^browse-page-\d+\.json$/.test(file))
+  .map(file => JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, file), 'utf8')))
+  .sort((a, b) => a.page.number - b.page.number);
+
+const createNasaApiMock = ({ rateLimitAfter = Infinity } = {}) => {
+  const pages = loadBrowsePages();
+  const asteroids = pages.flatMap(page => page.near_earth_objects);
+  const app = express();
+  const state = { requests: 0, rateLimitAfter };
+
+  // Same checks as api.nasa.gov: a key is required and every key has a request budget
+  app.use((req, res, next) => {
+    if (!req.query.api_key) {
+      return res.status(403).json({ error: { code: 'API_KEY_MISSING', message: 'No api_key was supplied.' } });
+    }
+
+    state.requests++;
+    const remaining = Math.max(state.rateLimitAfter - state.requests, 0);
+    if (Number.isFinite(state.rateLimitAfter)) {
+      res.set('X-RateLimit-Remaining', String(remaining));
+    }
+    if (state.requests > state.rateLimitAfter) {
+      return res.status(429).json({
+        error: { code: 'OVER_RATE_LIMIT', message: 'You have exceeded your rate limit. Try again later.' }
+      });
+    }
+    next();
+  });
+
+  app.get('/neo/rest/v1/neo/browse', (req, res) => {
+    const number = parseInt(req.query.page || '0', 10);
+    const page = pages[number];
+
+    if (!page) {
+      const last = pages[pages.length - 1].page;
+      return res.json({
+        links: {},
+        page: { size: last.size, total_elements: last.total_elements, total_pages: last.total_pages, number },
+        near_earth_objects: []
+      });
+    }
+
+    res.json(page);
+  });
+
+  app.get('/neo/rest/v1/neo/:id', (req, res) => {
+    const asteroid = asteroids.find(item => item.id === req.params.id || item.neo_reference_id === req.params.id);
+
+    if (!asteroid) {
+      return res.status(404).json({ code: 404, http_error: 'NOT_FOUND', error_message: 'Asteroid not found' });
+    }
+
+    res.json(asteroid);
+  });
+
+  // Fixture approaches are spread over decades, so every object is listed on the start date
+  app.get('/neo/rest/v1/feed', (req, res) => {
+    const startDate = req.query.start_date || new Date().toISOString().split('T')[0];
+    const listed = asteroids.map(asteroid => {
+      const { orbital_data, ...feedAsteroid } = asteroid;
+      const approach = asteroid.close_approach_data[asteroid.close_approach_data.length - 1];
+      return {
+        ...feedAsteroid,
+        close_approach_data: [{ ...approach, close_approach_date: startDate }]
+      };
+    });
+
+    res.json({
+      links: {},
+      element_count: listed.length,
+      near_earth_objects: { [startDate]: listed }
+    });
+  });
+
+  return {
+    app,
+    state,
+    resetRateLimit(limit = Infinity) {
+      state.requests = 0;
+      state.rateLimitAfter = limit;
+    },
+    listen(port = DEFAULT_PORT) {
+      return new Promise(resolve => {
+        const server = app.listen(port, () => resolve(server));
+      });
+    }
+  };
+};
+
+// Run if called directly
+if (require.main === module) {
+  const port = parseInt(process.argv[2] || process.env.MOCK_NASA_PORT || DEFAULT_PORT, 10);
+  const rateLimitAfter = process.env.MOCK_RATE_LIMIT_AFTER ? parseInt(process.env.MOCK_RATE_LIMIT_AFTER, 10) : Infinity;
+
+  createNasaApiMock({ rateLimitAfter }).listen(port).then(() => {
+    console.log(`🛰️ NASA API mock listening on http://localhost:${port}/neo/rest/v1`);
+  });
+}
+
+module.exports = { createNasaApiMock };
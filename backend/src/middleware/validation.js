@@ -1,4 +1,12 @@
 const Joi = require('joi');
+const impactorComposition = require('../../../shared/composition');
+const Comment = require('../models/Comment');
+
+// { min, max } sampling range for ensemble parameters
+const range = (min, max) => Joi.object({
+  min: Joi.number().min(min).max(max).required(),
+  max: Joi.number().min(Joi.ref('min')).max(max).required()
+});
 
 // Validation schemas
 const schemas = {
@@ -20,15 +28,17 @@ const schemas = {
   }),
 
   simulation: Joi.object({
-    asteroid: Joi.string().hex().length(24).required(),
+    asteroidId: Joi.string().max(50),
+    asteroidData: Joi.object().unknown(true),
     impactLocation: Joi.object({
-      latitude: Joi.number().min(-90).max(90).required(),
-      longitude: Joi.number().min(-180).max(180).required(),
-      address: Joi.string().max(200),
-      country: Joi.string().max(100),
-      city: Joi.string().max(100)
+      lat: Joi.number().min(-90).max(90).required(),
+      lng: Joi.number().min(-180).max(180).required()
     }).required(),
-    impactAngle: Joi.number().min(0).max(90).default(45),
+    impactAngle: Joi.number().min(1).max(90).default(45),
+    impactVelocity: Joi.number().min(11).max(72).default(20),
+    composition: Joi.string().valid(...Object.keys(impactorComposition.COMPOSITIONS)),
+    impactorDensity: Joi.number().min(100).max(10000),
+    impactorStrength: Joi.number().min(0),
     mitigationStrategy: Joi.object({
       method: Joi.string().valid(
         'kinetic_impactor',
@@ -43,9 +53,103 @@ const schemas = {
       description: Joi.string().max(1000),
       estimatedCost: Joi.number().min(0),
       successProbability: Joi.number().min(0).max(100),
-      timeRequired: Joi.number().min(0)
+      timeRequired: Joi.number().min(0),
+      effectivenessReduction: Joi.number().min(0).max(100),
+      leadTime: Joi.number().min(0.1).max(100),
+      spacecraftMass: Joi.number().min(1).max(1e6),
+      beta: Joi.number().min(1).max(10),
+      operationTime: Joi.number().min(0).max(100),
+      positionUncertainty: Joi.number().min(1).max(1e6)
     }).optional(),
+    forkedFrom: Joi.string().hex().length(24),
     isPublic: Joi.boolean().default(true)
+  }).or('asteroidId', 'asteroidData'),
+
+  ensemble: Joi.object({
+    simulationId: Joi.string().hex().length(24),
+    asteroidId: Joi.string().max(50),
+    asteroidData: Joi.object().unknown(true),
+    impactLocation: Joi.object({
+      lat: Joi.number().min(-90).max(90).required(),
+      lng: Joi.number().min(-180).max(180).required()
+    }),
+    impactVelocity: Joi.number().min(11).max(72),
+    composition: Joi.string().valid(...Object.keys(impactorComposition.COMPOSITIONS)),
+    impactorDensity: Joi.number().min(100).max(10000),
+    impactorStrength: Joi.number().min(0),
+    runs: Joi.number().integer().min(10).max(1000).default(200),
+    seed: Joi.number().integer().min(0).max(4294967295),
+    ranges: Joi.object({
+      diameter: range(1, 100000), // m
+      density: range(100, 10000), // kg/m³
+      velocity: range(11, 72), // km/s
+      angle: range(1, 90) // degrees
+    })
+  }).or('simulationId', 'asteroidId', 'asteroidData'),
+
+  corridor: Joi.object({
+    asteroidId: Joi.string().max(50),
+    asteroidData: Joi.object().unknown(true),
+    impactLocation: Joi.object({
+      lat: Joi.number().min(-90).max(90).required(),
+      lng: Joi.number().min(-180).max(180).required()
+    }).required(),
+    azimuth: Joi.number().min(0).max(360).required(),
+    entryAngle: Joi.number().min(5).max(90).default(45),
+    impactVelocity: Joi.number().min(11).max(72).default(20),
+    lovSigma: Joi.number().min(1).max(10000), // km
+    crossSigma: Joi.number().min(1).max(1000), // km
+    sigmaSpan: Joi.number().min(1).max(5),
+    samples: Joi.number().integer().min(2).max(100).default(25),
+    composition: Joi.string().valid(...Object.keys(impactorComposition.COMPOSITIONS)),
+    impactorDensity: Joi.number().min(100).max(10000),
+    impactorStrength: Joi.number().min(0)
+  }).or('asteroidId', 'asteroidData'),
+
+  deflection: Joi.object({
+    method: Joi.string().valid('kinetic_impactor', 'gravity_tractor', 'nuclear_device', 'ion_beam').required(),
+    asteroidId: Joi.string().max(50),
+    asteroidData: Joi.object().unknown(true),
+    leadTime: Joi.number().min(0.1).max(100).default(10), // years
+    spacecraftMass: Joi.number().min(1).max(1e6), // kg
+    beta: Joi.number().min(1).max(10),
+    operationTime: Joi.number().min(0).max(100), // years
+    impactVelocity: Joi.number().min(11).max(72).default(20),
+    composition: Joi.string().valid(...Object.keys(impactorComposition.COMPOSITIONS)),
+    positionUncertainty: Joi.number().min(1).max(1e6) // km
+  }).or('asteroidId', 'asteroidData'),
+
+  hazard: Joi.object({
+    impactProbability: Joi.number().min(0).max(1).required(),
+    encounterDate: Joi.date().iso().required(),
+    missDistance: Joi.number().min(0) // km
+  }),
+
+  asteroidImport: Joi.object({
+    format: Joi.string().valid('sbdb', 'mpc', 'keplerian').required(),
+    name: Joi.string().trim().max(100),
+    diameter: Joi.number().min(1).max(100000), // m, overrides the estimate from H
+    data: Joi.when('format', {
+      switch: [
+        { is: 'sbdb', then: Joi.alternatives().try(Joi.object().unknown(true), Joi.string().max(200000)).required() },
+        { is: 'mpc', then: Joi.string().max(1000).required() }
+      ],
+      otherwise: Joi.object({
+        semiMajorAxis: Joi.number().greater(0).max(100).required(), // AU
+        eccentricity: Joi.number().min(0).less(1).required(),
+        inclination: Joi.number().min(0).max(180).required(), // deg
+        ascendingNode: Joi.number().min(0).max(360).required(), // deg
+        perihelionArgument: Joi.number().min(0).max(360).required(), // deg
+        meanAnomaly: Joi.number().min(0).max(360).required(), // deg at epoch
+        epoch: Joi.date().iso().required(),
+        absoluteMagnitude: Joi.number().min(-2).max(35),
+        diameter: Joi.number().min(1).max(100000), // m
+        albedo: Joi.number().greater(0).max(1),
+        spectralType: Joi.string().max(10)
+      }).or('absoluteMagnitude', 'diameter').required()
+    })
+  }).when(Joi.object({ format: 'keplerian' }).unknown(), {
+    then: Joi.object({ name: Joi.required() })
   }),
 
   vote: Joi.object({
@@ -53,7 +157,21 @@ const schemas = {
   }),
 
   comment: Joi.object({
-    text: Joi.string().min(1).max(500).required()
+    text: Joi.string().trim().min(1).max(500).required(),
+    parent: Joi.string().hex().length(24)
+  }),
+
+  commentEdit: Joi.object({
+    text: Joi.string().trim().min(1).max(500).required()
+  }),
+
+  commentReaction: Joi.object({
+    reaction: Joi.string().valid(...Comment.REACTIONS).required()
+  }),
+
+  commentReport: Joi.object({
+    reason: Joi.string().valid(...Comment.REPORT_REASONS).required(),
+    note: Joi.string().trim().max(300).allow('')
   })
 };
 
@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const impactorComposition = require('../../../shared/composition');
+const hazardScale = require('../utils/hazardScale');
+const orbit = require('../../../shared/orbit');
 
 const asteroidSchema = new mongoose.Schema({
   neo_reference_id: {
@@ -10,6 +13,11 @@ const asteroidSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // Set on custom impactors imported by a user, who is the only one listing them
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
   nasa_jpl_url: String,
   absolute_magnitude_h: Number,
   estimated_diameter: {
@@ -23,6 +31,12 @@ const asteroidSchema = new mongoose.Schema({
     }
   },
   is_potentially_hazardous_asteroid: Boolean,
+  // Physical data from other catalogs (e.g. JPL SBDB), used to infer the composition
+  physical_properties: {
+    spectral_type: String, // SMASS or Tholen class
+    albedo: Number, // geometric albedo
+    diameter: Number // measured diameter in km
+  },
   close_approach_data: [{
     close_approach_date: String,
     close_approach_date_full: String,
@@ -67,13 +81,46 @@ const asteroidSchema = new mongoose.Schema({
   calculatedProperties: {
     mass: Number, // in kg
     density: Number, // in kg/m³
+    composition: {
+      type: String,
+      enum: Object.keys(impactorComposition.COMPOSITIONS)
+    },
+    compositionSource: String, // spectral_type, albedo, orbit or default
     averageDiameter: Number, // in meters
     averageVelocity: Number, // in km/s
     kineticEnergy: Number, // in joules
     volume: Number, // in cubic meters
     orbitalPeriod: Number, // in days
+    orbitClass: {
+      type: String,
+      enum: orbit.ORBIT_CLASSES
+    },
+    moid: Number, // Earth minimum orbit intersection distance, in AU
+    tisserandJupiter: Number,
     lastCalculated: Date
   },
+  // Torino and Palermo ratings of the most threatening future Earth encounter
+  hazard: {
+    torinoScale: {
+      type: Number,
+      min: 0,
+      max: 10,
+      default: 0
+    },
+    palermoScale: Number,
+    impactProbability: Number,
+    probabilitySource: {
+      type: String,
+      enum: ['derived', 'user'],
+      default: 'derived'
+    },
+    encounterDate: Date,
+    yearsToEncounter: Number,
+    impactEnergy: Number, // in megatons
+    missDistance: Number, // in km
+    positionUncertainty: Number, // 1σ at the encounter, in km
+    computedAt: Date
+  },
   // Metadata about the data source and updates
   metadata: {
     lastUpdated: {
@@ -82,13 +129,14 @@ const asteroidSchema = new mongoose.Schema({
     },
     source: {
       type: String,
-      default: 'NASA_NeoWs_API'
+      default: 'NASA_NeoWs_API' // JPL_SBDB, MPC or manual for custom impactors
     },
     version: {
       type: String,
       default: '1.0'
     },
-    nasa_id: String // Original NASA ID
+    nasa_id: String, // Original NASA ID
+    designation: String // Catalog designation of an imported orbit
   },
   lastUpdated: {
     type: Date,
@@ -102,18 +150,44 @@ const asteroidSchema = new mongoose.Schema({
 asteroidSchema.index({ 'is_potentially_hazardous_asteroid': 1 });
 asteroidSchema.index({ 'calculatedProperties.averageDiameter': -1 });
 asteroidSchema.index({ 'lastUpdated': -1 });
+asteroidSchema.index({ 'hazard.torinoScale': -1 });
+asteroidSchema.index({ 'hazard.palermoScale': -1 });
+asteroidSchema.index({ owner: 1, createdAt: -1 });
+asteroidSchema.index({ 'calculatedProperties.orbitClass': 1 });
+asteroidSchema.index({ 'calculatedProperties.moid': 1 });
 
-// Pre-save middleware to calculate properties
-asteroidSchema.pre('save', function(next) {
+// Query filter for the asteroids a user may see: the catalog plus the custom impactors they imported
+asteroidSchema.statics.visibleTo = function(userId) {
+  return { owner: { $in: userId ? [null, userId] : [null] } };
+};
+
+// Orbit group, MOID, Tisserand parameter and period of an orbital_data block, for filtering and sorting
+asteroidSchema.statics.orbitProperties = function(orbitalData) {
+  const summary = orbit.describeOrbit(orbitalData);
+  if (!summary) return {};
+
+  return {
+    orbitClass: summary.orbitClass || undefined,
+    moid: summary.moid !== null ? summary.moid : undefined,
+    tisserandJupiter: summary.tisserand !== null ? summary.tisserand : undefined,
+    orbitalPeriod: summary.period
+  };
+};
+
+// Derived properties, shared by the save hook and the bulk upserts that skip it
+asteroidSchema.methods.calculateProperties = function() {
   if (this.estimated_diameter && this.estimated_diameter.meters) {
     const minDiameter = this.estimated_diameter.meters.estimated_diameter_min;
     const maxDiameter = this.estimated_diameter.meters.estimated_diameter_max;
     this.calculatedProperties.averageDiameter = (minDiameter + maxDiameter) / 2;
     
-    // Estimate mass assuming rocky asteroid density (2.6 g/cm³)
+    // Estimate mass from the density of the most likely composition class
+    const { composition, source } = impactorComposition.inferComposition(this);
     const radius = this.calculatedProperties.averageDiameter / 2;
     const volume = (4/3) * Math.PI * Math.pow(radius, 3);
-    this.calculatedProperties.density = 2600; // kg/m³
+    this.calculatedProperties.composition = composition;
+    this.calculatedProperties.compositionSource = source;
+    this.calculatedProperties.density = impactorComposition.COMPOSITIONS[composition].density; // kg/m³
     this.calculatedProperties.mass = volume * this.calculatedProperties.density;
   }
   
@@ -127,7 +201,18 @@ asteroidSchema.pre('save', function(next) {
       this.calculatedProperties.kineticEnergy = 0.5 * this.calculatedProperties.mass * Math.pow(velocityMs, 2);
     }
   }
-  
+
+  Object.assign(this.calculatedProperties, this.constructor.orbitProperties(this.orbital_data));
+
+  // Hazard ratings depend on the mass and the approach list, so refresh them last
+  this.hazard = hazardScale.assessHazard(this);
+
+  return this;
+};
+
+// Pre-save middleware to calculate properties
+asteroidSchema.pre('save', function(next) {
+  this.calculateProperties();
   next();
 });
 
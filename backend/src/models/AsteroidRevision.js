@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// One sync that changed NASA's solution for an asteroid
+const asteroidRevisionSchema = new mongoose.Schema({
+  asteroid: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Asteroid',
+    required: true
+  },
+  neo_reference_id: {
+    type: String,
+    required: true
+  },
+  kind: {
+    type: String,
+    enum: ['created', 'updated'],
+    required: true
+  },
+  source: {
+    type: String,
+    enum: ['feed', 'catalog'],
+    required: true
+  },
+  changes: [{
+    _id: false,
+    field: String,
+    previous: mongoose.Schema.Types.Mixed,
+    current: mongoose.Schema.Types.Mixed
+  }],
+  newApproaches: [{
+    _id: false,
+    close_approach_date: String,
+    orbiting_body: String,
+    miss_distance_km: Number,
+    relative_velocity_kms: Number
+  }],
+  recordedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+asteroidRevisionSchema.index({ asteroid: 1, recordedAt: -1 });
+
+module.exports = mongoose.model('AsteroidRevision', asteroidRevisionSchema);
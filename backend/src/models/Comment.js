@@ -0,0 +1,134 @@
+const mongoose = require('mongoose');
+
+const EDIT_WINDOW_MS = 15 * 60 * 1000;
+const MAX_DEPTH = 3; // replies below this depth attach to their parent's thread
+const REACTIONS = ['like', 'insightful', 'alarming', 'funny'];
+const REPORT_REASONS = ['spam', 'harassment', 'misinformation', 'off_topic', 'other'];
+const MODERATION_STATUSES = ['none', 'pending', 'dismissed', 'removed'];
+
+// @username, not preceded by a word character (e-mail addresses are skipped)
+const MENTION_PATTERN = /(^|[^\w@])@([A-Za-z0-9]{3,30})(?![\w@])/g;
+
+const commentSchema = new mongoose.Schema({
+  simulation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Simulation',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null
+  },
+  depth: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: MAX_DEPTH
+  },
+  text: {
+    type: String,
+    required: true,
+    maxlength: 500
+  },
+  mentions: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+  editedAt: Date,
+  isDeleted: {
+    type: Boolean,
+    default: false
+  },
+  deletedAt: Date,
+  deletedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  reactions: [{
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    kind: { type: String, enum: REACTIONS }
+  }],
+  reports: [{
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    reason: { type: String, enum: REPORT_REASONS },
+    note: String,
+    createdAt: { type: Date, default: Date.now }
+  }],
+  moderation: {
+    status: { type: String, enum: MODERATION_STATUSES, default: 'none' },
+    lastReportedAt: Date,
+    reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    reviewedAt: Date
+  }
+}, {
+  timestamps: true
+});
+
+commentSchema.index({ simulation: 1, createdAt: 1 });
+commentSchema.index({ user: 1, createdAt: -1 });
+commentSchema.index({ 'moderation.status': 1, 'moderation.lastReportedAt': -1 });
+
+commentSchema.statics.EDIT_WINDOW_MS = EDIT_WINDOW_MS;
+commentSchema.statics.MAX_DEPTH = MAX_DEPTH;
+commentSchema.statics.REACTIONS = REACTIONS;
+commentSchema.statics.REPORT_REASONS = REPORT_REASONS;
+
+// Comments that count towards a simulation and show up in feeds
+commentSchema.statics.VISIBLE = { isDeleted: false, 'moderation.status': { $ne: 'removed' } };
+
+// Distinct usernames mentioned in a comment, in order of appearance
+commentSchema.statics.extractMentions = function(text) {
+  const usernames = [];
+  for (const match of String(text).matchAll(MENTION_PATTERN)) {
+    if (!usernames.includes(match[2])) usernames.push(match[2]);
+  }
+  return usernames;
+};
+
+commentSchema.virtual('isVisible').get(function() {
+  return !this.isDeleted && this.moderation.status !== 'removed';
+});
+
+// Authors may edit their own comment for a short while after posting
+commentSchema.methods.canEdit = function(userId, now = new Date()) {
+  return this.isVisible &&
+    (this.user._id || this.user).toString() === userId.toString() &&
+    now - this.createdAt <= EDIT_WINDOW_MS;
+};
+
+// Reaction counts plus the viewer's own reaction
+commentSchema.methods.reactionSummary = function(viewerId) {
+  const counts = Object.fromEntries(REACTIONS.map(kind => [kind, 0]));
+  let mine = null;
+  this.reactions.forEach(reaction => {
+    counts[reaction.kind]++;
+    if (viewerId && reaction.user.toString() === viewerId.toString()) mine = reaction.kind;
+  });
+  return { counts, mine };
+};
+
+// Public shape of a comment; deleted and removed comments keep their place
+// in the thread but lose their author and text
+commentSchema.methods.toThreadJSON = function(viewerId) {
+  const visible = this.isVisible;
+  const userId = this.user?._id || this.user;
+  return {
+    _id: this._id,
+    simulation: this.simulation,
+    parent: this.parent,
+    depth: this.depth,
+    user: visible ? this.user : null,
+    text: visible ? this.text : null,
+    mentions: visible ? this.mentions : [],
+    createdAt: this.createdAt,
+    editedAt: this.editedAt,
+    isDeleted: this.isDeleted,
+    isRemoved: this.moderation.status === 'removed',
+    editableUntil: visible ? new Date(this.createdAt.getTime() + EDIT_WINDOW_MS) : null,
+    isAuthor: Boolean(viewerId && userId && userId.toString() === viewerId.toString()),
+    reported: Boolean(viewerId && this.reports.some(report => report.user.toString() === viewerId.toString())),
+    reactions: this.reactionSummary(viewerId)
+  };
+};
+
+module.exports = mongoose.model('Comment', commentSchema);
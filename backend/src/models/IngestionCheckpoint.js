@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// Progress of a paged ingestion job, so an interrupted walk resumes where it stopped
+const ingestionCheckpointSchema = new mongoose.Schema({
+  job: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  status: {
+    type: String,
+    enum: ['idle', 'running', 'paused', 'completed', 'failed'],
+    default: 'idle'
+  },
+  nextPage: {
+    type: Number,
+    default: 0
+  },
+  pageSize: Number,
+  totalPages: Number,
+  totalElements: Number,
+  processed: {
+    type: Number,
+    default: 0
+  },
+  newCount: {
+    type: Number,
+    default: 0
+  },
+  updatedCount: {
+    type: Number,
+    default: 0
+  },
+  lastError: String,
+  startedAt: Date,
+  completedAt: Date
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('IngestionCheckpoint', ingestionCheckpointSchema);
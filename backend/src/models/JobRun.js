@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// One execution of a background job
+const jobRunSchema = new mongoose.Schema({
+  job: {
+    type: String,
+    required: true
+  },
+  trigger: {
+    type: String,
+    enum: ['schedule', 'manual', 'api'],
+    required: true
+  },
+  triggeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  status: {
+    type: String,
+    enum: ['running', 'succeeded', 'failed'],
+    default: 'running'
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  finishedAt: Date,
+  durationMs: Number,
+  counts: mongoose.Schema.Types.Mixed, // whatever the job reports, e.g. { newCount, updatedCount }
+  error: String
+});
+
+jobRunSchema.index({ job: 1, startedAt: -1 });
+jobRunSchema.index({ startedAt: -1 });
+
+module.exports = mongoose.model('JobRun', jobRunSchema);
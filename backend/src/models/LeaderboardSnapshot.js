@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+const ScoreEvent = require('./ScoreEvent');
+
+// Final standings of a finished weekly or monthly season
+const leaderboardSnapshotSchema = new mongoose.Schema({
+  window: {
+    type: String,
+    enum: ['weekly', 'monthly'],
+    required: true
+  },
+  category: {
+    type: String,
+    enum: ScoreEvent.CATEGORIES,
+    required: true
+  },
+  periodStart: { type: Date, required: true },
+  periodEnd: { type: Date, required: true }, // exclusive
+  participants: { type: Number, default: 0 },
+  entries: [{
+    _id: false,
+    rank: Number,
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    username: String, // as it was at the end of the season
+    value: Number
+  }]
+}, {
+  timestamps: true
+});
+
+leaderboardSnapshotSchema.index({ window: 1, category: 1, periodStart: -1 }, { unique: true });
+leaderboardSnapshotSchema.index({ 'entries.user': 1 });
+
+module.exports = mongoose.model('LeaderboardSnapshot', leaderboardSnapshotSchema);
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// Message shown in a user's notification menu
+const notificationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['achievement'],
+    required: true
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  message: String,
+  link: String, // client route opened from the notification
+  achievement: String, // key of the unlocked achievement
+  readAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+notificationSchema.index({ user: 1, createdAt: -1 });
+notificationSchema.index({ user: 1, readAt: 1 });
+
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// One change to a user's stats. The counters on User hold the all-time
+// totals; this ledger lets the monthly and weekly boards sum a time window.
+const scoreEventSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: ['simulation', 'vote'],
+    required: true
+  },
+  simulation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Simulation'
+  },
+  deltas: {
+    simulationsRun: { type: Number, default: 0 },
+    mitigationsProposed: { type: Number, default: 0 },
+    votesReceived: { type: Number, default: 0 },
+    points: { type: Number, default: 0 }
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+scoreEventSchema.index({ createdAt: -1 });
+scoreEventSchema.index({ user: 1, createdAt: -1 });
+
+// Stats a leaderboard can rank by
+scoreEventSchema.statics.CATEGORIES = ['points', 'simulationsRun', 'votesReceived', 'mitigationsProposed'];
+
+module.exports = mongoose.model('ScoreEvent', scoreEventSchema);
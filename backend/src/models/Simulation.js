@@ -1,4 +1,9 @@
 const mongoose = require('mongoose');
+const impactorComposition = require('../../../shared/composition');
+
+// Monte Carlo percentile band of one result
+const percentileBand = { p5: Number, p50: Number, p95: Number };
+const sampledRange = { min: Number, max: Number };
 
 const simulationSchema = new mongoose.Schema({
   user: {
@@ -35,7 +40,38 @@ const simulationSchema = new mongoose.Schema({
     max: 90
   },
   impactVelocity: Number, // km/s
+  impactor: {
+    composition: {
+      type: String,
+      enum: Object.keys(impactorComposition.COMPOSITIONS)
+    },
+    compositionSource: {
+      type: String,
+      enum: ['user', 'spectral_type', 'albedo', 'orbit', 'default']
+    },
+    density: Number, // kg/m³
+    strength: Number, // Pa
+    pancakeFactor: Number
+  },
   results: {
+    impactType: {
+      type: String,
+      enum: ['surface', 'airburst']
+    },
+    atmosphericEntry: {
+      outcome: {
+        type: String,
+        enum: ['intact', 'airburst', 'fragmented_impact']
+      },
+      density: Number, // kg/m³
+      strength: Number, // Pa
+      breakupAltitude: Number, // km
+      burstAltitude: Number, // km
+      burstEnergy: Number, // joules
+      surfaceVelocity: Number, // km/s
+      surfaceEnergy: Number, // joules
+      energyDeposited: Number // joules
+    },
     craterDiameter: Number, // meters
     craterDepth: Number, // meters
     blastRadius: {
@@ -44,8 +80,76 @@ const simulationSchema = new mongoose.Schema({
       moderateDamage: Number, // km
       lightDamage: Number // km
     },
+    thermalEffects: {
+      fireballRadius: Number, // km
+      fireballDuration: Number, // seconds
+      clothingIgnition: Number, // km
+      treeIgnition: Number, // km
+      thirdDegreeBurns: Number, // km
+      secondDegreeBurns: Number, // km
+      exposureProfile: [{
+        distance: Number, // km
+        exposure: Number // J/m²
+      }]
+    },
+    ejecta: {
+      rimThickness: Number, // meters
+      rimFragmentSize: Number, // meters
+      ballisticRange: Number, // km
+      launchVelocity: Number, // m/s
+      isopachs: [{
+        thickness: Number, // meters
+        radius: Number, // km
+        fragmentSize: Number // meters
+      }]
+    },
     seismicMagnitude: Number,
+    seismicEffects: {
+      bands: [{
+        intensity: String, // Modified Mercalli intensity range, e.g. 'VI-VII'
+        description: String,
+        radius: Number, // km
+        arrivalTime: Number // seconds
+      }],
+      atDistances: [{
+        distance: Number, // km
+        effectiveMagnitude: Number,
+        intensity: String,
+        arrivalTime: Number // seconds
+      }]
+    },
     tsunamiHeight: Number, // meters (if applicable)
+    tsunami: {
+      sourceAmplitude: Number, // meters
+      cavityRadius: Number, // km
+      amplitudeProfile: [{
+        distance: Number, // km
+        amplitude: Number // meters
+      }],
+      isochrones: [{
+        hours: Number,
+        paths: [[[Number]]] // polylines of [lat, lng]
+      }],
+      coastalRunup: [{
+        segmentId: Number, // id in data/geodata/coastline.json
+        country: String,
+        countryCode: String,
+        location: {
+          lat: Number,
+          lng: Number
+        },
+        distance: Number, // km
+        arrivalTime: Number, // seconds
+        offshoreAmplitude: Number, // meters
+        runup: Number, // meters
+        points: [[Number]] // [lat, lng]
+      }]
+    },
+    targetType: {
+      type: String,
+      enum: ['land', 'water']
+    },
+    waterDepth: Number, // meters (0 for land impacts)
     environmentalEffects: {
       dustCloudRadius: Number, // km
       temperatureDrop: Number, // degrees C
@@ -61,6 +165,33 @@ const simulationSchema = new mongoose.Schema({
       affectedInfrastructure: [String]
     }
   },
+  uncertainty: {
+    runs: Number,
+    seed: Number,
+    modelId: String,
+    composition: String,
+    ranges: {
+      diameter: sampledRange, // m
+      density: sampledRange, // kg/m³
+      velocity: sampledRange, // km/s
+      angle: sampledRange // degrees
+    },
+    airburstProbability: Number,
+    tntEquivalent: percentileBand, // tons
+    craterDiameter: percentileBand, // meters
+    craterDepth: percentileBand, // meters
+    blastRadius: {
+      noSurvivors: percentileBand, // km
+      heavyDamage: percentileBand,
+      moderateDamage: percentileBand,
+      lightDamage: percentileBand
+    },
+    thermalRadius: percentileBand, // km, third-degree burns
+    affectedArea: percentileBand, // km²
+    estimatedCasualties: percentileBand,
+    economicDamage: percentileBand, // USD
+    computedAt: Date
+  },
   mitigationStrategy: {
     method: {
       type: String,
@@ -80,7 +211,24 @@ const simulationSchema = new mongoose.Schema({
     estimatedCost: Number, // USD
     successProbability: Number, // percentage
     timeRequired: Number, // years
-    effectivenessReduction: Number // percentage reduction in impact severity
+    effectivenessReduction: Number, // percentage of casualties avoided by evacuation
+    // Deflection mission plan (kinetic_impactor, gravity_tractor, nuclear_device, ion_beam)
+    leadTime: Number, // years between deflection and encounter
+    spacecraftMass: Number, // kg
+    beta: Number, // momentum enhancement
+    operationTime: Number, // years of towing
+    deltaV: Number, // m/s
+    missDistanceShift: Number, // km, B-plane
+    captureRadius: Number, // km
+    positionUncertainty: Number, // km
+    missionReliability: Number,
+    impactProbability: Number,
+    missProbability: Number,
+    outcome: {
+      type: String,
+      enum: ['hit', 'miss']
+    },
+    fragmentationRisk: Boolean
   },
   votes: {
     likes: { type: Number, default: 0 },
@@ -90,11 +238,14 @@ const simulationSchema = new mongoose.Schema({
       vote: { type: String, enum: ['like', 'dislike'] }
     }]
   },
-  comments: [{
-    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
-    text: String,
-    timestamp: { type: Date, default: Date.now }
-  }],
+  commentCount: { type: Number, default: 0 }, // visible comments in the Comment collection
+  forkedFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Simulation',
+    default: null
+  },
+  lineage: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Simulation' }], // fork ancestors, original first
+  forkCount: { type: Number, default: 0 },
   tags: [String],
   isPublic: {
     type: Boolean,
@@ -107,7 +258,7 @@ const simulationSchema = new mongoose.Schema({
   simulationDuration: Number, // milliseconds
   metadata: {
     version: { type: String, default: '1.0' },
-    calculationMethod: String,
+    calculationMethod: String, // versioned physics model id, e.g. collins2005-pi-scaling@1.0.0
     dataSource: String
   }
 }, {
@@ -119,6 +270,7 @@ simulationSchema.index({ user: 1, createdAt: -1 });
 simulationSchema.index({ 'votes.likes': -1 });
 simulationSchema.index({ isPublic: 1, isFeatured: 1 });
 simulationSchema.index({ 'impactLocation.latitude': 1, 'impactLocation.longitude': 1 });
+simulationSchema.index({ forkedFrom: 1, createdAt: -1 });
 
 // Virtual for total votes
 simulationSchema.virtual('totalVotes').get(function() {
@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// An achievement a user has unlocked. The rules live in utils/achievements.js;
+// this only records when each one was earned.
+const userAchievementSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  key: {
+    type: String,
+    required: true
+  },
+  unlockedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Simulation whose creation or votes triggered the unlock, if any
+  simulation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Simulation'
+  }
+});
+
+userAchievementSchema.index({ user: 1, key: 1 }, { unique: true });
+
+module.exports = mongoose.model('UserAchievement', userAchievementSchema);
@@ -0,0 +1,328 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Simulation = require('../models/Simulation');
+const Comment = require('../models/Comment');
+const ScoreEvent = require('../models/ScoreEvent');
+const JobRun = require('../models/JobRun');
+const scheduler = require('../utils/jobs');
+const { adminAuth } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.use(adminAuth);
+
+const paginate = (page, limit, total) => ({
+  currentPage: parseInt(page),
+  totalPages: Math.ceil(total / parseInt(limit)),
+  totalItems: total,
+  itemsPerPage: parseInt(limit)
+});
+
+// Role and status changes an admin may not apply to their own account
+const SELF_LOCKOUT_ACTIONS = ['deactivate', 'demote'];
+
+// Outcome of each comment moderation action, for the response message
+const MODERATION_RESULTS = { dismiss: 'kept', remove: 'removed', restore: 'restored' };
+
+// Site-wide counts for the console header
+router.get('/overview', async (req, res) => {
+  try {
+    const [
+      totalUsers,
+      activeUsers,
+      admins,
+      totalSimulations,
+      featuredSimulations,
+      totalComments,
+      reportedComments
+    ] = await Promise.all([
+      User.countDocuments(),
+      User.countDocuments({ isActive: true }),
+      User.countDocuments({ role: 'admin' }),
+      Simulation.countDocuments(),
+      Simulation.countDocuments({ isFeatured: true }),
+      Comment.countDocuments(Comment.VISIBLE),
+      Comment.countDocuments({ 'moderation.status': 'pending' })
+    ]);
+
+    res.json({
+      overview: {
+        totalUsers,
+        activeUsers,
+        admins,
+        totalSimulations,
+        featuredSimulations,
+        totalComments,
+        reportedComments
+      }
+    });
+  } catch (error) {
+    console.error('Admin overview error:', error);
+    res.status(500).json({ error: 'Failed to fetch overview' });
+  }
+});
+
+// List users, including deactivated ones
+router.get('/users', async (req, res) => {
+  try {
+    const { search, role, active, page = 1, limit = 20 } = req.query;
+
+    const query = {};
+    if (search) {
+      const searchRegex = new RegExp(search, 'i');
+      query.$or = [{ username: searchRegex }, { email: searchRegex }];
+    }
+    if (role) query.role = role;
+    if (active !== undefined && active !== '') query.isActive = active === 'true';
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const [users, total] = await Promise.all([
+      User.find(query)
+        .select('-password')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .lean(),
+      User.countDocuments(query)
+    ]);
+
+    res.json({ users, pagination: paginate(page, limit, total) });
+  } catch (error) {
+    console.error('Admin users fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch users' });
+  }
+});
+
+// Deactivate, reactivate, promote to admin, demote, or reset a user's stats
+router.post('/users/:id/:action(deactivate|activate|promote|demote|reset-stats)', async (req, res) => {
+  try {
+    const { id, action } = req.params;
+
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (SELF_LOCKOUT_ACTIONS.includes(action) && req.user._id.equals(id)) {
+      return res.status(400).json({ error: `You cannot ${action} your own account` });
+    }
+
+    const updates = {
+      deactivate: { isActive: false },
+      activate: { isActive: true },
+      promote: { role: 'admin' },
+      demote: { role: 'user' },
+      'reset-stats': {
+        'stats.simulationsRun': 0,
+        'stats.mitigationsProposed': 0,
+        'stats.votesReceived': 0,
+        'stats.points': 0
+      }
+    };
+
+    const user = await User.findByIdAndUpdate(id, { $set: updates[action] }, { new: true }).select('-password');
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (action === 'reset-stats') {
+      // Seasonal boards are summed from the ledger, so clear it too
+      await ScoreEvent.deleteMany({ user: user._id });
+    }
+
+    res.json({
+      message: `User ${user.username} updated`,
+      user
+    });
+  } catch (error) {
+    console.error('Admin user update error:', error);
+    res.status(500).json({ error: 'Failed to update user' });
+  }
+});
+
+// List simulations for featuring, private ones included
+router.get('/simulations', async (req, res) => {
+  try {
+    const { featured, page = 1, limit = 20 } = req.query;
+
+    const query = {};
+    if (featured !== undefined && featured !== '') query.isFeatured = featured === 'true';
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const [simulations, total] = await Promise.all([
+      Simulation.find(query)
+        .select('user asteroid impactLocation results.populationEffects.estimatedCasualties votes.likes votes.dislikes isPublic isFeatured createdAt')
+        .populate('user', 'username')
+        .populate('asteroid', 'name')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .lean(),
+      Simulation.countDocuments(query)
+    ]);
+
+    res.json({ simulations, pagination: paginate(page, limit, total) });
+  } catch (error) {
+    console.error('Admin simulations fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch simulations' });
+  }
+});
+
+// Feature or unfeature a simulation in the community gallery
+router.post('/simulations/:id/:action(feature|unfeature)', async (req, res) => {
+  try {
+    const { id, action } = req.params;
+
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(404).json({ error: 'Simulation not found' });
+    }
+
+    const simulation = await Simulation.findById(id).select('isPublic isFeatured');
+    if (!simulation) {
+      return res.status(404).json({ error: 'Simulation not found' });
+    }
+    if (action === 'feature' && !simulation.isPublic) {
+      return res.status(400).json({ error: 'Only public simulations can be featured' });
+    }
+
+    simulation.isFeatured = action === 'feature';
+    await simulation.save();
+
+    res.json({
+      message: action === 'feature' ? 'Simulation featured' : 'Simulation unfeatured',
+      simulation: { _id: simulation._id, isFeatured: simulation.isFeatured }
+    });
+  } catch (error) {
+    console.error('Admin feature error:', error);
+    res.status(500).json({ error: 'Failed to update simulation' });
+  }
+});
+
+// Moderation queue: reported comments by latest report, or all comments newest first
+router.get('/comments', async (req, res) => {
+  try {
+    const { status = 'pending', page = 1, limit = 20 } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const query = status === 'all' ? {} : { 'moderation.status': status };
+    const sort = status === 'pending' ? { 'moderation.lastReportedAt': -1 } : { createdAt: -1 };
+
+    const [comments, total] = await Promise.all([
+      Comment.find(query)
+        .sort(sort)
+        .skip(skip)
+        .limit(parseInt(limit))
+        .populate('user', 'username')
+        .populate('reports.user', 'username')
+        .populate('moderation.reviewedBy', 'username')
+        .populate({ path: 'simulation', select: 'asteroid', populate: { path: 'asteroid', select: 'name' } })
+        .lean(),
+      Comment.countDocuments(query)
+    ]);
+
+    res.json({
+      comments: comments.map(comment => ({
+        _id: comment._id,
+        text: comment.text,
+        timestamp: comment.createdAt,
+        editedAt: comment.editedAt,
+        isDeleted: comment.isDeleted,
+        user: comment.user,
+        simulation: comment.simulation && {
+          _id: comment.simulation._id,
+          asteroidName: comment.simulation.asteroid?.name
+        },
+        reports: comment.reports,
+        moderation: comment.moderation
+      })),
+      pagination: paginate(page, limit, total)
+    });
+  } catch (error) {
+    console.error('Admin comments fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch comments' });
+  }
+});
+
+// Review a comment: dismiss its reports, remove it from its thread or restore it
+router.post('/comments/:id/:action(dismiss|remove|restore)', async (req, res) => {
+  try {
+    const { id, action } = req.params;
+
+    const comment = mongoose.isValidObjectId(id) ? await Comment.findById(id) : null;
+    if (!comment) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+
+    const wasVisible = comment.isVisible;
+    comment.moderation.status = action === 'remove' ? 'removed' : 'dismissed';
+    comment.moderation.reviewedBy = req.user._id;
+    comment.moderation.reviewedAt = new Date();
+    await comment.save();
+
+    // Keep the simulation's comment counter in step with what is shown
+    if (wasVisible !== comment.isVisible) {
+      await Simulation.updateOne({ _id: comment.simulation }, { $inc: { commentCount: comment.isVisible ? 1 : -1 } });
+    }
+
+    res.json({ message: `Comment ${MODERATION_RESULTS[action]}`, moderation: comment.moderation });
+  } catch (error) {
+    console.error('Admin comment moderation error:', error);
+    res.status(500).json({ error: 'Failed to moderate comment' });
+  }
+});
+
+// Registered background jobs with their last run, plus the most recent runs
+router.get('/jobs', async (req, res) => {
+  try {
+    const { job, status, page = 1, limit = 20 } = req.query;
+
+    const query = {};
+    if (job) query.job = job;
+    if (status) query.status = status;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const jobs = scheduler.listJobs();
+
+    const [runs, total, lastRuns] = await Promise.all([
+      JobRun.find(query)
+        .sort({ startedAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .populate('triggeredBy', 'username')
+        .lean(),
+      JobRun.countDocuments(query),
+      Promise.all(jobs.map(entry => JobRun.findOne({ job: entry.name }).sort({ startedAt: -1 }).lean()))
+    ]);
+
+    res.json({
+      jobs: jobs.map((entry, index) => ({ ...entry, lastRun: lastRuns[index] })),
+      runs,
+      pagination: paginate(page, limit, total)
+    });
+  } catch (error) {
+    console.error('Jobs fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch jobs' });
+  }
+});
+
+// Start a job now; responds once the run is recorded, poll GET /jobs for its outcome
+router.post('/jobs/:name/run', async (req, res) => {
+  try {
+    const run = await scheduler.runJob(req.params.name, {
+      trigger: 'manual',
+      triggeredBy: req.user._id,
+      wait: false
+    });
+
+    res.status(202).json({
+      message: `Job ${req.params.name} started`,
+      run
+    });
+  } catch (error) {
+    if (error.status === 404 || error.status === 409) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Job trigger error:', error);
+    res.status(500).json({ error: 'Failed to start job' });
+  }
+});
+
+module.exports = router;
@@ -1,10 +1,48 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const Asteroid = require('../models/Asteroid');
+const AsteroidRevision = require('../models/AsteroidRevision');
 const nasaApi = require('../utils/nasaApi');
-const { optionalAuth } = require('../middleware/auth');
+const hazardScale = require('../utils/hazardScale');
+const orbitImporter = require('../utils/orbitImport');
+const scheduler = require('../utils/jobs');
+const { auth, optionalAuth, adminAuth } = require('../middleware/auth');
+const { validate, schemas } = require('../middleware/validation');
+const orbit = require('../../../shared/orbit');
 
 const router = express.Router();
 
+const MAX_APPROACH_SPAN_YEARS = 100;
+const MAX_CUSTOM_ASTEROIDS = 50; // imported impactors per user
+
+// The feed carries no orbital elements, only the lookup endpoint does: fill them in on demand
+const loadOrbitalData = async (asteroid) => {
+  if (asteroid.orbital_data?.semi_major_axis || !asteroid.neo_reference_id) return asteroid;
+
+  try {
+    const nasaData = await nasaApi.fetchAsteroidById(asteroid.neo_reference_id);
+    if (nasaData.orbital_data) {
+      // The lookup lists every approach and the orbit quality, so re-rate the hazard from it
+      const hazard = asteroid.hazard?.probabilitySource === 'user'
+        ? asteroid.hazard
+        : hazardScale.assessHazard({ ...asteroid, ...nasaData, calculatedProperties: asteroid.calculatedProperties });
+      const orbitProperties = Asteroid.orbitProperties(nasaData.orbital_data);
+      const update = { orbital_data: nasaData.orbital_data, hazard };
+      Object.entries(orbitProperties).forEach(([key, value]) => {
+        if (value !== undefined) update[`calculatedProperties.${key}`] = value;
+      });
+      await Asteroid.updateOne({ _id: asteroid._id }, { $set: update });
+      asteroid.orbital_data = nasaData.orbital_data;
+      asteroid.hazard = hazard;
+      asteroid.calculatedProperties = { ...asteroid.calculatedProperties, ...orbitProperties };
+    }
+  } catch (apiError) {
+    console.warn(`Orbital data unavailable for ${asteroid.neo_reference_id}:`, apiError.message);
+  }
+
+  return asteroid;
+};
+
 // Get all asteroids with pagination and filtering
 router.get('/', optionalAuth, async (req, res) => {
   try {
@@ -16,11 +54,20 @@ router.get('/', optionalAuth, async (req, res) => {
       hazardous,
       minSize,
       maxSize,
+      minTorino,
+      minPalermo,
+      orbitClass,
+      maxMoid,
+      custom,
       search
     } = req.query;
 
+    if (custom === 'mine' && !req.user) {
+      return res.status(401).json({ error: 'Log in to list your imported asteroids' });
+    }
+
     // Build query
-    const query = {};
+    const query = custom === 'mine' ? { owner: req.user._id } : Asteroid.visibleTo(req.user?._id);
     
     if (hazardous !== undefined) {
       query.is_potentially_hazardous_asteroid = hazardous === 'true';
@@ -32,6 +79,28 @@ router.get('/', optionalAuth, async (req, res) => {
       if (maxSize) query['calculatedProperties.averageDiameter'].$lte = parseFloat(maxSize);
     }
     
+    if (minTorino) {
+      query['hazard.torinoScale'] = { $gte: parseInt(minTorino) };
+    }
+
+    if (minPalermo) {
+      query['hazard.palermoScale'] = { $gte: parseFloat(minPalermo) };
+    }
+
+    // One or more NEO groups, e.g. orbitClass=Apollo,Aten
+    if (orbitClass) {
+      query['calculatedProperties.orbitClass'] = { $in: orbitClass.split(',') };
+    }
+
+    if (maxMoid) {
+      query['calculatedProperties.moid'] = { $lte: parseFloat(maxMoid) }; // AU
+    }
+
+    // Asteroids without an orbit would otherwise lead an ascending MOID sort
+    if (sortBy === 'calculatedProperties.moid' && sortOrder === 'asc') {
+      query['calculatedProperties.moid'] = { ...query['calculatedProperties.moid'], $ne: null };
+    }
+    
     if (search) {
       const searchRegex = new RegExp(search, 'i');
       query.$or = [
@@ -53,7 +122,7 @@ router.get('/', optionalAuth, async (req, res) => {
     const total = await Asteroid.countDocuments(query);
 
     // If no asteroids found, try to sync data from NASA API
-    if (total === 0) {
+    if (total === 0 && custom !== 'mine') {
       console.log('⚠️ No asteroids in database, attempting to sync from NASA API...');
       try {
         await nasaApi.syncAsteroidData();
@@ -114,6 +183,7 @@ router.get('/featured', async (req, res) => {
     // Fallback to database query
     try {
       const asteroids = await Asteroid.find({
+        owner: null,
         'calculatedProperties.averageDiameter': { $exists: true }
       })
       .sort({ 
@@ -131,7 +201,7 @@ router.get('/featured', async (req, res) => {
 });
 
 // Search asteroids
-router.get('/search', async (req, res) => {
+router.get('/search', optionalAuth, async (req, res) => {
   try {
     const { q: query, limit = 10 } = req.query;
     
@@ -139,7 +209,7 @@ router.get('/search', async (req, res) => {
       return res.status(400).json({ error: 'Search query must be at least 2 characters' });
     }
     
-    const asteroids = await nasaApi.searchAsteroids(query.trim(), parseInt(limit));
+    const asteroids = await nasaApi.searchAsteroids(query.trim(), parseInt(limit), req.user?._id);
     
     res.json({ asteroids });
   } catch (error) {
@@ -148,8 +218,8 @@ router.get('/search', async (req, res) => {
   }
 });
 
-// Get specific asteroid by ID
-router.get('/:id', async (req, res) => {
+// Get specific asteroid by ID; custom impactors only for the user who imported them
+router.get('/:id', optionalAuth, async (req, res) => {
   try {
     const { id } = req.params;
     
@@ -158,7 +228,8 @@ router.get('/:id', async (req, res) => {
       $or: [
         { _id: id },
         { neo_reference_id: id }
-      ]
+      ],
+      ...Asteroid.visibleTo(req.user?._id)
     }).lean();
     
     // If not found in database, try NASA API
@@ -173,8 +244,10 @@ router.get('/:id', async (req, res) => {
       } catch (apiError) {
         return res.status(404).json({ error: 'Asteroid not found' });
       }
+    } else {
+      await loadOrbitalData(asteroid);
     }
-    
+
     res.json({ asteroid });
   } catch (error) {
     console.error('Asteroid fetch error:', error);
@@ -182,18 +255,244 @@ router.get('/:id', async (req, res) => {
   }
 });
 
-// Sync asteroid data from NASA API (admin only or scheduled)
-router.post('/sync', async (req, res) => {
+// Predict close approaches to Earth by propagating the stored orbital elements
+router.get('/:id/approaches', optionalAuth, async (req, res) => {
   try {
-    const result = await nasaApi.syncAsteroidData();
-    
+    const { id } = req.params;
+    const from = req.query.from ? new Date(req.query.from) : new Date();
+    const to = req.query.to ? new Date(req.query.to) : new Date(from.getTime() + 10 * 365.25 * 86400000);
+    const maxDistance = req.query.maxDistance ? parseFloat(req.query.maxDistance) : 0.05; // AU
+
+    if (isNaN(from.getTime()) || isNaN(to.getTime()) || to <= from) {
+      return res.status(400).json({ error: 'from and to must be valid dates with from before to' });
+    }
+    if (to - from > MAX_APPROACH_SPAN_YEARS * 365.25 * 86400000) {
+      return res.status(400).json({ error: `Date range cannot exceed ${MAX_APPROACH_SPAN_YEARS} years` });
+    }
+    if (!(maxDistance > 0 && maxDistance <= 1)) {
+      return res.status(400).json({ error: 'maxDistance must be between 0 and 1 AU' });
+    }
+
+    const asteroid = await Asteroid.findOne({
+      $or: [
+        { _id: mongoose.isValidObjectId(id) ? id : null },
+        { neo_reference_id: id }
+      ],
+      ...Asteroid.visibleTo(req.user?._id)
+    }).lean();
+
+    if (!asteroid) {
+      return res.status(404).json({ error: 'Asteroid not found' });
+    }
+
+    await loadOrbitalData(asteroid);
+    const elements = orbit.elementsFromOrbitalData(asteroid.orbital_data);
+    if (!elements) {
+      return res.status(422).json({ error: 'Asteroid has no usable orbital elements' });
+    }
+
+    const approaches = orbit.findCloseApproaches(
+      elements,
+      orbit.toJulianDate(from),
+      orbit.toJulianDate(to),
+      { maxDistance }
+    ).map(approach => ({
+      date: approach.date,
+      distanceKm: approach.distanceKm,
+      distanceAU: approach.distanceAU,
+      distanceLunar: approach.distanceLunar,
+      relativeVelocity: approach.relativeVelocity, // km/s
+      withinLunarDistance: approach.withinLunarDistance
+    }));
+
+    res.json({
+      asteroid: {
+        _id: asteroid._id,
+        name: asteroid.name,
+        neo_reference_id: asteroid.neo_reference_id
+      },
+      from,
+      to,
+      maxDistance,
+      elementsEpoch: orbit.fromJulianDate(elements.epoch),
+      model: 'two-body',
+      approaches
+    });
+  } catch (error) {
+    console.error('Close approach prediction error:', error);
+    res.status(500).json({ error: 'Failed to predict close approaches' });
+  }
+});
+
+// How NASA's solution for an asteroid evolved across syncs, newest first
+router.get('/:id/history', optionalAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { page = 1, limit = 50 } = req.query;
+    const asteroid = await Asteroid.findOne({
+      ...(mongoose.isValidObjectId(id) ? { _id: id } : { neo_reference_id: id }),
+      ...Asteroid.visibleTo(req.user?._id)
+    })
+      .select('name neo_reference_id')
+      .lean();
+
+    if (!asteroid) {
+      return res.status(404).json({ error: 'Asteroid not found' });
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const [revisions, total] = await Promise.all([
+      AsteroidRevision.find({ asteroid: asteroid._id })
+        .sort({ recordedAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .select('-asteroid -__v')
+        .lean(),
+      AsteroidRevision.countDocuments({ asteroid: asteroid._id })
+    ]);
+
     res.json({
-      message: 'Asteroid data sync completed',
-      ...result
+      asteroid,
+      revisions,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / parseInt(limit)),
+        totalItems: total,
+        itemsPerPage: parseInt(limit)
+      }
     });
   } catch (error) {
+    console.error('Asteroid history fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch asteroid history' });
+  }
+});
+
+// Set an official impact probability, which then drives the Torino and Palermo ratings
+router.put('/:id/hazard', adminAuth, validate(schemas.hazard), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const asteroid = await Asteroid.findOne(mongoose.isValidObjectId(id) ? { _id: id } : { neo_reference_id: id });
+
+    if (!asteroid) {
+      return res.status(404).json({ error: 'Asteroid not found' });
+    }
+
+    const { impactProbability, encounterDate, missDistance } = req.validatedData;
+    asteroid.hazard = {
+      probabilitySource: 'user',
+      impactProbability,
+      encounterDate,
+      missDistance
+    };
+    await asteroid.save();
+
+    res.json({
+      message: 'Hazard ratings updated',
+      hazard: asteroid.hazard
+    });
+  } catch (error) {
+    console.error('Hazard update error:', error);
+    res.status(500).json({ error: 'Failed to update hazard ratings' });
+  }
+});
+
+// Drop the supplied probability and go back to the derived one
+router.delete('/:id/hazard', adminAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const asteroid = await Asteroid.findOne(mongoose.isValidObjectId(id) ? { _id: id } : { neo_reference_id: id });
+
+    if (!asteroid) {
+      return res.status(404).json({ error: 'Asteroid not found' });
+    }
+
+    asteroid.hazard = { probabilitySource: 'derived' };
+    await asteroid.save();
+
+    res.json({
+      message: 'Hazard ratings reset',
+      hazard: asteroid.hazard
+    });
+  } catch (error) {
+    console.error('Hazard reset error:', error);
+    res.status(500).json({ error: 'Failed to reset hazard ratings' });
+  }
+});
+
+// Import a custom impactor from a JPL SBDB export, an MPC orbit record or Keplerian elements
+router.post('/import', auth, validate(schemas.asteroidImport), async (req, res) => {
+  try {
+    const { format, data, name, diameter } = req.validatedData;
+
+    const imported = await Asteroid.countDocuments({ owner: req.user._id });
+    if (imported >= MAX_CUSTOM_ASTEROIDS) {
+      return res.status(409).json({ error: `You can keep up to ${MAX_CUSTOM_ASTEROIDS} imported asteroids, delete some first` });
+    }
+
+    const record = orbitImporter.parse(format, data);
+    if (name) record.name = name;
+    if (diameter) record.diameter = diameter / 1000;
+    if (!record.name) {
+      return res.status(400).json({ error: 'A name is required for this import' });
+    }
+
+    const asteroid = new Asteroid(orbitImporter.buildAsteroid(record, { format, owner: req.user._id }));
+    await asteroid.save();
+
+    res.status(201).json({
+      message: `${asteroid.name} imported`,
+      asteroid
+    });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Asteroid import error:', error);
+    res.status(500).json({ error: 'Failed to import asteroid' });
+  }
+});
+
+// Delete one of your imported asteroids; simulations that used it keep their results
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(404).json({ error: 'Asteroid not found' });
+    }
+
+    const asteroid = await Asteroid.findOneAndDelete({ _id: id, owner: req.user._id });
+    if (!asteroid) {
+      return res.status(404).json({ error: 'Asteroid not found' });
+    }
+
+    res.json({ message: `${asteroid.name} deleted` });
+  } catch (error) {
+    console.error('Asteroid delete error:', error);
+    res.status(500).json({ error: 'Failed to delete asteroid' });
+  }
+});
+
+// Sync asteroid data from NASA API (admin only); responds once the run is
+// recorded, poll GET /api/admin/jobs for its outcome
+router.post('/sync', adminAuth, async (req, res) => {
+  try {
+    // Runs as the feed-sync job, so it is recorded and cannot overlap a scheduled sync
+    const run = await scheduler.runJob('feed-sync', {
+      trigger: 'api',
+      triggeredBy: req.user._id,
+      wait: false
+    });
+
+    res.status(202).json({
+      message: 'Asteroid data sync started',
+      run
+    });
+  } catch (error) {
+    if (error.status === 409) {
+      return res.status(409).json({ error: error.message });
+    }
     console.error('Sync error:', error);
-    res.status(500).json({ error: 'Sync failed' });
+    res.status(500).json({ error: 'Failed to start sync' });
   }
 });
 
@@ -253,6 +552,7 @@ router.get('/nasa/status', async (req, res) => {
     res.json({
       nasa_api: apiStatus,
       last_sync: lastSync?.metadata?.lastUpdated || null,
+      catalog_ingestion: await nasaApi.getIngestionStatus(),
       database_count: await Asteroid.countDocuments()
     });
   } catch (error) {
@@ -0,0 +1,137 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Comment = require('../models/Comment');
+const Simulation = require('../models/Simulation');
+const commentThreads = require('../utils/commentThreads');
+const { auth } = require('../middleware/auth');
+const { validate, schemas } = require('../middleware/validation');
+
+const router = express.Router();
+
+router.use(auth);
+
+const AUTHOR_FIELDS = 'username profile.firstName profile.lastName profile.avatar';
+
+// Loads a comment still shown in its thread, or answers 404
+const findVisibleComment = async (req, res) => {
+  const comment = mongoose.isValidObjectId(req.params.id) ? await Comment.findById(req.params.id) : null;
+  if (!comment || !comment.isVisible) {
+    res.status(404).json({ error: 'Comment not found' });
+    return null;
+  }
+  return comment;
+};
+
+// Edit own comment within the edit window
+router.put('/:id', validate(schemas.commentEdit), async (req, res) => {
+  try {
+    const comment = await findVisibleComment(req, res);
+    if (!comment) return;
+
+    if (comment.user.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ error: 'You can only edit your own comments' });
+    }
+    if (!comment.canEdit(req.user._id)) {
+      return res.status(403).json({
+        error: `Comments can only be edited within ${Comment.EDIT_WINDOW_MS / 60000} minutes of posting`
+      });
+    }
+
+    const { text } = req.validatedData;
+    comment.text = text;
+    comment.mentions = await commentThreads.resolveMentions(text);
+    comment.editedAt = new Date();
+    await comment.save();
+
+    await comment.populate([
+      { path: 'user', select: AUTHOR_FIELDS },
+      { path: 'mentions', select: 'username' }
+    ]);
+
+    res.json({
+      message: 'Comment updated',
+      comment: comment.toThreadJSON(req.user._id)
+    });
+  } catch (error) {
+    console.error('Comment edit error:', error);
+    res.status(500).json({ error: 'Failed to edit comment' });
+  }
+});
+
+// Soft-delete own comment; admins may delete any comment
+router.delete('/:id', async (req, res) => {
+  try {
+    const comment = await findVisibleComment(req, res);
+    if (!comment) return;
+
+    if (comment.user.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'You can only delete your own comments' });
+    }
+
+    comment.isDeleted = true;
+    comment.deletedAt = new Date();
+    comment.deletedBy = req.user._id;
+    await comment.save();
+    await Simulation.updateOne({ _id: comment.simulation }, { $inc: { commentCount: -1 } });
+
+    res.json({ message: 'Comment deleted' });
+  } catch (error) {
+    console.error('Comment deletion error:', error);
+    res.status(500).json({ error: 'Failed to delete comment' });
+  }
+});
+
+// Set, change or clear (same reaction again) the user's reaction
+router.post('/:id/reactions', validate(schemas.commentReaction), async (req, res) => {
+  try {
+    const comment = await findVisibleComment(req, res);
+    if (!comment) return;
+
+    const { reaction } = req.validatedData;
+    const existing = comment.reactions.find(entry => entry.user.toString() === req.user._id.toString());
+
+    if (!existing) {
+      comment.reactions.push({ user: req.user._id, kind: reaction });
+    } else if (existing.kind === reaction) {
+      comment.reactions.pull(existing._id);
+    } else {
+      existing.kind = reaction;
+    }
+    await comment.save();
+
+    res.json({ reactions: comment.reactionSummary(req.user._id) });
+  } catch (error) {
+    console.error('Comment reaction error:', error);
+    res.status(500).json({ error: 'Failed to react to comment' });
+  }
+});
+
+// Report a comment to the moderators
+router.post('/:id/report', validate(schemas.commentReport), async (req, res) => {
+  try {
+    const comment = await findVisibleComment(req, res);
+    if (!comment) return;
+
+    if (comment.user.toString() === req.user._id.toString()) {
+      return res.status(400).json({ error: 'You cannot report your own comment' });
+    }
+    if (comment.reports.some(report => report.user.toString() === req.user._id.toString())) {
+      return res.status(409).json({ error: 'You already reported this comment' });
+    }
+
+    const { reason, note } = req.validatedData;
+    const now = new Date();
+    comment.reports.push({ user: req.user._id, reason, note, createdAt: now });
+    // A new report puts previously dismissed comments back in the queue
+    comment.moderation.status = 'pending';
+    comment.moderation.lastReportedAt = now;
+    await comment.save();
+
+    res.status(201).json({ message: 'Comment reported, thank you' });
+  } catch (error) {
+    console.error('Comment report error:', error);
+    res.status(500).json({ error: 'Failed to report comment' });
+  }
+});
+
+module.exports = router;
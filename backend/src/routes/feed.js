@@ -0,0 +1,112 @@
+const express = require('express');
+const Simulation = require('../models/Simulation');
+const Comment = require('../models/Comment');
+const Follow = require('../models/Follow');
+const { auth } = require('../middleware/auth');
+
+const router = express.Router();
+
+const MAX_FEED_ITEMS = 50;
+
+// New public simulations and comments from the users the current user follows,
+// newest first. Pass the returned nextBefore as ?before= to fetch the next page.
+router.get('/', auth, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, MAX_FEED_ITEMS);
+    const before = req.query.before ? new Date(req.query.before) : new Date();
+
+    if (isNaN(before.getTime())) {
+      return res.status(400).json({ error: 'Invalid before date' });
+    }
+
+    const following = await Follow.find({ follower: req.user._id }).distinct('following');
+    if (following.length === 0) {
+      return res.json({ items: [], following: 0, nextBefore: null });
+    }
+
+    const [simulations, comments] = await Promise.all([
+      Simulation.find({ user: { $in: following }, isPublic: true, createdAt: { $lt: before } })
+        .populate('user', 'username profile.avatar')
+        .populate('asteroid', 'name is_potentially_hazardous_asteroid')
+        .select('user asteroid impactLocation results.craterDiameter results.populationEffects.estimatedCasualties votes.likes createdAt')
+        .sort({ createdAt: -1 })
+        .limit(limit)
+        .lean(),
+      Comment.aggregate([
+        { $match: { user: { $in: following }, ...Comment.VISIBLE, createdAt: { $lt: before } } },
+        { $sort: { createdAt: -1 } },
+        {
+          $lookup: {
+            from: 'simulations',
+            localField: 'simulation',
+            foreignField: '_id',
+            as: 'simulation'
+          }
+        },
+        { $unwind: '$simulation' },
+        { $match: { 'simulation.isPublic': true } },
+        { $limit: limit },
+        {
+          $lookup: {
+            from: 'users',
+            localField: 'user',
+            foreignField: '_id',
+            as: 'author'
+          }
+        },
+        {
+          $lookup: {
+            from: 'asteroids',
+            localField: 'simulation.asteroid',
+            foreignField: '_id',
+            as: 'asteroid'
+          }
+        },
+        {
+          $project: {
+            _id: 1,
+            text: 1,
+            parent: 1,
+            timestamp: '$createdAt',
+            user: {
+              _id: { $arrayElemAt: ['$author._id', 0] },
+              username: { $arrayElemAt: ['$author.username', 0] }
+            },
+            simulation: {
+              _id: '$simulation._id',
+              asteroidName: { $arrayElemAt: ['$asteroid.name', 0] }
+            }
+          }
+        }
+      ])
+    ]);
+
+    const items = [
+      ...simulations.map(simulation => ({
+        type: 'simulation',
+        createdAt: simulation.createdAt,
+        user: simulation.user,
+        simulation
+      })),
+      ...comments.map(({ user, simulation, ...comment }) => ({
+        type: 'comment',
+        createdAt: comment.timestamp,
+        user,
+        simulation,
+        comment
+      }))
+    ]
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+      .slice(0, limit);
+
+    // Each source was capped at limit, so anything older than the last item may still remain
+    const nextBefore = items.length === limit ? items[items.length - 1].createdAt : null;
+
+    res.json({ items, following: following.length, nextBefore });
+  } catch (error) {
+    console.error('Feed fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch activity feed' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,82 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Notification = require('../models/Notification');
+const { auth } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.use(auth);
+
+const MAX_PAGE_SIZE = 50;
+
+// Current user's notifications, newest first
+router.get('/', async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), MAX_PAGE_SIZE);
+    const query = { user: req.user._id };
+
+    const [notifications, total, unreadCount] = await Promise.all([
+      Notification.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Notification.countDocuments(query),
+      Notification.countDocuments({ ...query, readAt: null })
+    ]);
+
+    res.json({
+      notifications,
+      unreadCount,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        itemsPerPage: limit
+      }
+    });
+  } catch (error) {
+    console.error('Notifications fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch notifications' });
+  }
+});
+
+// Mark every notification as read
+router.post('/read-all', async (req, res) => {
+  try {
+    await Notification.updateMany({ user: req.user._id, readAt: null }, { $set: { readAt: new Date() } });
+    res.json({ message: 'Notifications marked as read', unreadCount: 0 });
+  } catch (error) {
+    console.error('Mark notifications read error:', error);
+    res.status(500).json({ error: 'Failed to mark notifications as read' });
+  }
+});
+
+// Mark one notification as read
+router.post('/:id/read', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(404).json({ error: 'Notification not found' });
+    }
+
+    const notification = await Notification.findOneAndUpdate(
+      { _id: id, user: req.user._id },
+      [{ $set: { readAt: { $ifNull: ['$readAt', '$$NOW'] } } }],
+      { new: true }
+    );
+    if (!notification) {
+      return res.status(404).json({ error: 'Notification not found' });
+    }
+
+    const unreadCount = await Notification.countDocuments({ user: req.user._id, readAt: null });
+    res.json({ notification, unreadCount });
+  } catch (error) {
+    console.error('Mark notification read error:', error);
+    res.status(500).json({ error: 'Failed to mark notification as read' });
+  }
+});
+
+module.exports = router;
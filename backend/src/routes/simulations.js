@@ -1,25 +1,40 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const Simulation = require('../models/Simulation');
 const Asteroid = require('../models/Asteroid');
-const User = require('../models/User');
+const Comment = require('../models/Comment');
 const { auth, optionalAuth } = require('../middleware/auth');
 const { validate, schemas } = require('../middleware/validation');
 const impactCalculator = require('../utils/impactCalculator');
+const ensembleSimulator = require('../utils/ensemble');
+const deflectionPlanner = require('../utils/deflection');
+const corridorSimulator = require('../utils/corridor');
+const commentThreads = require('../utils/commentThreads');
+const leaderboard = require('../utils/leaderboard');
+const achievements = require('../utils/achievements');
+const impactPhysics = require('../../../shared/impactPhysics');
 
 const router = express.Router();
 
+const MAX_COMPARED_SIMULATIONS = 6;
+const LIKE_AWARD = { votesReceived: 1, points: 5 }; // credited to the owner per standing like
+
 // Create new simulation
-router.post('/', auth, async (req, res) => {
+router.post('/', auth, validate(schemas.simulation), async (req, res) => {
   try {
     const { 
       asteroidId, 
       impactLocation, 
-      impactAngle = 45, 
-      impactVelocity = 20,
+      impactAngle, 
+      impactVelocity,
+      composition,
+      impactorDensity,
+      impactorStrength,
       asteroidData,
       mitigationStrategy,
-      isPublic = true 
-    } = req.body;
+      forkedFrom,
+      isPublic
+    } = req.validatedData;
 
     console.log('Simulation request data:', {
       asteroidId,
@@ -32,7 +47,7 @@ router.post('/', auth, async (req, res) => {
     // Use provided asteroid data or fetch from database
     let asteroid = asteroidData;
     if (!asteroid && asteroidId) {
-      asteroid = await Asteroid.findOne({ neo_reference_id: asteroidId });
+      asteroid = await Asteroid.findOne({ neo_reference_id: asteroidId, ...Asteroid.visibleTo(req.user?._id) });
       if (!asteroid) {
         return res.status(404).json({ error: 'Asteroid not found' });
       }
@@ -42,14 +57,26 @@ router.post('/', auth, async (req, res) => {
       return res.status(400).json({ error: 'Asteroid data required' });
     }
 
+    // Forks may start from any public simulation or one of the user's own
+    let forkSource = null;
+    if (forkedFrom) {
+      forkSource = await Simulation.findById(forkedFrom).select('user isPublic lineage');
+      if (!forkSource || (!forkSource.isPublic && forkSource.user.toString() !== req.user._id.toString())) {
+        return res.status(404).json({ error: 'Simulation to fork not found' });
+      }
+    }
+
     const startTime = Date.now();
 
     // Enhanced impact calculation with provided parameters
     const results = impactCalculator.runDetailedSimulation({
       asteroid,
       impactLocation,
-      impactAngle: parseFloat(impactAngle),
-      impactVelocity: parseFloat(impactVelocity)
+      impactAngle,
+      impactVelocity,
+      composition,
+      density: impactorDensity,
+      strength: impactorStrength
     });
 
     console.log('Raw simulation results:', results);
@@ -58,9 +85,17 @@ router.post('/', auth, async (req, res) => {
     const structuredResults = {
       craterDiameter: results.craterDiameter * 1000, // Convert to meters
       craterDepth: results.craterDepth * 1000, // Convert to meters
+      impactType: results.impactType,
+      atmosphericEntry: results.detailedEffects.atmosphericEntry,
       blastRadius: results.detailedEffects.blastRadius,
+      thermalEffects: results.detailedEffects.thermalEffects,
+      ejecta: results.detailedEffects.ejecta || undefined,
       seismicMagnitude: results.detailedEffects.seismicMagnitude,
+      seismicEffects: results.detailedEffects.seismicEffects || undefined,
       tsunamiHeight: results.detailedEffects.tsunamiHeight,
+      tsunami: results.detailedEffects.tsunami || undefined,
+      targetType: results.detailedEffects.targetType,
+      waterDepth: results.detailedEffects.waterDepth,
       environmentalEffects: results.detailedEffects.environmentalEffects,
       populationEffects: results.detailedEffects.populationEffects,
       economicImpact: {
@@ -73,8 +108,24 @@ router.post('/', auth, async (req, res) => {
 
     // Apply mitigation strategy if provided
     let finalResults = structuredResults;
-    if (mitigationStrategy && mitigationStrategy.method !== 'none') {
-      finalResults = impactCalculator.applyMitigation(structuredResults, mitigationStrategy);
+    let mitigation = mitigationStrategy || { method: 'none' };
+    if (deflectionPlanner.isDeflectionMethod(mitigation.method)) {
+      // Deflection decides whether the impact happens; the impact results stay as computed
+      const plan = deflectionPlanner.planDeflection({
+        ...mitigation,
+        asteroid,
+        impactVelocity,
+        composition: results.impactor.composition,
+        density: results.impactor.density
+      });
+      mitigation = {
+        ...mitigation,
+        ...plan,
+        successProbability: plan.missProbability * 100,
+        timeRequired: plan.leadTime
+      };
+    } else if (mitigation.method !== 'none') {
+      finalResults = impactCalculator.applyMitigation(structuredResults, mitigation);
     }
 
     const simulationDuration = Date.now() - startTime;
@@ -85,22 +136,26 @@ router.post('/', auth, async (req, res) => {
       asteroid: asteroid._id || null, // Will be null for sample data
       impactLocation: {
         latitude: impactLocation.lat,
-        longitude: impactLocation.lng
+        longitude: impactLocation.lng,
+        country: results.detailedEffects.location.country || undefined
       },
-      impactAngle: parseFloat(impactAngle),
-      impactVelocity: parseFloat(impactVelocity),
+      impactAngle,
+      impactVelocity,
+      impactor: results.impactor,
       results: finalResults,
-      mitigationStrategy: mitigationStrategy || { method: 'none' },
+      mitigationStrategy: mitigation,
       isPublic,
+      forkedFrom: forkSource?._id || null,
+      lineage: forkSource ? [...forkSource.lineage, forkSource._id] : [],
       simulationDuration,
       metadata: {
         version: '2.0',
-        calculationMethod: 'Enhanced USGS scaling laws',
+        calculationMethod: results.modelId,
         dataSource: 'NASA NeoWs API + Custom Parameters',
         asteroidData: {
           name: asteroid.name,
           id: asteroid.id || asteroid.neo_reference_id,
-          diameter: asteroid.estimatedDiameter?.kilometers?.estimated_diameter_max || 1,
+          diameter: impactPhysics.getImpactorDiameter(asteroid) / 1000, // km
           velocity: impactVelocity
         }
       }
@@ -108,18 +163,23 @@ router.post('/', auth, async (req, res) => {
 
     await simulation.save();
 
+    if (forkSource) {
+      await Simulation.updateOne({ _id: forkSource._id }, { $inc: { forkCount: 1 } });
+    }
+
     // Update user stats
-    await User.findByIdAndUpdate(req.user._id, {
-      $inc: { 
-        'stats.simulationsRun': 1,
-        'stats.points': 10
-      }
-    });
+    await leaderboard.award(req.user._id, {
+      simulationsRun: 1,
+      mitigationsProposed: mitigation.method !== 'none' ? 1 : 0,
+      points: 10
+    }, { reason: 'simulation', simulation: simulation._id });
+    const unlocked = await achievements.evaluate(req.user._id, 'simulation', { simulation: simulation._id });
 
     res.status(201).json({
       message: 'Simulation completed successfully',
       simulation,
-      results: results // Send original results format for frontend
+      results: results, // Send original results format for frontend
+      achievements: unlocked
     });
   } catch (error) {
     console.error('Simulation creation error:', error);
@@ -127,6 +187,130 @@ router.post('/', auth, async (req, res) => {
   }
 });
 
+// Run a Monte Carlo ensemble around a scenario or one of the user's simulations
+router.post('/ensemble', auth, validate(schemas.ensemble), async (req, res) => {
+  try {
+    const {
+      simulationId,
+      asteroidId,
+      asteroidData,
+      impactorStrength,
+      runs,
+      seed,
+      ranges
+    } = req.validatedData;
+    let { impactLocation, impactVelocity, composition, impactorDensity } = req.validatedData;
+
+    // Nominal parameters default to the stored simulation
+    let simulation = null;
+    if (simulationId) {
+      simulation = await Simulation.findOne({ _id: simulationId, user: req.user._id }).populate('asteroid');
+      if (!simulation) {
+        return res.status(404).json({ error: 'Simulation not found' });
+      }
+      impactLocation = impactLocation || {
+        lat: simulation.impactLocation.latitude,
+        lng: simulation.impactLocation.longitude
+      };
+      impactVelocity = impactVelocity || simulation.impactVelocity;
+      composition = composition || simulation.impactor?.composition;
+      impactorDensity = impactorDensity || simulation.impactor?.density || simulation.results?.atmosphericEntry?.density;
+    }
+
+    let asteroid = asteroidData || simulation?.asteroid;
+    if (!asteroid && asteroidId) {
+      asteroid = await Asteroid.findOne({ neo_reference_id: asteroidId, ...Asteroid.visibleTo(req.user?._id) });
+      if (!asteroid) {
+        return res.status(404).json({ error: 'Asteroid not found' });
+      }
+    }
+
+    if (!asteroid) {
+      return res.status(400).json({ error: 'Asteroid data required' });
+    }
+    if (!impactLocation) {
+      return res.status(400).json({ error: 'Impact location required' });
+    }
+
+    const ensemble = ensembleSimulator.runEnsemble({
+      asteroid,
+      impactLocation,
+      impactVelocity,
+      composition,
+      density: impactorDensity,
+      strength: impactorStrength,
+      runs,
+      seed,
+      ranges
+    });
+
+    if (simulation) {
+      simulation.uncertainty = { ...ensemble, computedAt: new Date() };
+      await simulation.save();
+    }
+
+    res.json({
+      message: 'Ensemble completed successfully',
+      ensemble
+    });
+  } catch (error) {
+    console.error('Ensemble simulation error:', error);
+    res.status(500).json({ error: 'Failed to run ensemble simulation' });
+  }
+});
+
+// Plan a deflection mission without running an impact simulation
+router.post('/deflection', auth, validate(schemas.deflection), async (req, res) => {
+  try {
+    const { asteroidId, asteroidData, ...mission } = req.validatedData;
+
+    let asteroid = asteroidData;
+    if (!asteroid) {
+      asteroid = await Asteroid.findOne({ neo_reference_id: asteroidId, ...Asteroid.visibleTo(req.user?._id) });
+      if (!asteroid) {
+        return res.status(404).json({ error: 'Asteroid not found' });
+      }
+    }
+
+    const plan = deflectionPlanner.planDeflection({ ...mission, asteroid });
+
+    res.json({ plan });
+  } catch (error) {
+    console.error('Deflection planning error:', error);
+    res.status(500).json({ error: 'Failed to plan deflection mission' });
+  }
+});
+
+// Run batched simulations along an impact risk corridor
+router.post('/corridor', auth, validate(schemas.corridor), async (req, res) => {
+  try {
+    const { asteroidId, asteroidData, impactorDensity, impactorStrength, ...geometry } = req.validatedData;
+
+    let asteroid = asteroidData;
+    if (!asteroid) {
+      asteroid = await Asteroid.findOne({ neo_reference_id: asteroidId, ...Asteroid.visibleTo(req.user?._id) });
+      if (!asteroid) {
+        return res.status(404).json({ error: 'Asteroid not found' });
+      }
+    }
+
+    const corridor = corridorSimulator.runCorridor({
+      ...geometry,
+      asteroid,
+      density: impactorDensity,
+      strength: impactorStrength
+    });
+
+    res.json({
+      message: 'Corridor simulations completed successfully',
+      corridor
+    });
+  } catch (error) {
+    console.error('Corridor simulation error:', error);
+    res.status(500).json({ error: 'Failed to run corridor simulations' });
+  }
+});
+
 // Get user's simulations
 router.get('/my', auth, async (req, res) => {
   try {
@@ -203,6 +387,39 @@ router.get('/public', optionalAuth, async (req, res) => {
   }
 });
 
+// Several simulations side by side, in the requested order: /compare?ids=a,b,c
+router.get('/compare', optionalAuth, async (req, res) => {
+  try {
+    const ids = [...new Set(String(req.query.ids || '').split(',').map(id => id.trim()).filter(Boolean))];
+
+    if (ids.length < 2 || ids.length > MAX_COMPARED_SIMULATIONS) {
+      return res.status(400).json({ error: `Choose between 2 and ${MAX_COMPARED_SIMULATIONS} simulations to compare` });
+    }
+    if (!ids.every(id => mongoose.isValidObjectId(id))) {
+      return res.status(400).json({ error: 'Invalid simulation id' });
+    }
+
+    // Other users' private simulations are silently left out
+    const visibility = req.user ? [{ isPublic: true }, { user: req.user._id }] : [{ isPublic: true }];
+    const simulations = await Simulation.find({ _id: { $in: ids }, $or: visibility })
+      .populate('user', 'username')
+      .populate('asteroid', 'name neo_reference_id estimated_diameter calculatedProperties is_potentially_hazardous_asteroid')
+      .select('-votes.voters -results.thermalEffects.exposureProfile -results.seismicEffects.atDistances')
+      .lean();
+
+    const byId = new Map(simulations.map(simulation => [simulation._id.toString(), simulation]));
+    const ordered = ids.map(id => byId.get(id)).filter(Boolean);
+
+    res.json({
+      simulations: ordered,
+      missing: ids.filter(id => !byId.has(id))
+    });
+  } catch (error) {
+    console.error('Simulation comparison error:', error);
+    res.status(500).json({ error: 'Failed to compare simulations' });
+  }
+});
+
 // Get specific simulation
 router.get('/:id', optionalAuth, async (req, res) => {
   try {
@@ -218,7 +435,11 @@ router.get('/:id', optionalAuth, async (req, res) => {
     const simulation = await Simulation.findOne(query)
       .populate('user', 'username profile stats')
       .populate('asteroid')
-      .populate('comments.user', 'username profile.firstName profile.lastName')
+      .populate({
+        path: 'forkedFrom',
+        select: 'user asteroid impactLocation isPublic createdAt',
+        populate: [{ path: 'user', select: 'username' }, { path: 'asteroid', select: 'name' }]
+      })
       .lean();
 
     if (!simulation) {
@@ -230,6 +451,12 @@ router.get('/:id', optionalAuth, async (req, res) => {
       return res.status(403).json({ error: 'Access denied' });
     }
 
+    // The original may since have been made private
+    const parent = simulation.forkedFrom;
+    if (parent && !parent.isPublic && (!req.user || parent.user?._id.toString() !== req.user._id.toString())) {
+      simulation.forkedFrom = null;
+    }
+
     res.json({ simulation });
   } catch (error) {
     console.error('Simulation fetch error:', error);
@@ -237,6 +464,45 @@ router.get('/:id', optionalAuth, async (req, res) => {
   }
 });
 
+// Public forks of a simulation, newest first
+router.get('/:id/forks', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { page = 1, limit = 10 } = req.query;
+
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(404).json({ error: 'Simulation not found' });
+    }
+
+    const query = { forkedFrom: id, isPublic: true };
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [forks, total] = await Promise.all([
+      Simulation.find(query)
+        .populate('user', 'username')
+        .select('user impactLocation impactAngle impactVelocity mitigationStrategy.method results.craterDiameter results.populationEffects.estimatedCasualties forkCount createdAt')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .lean(),
+      Simulation.countDocuments(query)
+    ]);
+
+    res.json({
+      forks,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / parseInt(limit)),
+        totalItems: total,
+        itemsPerPage: parseInt(limit)
+      }
+    });
+  } catch (error) {
+    console.error('Simulation forks fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch forks' });
+  }
+});
+
 // Vote on simulation
 router.post('/:id/vote', auth, validate(schemas.vote), async (req, res) => {
   try {
@@ -249,12 +515,14 @@ router.post('/:id/vote', auth, validate(schemas.vote), async (req, res) => {
     }
 
     // Check if user already voted
+    let previousVote = null;
     const existingVoteIndex = simulation.votes.voters.findIndex(
       voter => voter.user.toString() === req.user._id.toString()
     );
 
     if (existingVoteIndex !== -1) {
       const existingVote = simulation.votes.voters[existingVoteIndex].vote;
+      previousVote = existingVote;
       
       if (existingVote === vote) {
         return res.status(400).json({ error: 'You already voted this way' });
@@ -287,11 +555,25 @@ router.post('/:id/vote', auth, validate(schemas.vote), async (req, res) => {
 
     await simulation.save();
 
-    // Update simulation owner's stats
-    if (vote === 'like') {
-      await User.findByIdAndUpdate(simulation.user, {
-        $inc: { 'stats.votesReceived': 1, 'stats.points': 5 }
-      });
+    // Update simulation owner's stats: a like earns points while it stands and a
+    // withdrawn one takes them back, so flipping a vote cannot farm them.
+    // Liking your own simulation earns nothing
+    if (!simulation.user.equals(req.user._id)) {
+      if (vote === 'like') {
+        await leaderboard.award(simulation.user, LIKE_AWARD, {
+          reason: 'vote',
+          simulation: simulation._id
+        });
+        await achievements.evaluate(simulation.user, 'vote', { simulation: simulation._id });
+      } else if (previousVote === 'like') {
+        await leaderboard.award(simulation.user, {
+          votesReceived: -LIKE_AWARD.votesReceived,
+          points: -LIKE_AWARD.points
+        }, {
+          reason: 'vote',
+          simulation: simulation._id
+        });
+      }
     }
 
     res.json({
@@ -308,33 +590,71 @@ router.post('/:id/vote', auth, validate(schemas.vote), async (req, res) => {
   }
 });
 
-// Add comment to simulation
+// Comment thread of a simulation, in posting order
+router.get('/:id/comments', optionalAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const simulation = await Simulation.findById(id).select('user isPublic').lean();
+    if (!simulation || (!simulation.isPublic && (!req.user || simulation.user.toString() !== req.user._id.toString()))) {
+      return res.status(404).json({ error: 'Simulation not found' });
+    }
+
+    const comments = await Comment.find({ simulation: id })
+      .populate('user', 'username profile.firstName profile.lastName profile.avatar')
+      .populate('mentions', 'username')
+      .sort({ createdAt: 1 });
+
+    res.json({
+      comments: commentThreads.buildThread(comments, req.user?._id),
+      editWindowMinutes: Comment.EDIT_WINDOW_MS / 60000
+    });
+  } catch (error) {
+    console.error('Comments fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch comments' });
+  }
+});
+
+// Add comment or reply to simulation
 router.post('/:id/comments', auth, validate(schemas.comment), async (req, res) => {
   try {
     const { id } = req.params;
-    const { text } = req.validatedData;
+    const { text, parent } = req.validatedData;
 
     const simulation = await Simulation.findOne({ _id: id, isPublic: true });
     if (!simulation) {
       return res.status(404).json({ error: 'Public simulation not found' });
     }
 
-    const comment = {
+    let placement = { parent: null, depth: 0 };
+    if (parent) {
+      const parentComment = await Comment.findOne({ _id: parent, simulation: simulation._id });
+      if (!parentComment || !parentComment.isVisible) {
+        return res.status(404).json({ error: 'Parent comment not found' });
+      }
+      placement = commentThreads.placeReply(parentComment);
+    }
+
+    const comment = await Comment.create({
+      simulation: simulation._id,
       user: req.user._id,
       text,
-      timestamp: new Date()
-    };
-
-    simulation.comments.push(comment);
-    await simulation.save();
+      mentions: await commentThreads.resolveMentions(text),
+      ...placement
+    });
+    await Simulation.updateOne({ _id: simulation._id }, { $inc: { commentCount: 1 } });
+    const unlocked = await achievements.evaluate(req.user._id, 'comment', { simulation: simulation._id });
 
     // Populate user data for response
-    await simulation.populate('comments.user', 'username profile.firstName profile.lastName');
-    const newComment = simulation.comments[simulation.comments.length - 1];
+    await comment.populate([
+      { path: 'user', select: 'username profile.firstName profile.lastName profile.avatar' },
+      { path: 'mentions', select: 'username' }
+    ]);
 
     res.status(201).json({
       message: 'Comment added successfully',
-      comment: newComment
+      comment: comment.toThreadJSON(req.user._id),
+      achievements: unlocked
     });
   } catch (error) {
     console.error('Comment error:', error);
@@ -353,6 +673,7 @@ router.delete('/:id', auth, async (req, res) => {
     }
 
     await Simulation.findByIdAndDelete(id);
+    await Comment.deleteMany({ simulation: id });
 
     res.json({ message: 'Simulation deleted successfully' });
   } catch (error) {
@@ -1,12 +1,59 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const User = require('../models/User');
 const Simulation = require('../models/Simulation');
+const Follow = require('../models/Follow');
+const leaderboard = require('../utils/leaderboard');
+const achievements = require('../utils/achievements');
 const { auth, optionalAuth } = require('../middleware/auth');
 
 const router = express.Router();
 
-// Get user leaderboard
-// Leaderboard endpoint eliminado
+// Get user leaderboard (window: all|monthly|weekly, category: points|simulationsRun|votesReceived|mitigationsProposed)
+router.get('/leaderboard', optionalAuth, async (req, res) => {
+  try {
+    const { window, category, page, limit } = req.query;
+    const board = await leaderboard.getBoard({ window, category, page, limit, userId: req.user?._id });
+
+    res.json({
+      leaderboard: board.entries,
+      me: board.me,
+      season: board.season,
+      window: board.window,
+      category: board.category,
+      pagination: {
+        currentPage: board.page,
+        totalPages: Math.ceil(board.total / board.limit),
+        totalItems: board.total,
+        itemsPerPage: board.limit
+      }
+    });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Leaderboard fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch leaderboard' });
+  }
+});
+
+// Final standings of past weekly or monthly seasons
+router.get('/leaderboard/history', optionalAuth, async (req, res) => {
+  try {
+    const { window, category, limit } = req.query;
+    const seasons = await leaderboard.getHistory({ window, category, limit, userId: req.user?._id });
+
+    res.json({ seasons });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Leaderboard history fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch leaderboard history' });
+  }
+});
+
+// Get a user's public profile
 router.get('/profile/:username', optionalAuth, async (req, res) => {
   try {
     const { username } = req.params;
@@ -29,13 +76,20 @@ router.get('/profile/:username', optionalAuth, async (req, res) => {
       .limit(10)
       .lean();
 
-    // Get user achievements/badges (simplified)
-    const achievements = calculateAchievements(user.stats);
+    const [followersCount, followingCount, isFollowing, unlocked] = await Promise.all([
+      Follow.countDocuments({ following: user._id }),
+      Follow.countDocuments({ follower: user._id }),
+      req.user ? Follow.exists({ follower: req.user._id, following: user._id }) : null,
+      achievements.listUnlocked(user._id)
+    ]);
 
     res.json({
       user: {
         ...user,
-        achievements
+        achievements: unlocked,
+        followersCount,
+        followingCount,
+        isFollowing: Boolean(isFollowing)
       },
       recentSimulations: simulations
     });
@@ -125,7 +179,18 @@ router.get('/stats/overview', async (req, res) => {
   }
 });
 
-// Follow/unfollow user (bonus feature)
+// Ids of the users the current user follows
+router.get('/following', auth, async (req, res) => {
+  try {
+    const following = await Follow.find({ follower: req.user._id }).distinct('following');
+    res.json({ following });
+  } catch (error) {
+    console.error('Following ids fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch followed users' });
+  }
+});
+
+// Follow a user
 router.post('/:userId/follow', auth, async (req, res) => {
   try {
     const { userId } = req.params;
@@ -134,43 +199,115 @@ router.post('/:userId/follow', auth, async (req, res) => {
       return res.status(400).json({ error: 'Cannot follow yourself' });
     }
 
-    const targetUser = await User.findById(userId);
+    const targetUser = mongoose.isValidObjectId(userId) ? await User.findById(userId) : null;
     if (!targetUser || !targetUser.isActive) {
       return res.status(404).json({ error: 'User not found' });
     }
 
-    // In a more complete implementation, you'd have a separate followers collection
-    // For now, we'll just return success
-    res.json({ message: 'User followed successfully' });
+    // Upsert so that following twice is a no-op
+    await Follow.updateOne(
+      { follower: req.user._id, following: targetUser._id },
+      { $setOnInsert: { follower: req.user._id, following: targetUser._id } },
+      { upsert: true }
+    );
+    const followersCount = await Follow.countDocuments({ following: targetUser._id });
+
+    res.json({
+      message: `You are now following ${targetUser.username}`,
+      isFollowing: true,
+      followersCount
+    });
   } catch (error) {
     console.error('Follow user error:', error);
     res.status(500).json({ error: 'Failed to follow user' });
   }
 });
 
-// Helper function to calculate user achievements
-function calculateAchievements(stats) {
-  const achievements = [];
+// Unfollow a user
+router.delete('/:userId/follow', auth, async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (!mongoose.isValidObjectId(userId)) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    await Follow.deleteOne({ follower: req.user._id, following: userId });
+    const followersCount = await Follow.countDocuments({ following: userId });
+
+    res.json({
+      message: 'User unfollowed',
+      isFollowing: false,
+      followersCount
+    });
+  } catch (error) {
+    console.error('Unfollow user error:', error);
+    res.status(500).json({ error: 'Failed to unfollow user' });
+  }
+});
+
+// Every achievement with the user's progress, unlocked ones dated
+router.get('/:userId/achievements', async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (!mongoose.isValidObjectId(userId)) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const gallery = await achievements.gallery(userId);
+    if (!gallery) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json({
+      achievements: gallery,
+      unlockedCount: gallery.filter(achievement => achievement.unlockedAt).length
+    });
+  } catch (error) {
+    console.error('Achievements fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch achievements' });
+  }
+});
 
-  // Simulation achievements
-  if (stats.simulationsRun >= 1) achievements.push({ name: 'First Impact', description: 'Ran your first simulation' });
-  if (stats.simulationsRun >= 10) achievements.push({ name: 'Impact Expert', description: 'Ran 10 simulations' });
-  if (stats.simulationsRun >= 50) achievements.push({ name: 'Apocalypse Predictor', description: 'Ran 50 simulations' });
+// Followers or followed users of a user, newest first
+router.get('/:userId/:relation(followers|following)', async (req, res) => {
+  try {
+    const { userId, relation } = req.params;
+    const { page = 1, limit = 20 } = req.query;
 
-  // Mitigation achievements
-  if (stats.mitigationsProposed >= 1) achievements.push({ name: 'Earth Defender', description: 'Proposed your first mitigation strategy' });
-  if (stats.mitigationsProposed >= 10) achievements.push({ name: 'Strategy Master', description: 'Proposed 10 mitigation strategies' });
+    if (!mongoose.isValidObjectId(userId)) {
+      return res.status(404).json({ error: 'User not found' });
+    }
 
-  // Community achievements
-  if (stats.votesReceived >= 10) achievements.push({ name: 'Popular Scientist', description: 'Received 10 votes' });
-  if (stats.votesReceived >= 50) achievements.push({ name: 'Community Favorite', description: 'Received 50 votes' });
+    // followers: who follows userId; following: whom userId follows
+    const [match, field] = relation === 'followers' ? ['following', 'follower'] : ['follower', 'following'];
+    const query = { [match]: userId };
+    const skip = (parseInt(page) - 1) * parseInt(limit);
 
-  // Points achievements
-  if (stats.points >= 100) achievements.push({ name: 'Rising Star', description: 'Earned 100 points' });
-  if (stats.points >= 500) achievements.push({ name: 'Space Expert', description: 'Earned 500 points' });
-  if (stats.points >= 1000) achievements.push({ name: 'Planetary Guardian', description: 'Earned 1000 points' });
+    const [follows, total] = await Promise.all([
+      Follow.find(query)
+        .populate(field, 'username profile.firstName profile.lastName profile.avatar stats.points')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .lean(),
+      Follow.countDocuments(query)
+    ]);
 
-  return achievements;
-}
+    res.json({
+      users: follows.map(follow => follow[field]).filter(Boolean),
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / parseInt(limit)),
+        totalItems: total,
+        itemsPerPage: parseInt(limit)
+      }
+    });
+  } catch (error) {
+    console.error('Follow list fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch follow list' });
+  }
+});
 
 module.exports = router;
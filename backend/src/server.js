@@ -10,9 +10,14 @@ const authRoutes = require('./routes/auth');
 const asteroidRoutes = require('./routes/asteroids');
 const simulationRoutes = require('./routes/simulations');
 const userRoutes = require('./routes/users');
+const adminRoutes = require('./routes/admin');
+const feedRoutes = require('./routes/feed');
+const commentRoutes = require('./routes/comments');
+const notificationRoutes = require('./routes/notifications');
 
 // Import NASA API service
 const nasaApi = require('./utils/nasaApi');
+const scheduler = require('./utils/jobs');
 const Asteroid = require('./models/Asteroid');
 
 const app = express();
@@ -81,6 +86,11 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/astroimpa
     console.error('⚠️ Error initializing asteroid data:', error.message);
     console.log('📝 Continuing with existing data or fallback data...');
   }
+
+  // Serverless instances do not live long enough to run timers
+  if (process.env.SCHEDULER_ENABLED !== 'false' && !process.env.VERCEL) {
+    scheduler.start();
+  }
 })
 .catch(err => console.error('❌ MongoDB connection error:', err));
 
@@ -89,6 +99,10 @@ app.use('/api/auth', authRoutes);
 app.use('/api/asteroids', asteroidRoutes);
 app.use('/api/simulations', simulationRoutes);
 app.use('/api/users', userRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/feed', feedRoutes);
+app.use('/api/comments', commentRoutes);
+app.use('/api/notifications', notificationRoutes);
 
 // Home route
 app.get('/', (req, res) => {
@@ -102,6 +116,10 @@ app.get('/', (req, res) => {
       asteroids: '/api/asteroids',
       simulations: '/api/simulations',
       users: '/api/users',
+      admin: '/api/admin',
+      feed: '/api/feed',
+      comments: '/api/comments',
+      notifications: '/api/notifications',
       health: '/api/health'
     },
     documentation: 'Visit /api/health for system status'
@@ -0,0 +1,176 @@
+const User = require('../models/User');
+const Simulation = require('../models/Simulation');
+const Comment = require('../models/Comment');
+const UserAchievement = require('../models/UserAchievement');
+const Notification = require('../models/Notification');
+
+// Each rule unlocks once value(context) reaches target. Rules are only checked
+// on the events they list, so a vote never triggers the comment queries.
+const ACHIEVEMENTS = [
+  // Simulations
+  { key: 'first-impact', name: 'First Impact', description: 'Ran your first simulation', icon: 'bi-rocket-takeoff', tier: 'bronze', events: ['simulation'], target: 1, value: ctx => ctx.stats.simulationsRun },
+  { key: 'impact-expert', name: 'Impact Expert', description: 'Ran 10 simulations', icon: 'bi-cpu', tier: 'silver', events: ['simulation'], target: 10, value: ctx => ctx.stats.simulationsRun },
+  { key: 'apocalypse-predictor', name: 'Apocalypse Predictor', description: 'Ran 50 simulations', icon: 'bi-fire', tier: 'gold', events: ['simulation'], target: 50, value: ctx => ctx.stats.simulationsRun },
+  { key: 'splashdown', name: 'Splashdown', description: 'Simulated an ocean impact', icon: 'bi-water', tier: 'bronze', events: ['simulation'], target: 1, value: ctx => ctx.oceanImpacts() },
+  { key: 'second-opinion', name: 'Second Opinion', description: 'Forked a simulation to try a different scenario', icon: 'bi-diagram-2', tier: 'bronze', events: ['simulation'], target: 1, value: ctx => ctx.forks() },
+
+  // Mitigation
+  { key: 'earth-defender', name: 'Earth Defender', description: 'Proposed your first mitigation strategy', icon: 'bi-shield-check', tier: 'bronze', events: ['simulation'], target: 1, value: ctx => ctx.stats.mitigationsProposed },
+  { key: 'strategy-master', name: 'Strategy Master', description: 'Proposed 10 mitigation strategies', icon: 'bi-shield-shaded', tier: 'silver', events: ['simulation'], target: 10, value: ctx => ctx.stats.mitigationsProposed },
+  { key: 'trade-study', name: 'Trade Study', description: 'Compared three different mitigation methods', icon: 'bi-diagram-3', tier: 'silver', events: ['simulation'], target: 3, value: ctx => ctx.mitigationMethods() },
+
+  // Community
+  { key: 'first-words', name: 'First Words', description: 'Posted your first comment', icon: 'bi-chat-left-text', tier: 'bronze', events: ['comment'], target: 1, value: ctx => ctx.commentsPosted() },
+  { key: 'discussion-leader', name: 'Discussion Leader', description: 'Posted 25 comments', icon: 'bi-chat-quote', tier: 'silver', events: ['comment'], target: 25, value: ctx => ctx.commentsPosted() },
+  { key: 'popular-scientist', name: 'Popular Scientist', description: 'Received 10 votes', icon: 'bi-hand-thumbs-up', tier: 'silver', events: ['vote'], target: 10, value: ctx => ctx.stats.votesReceived },
+  { key: 'community-favorite', name: 'Community Favorite', description: 'Received 50 votes', icon: 'bi-heart', tier: 'gold', events: ['vote'], target: 50, value: ctx => ctx.stats.votesReceived },
+
+  // Points
+  { key: 'rising-star', name: 'Rising Star', description: 'Earned 100 points', icon: 'bi-star', tier: 'bronze', events: ['simulation', 'vote'], target: 100, value: ctx => ctx.stats.points },
+  { key: 'space-expert', name: 'Space Expert', description: 'Earned 500 points', icon: 'bi-stars', tier: 'silver', events: ['simulation', 'vote'], target: 500, value: ctx => ctx.stats.points },
+  { key: 'planetary-guardian', name: 'Planetary Guardian', description: 'Earned 1000 points', icon: 'bi-globe-americas', tier: 'gold', events: ['simulation', 'vote'], target: 1000, value: ctx => ctx.stats.points }
+];
+
+// Data the rules read, each query run at most once per evaluation
+const createContext = (user) => {
+  const cache = new Map();
+  const once = (name, load) => {
+    if (!cache.has(name)) cache.set(name, load());
+    return cache.get(name);
+  };
+
+  return {
+    stats: user.stats || {},
+    oceanImpacts: () => once('oceanImpacts', () =>
+      Simulation.countDocuments({ user: user._id, 'results.targetType': 'water' })),
+    forks: () => once('forks', () =>
+      Simulation.countDocuments({ user: user._id, forkedFrom: { $ne: null } })),
+    mitigationMethods: () => once('mitigationMethods', async () => {
+      const methods = await Simulation.distinct('mitigationStrategy.method', { user: user._id });
+      return methods.filter(method => method !== 'none').length;
+    }),
+    commentsPosted: () => once('commentsPosted', () =>
+      Comment.countDocuments({ user: user._id, ...Comment.VISIBLE }))
+  };
+};
+
+/**
+ * Rule-driven achievements
+ * Activity routes report events here; rules listening to the event are checked,
+ * and newly met ones are recorded with their unlock time and notified.
+ */
+class AchievementEngine {
+  constructor() {
+    this.ACHIEVEMENTS = ACHIEVEMENTS;
+    this.EVENTS = ['simulation', 'vote', 'comment'];
+  }
+
+  // Public fields of a rule
+  describe(rule) {
+    const { key, name, description, icon, tier, target } = rule;
+    return { key, name, description, icon, tier, target };
+  }
+
+  /**
+   * Checks the rules listening to an event and unlocks the ones the user now meets.
+   * Never throws: a failed check must not fail the request that reported the event.
+   * @param {ObjectId} userId - User the event counts for
+   * @param {string|null} event - 'simulation', 'vote', 'comment', or null to check every rule
+   * @param {object} details - { simulation } that triggered the event
+   * @returns {Promise<object[]>} Achievements unlocked by this event
+   */
+  async evaluate(userId, event, { simulation } = {}) {
+    try {
+      const [user, unlockedKeys] = await Promise.all([
+        User.findById(userId).select('stats').lean(),
+        UserAchievement.distinct('key', { user: userId })
+      ]);
+      if (!user) return [];
+
+      const unlocked = new Set(unlockedKeys);
+      const pending = this.ACHIEVEMENTS.filter(rule =>
+        !unlocked.has(rule.key) && (!event || rule.events.includes(event)));
+
+      const context = createContext(user);
+      const met = [];
+      for (const rule of pending) {
+        if (await rule.value(context) >= rule.target) met.push(rule);
+      }
+
+      return await this.unlock(userId, met, simulation);
+    } catch (error) {
+      console.error(`Achievement evaluation error (${event || 'all'}):`, error);
+      return [];
+    }
+  }
+
+  /**
+   * Records unlocks and notifies the user of each one
+   * @returns {Promise<object[]>} Achievements that were not unlocked before
+   */
+  async unlock(userId, rules, simulation) {
+    if (rules.length === 0) return [];
+    const unlockedAt = new Date();
+
+    // Upserts so a concurrent evaluation cannot unlock the same badge twice
+    const result = await UserAchievement.bulkWrite(rules.map(rule => ({
+      updateOne: {
+        filter: { user: userId, key: rule.key },
+        update: { $setOnInsert: { unlockedAt, simulation } },
+        upsert: true
+      }
+    })), { ordered: false });
+
+    const created = Object.keys(result.upsertedIds || {}).map(index => rules[index]);
+    if (created.length === 0) return [];
+
+    await Notification.insertMany(created.map(rule => ({
+      user: userId,
+      type: 'achievement',
+      title: `Achievement unlocked: ${rule.name}`,
+      message: rule.description,
+      link: '/profile',
+      achievement: rule.key
+    })));
+
+    return created.map(rule => ({ ...this.describe(rule), unlockedAt }));
+  }
+
+  /**
+   * Unlocked achievements of a user, in the order they were earned
+   * @param {ObjectId} userId
+   * @returns {Promise<object[]>}
+   */
+  async listUnlocked(userId) {
+    const records = await UserAchievement.find({ user: userId }).sort({ unlockedAt: 1 }).lean();
+    const rules = new Map(this.ACHIEVEMENTS.map(rule => [rule.key, rule]));
+
+    return records
+      .filter(record => rules.has(record.key))
+      .map(record => ({ ...this.describe(rules.get(record.key)), unlockedAt: record.unlockedAt }));
+  }
+
+  /**
+   * Every achievement with the user's progress towards it, for the badge gallery
+   * @param {ObjectId} userId
+   * @returns {Promise<object[]|null>} Null when the user does not exist
+   */
+  async gallery(userId) {
+    const [user, records] = await Promise.all([
+      User.findOne({ _id: userId, isActive: true }).select('stats').lean(),
+      UserAchievement.find({ user: userId }).lean()
+    ]);
+    if (!user) return null;
+
+    const unlockedAt = new Map(records.map(record => [record.key, record.unlockedAt]));
+    const context = createContext(user);
+
+    return Promise.all(this.ACHIEVEMENTS.map(async rule => {
+      const earned = unlockedAt.get(rule.key) || null;
+      const progress = earned ? rule.target : Math.min(await rule.value(context) || 0, rule.target);
+      return { ...this.describe(rule), progress, unlockedAt: earned };
+    }));
+  }
+}
+
+module.exports = new AchievementEngine();
@@ -0,0 +1,63 @@
+const User = require('../models/User');
+const Comment = require('../models/Comment');
+
+/**
+ * Threading and @mention helpers for simulation comments
+ * Comments live in their own collection and point at their parent; the thread
+ * is returned flat in posting order and assembled into a tree by the client.
+ */
+class CommentThreads {
+  /**
+   * Active users mentioned in a comment
+   * @param {string} text - Comment text
+   * @returns {Promise<ObjectId[]>} Ids of the mentioned users that exist
+   */
+  async resolveMentions(text) {
+    const usernames = Comment.extractMentions(text);
+    if (usernames.length === 0) return [];
+
+    const users = await User.find({ username: { $in: usernames }, isActive: true }).select('_id').lean();
+    return users.map(user => user._id);
+  }
+
+  /**
+   * Where a reply goes in the thread. Replies to comments at the maximum depth
+   * become siblings of that comment instead of nesting further.
+   * @param {object} parentComment - Comment being replied to
+   * @returns {{parent: ObjectId, depth: number}}
+   */
+  placeReply(parentComment) {
+    if (parentComment.depth >= Comment.MAX_DEPTH) {
+      return { parent: parentComment.parent, depth: parentComment.depth };
+    }
+    return { parent: parentComment._id, depth: parentComment.depth + 1 };
+  }
+
+  /**
+   * Public thread of a simulation. Deleted and removed comments are only kept
+   * as placeholders while some visible reply still hangs below them.
+   * @param {object[]} comments - Comment documents in posting order, authors populated
+   * @param {ObjectId} [viewerId] - Current user, for their own reactions and reports
+   * @returns {object[]} Thread entries in posting order
+   */
+  buildThread(comments, viewerId) {
+    const keep = new Set();
+    const byId = new Map(comments.map(comment => [comment._id.toString(), comment]));
+
+    // Walk up from every visible comment, keeping its ancestors
+    comments.forEach(comment => {
+      if (!comment.isVisible) return;
+      let current = comment;
+      while (current && !keep.has(current._id.toString())) {
+        keep.add(current._id.toString());
+        current = current.parent ? byId.get(current.parent.toString()) : null;
+      }
+    });
+
+    return comments
+      .filter(comment => keep.has(comment._id.toString()))
+      .map(comment => comment.toThreadJSON(viewerId));
+  }
+}
+
+module.exports = new CommentThreads();
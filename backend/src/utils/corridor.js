@@ -0,0 +1,129 @@
+const impactCalculator = require('./impactCalculator');
+const riskCorridor = require('../../../shared/corridor');
+const impactorComposition = require('../../../shared/composition');
+
+/**
+ * Batched simulations along an impact risk corridor
+ * Runs the detailed simulation at every sampled impact point and aggregates
+ * the probability-weighted casualties by the country that is hit.
+ */
+class CorridorSimulator {
+  constructor() {
+    this.OPEN_OCEAN = 'Open ocean';
+  }
+
+  /**
+   * Simulate impacts along the risk corridor of an approach geometry
+   * @param {object} params - Corridor parameters
+   * @param {object} params.asteroid - Asteroid data
+   * @param {object} params.impactLocation - Nominal impact point { lat, lng }
+   * @param {number} params.azimuth - Direction of travel, degrees clockwise from north
+   * @param {number} [params.entryAngle=45] - Entry angle above the horizontal in degrees
+   * @param {number} [params.impactVelocity=20] - Entry velocity in km/s
+   * @param {number} [params.lovSigma] - 1σ along the line of variations in km
+   * @param {number} [params.crossSigma] - 1σ across it in km
+   * @param {number} [params.sigmaSpan] - Half-width of the corridor in σ
+   * @param {number} [params.samples] - Number of impact points to simulate
+   * @param {string} [params.composition] - Composition class, inferred from the asteroid if omitted
+   * @param {number} [params.density] - Impactor density override in kg/m³
+   * @param {number} [params.strength] - Impactor strength override in Pa
+   * @returns {object} Corridor geometry, per-point results and per-country casualties
+   */
+  runCorridor(params) {
+    const {
+      asteroid,
+      impactLocation,
+      azimuth,
+      entryAngle = 45,
+      impactVelocity = 20,
+      composition,
+      density,
+      strength
+    } = params;
+
+    const corridor = riskCorridor.generateCorridor({
+      lat: impactLocation.lat,
+      lng: impactLocation.lng,
+      azimuth,
+      entryAngle,
+      lovSigma: params.lovSigma,
+      crossSigma: params.crossSigma,
+      sigmaSpan: params.sigmaSpan,
+      samples: params.samples
+    });
+    const impactor = impactorComposition.resolveImpactor({ asteroid, composition, density, strength });
+
+    const points = corridor.samples.map(sample => {
+      const results = impactCalculator.runDetailedSimulation({
+        asteroid,
+        impactLocation: { lat: sample.lat, lng: sample.lng },
+        impactAngle: entryAngle,
+        impactVelocity,
+        composition: impactor.composition,
+        density,
+        strength,
+        includeTsunami: false
+      });
+      const location = results.detailedEffects.location;
+
+      return {
+        lat: sample.lat,
+        lng: sample.lng,
+        sigma: sample.sigma,
+        weight: sample.weight,
+        country: location.country || this.OPEN_OCEAN,
+        countryCode: location.countryCode || null,
+        impactType: results.impactType,
+        estimatedCasualties: results.estimatedCasualties,
+        economicImpact: results.economicImpact,
+        severity: results.severity
+      };
+    });
+
+    // Casualties are attributed to the country of the impact point
+    const byCountry = {};
+    points.forEach(point => {
+      const key = point.countryCode || point.country;
+      if (!byCountry[key]) {
+        byCountry[key] = {
+          country: point.country,
+          countryCode: point.countryCode,
+          points: 0,
+          impactProbability: 0,
+          expectedCasualties: 0,
+          maxCasualties: 0,
+          expectedEconomicImpact: 0
+        };
+      }
+      const entry = byCountry[key];
+      entry.points++;
+      entry.impactProbability += point.weight;
+      entry.expectedCasualties += point.weight * point.estimatedCasualties;
+      entry.maxCasualties = Math.max(entry.maxCasualties, point.estimatedCasualties);
+      entry.expectedEconomicImpact += point.weight * point.economicImpact;
+    });
+
+    const countries = Object.values(byCountry)
+      .sort((a, b) => b.expectedCasualties - a.expectedCasualties || b.impactProbability - a.impactProbability);
+
+    return {
+      geometry: {
+        azimuth,
+        entryAngle,
+        lovSigma: params.lovSigma || riskCorridor.DEFAULT_LOV_SIGMA,
+        crossSigma: params.crossSigma || riskCorridor.DEFAULT_CROSS_SIGMA,
+        sigmaSpan: params.sigmaSpan || riskCorridor.DEFAULT_SIGMA_SPAN
+      },
+      impactor,
+      centerline: corridor.centerline,
+      polygon: corridor.polygon,
+      impactProbability: corridor.impactProbability,
+      points,
+      countries,
+      expectedCasualties: points.reduce((sum, point) => sum + point.weight * point.estimatedCasualties, 0),
+      worstCaseCasualties: points.reduce((max, point) => Math.max(max, point.estimatedCasualties), 0)
+    };
+  }
+}
+
+module.exports = new CorridorSimulator();
@@ -0,0 +1,173 @@
+/**
+ * Cron expressions
+ * Standard five fields: minute hour day-of-month month day-of-week, with
+ * lists (1,15), ranges (1-5), steps (*\/10, 8-18/2), month and weekday names
+ * and the @hourly, @daily, @weekly, @monthly and @yearly macros. As in Vixie
+ * cron, when both day fields are restricted a day matching either one runs.
+ * Times are evaluated in the server's local time zone.
+ */
+class CronExpression {
+  constructor(expression) {
+    this.source = expression;
+    const fields = (CronExpression.MACROS[expression.trim()] || expression).trim().split(/\s+/);
+
+    if (fields.length !== 5) {
+      throw new Error(`Invalid cron expression "${expression}": expected 5 fields, got ${fields.length}`);
+    }
+
+    this.minutes = this.parseField(fields[0], CronExpression.FIELDS.minute);
+    this.hours = this.parseField(fields[1], CronExpression.FIELDS.hour);
+    this.daysOfMonth = this.parseField(fields[2], CronExpression.FIELDS.dayOfMonth);
+    this.months = this.parseField(fields[3], CronExpression.FIELDS.month);
+    this.daysOfWeek = this.parseField(fields[4], CronExpression.FIELDS.dayOfWeek);
+    // 7 is an alias for Sunday
+    if (this.daysOfWeek.has(7)) this.daysOfWeek.add(0);
+
+    this.dayOfMonthRestricted = fields[2] !== '*';
+    this.dayOfWeekRestricted = fields[4] !== '*';
+  }
+
+  /**
+   * Expand one field into the set of values it allows
+   * @param {string} field - Field text
+   * @param {object} spec - { name, min, max, names }
+   * @returns {Set<number>} Allowed values
+   */
+  parseField(field, spec) {
+    const values = new Set();
+    const toNumber = (token) => {
+      const named = spec.names ? spec.names.indexOf(token.toLowerCase()) : -1;
+      const value = named >= 0 ? named + spec.min : Number(token);
+      if (!Number.isInteger(value) || value < spec.min || value > spec.max) {
+        throw new Error(`Invalid ${spec.name} "${token}" in cron expression "${this.source}"`);
+      }
+      return value;
+    };
+
+    field.split(',').forEach(part => {
+      const [range, stepText] = part.split('/');
+      const step = stepText === undefined ? 1 : Number(stepText);
+      if (!Number.isInteger(step) || step < 1) {
+        throw new Error(`Invalid step "${stepText}" in cron expression "${this.source}"`);
+      }
+
+      let start;
+      let end;
+      if (range === '*') {
+        start = spec.min;
+        end = spec.max;
+      } else if (range.includes('-')) {
+        const [from, to] = range.split('-');
+        start = toNumber(from);
+        end = toNumber(to);
+        if (start > end) {
+          throw new Error(`Invalid range "${range}" in cron expression "${this.source}"`);
+        }
+      } else {
+        start = toNumber(range);
+        // "5/15" means from 5 to the end of the field every 15
+        end = stepText === undefined ? start : spec.max;
+      }
+
+      for (let value = start; value <= end; value += step) {
+        values.add(value);
+      }
+    });
+
+    return values;
+  }
+
+  matchesDay(date) {
+    const dayOfMonth = this.daysOfMonth.has(date.getDate());
+    const dayOfWeek = this.daysOfWeek.has(date.getDay());
+
+    if (this.dayOfMonthRestricted && this.dayOfWeekRestricted) return dayOfMonth || dayOfWeek;
+    if (this.dayOfMonthRestricted) return dayOfMonth;
+    if (this.dayOfWeekRestricted) return dayOfWeek;
+    return true;
+  }
+
+  /**
+   * Whether the expression fires at the minute of a date
+   * @param {Date} date - Date to test
+   * @returns {boolean} True when it fires
+   */
+  matches(date) {
+    return this.minutes.has(date.getMinutes()) &&
+      this.hours.has(date.getHours()) &&
+      this.months.has(date.getMonth() + 1) &&
+      this.matchesDay(date);
+  }
+
+  /**
+   * First time strictly after a date at which the expression fires
+   * @param {Date} [after] - Reference date, now by default
+   * @returns {Date|null} Next run, null if none within the search horizon (e.g. 31 February)
+   */
+  next(after = new Date()) {
+    const date = new Date(after.getTime());
+    date.setSeconds(0, 0);
+    date.setMinutes(date.getMinutes() + 1);
+
+    const limit = after.getTime() + CronExpression.SEARCH_YEARS * 366 * 24 * 3600 * 1000;
+
+    // Skip whole months, days and hours that cannot match before walking minutes
+    while (date.getTime() <= limit) {
+      if (!this.months.has(date.getMonth() + 1)) {
+        date.setMonth(date.getMonth() + 1, 1);
+        date.setHours(0, 0, 0, 0);
+        continue;
+      }
+      if (!this.matchesDay(date)) {
+        date.setDate(date.getDate() + 1);
+        date.setHours(0, 0, 0, 0);
+        continue;
+      }
+      if (!this.hours.has(date.getHours())) {
+        date.setHours(date.getHours() + 1, 0, 0, 0);
+        continue;
+      }
+      if (!this.minutes.has(date.getMinutes())) {
+        date.setMinutes(date.getMinutes() + 1, 0, 0);
+        continue;
+      }
+      return date;
+    }
+
+    return null;
+  }
+}
+
+CronExpression.FIELDS = {
+  minute: { name: 'minute', min: 0, max: 59 },
+  hour: { name: 'hour', min: 0, max: 23 },
+  dayOfMonth: { name: 'day of month', min: 1, max: 31 },
+  month: {
+    name: 'month',
+    min: 1,
+    max: 12,
+    names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec']
+  },
+  dayOfWeek: { name: 'day of week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }
+};
+
+CronExpression.MACROS = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *'
+};
+
+CronExpression.SEARCH_YEARS = 5;
+
+/**
+ * Parse a cron expression
+ * @param {string} expression - Five-field expression or macro
+ * @returns {CronExpression} Parsed expression
+ */
+const parseCron = (expression) => new CronExpression(expression);
+
+module.exports = { CronExpression, parseCron };
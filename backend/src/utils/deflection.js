@@ -0,0 +1,236 @@
+const impactPhysics = require('../../../shared/impactPhysics');
+const impactorComposition = require('../../../shared/composition');
+
+/**
+ * Deflection mission planner
+ * Turns a mission (method, lead time, spacecraft mass, β) into a velocity change
+ * of the asteroid, propagates it to an along-track shift of the encounter point
+ * with the Clohessy-Wiltshire equations and compares that shift in the B-plane
+ * with Earth's gravitational capture radius to get the odds of a miss.
+ */
+class DeflectionPlanner {
+  constructor() {
+    this.G = 6.674e-11; // m³/(kg·s²)
+    this.EARTH_RADIUS = 6371; // km
+    this.EARTH_ESCAPE_VELOCITY = 11.19; // km/s
+    this.SECONDS_PER_YEAR = 3.15576e7;
+    this.DEFAULT_ORBITAL_PERIOD = 365.25; // days, when the asteroid has no orbit data
+    this.DEFAULT_POSITION_UNCERTAINTY = 1000; // km, 1σ of the predicted B-plane point
+
+    this.METHODS = {
+      kinetic_impactor: {
+        label: 'Kinetic Impactor',
+        continuous: false,
+        defaultMass: 600, // kg, DART-class spacecraft
+        reliability: 0.9 // chance the spacecraft is delivered and performs as planned
+      },
+      gravity_tractor: {
+        label: 'Gravity Tractor',
+        continuous: true,
+        defaultMass: 20000,
+        reliability: 0.85
+      },
+      nuclear_device: {
+        label: 'Nuclear Standoff Burst',
+        continuous: false,
+        defaultMass: 1000,
+        reliability: 0.8
+      },
+      ion_beam: {
+        label: 'Ion Beam Shepherd',
+        continuous: true,
+        defaultMass: 2000,
+        reliability: 0.85
+      }
+    };
+
+    this.DEFAULT_BETA = 3; // momentum enhancement, DART measured ~3.6
+    this.IMPACTOR_SPEED = 6.1; // km/s, relative speed at impact (DART)
+    this.TRACTOR_HOVER_RADII = 2; // hover distance from the centre in asteroid radii
+    this.ION_BEAM_THRUST_PER_KG = 5e-5; // N of beam thrust per kg of spacecraft
+    this.NUCLEAR_YIELD_PER_KG = 4.184e12; // J, ~1 kt per kg of payload (B83-class)
+    this.NUCLEAR_ABSORBED_FRACTION = 0.1; // yield deposited in the surface at optimal standoff
+    this.NUCLEAR_MOMENTUM_COUPLING = 5e-5; // N·s/J of absorbed energy (X-ray ablation)
+  }
+
+  isDeflectionMethod(method) {
+    return Boolean(this.METHODS[method]);
+  }
+
+  /**
+   * Velocity change delivered to the asteroid
+   * @param {object} params - Mission and asteroid parameters
+   * @param {string} params.method - Key of METHODS
+   * @param {number} params.spacecraftMass - Spacecraft mass in kg
+   * @param {number} params.beta - Momentum enhancement (kinetic impactor only)
+   * @param {number} params.operationTime - Towing time in seconds (continuous methods)
+   * @param {number} params.asteroidMass - Asteroid mass in kg
+   * @param {number} params.asteroidRadius - Asteroid radius in m
+   * @returns {number} Δv in m/s
+   */
+  calculateDeltaV({ method, spacecraftMass, beta, operationTime, asteroidMass, asteroidRadius }) {
+    switch (method) {
+      case 'kinetic_impactor':
+        // Δv = β m v / M
+        return beta * spacecraftMass * this.IMPACTOR_SPEED * 1000 / asteroidMass;
+      case 'nuclear_device': {
+        const absorbed = spacecraftMass * this.NUCLEAR_YIELD_PER_KG * this.NUCLEAR_ABSORBED_FRACTION;
+        return absorbed * this.NUCLEAR_MOMENTUM_COUPLING / asteroidMass;
+      }
+      case 'gravity_tractor': {
+        // The spacecraft's own gravity pulls the asteroid: a = G m / d²
+        const hoverDistance = this.TRACTOR_HOVER_RADII * asteroidRadius;
+        return this.G * spacecraftMass / Math.pow(hoverDistance, 2) * operationTime;
+      }
+      case 'ion_beam':
+        return this.ION_BEAM_THRUST_PER_KG * spacecraftMass * operationTime / asteroidMass;
+      default:
+        return 0;
+    }
+  }
+
+  /**
+   * Along-track displacement at encounter after an along-track impulse
+   * (Clohessy-Wiltshire: |3t - 4 sin(nt)/n| Δv, ~Δv·t for short and ~3Δv·t for long lead times)
+   * @param {number} deltaV - Impulse in m/s
+   * @param {number} time - Time between the impulse and the encounter in seconds
+   * @param {number} period - Orbital period in seconds
+   * @returns {number} Displacement in km
+   */
+  calculateDisplacement(deltaV, time, period) {
+    const n = 2 * Math.PI / period;
+    return Math.abs(3 * time - 4 * Math.sin(n * time) / n) * deltaV / 1000;
+  }
+
+  /**
+   * Earth's capture radius in the B-plane (gravitational focusing)
+   * @param {number} impactVelocity - Atmospheric entry velocity in km/s
+   * @returns {number} Radius in km
+   */
+  calculateCaptureRadius(impactVelocity) {
+    const vInfinitySquared = Math.max(
+      impactVelocity * impactVelocity - this.EARTH_ESCAPE_VELOCITY * this.EARTH_ESCAPE_VELOCITY,
+      1
+    );
+    return this.EARTH_RADIUS * Math.sqrt(1 + this.EARTH_ESCAPE_VELOCITY * this.EARTH_ESCAPE_VELOCITY / vInfinitySquared);
+  }
+
+  // Standard normal cumulative distribution (Abramowitz & Stegun 7.1.26)
+  normalCdf(x) {
+    const t = 1 / (1 + 0.3275911 * Math.abs(x) / Math.SQRT2);
+    const erf = 1 - t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429)))) *
+      Math.exp(-x * x / 2);
+    return x >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+  }
+
+  /**
+   * Probability that a B-plane point with circular Gaussian uncertainty falls inside the capture disc
+   * @param {number} offset - Distance of the predicted point from Earth's centre in km
+   * @param {number} captureRadius - Capture radius in km
+   * @param {number} sigma - 1σ position uncertainty in km
+   * @returns {number} Impact probability
+   */
+  calculateImpactProbability(offset, captureRadius, sigma) {
+    const steps = 200;
+    const dx = 2 * captureRadius / steps;
+    let probability = 0;
+
+    for (let i = 0; i < steps; i++) {
+      const xi = -captureRadius + (i + 0.5) * dx;
+      const halfChord = Math.sqrt(captureRadius * captureRadius - xi * xi);
+      const density = Math.exp(-xi * xi / (2 * sigma * sigma)) / (sigma * Math.sqrt(2 * Math.PI));
+      const inside = this.normalCdf((halfChord - offset) / sigma) - this.normalCdf((-halfChord - offset) / sigma);
+      probability += density * inside * dx;
+    }
+
+    return Math.min(Math.max(probability, 0), 1);
+  }
+
+  /**
+   * Plan a deflection mission against an asteroid on a collision course
+   * @param {object} params - Mission parameters
+   * @param {string} params.method - kinetic_impactor, gravity_tractor, nuclear_device or ion_beam
+   * @param {object} params.asteroid - Asteroid data
+   * @param {number} [params.leadTime=10] - Years between deflection and encounter
+   * @param {number} [params.spacecraftMass] - Spacecraft mass in kg
+   * @param {number} [params.beta] - Momentum enhancement factor of a kinetic impactor
+   * @param {number} [params.operationTime] - Years of towing for continuous methods (defaults to the lead time)
+   * @param {number} [params.impactVelocity=20] - Entry velocity of the undeflected asteroid in km/s
+   * @param {string} [params.composition] - Composition class used for the asteroid mass
+   * @param {number} [params.density] - Asteroid density override in kg/m³
+   * @param {number} [params.positionUncertainty] - 1σ B-plane uncertainty in km
+   * @returns {object} Δv, B-plane shift and hit/miss outcome with its probability
+   */
+  planDeflection(params) {
+    const {
+      method,
+      asteroid,
+      leadTime = 10,
+      impactVelocity = 20,
+      composition,
+      density,
+      positionUncertainty = this.DEFAULT_POSITION_UNCERTAINTY
+    } = params;
+    const config = this.METHODS[method];
+    if (!config) {
+      throw new Error(`Unknown deflection method: ${method}`);
+    }
+
+    const spacecraftMass = params.spacecraftMass > 0 ? params.spacecraftMass : config.defaultMass;
+    const beta = method === 'kinetic_impactor' ? (params.beta > 0 ? params.beta : this.DEFAULT_BETA) : 1;
+    const operationTime = config.continuous
+      ? Math.min(params.operationTime > 0 ? params.operationTime : leadTime, leadTime)
+      : 0; // years
+
+    // Asteroid mass from its size and composition
+    const impactor = impactorComposition.resolveImpactor({ asteroid, composition, density });
+    const asteroidRadius = impactPhysics.getImpactorDiameter(asteroid) / 2; // m
+    const asteroidMass = (4 / 3) * Math.PI * Math.pow(asteroidRadius, 3) * impactor.density; // kg
+
+    const deltaV = this.calculateDeltaV({
+      method,
+      spacecraftMass,
+      beta,
+      operationTime: operationTime * this.SECONDS_PER_YEAR,
+      asteroidMass,
+      asteroidRadius
+    }); // m/s
+
+    // Continuous pushes act as one impulse at the middle of the towing period
+    const effectiveLeadTime = (leadTime - operationTime / 2) * this.SECONDS_PER_YEAR; // s
+    const orbitalPeriod = (parseFloat(asteroid?.orbital_data?.orbital_period) || this.DEFAULT_ORBITAL_PERIOD) * 86400; // s
+    const missDistanceShift = this.calculateDisplacement(deltaV, effectiveLeadTime, orbitalPeriod); // km
+
+    // The undeflected asteroid is headed for Earth's centre
+    const captureRadius = this.calculateCaptureRadius(impactVelocity);
+    const nominalProbability = this.calculateImpactProbability(0, captureRadius, positionUncertainty);
+    const deflectedProbability = this.calculateImpactProbability(missDistanceShift, captureRadius, positionUncertainty);
+
+    // A failed mission leaves the original odds
+    const impactProbability = config.reliability * deflectedProbability +
+      (1 - config.reliability) * nominalProbability;
+
+    // Pushing faster than the asteroid's escape velocity risks breaking it into fragments
+    const escapeVelocity = Math.sqrt(2 * this.G * asteroidMass / asteroidRadius); // m/s
+
+    return {
+      method,
+      leadTime, // years
+      spacecraftMass, // kg
+      beta,
+      operationTime, // years
+      asteroidMass, // kg
+      deltaV, // m/s
+      missDistanceShift, // km
+      captureRadius, // km
+      positionUncertainty, // km
+      missionReliability: config.reliability,
+      impactProbability,
+      missProbability: 1 - impactProbability,
+      outcome: impactProbability < 0.5 ? 'miss' : 'hit',
+      fragmentationRisk: deltaV > escapeVelocity
+    };
+  }
+}
+
+module.exports = new DeflectionPlanner();
@@ -0,0 +1,209 @@
+const impactCalculator = require('./impactCalculator');
+const impactPhysics = require('../../../shared/impactPhysics');
+const impactorComposition = require('../../../shared/composition');
+
+/**
+ * Monte Carlo impact ensembles
+ * Samples the uncertain impactor parameters, runs the detailed simulation for
+ * each draw and reduces the runs to P5/P50/P95 bands of the main effects.
+ */
+class EnsembleSimulator {
+  constructor() {
+    this.DEFAULT_RUNS = 200;
+    this.MAX_RUNS = 1000;
+    this.PERCENTILES = [5, 50, 95];
+
+    this.DEFAULT_DENSITY_RANGE = { min: 1500, max: 3500 }; // kg/m³, when nothing is known about the material
+    this.DENSITY_SPREAD = 0.2; // ±20% around a chosen or inferred composition
+    this.VELOCITY_SPREAD = 0.2; // ±20% around the nominal velocity
+    this.MIN_VELOCITY = 11.2; // km/s, Earth escape velocity
+    this.MAX_VELOCITY = 72; // km/s, head-on retrograde encounter
+    this.DIAMETER_SPREAD = 1.5; // factor either side of a diameter without NeoWs bounds
+    this.DEFAULT_ANGLE_RANGE = { min: 10, max: 90 }; // degrees from horizontal
+  }
+
+  /**
+   * Seeded pseudo-random generator (mulberry32) so ensembles can be reproduced
+   * @param {number} seed - 32-bit integer seed
+   * @returns {function} Generator returning numbers in [0, 1)
+   */
+  createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+      state = (state + 0x6D2B79F5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  /**
+   * Resolve the sampling range of every uncertain parameter
+   * @param {object} params - Nominal scenario and optional range overrides
+   * @returns {object} { diameter, density, velocity, angle } ranges
+   */
+  resolveRanges({ asteroid, impactVelocity = 20, density, composition, ranges = {} }) {
+    const meters = asteroid && asteroid.estimated_diameter && asteroid.estimated_diameter.meters;
+    let diameter;
+    if (meters && meters.estimated_diameter_min > 0 && meters.estimated_diameter_max > 0) {
+      diameter = { min: meters.estimated_diameter_min, max: meters.estimated_diameter_max };
+    } else {
+      const nominal = impactPhysics.getImpactorDiameter(asteroid);
+      diameter = { min: nominal / this.DIAMETER_SPREAD, max: nominal * this.DIAMETER_SPREAD };
+    }
+
+    const impactor = impactorComposition.resolveImpactor({ asteroid, composition, density });
+    const densityRange = impactor.compositionSource === 'default' && !(density > 0)
+      ? this.DEFAULT_DENSITY_RANGE
+      : { min: impactor.density * (1 - this.DENSITY_SPREAD), max: impactor.density * (1 + this.DENSITY_SPREAD) };
+
+    const velocity = {
+      min: Math.max(impactVelocity * (1 - this.VELOCITY_SPREAD), this.MIN_VELOCITY),
+      max: Math.min(Math.max(impactVelocity * (1 + this.VELOCITY_SPREAD), this.MIN_VELOCITY), this.MAX_VELOCITY)
+    };
+
+    return {
+      diameter: Object.assign(diameter, ranges.diameter),
+      density: Object.assign({}, densityRange, ranges.density),
+      velocity: Object.assign(velocity, ranges.velocity),
+      angle: Object.assign({}, this.DEFAULT_ANGLE_RANGE, ranges.angle)
+    };
+  }
+
+  // Uniform draw in [min, max]
+  sampleUniform(random, range) {
+    return range.min + random() * (range.max - range.min);
+  }
+
+  // Log-uniform draw: diameter bounds span a factor of ~2, so every scale is equally likely
+  sampleLogUniform(random, range) {
+    return range.min * Math.pow(range.max / range.min, random());
+  }
+
+  // Impact angles follow dP ∝ sin(2θ) dθ (Shoemaker 1962), restricted to the range
+  sampleAngle(random, range) {
+    const low = Math.pow(Math.sin(range.min * Math.PI / 180), 2);
+    const high = Math.pow(Math.sin(range.max * Math.PI / 180), 2);
+    return Math.asin(Math.sqrt(low + random() * (high - low))) * 180 / Math.PI;
+  }
+
+  /**
+   * Linear-interpolated percentiles of a list of values
+   * @param {number[]} values - Samples
+   * @returns {object} { p5, p50, p95 }
+   */
+  calculatePercentiles(values) {
+    const sorted = values.slice().sort((a, b) => a - b);
+    const bands = {};
+
+    this.PERCENTILES.forEach(percentile => {
+      const position = (sorted.length - 1) * percentile / 100;
+      const lower = Math.floor(position);
+      const upper = Math.min(lower + 1, sorted.length - 1);
+      bands[`p${percentile}`] = sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+    });
+
+    return bands;
+  }
+
+  /**
+   * Run a Monte Carlo ensemble around a nominal scenario
+   * @param {object} params - Ensemble parameters
+   * @param {object} params.asteroid - Asteroid data
+   * @param {object} params.impactLocation - { lat, lng }
+   * @param {number} [params.impactVelocity=20] - Nominal velocity in km/s
+   * @param {number} [params.density] - Nominal density in kg/m³
+   * @param {string} [params.composition] - Composition class, inferred from the asteroid if omitted
+   * @param {number} [params.strength] - Impactor yield strength in Pa
+   * @param {number} [params.runs] - Number of runs
+   * @param {object} [params.ranges] - { diameter, density, velocity, angle } { min, max } overrides
+   * @param {number} [params.seed] - Random seed
+   * @returns {object} Sampled ranges and P5/P50/P95 bands of the simulation results
+   */
+  runEnsemble(params) {
+    const {
+      asteroid,
+      impactLocation,
+      strength,
+      runs = this.DEFAULT_RUNS,
+      seed = Math.floor(Math.random() * 4294967296)
+    } = params;
+    const ranges = this.resolveRanges(params);
+    const { composition } = impactorComposition.resolveImpactor(params);
+    const random = this.createRandom(seed);
+    const count = Math.min(Math.max(Math.round(runs), 1), this.MAX_RUNS);
+
+    const samples = {
+      tntEquivalent: [],
+      craterDiameter: [],
+      craterDepth: [],
+      noSurvivors: [],
+      heavyDamage: [],
+      moderateDamage: [],
+      lightDamage: [],
+      thirdDegreeBurns: [],
+      affectedArea: [],
+      estimatedCasualties: [],
+      economicDamage: []
+    };
+    let airbursts = 0;
+
+    for (let i = 0; i < count; i++) {
+      const diameter = this.sampleLogUniform(random, ranges.diameter);
+      const results = impactCalculator.runDetailedSimulation({
+        asteroid: { calculatedProperties: { averageDiameter: diameter } },
+        impactLocation,
+        impactAngle: this.sampleAngle(random, ranges.angle),
+        impactVelocity: this.sampleUniform(random, ranges.velocity),
+        density: this.sampleUniform(random, ranges.density),
+        composition,
+        strength,
+        includeTsunami: false
+      });
+      const { blastRadius, thermalEffects } = results.detailedEffects;
+
+      if (results.impactType === 'airburst') airbursts++;
+      samples.tntEquivalent.push(results.tntEquivalent);
+      samples.craterDiameter.push(results.craterDiameter * 1000); // m
+      samples.craterDepth.push(results.craterDepth * 1000); // m
+      samples.noSurvivors.push(blastRadius.noSurvivors);
+      samples.heavyDamage.push(blastRadius.heavyDamage);
+      samples.moderateDamage.push(blastRadius.moderateDamage);
+      samples.lightDamage.push(blastRadius.lightDamage);
+      samples.thirdDegreeBurns.push(thermalEffects.thirdDegreeBurns);
+      samples.affectedArea.push(results.affectedArea);
+      samples.estimatedCasualties.push(results.estimatedCasualties);
+      samples.economicDamage.push(results.economicImpact);
+    }
+
+    const bands = {};
+    Object.keys(samples).forEach(key => {
+      bands[key] = this.calculatePercentiles(samples[key]);
+    });
+
+    return {
+      runs: count,
+      seed,
+      modelId: impactPhysics.MODEL_ID,
+      composition,
+      ranges,
+      airburstProbability: airbursts / count,
+      tntEquivalent: bands.tntEquivalent, // tons
+      craterDiameter: bands.craterDiameter, // m
+      craterDepth: bands.craterDepth, // m
+      blastRadius: {
+        noSurvivors: bands.noSurvivors, // km
+        heavyDamage: bands.heavyDamage,
+        moderateDamage: bands.moderateDamage,
+        lightDamage: bands.lightDamage
+      },
+      thermalRadius: bands.thirdDegreeBurns, // km
+      affectedArea: bands.affectedArea, // km²
+      estimatedCasualties: bands.estimatedCasualties,
+      economicDamage: bands.economicDamage // USD
+    };
+  }
+}
+
+module.exports = new EnsembleSimulator();
@@ -0,0 +1,286 @@
+const path = require('path');
+
+const DATA_DIR = path.join(__dirname, '..', 'data', 'geodata');
+
+class GeoDataService {
+  constructor() {
+    this.EARTH_RADIUS_KM = 6371;
+    this.KM_PER_DEGREE = 111.32;
+
+    // Population density (people/km²) above which a location counts as urban
+    // (same threshold Eurostat uses for urban clusters)
+    this.URBAN_DENSITY_THRESHOLD = 300;
+
+    // Datasets are loaded lazily on first lookup
+    this.land = null;
+    this.countries = null;
+    this.bathymetry = null;
+    this.population = null;
+    this.coastline = null;
+  }
+
+  // Load bundled datasets (cached by require after the first call)
+  loadData() {
+    if (this.land) return;
+
+    this.land = require(path.join(DATA_DIR, 'land.json')).polygons;
+    this.countries = require(path.join(DATA_DIR, 'countries.json')).countries;
+    this.bathymetry = this.buildGrid(require(path.join(DATA_DIR, 'bathymetry.json')));
+    this.population = this.buildGrid(require(path.join(DATA_DIR, 'population.json')));
+    this.coastline = require(path.join(DATA_DIR, 'coastline.json')).segments;
+  }
+
+  // Turn an alphabet-encoded raster into a lookup structure
+  buildGrid({ meta, rows }) {
+    const lookup = {};
+    meta.alphabet.split('').forEach((char, index) => { lookup[char] = index; });
+
+    return {
+      resolution: meta.resolutionDeg,
+      rows,
+      lookup,
+      rowCount: rows.length,
+      colCount: rows[0].length
+    };
+  }
+
+  // Raw encoded value of the grid cell containing a coordinate
+  gridValue(grid, latitude, longitude) {
+    const { lat, lng } = this.normalize(latitude, longitude);
+    const row = Math.min(grid.rowCount - 1, Math.floor((90 - lat) / grid.resolution));
+    const col = Math.min(grid.colCount - 1, Math.floor((lng + 180) / grid.resolution));
+    return grid.lookup[grid.rows[row][col]] || 0;
+  }
+
+  // Clamp latitude and wrap longitude into [-180, 180)
+  normalize(latitude, longitude) {
+    const lat = Math.max(-90, Math.min(90, Number(latitude) || 0));
+    let lng = ((Number(longitude) || 0) + 180) % 360;
+    if (lng < 0) lng += 360;
+    return { lat, lng: lng - 180 };
+  }
+
+  // Ray-casting point in ring test, coordinates as [lng, lat]
+  pointInRing(lng, lat, ring) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      const [xi, yi] = ring[i];
+      const [xj, yj] = ring[j];
+      if ((yi > lat) !== (yj > lat) && lng < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) {
+        inside = !inside;
+      }
+    }
+    return inside;
+  }
+
+  // Outer ring contains the point and none of the holes do
+  pointInPolygon(lng, lat, rings) {
+    if (!this.pointInRing(lng, lat, rings[0])) return false;
+    return !rings.slice(1).some(hole => this.pointInRing(lng, lat, hole));
+  }
+
+  inBbox(lng, lat, bbox) {
+    return lng >= bbox[0] && lng <= bbox[2] && lat >= bbox[1] && lat <= bbox[3];
+  }
+
+  /**
+   * Check whether a coordinate falls on land (Natural Earth 1:110m land mask)
+   * @param {number} latitude - Latitude in degrees
+   * @param {number} longitude - Longitude in degrees
+   * @returns {boolean} True for land, false for ocean or inland sea
+   */
+  isLand(latitude, longitude) {
+    this.loadData();
+    const { lat, lng } = this.normalize(latitude, longitude);
+
+    return this.land.some(polygon =>
+      this.inBbox(lng, lat, polygon.bbox) && this.pointInPolygon(lng, lat, polygon.rings)
+    );
+  }
+
+  /**
+   * Get approximate ocean depth
+   * @param {number} latitude - Latitude in degrees
+   * @param {number} longitude - Longitude in degrees
+   * @returns {number} Water depth in meters (0 on land)
+   */
+  getWaterDepth(latitude, longitude) {
+    if (this.isLand(latitude, longitude)) return 0;
+
+    // Coastal water whose 1° cell is classified as land still gets a shallow shelf depth
+    const depth = this.gridValue(this.bathymetry, latitude, longitude) * 100;
+    return Math.max(depth, 50);
+  }
+
+  /**
+   * Get population density
+   * @param {number} latitude - Latitude in degrees
+   * @param {number} longitude - Longitude in degrees
+   * @returns {number} People per km²
+   */
+  getPopulationDensity(latitude, longitude) {
+    this.loadData();
+    const index = this.gridValue(this.population, latitude, longitude);
+    return Math.pow(10, index / 12) - 1;
+  }
+
+  /**
+   * Estimate the number of people living within a radius of a point
+   * by summing population raster cells whose centers fall inside the circle
+   * @param {number} latitude - Center latitude in degrees
+   * @param {number} longitude - Center longitude in degrees
+   * @param {number} radiusKm - Radius in kilometers
+   * @returns {number} Estimated population
+   */
+  getPopulationWithinRadius(latitude, longitude, radiusKm) {
+    this.loadData();
+    if (!radiusKm || radiusKm <= 0) return 0;
+
+    const { resolution } = this.population;
+    const { lat, lng } = this.normalize(latitude, longitude);
+    const cellSizeKm = resolution * this.KM_PER_DEGREE;
+
+    // Circle smaller than a cell: use the local density
+    if (radiusKm < cellSizeKm / 2) {
+      return this.getPopulationDensity(lat, lng) * Math.PI * radiusKm * radiusKm;
+    }
+
+    const latSpan = radiusKm / this.KM_PER_DEGREE;
+    const minLat = Math.max(-90, lat - latSpan);
+    const maxLat = Math.min(90, lat + latSpan);
+    let total = 0;
+
+    for (let cellLat = Math.floor(minLat / resolution) * resolution + resolution / 2; cellLat <= maxLat; cellLat += resolution) {
+      const cosLat = Math.cos(cellLat * Math.PI / 180);
+      const lngSpan = cosLat > 0.01 ? Math.min(180, latSpan / cosLat) : 180;
+      const cellArea = cellSizeKm * cellSizeKm * cosLat;
+      const firstLng = Math.floor((lng - lngSpan) / resolution) * resolution + resolution / 2;
+      const cellCount = Math.min(Math.ceil((2 * lngSpan) / resolution) + 1, 360 / resolution);
+
+      for (let i = 0; i < cellCount; i++) {
+        const cellLng = firstLng + i * resolution;
+        if (this.distanceKm(lat, lng, cellLat, cellLng) > radiusKm) continue;
+        total += this.getPopulationDensity(cellLat, cellLng) * cellArea;
+      }
+    }
+
+    return total;
+  }
+
+  /**
+   * Look up the country containing a coordinate
+   * @param {number} latitude - Latitude in degrees
+   * @param {number} longitude - Longitude in degrees
+   * @returns {object|null} { iso2, name, population, highIncome } or null over open water
+   */
+  getCountry(latitude, longitude) {
+    this.loadData();
+    const { lat, lng } = this.normalize(latitude, longitude);
+
+    const country = this.countries.find(c =>
+      this.inBbox(lng, lat, c.bbox) &&
+      c.polygons.some(rings => this.pointInPolygon(lng, lat, rings))
+    );
+
+    if (!country) return null;
+
+    return {
+      iso2: country.iso2,
+      name: country.name,
+      population: country.population,
+      highIncome: country.highIncome
+    };
+  }
+
+  isUrban(latitude, longitude) {
+    return this.getPopulationDensity(latitude, longitude) >= this.URBAN_DENSITY_THRESHOLD;
+  }
+
+  isDeveloped(latitude, longitude) {
+    const country = this.getCountry(latitude, longitude);
+    return !!(country && country.highIncome);
+  }
+
+  /**
+   * Summarize everything known about a location
+   * @param {number} latitude - Latitude in degrees
+   * @param {number} longitude - Longitude in degrees
+   * @returns {object} Location properties
+   */
+  describeLocation(latitude, longitude) {
+    const isLand = this.isLand(latitude, longitude);
+    const country = this.getCountry(latitude, longitude);
+    const populationDensity = this.getPopulationDensity(latitude, longitude);
+
+    return {
+      isLand,
+      waterDepth: isLand ? 0 : this.getWaterDepth(latitude, longitude),
+      country: country ? country.name : null,
+      countryCode: country ? country.iso2 : null,
+      populationDensity,
+      isUrban: populationDensity >= this.URBAN_DENSITY_THRESHOLD,
+      isDeveloped: !!(country && country.highIncome)
+    };
+  }
+
+  /**
+   * Get the bundled coastline segments
+   * @returns {Array} Segments { id, countryCode, country, center, offshoreDepth, points }
+   */
+  getCoastlineSegments() {
+    this.loadData();
+    return this.coastline;
+  }
+
+  /**
+   * Get the bathymetry grid depth without the land mask check (fast, for ray marching)
+   * @param {number} latitude - Latitude in degrees
+   * @param {number} longitude - Longitude in degrees
+   * @returns {number} Depth in meters (0 for cells classified as land)
+   */
+  getGridDepth(latitude, longitude) {
+    this.loadData();
+    return this.gridValue(this.bathymetry, latitude, longitude) * 100;
+  }
+
+  // Initial great-circle bearing from point 1 to point 2, in degrees
+  bearing(lat1, lon1, lat2, lon2) {
+    const phi1 = lat1 * Math.PI / 180;
+    const phi2 = lat2 * Math.PI / 180;
+    const dLon = (lon2 - lon1) * Math.PI / 180;
+    const y = Math.sin(dLon) * Math.cos(phi2);
+    const x = Math.cos(phi1) * Math.sin(phi2) - Math.sin(phi1) * Math.cos(phi2) * Math.cos(dLon);
+    return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+  }
+
+  // Point reached travelling a distance along a great circle
+  destinationPoint(latitude, longitude, bearingDeg, distanceKm) {
+    const delta = distanceKm / this.EARTH_RADIUS_KM;
+    const theta = bearingDeg * Math.PI / 180;
+    const phi1 = latitude * Math.PI / 180;
+    const lambda1 = longitude * Math.PI / 180;
+
+    const phi2 = Math.asin(
+      Math.sin(phi1) * Math.cos(delta) + Math.cos(phi1) * Math.sin(delta) * Math.cos(theta)
+    );
+    const lambda2 = lambda1 + Math.atan2(
+      Math.sin(theta) * Math.sin(delta) * Math.cos(phi1),
+      Math.cos(delta) - Math.sin(phi1) * Math.sin(phi2)
+    );
+
+    return this.normalize(phi2 * 180 / Math.PI, lambda2 * 180 / Math.PI);
+  }
+
+  // Great-circle distance (Haversine formula)
+  distanceKm(lat1, lon1, lat2, lon2) {
+    const dLat = (lat2 - lat1) * Math.PI / 180;
+    const dLon = (lon2 - lon1) * Math.PI / 180;
+    const a =
+      Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+      Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
+      Math.sin(dLon / 2) * Math.sin(dLon / 2);
+    return this.EARTH_RADIUS_KM * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  }
+}
+
+module.exports = new GeoDataService();
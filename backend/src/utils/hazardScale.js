@@ -0,0 +1,214 @@
+const deflectionPlanner = require('./deflection');
+
+/**
+ * Torino and Palermo impact hazard scales
+ * Both rate a single potential encounter from its impact probability and impact
+ * energy; Palermo also weighs the time left against the background impact rate.
+ * Without an official probability, one is derived from the predicted miss
+ * distance and the orbit uncertainty of the asteroid.
+ */
+class HazardScaleCalculator {
+  constructor() {
+    this.MEGATON = 4.184e15; // J
+    this.SECONDS_PER_YEAR = 3.15576e7;
+    this.AU_KM = 149597870.7;
+    this.EARTH_ESCAPE_VELOCITY = 11.19; // km/s
+    this.TORINO_HORIZON = 100; // years, Torino only rates encounters within a century
+
+    // Upper bound of each JPL orbit condition code U, in arcsec of along-track runoff per decade
+    this.UNCERTAINTY_RUNOFF = [1.0, 4.4, 19.6, 86.5, 382, 1692, 7488, 33121, 146502, 648000];
+    this.DEFAULT_UNCERTAINTY_CODE = 3; // typical multi-opposition NEO orbit, when the code is unknown
+    this.MIN_POSITION_UNCERTAINTY = 1; // km
+
+    // Energy classes of the Torino chart, in megatons
+    this.REGIONAL_ENERGY = 100;
+    this.GLOBAL_ENERGY = 1e5;
+  }
+
+  /**
+   * Annual background frequency of impacts at least as energetic (Chesley et al. 2002)
+   * @param {number} energy - Impact energy in megatons
+   * @returns {number} Impacts per year
+   */
+  backgroundFrequency(energy) {
+    return 0.03 * Math.pow(energy, -0.8);
+  }
+
+  /**
+   * Palermo technical scale: PS = log10(P / (f_B · T))
+   * @param {number} probability - Impact probability
+   * @param {number} energy - Impact energy in megatons
+   * @param {number} years - Time until the encounter in years
+   * @returns {number|null} Palermo value, null without a probability
+   */
+  calculatePalermo(probability, energy, years) {
+    if (!(probability > 0) || !(energy > 0)) return null;
+    return Math.log10(probability / (this.backgroundFrequency(energy) * Math.max(years, 1 / 365.25)));
+  }
+
+  /**
+   * Torino scale, following the zones of the Torino chart (Morrison et al. 2004):
+   * 8-10 certain collisions, 5-7 threatening encounters, 2-4 merit attention,
+   * 1 routine, 0 no hazard. Boundaries between zones are approximated here by
+   * probability thresholds per energy class and, below 1%, by the expected energy P·E.
+   * @param {number} probability - Impact probability
+   * @param {number} energy - Impact energy in megatons
+   * @param {number} years - Time until the encounter in years
+   * @returns {number} Torino value 0-10
+   */
+  calculateTorino(probability, energy, years) {
+    if (!(probability > 0) || !(energy >= 1) || years > this.TORINO_HORIZON) return 0;
+
+    const energyClass = energy >= this.GLOBAL_ENERGY ? 'global' : energy >= this.REGIONAL_ENERGY ? 'regional' : 'local';
+
+    if (probability >= 0.99) {
+      return { local: 8, regional: 9, global: 10 }[energyClass];
+    }
+    if (energyClass === 'global' && probability >= 0.01) return 7;
+    if (energyClass === 'global' && probability >= 1e-4) return 6;
+    if (energyClass === 'regional' && probability >= 0.1) return 5;
+    if (energyClass === 'regional' && probability >= 0.01) return 4;
+    if (probability >= 0.01) return 3;
+
+    const expectedEnergy = probability * energy; // MT
+    if (expectedEnergy >= 0.1) return 2;
+    if (expectedEnergy >= 1e-6) return 1;
+    return 0;
+  }
+
+  /**
+   * Impact energy for an encounter, including the acceleration by Earth's gravity
+   * @param {number} mass - Asteroid mass in kg
+   * @param {number} relativeVelocity - Velocity at infinity in km/s
+   * @returns {number} Energy in megatons
+   */
+  calculateImpactEnergy(mass, relativeVelocity) {
+    const impactVelocity = Math.sqrt(relativeVelocity * relativeVelocity +
+      this.EARTH_ESCAPE_VELOCITY * this.EARTH_ESCAPE_VELOCITY); // km/s
+    return 0.5 * mass * Math.pow(impactVelocity * 1000, 2) / this.MEGATON;
+  }
+
+  /**
+   * 1σ position uncertainty at the encounter from the JPL orbit condition code
+   * @param {string|number} uncertaintyCode - Orbit condition code U (0 best, 9 worst)
+   * @param {number} years - Time until the encounter in years
+   * @returns {number} Uncertainty in km
+   */
+  calculatePositionUncertainty(uncertaintyCode, years) {
+    const parsed = parseInt(uncertaintyCode, 10);
+    const code = parsed >= 0 && parsed <= 9 ? parsed : this.DEFAULT_UNCERTAINTY_CODE;
+    const runoff = this.UNCERTAINTY_RUNOFF[code] / 206265; // rad per decade
+    return Math.max(this.AU_KM * runoff * years / 10, this.MIN_POSITION_UNCERTAINTY);
+  }
+
+  /**
+   * Rate one encounter
+   * @param {object} params - Encounter parameters
+   * @param {number} params.mass - Asteroid mass in kg
+   * @param {number} params.relativeVelocity - Velocity at infinity in km/s
+   * @param {Date} params.encounterDate - Date of the encounter
+   * @param {number} [params.missDistance] - Predicted miss distance in km (derived probability)
+   * @param {string} [params.uncertaintyCode] - Orbit condition code (derived probability)
+   * @param {number} [params.impactProbability] - Known impact probability, skips the derivation
+   * @param {Date} [params.now] - Reference date
+   * @returns {object} { torinoScale, palermoScale, impactProbability, yearsToEncounter, impactEnergy, positionUncertainty }
+   */
+  assessEncounter({ mass, relativeVelocity, encounterDate, missDistance, uncertaintyCode, impactProbability, now = new Date() }) {
+    const yearsToEncounter = (new Date(encounterDate) - now) / 1000 / this.SECONDS_PER_YEAR;
+    const impactEnergy = this.calculateImpactEnergy(mass, relativeVelocity);
+    let positionUncertainty = null;
+    let probability = impactProbability;
+
+    if (probability === undefined || probability === null) {
+      positionUncertainty = this.calculatePositionUncertainty(uncertaintyCode, yearsToEncounter);
+      const impactVelocity = Math.sqrt(relativeVelocity * relativeVelocity +
+        this.EARTH_ESCAPE_VELOCITY * this.EARTH_ESCAPE_VELOCITY);
+      probability = deflectionPlanner.calculateImpactProbability(
+        missDistance,
+        deflectionPlanner.calculateCaptureRadius(impactVelocity),
+        positionUncertainty
+      );
+    }
+
+    return {
+      torinoScale: this.calculateTorino(probability, impactEnergy, yearsToEncounter),
+      palermoScale: this.calculatePalermo(probability, impactEnergy, yearsToEncounter),
+      impactProbability: probability,
+      yearsToEncounter,
+      impactEnergy, // MT
+      positionUncertainty // km
+    };
+  }
+
+  /**
+   * Hazard ratings of an asteroid: its most threatening future Earth encounter
+   * within the Torino horizon, or the user-supplied probability when one is set
+   * @param {object} asteroid - Asteroid document or data
+   * @param {Date} [now] - Reference date
+   * @returns {object} Hazard fields stored on the Asteroid model
+   */
+  assessHazard(asteroid, now = new Date()) {
+    const mass = asteroid.calculatedProperties?.mass;
+    const current = asteroid.hazard || {};
+    const base = { computedAt: now };
+
+    if (!(mass > 0)) {
+      return { ...base, torinoScale: 0, palermoScale: null, probabilitySource: current.probabilitySource || 'derived' };
+    }
+
+    // A supplied probability applies to its own encounter date
+    if (current.probabilitySource === 'user' && current.encounterDate) {
+      const velocity = asteroid.calculatedProperties?.averageVelocity || 20;
+      const rating = this.assessEncounter({
+        mass,
+        relativeVelocity: velocity,
+        encounterDate: current.encounterDate,
+        impactProbability: current.impactProbability,
+        now
+      });
+      return {
+        ...base,
+        ...rating,
+        probabilitySource: 'user',
+        encounterDate: current.encounterDate,
+        missDistance: current.missDistance ?? null
+      };
+    }
+
+    const horizon = now.getTime() + this.TORINO_HORIZON * this.SECONDS_PER_YEAR * 1000;
+    const encounters = (asteroid.close_approach_data || [])
+      .filter(approach => !approach.orbiting_body || approach.orbiting_body === 'Earth')
+      .map(approach => ({
+        date: new Date(approach.epoch_date_close_approach || approach.close_approach_date),
+        relativeVelocity: parseFloat(approach.relative_velocity?.kilometers_per_second),
+        missDistance: parseFloat(approach.miss_distance?.kilometers)
+      }))
+      .filter(approach => approach.date.getTime() > now.getTime() && approach.date.getTime() <= horizon &&
+        approach.relativeVelocity > 0 && approach.missDistance >= 0);
+
+    let worst = null;
+    encounters.forEach(encounter => {
+      const rating = this.assessEncounter({
+        mass,
+        relativeVelocity: encounter.relativeVelocity,
+        encounterDate: encounter.date,
+        missDistance: encounter.missDistance,
+        uncertaintyCode: asteroid.orbital_data?.orbit_uncertainty,
+        now
+      });
+      const palermo = rating.palermoScale ?? -Infinity;
+      if (!worst || rating.torinoScale > worst.torinoScale ||
+        (rating.torinoScale === worst.torinoScale && palermo > (worst.palermoScale ?? -Infinity))) {
+        worst = { ...rating, encounterDate: encounter.date, missDistance: encounter.missDistance };
+      }
+    });
+
+    if (!worst) {
+      return { ...base, torinoScale: 0, palermoScale: null, impactProbability: 0, probabilitySource: 'derived' };
+    }
+
+    return { ...base, ...worst, probabilitySource: 'derived' };
+  }
+}
+
+module.exports = new HazardScaleCalculator();
@@ -1,99 +1,341 @@
+const geodata = require('./geodata');
+const tsunamiModel = require('./tsunami');
+const impactPhysics = require('../../../shared/impactPhysics');
+const impactorComposition = require('../../../shared/composition');
+
 class ImpactCalculator {
   constructor() {
     // Physical constants
     this.EARTH_RADIUS = 6371000; // meters
     this.EARTH_SURFACE_GRAVITY = 9.81; // m/s²
-    this.TYPICAL_ROCK_DENSITY = 2600; // kg/m³
-    this.TYPICAL_ICE_DENSITY = 900; // kg/m³
+    this.TYPICAL_ROCK_DENSITY = 2600; // kg/m³, other materials come from the composition classes
+    this.JOULES_PER_KILOTON = 4.184e12;
+
+    // Peak overpressure thresholds for damage tiers (Pa)
+    this.OVERPRESSURE_THRESHOLDS = {
+      noSurvivors: 138000, // 20 psi - reinforced concrete destroyed
+      heavyDamage: 34500, // 5 psi - most residential buildings collapse
+      moderateDamage: 20700, // 3 psi - walls of frame buildings blown out
+      lightDamage: 6900 // 1 psi - windows shatter
+    };
+
+    // Thermal exposure thresholds for a 1 Mt explosion (J/m²), Collins et al. (2005) table 3
+    // Larger explosions release energy over longer pulses, so thresholds scale with E^(1/6)
+    this.THERMAL_THRESHOLDS = {
+      clothingIgnition: 1.0e6,
+      treeIgnition: 0.38e6,
+      thirdDegreeBurns: 0.42e6,
+      secondDegreeBurns: 0.25e6
+    };
+    this.LUMINOUS_EFFICIENCY = 3e-3; // fraction of energy emitted as thermal radiation
+
+    // Ejecta blanket thicknesses drawn as isopach contours (m)
+    this.EJECTA_ISOPACHS = [10, 1, 0.1, 0.01, 0.001];
+
+    // Seismic shaking: effective magnitude ranges and their Modified Mercalli
+    // intensities (Collins et al. (2005) table 4), strongest first
+    this.MMI_BANDS = [
+      { intensity: 'XII', minMagnitude: 9, description: 'Total destruction, ground seen to move in waves' },
+      { intensity: 'X-XI', minMagnitude: 8, description: 'Most masonry structures destroyed, rails bent' },
+      { intensity: 'IX-X', minMagnitude: 7, description: 'Heavy damage to well-built structures, ground cracked' },
+      { intensity: 'VII-VIII', minMagnitude: 6, description: 'Considerable damage to poorly built structures' },
+      { intensity: 'VI-VII', minMagnitude: 5, description: 'Felt by all, plaster cracks, furniture moves' },
+      { intensity: 'IV-V', minMagnitude: 4, description: 'Felt indoors by many, dishes and windows rattle' },
+      { intensity: 'III-IV', minMagnitude: 3, description: 'Felt indoors, vibration like a passing truck' },
+      { intensity: 'I-II', minMagnitude: 2, description: 'Felt only by a few people at rest' }
+    ];
+    this.SEISMIC_WAVE_VELOCITY = 5; // km/s, surface waves
+    this.SEISMIC_REFERENCE_DISTANCES = [50, 200, 1000]; // km
   }
 
   /**
-   * Calculate crater diameter using scaling laws
-   * Based on USGS impact crater scaling
-   * @param {number} energy - Impact energy in joules
-   * @param {number} angle - Impact angle in degrees (90 = vertical)
-   * @param {string} targetType - 'land' or 'water'
-   * @returns {number} Crater diameter in meters
+   * Calculate peak overpressure at ground level
+   * Collins et al. (2005) eqs. 54-58, scaled from a 1 kt explosion
+   * @param {number} distance - Ground distance from ground zero in meters
+   * @param {number} energy - Explosion energy in joules
+   * @param {number} burstAltitude - Burst altitude in meters (0 for a surface burst)
+   * @returns {number} Peak overpressure in Pa
    */
-  calculateCraterDiameter(energy, angle = 45, targetType = 'land') {
-    // Scaling factor based on target type
-    const scalingFactor = targetType === 'water' ? 0.8 : 1.0;
-    
-    // Angle correction (vertical impact = 1.0, oblique impacts are less efficient)
-    const angleCorrection = Math.sin(angle * Math.PI / 180) ** 0.5;
-    
-    // Crater scaling law: D = k * E^0.33
-    // k varies based on target material (0.01-0.02 for typical rock)
-    const k = targetType === 'water' ? 0.015 : 0.012;
-    
-    const diameter = k * Math.pow(energy, 0.33) * scalingFactor * angleCorrection;
-    return Math.max(diameter, 1); // Minimum 1 meter
+  calculateOverpressure(distance, energy, burstAltitude = 0) {
+    const yieldScale = Math.cbrt(energy / this.JOULES_PER_KILOTON);
+    const r1 = Math.max(distance, 1) / yieldScale;
+    const px = 75000; // Pa, crossover pressure
+    const rx = 290; // m, crossover distance for 1 kt
+
+    const surfaceBurst = (px * rx / (4 * r1)) * (1 + 3 * Math.pow(rx / r1, 1.3));
+    if (burstAltitude <= 0) return surfaceBurst;
+
+    // Airburst: regular reflection close to ground zero, Mach reflection further out
+    const zb1 = burstAltitude / yieldScale;
+    const p0 = 3.14e11 * Math.pow(zb1, -2.6);
+    const beta = 34.87 * Math.pow(zb1, -1.73);
+    const machRadius = zb1 < 550 ? 550 * zb1 / (1.2 * (550 - zb1)) : Infinity;
+
+    return r1 < machRadius ? p0 * Math.exp(-beta * r1) : surfaceBurst;
   }
 
   /**
-   * Calculate crater depth
-   * @param {number} diameter - Crater diameter in meters
-   * @param {string} targetType - 'land' or 'water'
-   * @returns {number} Crater depth in meters
+   * Find the largest ground distance at which an effect still reaches a threshold
+   * @param {function} reaches - Predicate taking a distance in meters
+   * @returns {number} Radius in kilometers
    */
-  calculateCraterDepth(diameter, targetType = 'land') {
-    // Depth-to-diameter ratio varies by crater size and target
-    const depthRatio = targetType === 'water' ? 0.1 : 0.2;
-    return diameter * depthRatio;
+  findEffectRadius(reaches) {
+    let radius = 0;
+    // Log-spaced scan from 1 m to 20,000 km (the airburst curve is not monotonic)
+    for (let i = 0; i <= 730; i++) {
+      const distance = Math.pow(10, i / 100);
+      if (reaches(distance)) {
+        radius = distance;
+      }
+    }
+    return radius / 1000;
   }
 
   /**
-   * Calculate blast damage radii
-   * @param {number} energy - Impact energy in joules
+   * Find the largest ground distance at which overpressure reaches a threshold
+   * @param {number} threshold - Overpressure in Pa
+   * @param {number} energy - Explosion energy in joules
+   * @param {number} burstAltitude - Burst altitude in meters
+   * @returns {number} Radius in kilometers
+   */
+  radiusForOverpressure(threshold, energy, burstAltitude = 0) {
+    return this.findEffectRadius(distance =>
+      this.calculateOverpressure(distance, energy, burstAltitude) >= threshold
+    );
+  }
+
+  /**
+   * Calculate blast damage radii from the overpressure thresholds of each tier
+   * @param {number} energy - Explosion energy in joules
+   * @param {number} burstAltitude - Burst altitude in meters (0 for a surface burst)
    * @returns {object} Damage radii in kilometers
    */
-  calculateBlastRadii(energy) {
-    // Convert energy to equivalent TNT (1 J ≈ 2.39e-10 tons TNT)
-    const tntEquivalent = energy * 2.39e-10; // tons of TNT
-    
-    // Scaling laws for blast damage (empirical formulas)
-    const noSurvivors = 0.001 * Math.pow(tntEquivalent, 0.33); // km
-    const heavyDamage = 0.003 * Math.pow(tntEquivalent, 0.33); // km
-    const moderateDamage = 0.01 * Math.pow(tntEquivalent, 0.33); // km
-    const lightDamage = 0.03 * Math.pow(tntEquivalent, 0.33); // km
+  calculateBlastRadius(energy, burstAltitude = 0) {
+    const blastRadius = {};
+    Object.entries(this.OVERPRESSURE_THRESHOLDS).forEach(([tier, threshold]) => {
+      blastRadius[tier] = this.radiusForOverpressure(threshold, energy, burstAltitude);
+    });
+    return blastRadius;
+  }
+
+  /**
+   * Calculate thermal exposure at a ground distance (Collins et al. eqs. 33-34)
+   * @param {number} distance - Ground distance from ground zero in meters
+   * @param {number} energy - Explosion energy in joules
+   * @param {number} fireballRadius - Fireball radius in meters
+   * @param {number} sourceAltitude - Height of the fireball center in meters
+   * @returns {number} Thermal exposure in J/m²
+   */
+  calculateThermalExposure(distance, energy, fireballRadius, sourceAltitude = 0) {
+    let visibleFraction = 1;
+
+    // Earth's curvature hides the lower part of a ground-level fireball
+    if (sourceAltitude <= 0) {
+      const horizonDrop = (1 - Math.cos(distance / this.EARTH_RADIUS)) * this.EARTH_RADIUS;
+      if (horizonDrop >= fireballRadius) return 0;
+      const delta = Math.acos(horizonDrop / fireballRadius);
+      visibleFraction = (2 / Math.PI) * (delta - (horizonDrop / fireballRadius) * Math.sin(delta));
+    }
+
+    const slantRangeSquared = distance * distance + sourceAltitude * sourceAltitude;
+    return visibleFraction * this.LUMINOUS_EFFICIENCY * energy / (2 * Math.PI * slantRangeSquared);
+  }
+
+  /**
+   * Calculate fireball and thermal radiation effects
+   * @param {number} energy - Explosion energy in joules
+   * @param {number} velocity - Impactor velocity when the energy is released in m/s
+   * @param {number} sourceAltitude - Height of the fireball center in meters
+   * @returns {object} Fireball size and duration, burn/ignition radii (km) and an exposure profile
+   */
+  calculateThermalEffects(energy, velocity, sourceAltitude = 0) {
+    const fireballRadius = 0.002 * Math.cbrt(energy); // m (eq. 30)
+    const fireballDuration = velocity > 0 ? fireballRadius / velocity : 0; // s, time of maximum radiation (eq. 32)
+    const megatons = energy / (this.JOULES_PER_KILOTON * 1000);
+    const exposureAt = distance => this.calculateThermalExposure(distance, energy, fireballRadius, sourceAltitude);
+
+    const radii = {};
+    Object.entries(this.THERMAL_THRESHOLDS).forEach(([effect, threshold]) => {
+      const scaledThreshold = threshold * Math.pow(megatons, 1 / 6);
+      radii[effect] = this.findEffectRadius(distance => exposureAt(distance) >= scaledThreshold);
+    });
+
+    // Exposure sampled from the fireball edge out past the second-degree burn radius
+    const innerDistance = Math.max(fireballRadius, 1);
+    const outerDistance = Math.max(radii.secondDegreeBurns * 1000 * 2, innerDistance * 10);
+    const exposureProfile = [];
+    for (let i = 0; i < 8; i++) {
+      const distance = innerDistance * Math.pow(outerDistance / innerDistance, i / 7);
+      exposureProfile.push({
+        distance: distance / 1000, // km
+        exposure: exposureAt(distance) // J/m²
+      });
+    }
+
+    return {
+      fireballRadius: fireballRadius / 1000, // km
+      fireballDuration,
+      ...radii,
+      exposureProfile
+    };
+  }
+
+  /**
+   * Calculate airburst damage from the energy released at altitude
+   * @param {number} energy - Energy deposited down to the burst altitude in joules
+   * @param {number} burstAltitude - Burst altitude in meters
+   * @param {number} burstVelocity - Swarm velocity at the burst altitude in m/s
+   * @returns {object} Overpressure radii in kilometers and thermal effects
+   */
+  calculateAirburstEffects(energy, burstAltitude, burstVelocity) {
+    return {
+      blastRadius: this.calculateBlastRadius(energy, burstAltitude),
+      thermalEffects: this.calculateThermalEffects(energy, burstVelocity, burstAltitude)
+    };
+  }
+
+  /**
+   * Calculate ejecta blanket thickness outside the crater (Collins et al. eq. 47)
+   * @param {number} distance - Distance from the crater center in meters
+   * @param {number} transientDiameter - Transient crater diameter in meters
+   * @returns {number} Thickness in meters
+   */
+  calculateEjectaThickness(distance, transientDiameter) {
+    return Math.pow(transientDiameter, 4) / (112 * Math.pow(distance, 3));
+  }
+
+  /**
+   * Calculate mean ejecta fragment size (Collins et al. eqs. 51-52)
+   * Fragments are never larger than the blanket they are part of
+   * @param {number} distance - Distance from the crater center in meters
+   * @param {object} crater - Crater dimensions in meters
+   * @returns {number} Mean fragment diameter in meters
+   */
+  calculateEjectaFragmentSize(distance, crater) {
+    const rimFragmentSize = 2400 * Math.pow(crater.diameter / 2000, -1.62); // eq. 52 takes km
+    const fragmentSize = rimFragmentSize * Math.pow(crater.diameter / (2 * distance), 2.65);
+    return Math.min(fragmentSize, this.calculateEjectaThickness(distance, crater.transientDiameter));
+  }
+
+  /**
+   * Calculate the ejecta blanket and ballistic debris field
+   * @param {object} crater - Crater dimensions from shared/impactPhysics (meters)
+   * @returns {object|null} Ejecta properties, null when no crater forms
+   */
+  calculateEjecta(crater) {
+    if (!crater || !(crater.diameter > 0)) return null;
+
+    const rimRadius = crater.diameter / 2;
+    const thicknessAt = distance => this.calculateEjectaThickness(distance, crater.transientDiameter);
+
+    // Distance at which the blanket thins to a given thickness, beyond the rim only
+    const isopachs = this.EJECTA_ISOPACHS
+      .map(thickness => {
+        const distance = Math.cbrt(Math.pow(crater.transientDiameter, 4) / (112 * thickness));
+        return { thickness, distance };
+      })
+      .filter(({ distance }) => distance > rimRadius)
+      .map(({ thickness, distance }) => ({
+        thickness, // m
+        radius: Math.min(distance, Math.PI * this.EARTH_RADIUS) / 1000, // km
+        fragmentSize: this.calculateEjectaFragmentSize(distance, crater) // m
+      }));
+
+    // Ballistic ejecta reach out to where the blanket thins to the last isopach
+    const thinnest = this.EJECTA_ISOPACHS[this.EJECTA_ISOPACHS.length - 1];
+    const ballisticRange = Math.min(
+      Math.cbrt(Math.pow(crater.transientDiameter, 4) / (112 * thinnest)),
+      Math.PI * this.EARTH_RADIUS
+    );
+
+    // Launch speed for a 45° trajectory landing at that range on a spherical Earth
+    const halfAngleTan = Math.tan(ballisticRange / (2 * this.EARTH_RADIUS));
+    const launchVelocity = Math.sqrt(
+      2 * this.EARTH_SURFACE_GRAVITY * this.EARTH_RADIUS * halfAngleTan / (1 + halfAngleTan)
+    );
 
     return {
-      noSurvivors: Math.max(noSurvivors, 0.001),
-      heavyDamage: Math.max(heavyDamage, 0.005),
-      moderateDamage: Math.max(moderateDamage, 0.01),
-      lightDamage: Math.max(lightDamage, 0.05)
+      rimThickness: thicknessAt(rimRadius), // m
+      rimFragmentSize: this.calculateEjectaFragmentSize(rimRadius, crater), // m
+      ballisticRange: Math.max(ballisticRange, rimRadius) / 1000, // km
+      launchVelocity, // m/s
+      isopachs
     };
   }
 
   /**
-   * Calculate seismic magnitude
+   * Calculate seismic magnitude (Collins et al. eq. 40, seismic efficiency 1e-4)
    * @param {number} energy - Impact energy in joules
    * @returns {number} Richter scale magnitude
    */
   calculateSeismicMagnitude(energy) {
-    // Empirical relationship: M = (log10(E) - 4.8) / 1.5
-    // Where E is in joules
-    const magnitude = (Math.log10(energy) - 4.8) / 1.5;
-    return Math.max(Math.min(magnitude, 10), 0); // Clamp between 0-10
+    const magnitude = 0.67 * Math.log10(energy) - 5.87;
+    return Math.max(magnitude, 0);
   }
 
   /**
-   * Calculate tsunami height (for ocean impacts)
-   * @param {number} energy - Impact energy in joules
-   * @param {number} waterDepth - Water depth in meters
-   * @returns {number} Tsunami height in meters
+   * Calculate the magnitude felt at a distance (Collins et al. eqs. 41-43)
+   * @param {number} magnitude - Richter magnitude at the impact site
+   * @param {number} distance - Distance from the impact in kilometers
+   * @returns {number} Effective magnitude
    */
-  calculateTsunamiHeight(energy, waterDepth = 4000) {
-    if (waterDepth < 100) return 0; // Too shallow for significant tsunami
-    
-    // Simplified tsunami scaling
-    const tntEquivalent = energy * 2.39e-10;
-    const baseHeight = 0.1 * Math.pow(tntEquivalent, 0.25);
-    
-    // Depth factor (deeper water = higher tsunamis)
-    const depthFactor = Math.min(waterDepth / 1000, 5);
-    
-    return baseHeight * depthFactor;
+  calculateEffectiveMagnitude(magnitude, distance) {
+    if (distance < 60) {
+      return magnitude - 0.0238 * distance;
+    }
+    if (distance < 700) {
+      return magnitude - 0.0048 * distance - 1.1644;
+    }
+    const epicentralAngle = distance / (this.EARTH_RADIUS / 1000); // radians
+    return magnitude - 1.66 * Math.log10(epicentralAngle) - 6.399;
+  }
+
+  /**
+   * Find the Modified Mercalli intensity for an effective magnitude
+   * @param {number} effectiveMagnitude - Magnitude felt at the site
+   * @returns {string|null} Intensity range, null when not felt
+   */
+  getMercalliIntensity(effectiveMagnitude) {
+    const band = this.MMI_BANDS.find(b => effectiveMagnitude >= b.minMagnitude);
+    return band ? band.intensity : null;
+  }
+
+  /**
+   * Calculate distance-dependent shaking: MMI bands as radii and seismic arrival times
+   * @param {number} magnitude - Richter magnitude at the impact site
+   * @returns {object} Intensity bands and shaking at reference distances
+   */
+  calculateSeismicEffects(magnitude) {
+    const maxDistance = Math.PI * this.EARTH_RADIUS / 1000; // km, antipode
+
+    const bands = this.MMI_BANDS
+      .map(band => {
+        const radius = Math.min(
+          this.findEffectRadius(distance =>
+            this.calculateEffectiveMagnitude(magnitude, distance / 1000) >= band.minMagnitude
+          ),
+          maxDistance
+        );
+        return {
+          intensity: band.intensity,
+          description: band.description,
+          radius, // km
+          arrivalTime: radius / this.SEISMIC_WAVE_VELOCITY // s
+        };
+      })
+      .filter(band => band.radius > 0);
+
+    const atDistances = this.SEISMIC_REFERENCE_DISTANCES.map(distance => {
+      const effectiveMagnitude = this.calculateEffectiveMagnitude(magnitude, distance);
+      return {
+        distance, // km
+        effectiveMagnitude,
+        intensity: this.getMercalliIntensity(effectiveMagnitude),
+        arrivalTime: distance / this.SEISMIC_WAVE_VELOCITY // s
+      };
+    });
+
+    return { bands, atDistances };
   }
 
   /**
@@ -130,22 +372,12 @@ class ImpactCalculator {
    * @returns {object} Population effects estimates
    */
   estimatePopulationEffects(blastRadii, latitude, longitude) {
-    // Simplified population density estimation
-    // In a real app, you'd use actual population data APIs
+    // Population counts come from the bundled population-density raster
+    const heavyDamagePopulation = geodata.getPopulationWithinRadius(latitude, longitude, blastRadii.heavyDamage);
+    const lightDamagePopulation = geodata.getPopulationWithinRadius(latitude, longitude, blastRadii.lightDamage);
     
-    // Average global population density: ~60 people/km²
-    // Urban areas: ~1000-10000 people/km²
-    // Rural areas: ~10-100 people/km²
-    
-    const isUrban = this.isUrbanArea(latitude, longitude);
-    const populationDensity = isUrban ? 5000 : 50; // people per km²
-    
-    const heavyDamageArea = Math.PI * Math.pow(blastRadii.heavyDamage, 2);
-    const moderateDamageArea = Math.PI * Math.pow(blastRadii.moderateDamage, 2);
-    const lightDamageArea = Math.PI * Math.pow(blastRadii.lightDamage, 2);
-    
-    const estimatedCasualties = heavyDamageArea * populationDensity * 0.8; // 80% casualty rate in heavy damage zone
-    const affectedPopulation = lightDamageArea * populationDensity;
+    const estimatedCasualties = heavyDamagePopulation * 0.8; // 80% casualty rate in heavy damage zone
+    const affectedPopulation = lightDamagePopulation;
     const evacuationRadius = blastRadii.lightDamage * 2; // Evacuation zone is larger
     
     return {
@@ -198,50 +430,104 @@ class ImpactCalculator {
    * @returns {object} Complete simulation results
    */
   runDetailedSimulation(params) {
-    const { asteroid, impactLocation, impactAngle = 45, impactVelocity = 20 } = params;
+    const {
+      asteroid,
+      impactLocation,
+      impactAngle = 45,
+      impactVelocity = 20,
+      composition,
+      includeTsunami = true // ensemble runs skip the costly wave propagation
+    } = params;
     const { lat: latitude, lng: longitude } = impactLocation;
     
+    // Composition class (chosen or inferred) sets density, strength and fragmentation
+    const impactor = impactorComposition.resolveImpactor({
+      asteroid,
+      composition,
+      density: params.density,
+      strength: params.strength
+    });
+    const { density, strength, pancakeFactor } = impactor;
+    
     // Calculate asteroid properties
-    const diameter = asteroid.estimatedDiameter?.kilometers?.estimated_diameter_max || 1; // km
-    const diameterMeters = diameter * 1000; // Convert to meters
-    const mass = (4/3) * Math.PI * Math.pow(diameterMeters/2, 3) * this.TYPICAL_ROCK_DENSITY; // kg
+    const diameterMeters = impactPhysics.getImpactorDiameter(asteroid);
+    const mass = (4/3) * Math.PI * Math.pow(diameterMeters/2, 3) * density; // kg
     const velocity = impactVelocity * 1000; // Convert km/s to m/s
     
-    // Calculate kinetic energy: E = 0.5 * m * v²
+    // Calculate kinetic energy at atmospheric entry: E = 0.5 * m * v²
     const energy = 0.5 * mass * Math.pow(velocity, 2); // Joules
     const tntEquivalent = energy * 2.39e-10; // tons of TNT
     
     // Determine if impact is on land or water
-    const targetType = this.isWaterImpact(latitude, longitude) ? 'water' : 'land';
-    
-    // Calculate crater properties
-    const craterDiameter = this.calculateCraterDiameter(energy, impactAngle, targetType) / 1000; // Convert to km
-    const craterDepth = this.calculateCraterDepth(craterDiameter * 1000, targetType) / 1000; // Convert to km
-    
-    // Calculate blast effects
-    const blastRadius = this.calculateBlastRadii(energy);
+    const location = geodata.describeLocation(latitude, longitude);
+    const targetType = location.isLand ? 'land' : 'water';
+    
+    // Atmospheric entry decides whether the body airbursts or reaches the ground
+    const { entry, crater, impactType } = impactPhysics.simulateImpact({
+      diameter: diameterMeters,
+      velocity,
+      angle: impactAngle,
+      density,
+      strength,
+      pancakeFactor,
+      targetType,
+      waterDepth: location.waterDepth
+    });
+    const isAirburst = impactType === 'airburst';
+    // An airburst releases what the body lost down to the burst altitude; a body that
+    // reaches the ground releases everything, most of a fragmented swarm just above it
+    const effectiveEnergy = isAirburst ? entry.burstEnergy : energy;
+    
+    const craterDiameter = crater.diameter / 1000; // Convert to km
+    const craterDepth = crater.depth / 1000; // Convert to km
+    let blastRadius;
+    let thermalEffects;
+    let seismicMagnitude = 0;
+    let seismicEffects = null;
+    let tsunami = null;
+    
+    if (isAirburst) {
+      // Energy is released in the air: no crater, blast and heat come from the burst altitude
+      const airburstEffects = this.calculateAirburstEffects(entry.burstEnergy, entry.burstAltitude, entry.burstVelocity);
+      blastRadius = airburstEffects.blastRadius;
+      thermalEffects = airburstEffects.thermalEffects;
+    } else {
+      // Blast and heat come from all the energy released at ground level; only the
+      // energy that reaches the surface couples into the ground as seismic waves
+      blastRadius = this.calculateBlastRadius(effectiveEnergy);
+      thermalEffects = this.calculateThermalEffects(effectiveEnergy, entry.surfaceVelocity);
+      seismicMagnitude = this.calculateSeismicMagnitude(entry.surfaceEnergy);
+      seismicEffects = this.calculateSeismicEffects(seismicMagnitude);
+      tsunami = targetType === 'water' && includeTsunami ? tsunamiModel.calculateTsunami({
+        latitude,
+        longitude,
+        diameter: diameterMeters,
+        velocity: entry.surfaceVelocity,
+        angle: impactAngle,
+        density,
+        waterDepth: location.waterDepth
+      }) : null;
+    }
+    const tsunamiHeight = tsunami ? tsunami.sourceAmplitude : 0;
     
     // Calculate affected area (km²)
     const affectedArea = Math.PI * Math.pow(blastRadius.lightDamage, 2);
     
-    // Calculate other effects
-    const seismicMagnitude = this.calculateSeismicMagnitude(energy);
-    const tsunamiHeight = targetType === 'water' ? 
-      this.calculateTsunamiHeight(energy) : 0;
-    
-    const environmentalEffects = this.calculateEnvironmentalEffects(energy, diameterMeters);
+    const environmentalEffects = this.calculateEnvironmentalEffects(effectiveEnergy, diameterMeters);
     const populationEffects = this.estimatePopulationEffects(blastRadius, latitude, longitude);
     const economicImpact = this.estimateEconomicImpact(blastRadius, latitude, longitude);
     
     // Determine severity
-    const severity = this.calculateSeverity(energy, craterDiameter, populationEffects.estimatedCasualties);
+    const severity = this.calculateSeverity(effectiveEnergy, craterDiameter, populationEffects.estimatedCasualties);
     
     // Generate mitigation strategies
-    const mitigationStrategies = this.generateMitigationStrategies(energy, severity, targetType);
+    const mitigationStrategies = this.generateMitigationStrategies(effectiveEnergy, severity, targetType);
     
     return {
       energy,
       tntEquivalent,
+      impactType,
+      modelId: impactPhysics.MODEL_ID,
       craterDiameter,
       craterDepth,
       affectedArea,
@@ -249,14 +535,38 @@ class ImpactCalculator {
       economicImpact: economicImpact.estimatedDamage,
       severity,
       mitigationStrategies,
+      impactor,
       detailedEffects: {
         blastRadius,
+        thermalEffects,
+        ejecta: this.calculateEjecta(crater),
         seismicMagnitude,
+        seismicEffects,
         tsunamiHeight,
+        tsunami,
         environmentalEffects,
         populationEffects,
         economicImpact,
-        targetType
+        targetType,
+        waterDepth: location.waterDepth,
+        location: {
+          country: location.country,
+          countryCode: location.countryCode,
+          populationDensity: location.populationDensity,
+          isUrban: location.isUrban,
+          isDeveloped: location.isDeveloped
+        },
+        atmosphericEntry: {
+          outcome: entry.outcome,
+          density: entry.density,
+          strength: entry.strength,
+          breakupAltitude: entry.breakupAltitude / 1000, // km
+          burstAltitude: entry.burstAltitude / 1000, // km
+          burstEnergy: entry.burstEnergy,
+          surfaceVelocity: entry.surfaceVelocity / 1000, // km/s
+          surfaceEnergy: entry.surfaceEnergy,
+          energyDeposited: entry.energyDeposited
+        }
       }
     };
   }
@@ -349,16 +659,32 @@ class ImpactCalculator {
     const targetType = this.isWaterImpact(latitude, longitude) ? 'water' : 'land';
     
     // Calculate crater properties
-    const craterDiameter = this.calculateCraterDiameter(energy, angle, targetType);
-    const craterDepth = this.calculateCraterDepth(craterDiameter, targetType);
+    const crater = impactPhysics.calculateCrater({
+      diameter,
+      velocity: (asteroid.calculatedProperties.averageVelocity || 20) * 1000,
+      angle,
+      density: asteroid.calculatedProperties.density || this.TYPICAL_ROCK_DENSITY,
+      target: impactPhysics.targetForType(targetType),
+      waterDepth: geodata.getWaterDepth(latitude, longitude)
+    });
+    const craterDiameter = crater.diameter;
+    const craterDepth = crater.depth;
     
     // Calculate blast effects
-    const blastRadius = this.calculateBlastRadii(energy);
+    const blastRadius = this.calculateBlastRadius(energy);
     
     // Calculate other effects
     const seismicMagnitude = this.calculateSeismicMagnitude(energy);
-    const tsunamiHeight = targetType === 'water' ? 
-      this.calculateTsunamiHeight(energy) : 0;
+    const tsunami = targetType === 'water' ? tsunamiModel.calculateTsunami({
+      latitude,
+      longitude,
+      diameter,
+      velocity: (asteroid.calculatedProperties.averageVelocity || 20) * 1000,
+      angle,
+      density: asteroid.calculatedProperties.density || this.TYPICAL_ROCK_DENSITY,
+      waterDepth: geodata.getWaterDepth(latitude, longitude)
+    }) : null;
+    const tsunamiHeight = tsunami ? tsunami.sourceAmplitude : 0;
     
     const environmentalEffects = this.calculateEnvironmentalEffects(energy, diameter);
     const populationEffects = this.estimatePopulationEffects(blastRadius, latitude, longitude);
@@ -378,63 +704,36 @@ class ImpactCalculator {
 
   /**
    * Apply mitigation strategy effects
+   * Deflection missions change whether the asteroid hits at all (see utils/deflection.js),
+   * not how hard it hits, so only evacuation changes the results of an impact.
    * @param {object} results - Original simulation results
    * @param {object} mitigation - Mitigation strategy
    * @returns {object} Modified results
    */
   applyMitigation(results, mitigation) {
-    if (!mitigation || mitigation.method === 'none') {
+    if (!mitigation || mitigation.method !== 'evacuation_only') {
       return results;
     }
     
+    // Evacuation reduces casualties but not physical damage
     const effectiveness = mitigation.effectivenessReduction || 0;
-    const reductionFactor = 1 - (effectiveness / 100);
-    
-    // Apply reduction to all damage metrics
     const mitigatedResults = JSON.parse(JSON.stringify(results)); // Deep copy
-    
-    if (mitigation.method !== 'evacuation_only') {
-      mitigatedResults.craterDiameter *= reductionFactor;
-      mitigatedResults.craterDepth *= reductionFactor;
-      mitigatedResults.blastRadius.noSurvivors *= reductionFactor;
-      mitigatedResults.blastRadius.heavyDamage *= reductionFactor;
-      mitigatedResults.blastRadius.moderateDamage *= reductionFactor;
-      mitigatedResults.blastRadius.lightDamage *= reductionFactor;
-      mitigatedResults.seismicMagnitude *= reductionFactor;
-      mitigatedResults.tsunamiHeight *= reductionFactor;
-    }
-    
-    // Evacuation reduces casualties but not physical damage
-    if (mitigation.method === 'evacuation_only' || effectiveness > 0) {
-      mitigatedResults.populationEffects.estimatedCasualties *= (reductionFactor * 0.1);
-    }
+    mitigatedResults.populationEffects.estimatedCasualties *= 1 - (effectiveness / 100);
     
     return mitigatedResults;
   }
 
-  // Helper methods
+  // Helper methods (backed by the bundled geodata layer)
   isWaterImpact(latitude, longitude) {
-    // Simplified ocean detection (in a real app, use actual geographic data)
-    // This is a very rough approximation
-    const landMasses = [
-      { minLat: -90, maxLat: 90, minLng: -180, maxLng: 180, isLand: false }, // Default to water
-      { minLat: -60, maxLat: 85, minLng: -170, maxLng: 30, isLand: true }, // Major landmasses approximation
-    ];
-    
-    // For demo purposes, assume 70% of Earth is water
-    return Math.random() < 0.7; // Simplified random assignment
+    return !geodata.isLand(latitude, longitude);
   }
 
   isUrbanArea(latitude, longitude) {
-    // Simplified urban area detection
-    // In a real app, use actual urban area datasets
-    return Math.random() < 0.3; // ~30% chance of urban area
+    return geodata.isUrban(latitude, longitude);
   }
 
   isDevelopedCountry(latitude, longitude) {
-    // Simplified developed country detection
-    // In a real app, use actual country economic data
-    return Math.random() < 0.5; // ~50% chance of developed area
+    return geodata.isDeveloped(latitude, longitude);
   }
 }
 
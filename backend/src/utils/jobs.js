@@ -0,0 +1,69 @@
+const Asteroid = require('../models/Asteroid');
+const nasaApi = require('./nasaApi');
+const leaderboard = require('./leaderboard');
+const scheduler = require('./scheduler');
+
+// Background jobs of the API. Schedules are cron expressions overridable from
+// the environment; set one to "off" to leave that job manual-only.
+const RECOMPUTE_BATCH_SIZE = 500;
+
+// Derived properties age: hazard ratings depend on the time left to each encounter
+const recomputeDerivedProperties = async () => {
+  let processed = 0;
+  let failed = 0;
+  let operations = [];
+
+  const flush = async () => {
+    if (!operations.length) return;
+    await Asteroid.bulkWrite(operations, { ordered: false });
+    operations = [];
+  };
+
+  for await (const asteroid of Asteroid.find().cursor({ batchSize: RECOMPUTE_BATCH_SIZE })) {
+    try {
+      asteroid.calculateProperties();
+      const { calculatedProperties, hazard } = asteroid.toObject();
+      operations.push({
+        updateOne: {
+          filter: { _id: asteroid._id },
+          update: { $set: { calculatedProperties, hazard } }
+        }
+      });
+      processed++;
+    } catch (error) {
+      console.error(`Error recomputing asteroid ${asteroid.neo_reference_id}:`, error.message);
+      failed++;
+    }
+
+    if (operations.length >= RECOMPUTE_BATCH_SIZE) await flush();
+  }
+  await flush();
+
+  return { processed, failed };
+};
+
+scheduler.register('feed-sync', {
+  description: 'Pull the 7-day NeoWs feed and upsert the approaching asteroids',
+  schedule: process.env.JOB_FEED_SYNC_CRON || '0 */6 * * *',
+  handler: () => nasaApi.syncAsteroidData()
+});
+
+scheduler.register('catalog-refresh', {
+  description: 'Walk the full NeoWs catalog, resuming a walk paused by the rate limit',
+  schedule: process.env.JOB_CATALOG_REFRESH_CRON || '0 3 * * *',
+  handler: () => nasaApi.ingestCatalog()
+});
+
+scheduler.register('recompute-properties', {
+  description: 'Recompute derived physical properties and hazard ratings of every asteroid',
+  schedule: process.env.JOB_RECOMPUTE_CRON || '30 4 * * *',
+  handler: recomputeDerivedProperties
+});
+
+scheduler.register('leaderboard-snapshot', {
+  description: 'Freeze the final standings of the weekly and monthly leaderboards that just ended',
+  schedule: process.env.JOB_LEADERBOARD_SNAPSHOT_CRON || '10 0 * * *',
+  handler: () => leaderboard.snapshotFinishedSeasons()
+});
+
+module.exports = scheduler;
@@ -0,0 +1,312 @@
+const User = require('../models/User');
+const ScoreEvent = require('../models/ScoreEvent');
+const LeaderboardSnapshot = require('../models/LeaderboardSnapshot');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const leaderboardError = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+/**
+ * Rankings over all time and over the current week or month
+ * All-time boards read the counters on User; seasonal boards sum the
+ * ScoreEvent ledger since the season started (weeks start Monday 00:00 UTC,
+ * months on the 1st). Finished seasons are frozen into LeaderboardSnapshot.
+ */
+class Leaderboard {
+  constructor() {
+    this.CATEGORIES = ScoreEvent.CATEGORIES;
+    this.WINDOWS = ['all', 'monthly', 'weekly'];
+    this.SEASONAL_WINDOWS = ['monthly', 'weekly'];
+    this.SNAPSHOT_SIZE = 1000; // ranks kept per finished season
+    this.MAX_PAGE_SIZE = 100;
+  }
+
+  /**
+   * Updates a user's counters and records the change in the ledger
+   * @param {ObjectId} userId - User whose stats change
+   * @param {object} deltas - Increments of simulationsRun, mitigationsProposed, votesReceived and points; negative ones take an award back
+   * @param {object} details - { reason: 'simulation'|'vote', simulation }
+   */
+  async award(userId, deltas, { reason, simulation } = {}) {
+    const inc = {};
+    this.CATEGORIES.forEach(category => {
+      if (deltas[category]) inc[`stats.${category}`] = deltas[category];
+    });
+    if (Object.keys(inc).length === 0) return;
+
+    await Promise.all([
+      User.findByIdAndUpdate(userId, { $inc: inc }),
+      ScoreEvent.create({ user: userId, reason, simulation, deltas })
+    ]);
+  }
+
+  /**
+   * Season containing a date
+   * @param {string} window - 'weekly' or 'monthly'
+   * @param {Date} date
+   * @returns {{start: Date, end: Date}} End is exclusive
+   */
+  seasonOf(window, date = new Date()) {
+    if (window === 'monthly') {
+      return {
+        start: new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1)),
+        end: new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1))
+      };
+    }
+    const day = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+    const start = new Date(day - ((date.getUTCDay() + 6) % 7) * DAY_MS);
+    return { start, end: new Date(start.getTime() + 7 * DAY_MS) };
+  }
+
+  /**
+   * Season before the one containing a date
+   * @param {string} window - 'weekly' or 'monthly'
+   * @param {Date} date
+   * @returns {{start: Date, end: Date}}
+   */
+  previousSeason(window, date = new Date()) {
+    const { start } = this.seasonOf(window, date);
+    return this.seasonOf(window, new Date(start.getTime() - 1));
+  }
+
+  validate(window, category) {
+    if (!this.WINDOWS.includes(window)) {
+      throw leaderboardError(`Unknown window "${window}", expected one of ${this.WINDOWS.join(', ')}`);
+    }
+    if (!this.CATEGORIES.includes(category)) {
+      throw leaderboardError(`Unknown category "${category}", expected one of ${this.CATEGORIES.join(', ')}`);
+    }
+  }
+
+  /**
+   * Competition ranking (1, 2, 2, 4) of one page of entries sorted by value
+   * @param {object[]} entries - Sorted entries with a value
+   * @param {number} skip - Entries on the previous pages
+   * @param {number} firstRank - Rank of the first entry, which may tie with the previous page
+   */
+  assignRanks(entries, skip = 0, firstRank = skip + 1) {
+    const ranked = [];
+    entries.forEach((entry, index) => {
+      const rank = index === 0
+        ? firstRank
+        : entry.value === entries[index - 1].value ? ranked[index - 1].rank : skip + index + 1;
+      ranked.push({ ...entry, rank });
+    });
+    return ranked;
+  }
+
+  // Per-user totals of a category inside a season, active users only
+  seasonPipeline(category, { start, end }) {
+    return [
+      { $match: { createdAt: { $gte: start, $lt: end } } },
+      { $group: { _id: '$user', value: { $sum: `$deltas.${category}` } } },
+      { $match: { value: { $gt: 0 } } },
+      {
+        $lookup: {
+          from: 'users',
+          localField: '_id',
+          foreignField: '_id',
+          as: 'user'
+        }
+      },
+      { $unwind: '$user' },
+      { $match: { 'user.isActive': true } }
+    ];
+  }
+
+  /**
+   * One page of a leaderboard, plus the viewer's own standing
+   * @param {object} options - { window, category, page, limit, userId }
+   * @returns {Promise<object>} { entries, total, me, season }
+   */
+  async getBoard({ window = 'all', category = 'points', page = 1, limit = 20, userId } = {}) {
+    this.validate(window, category);
+    limit = Math.min(Math.max(parseInt(limit) || 20, 1), this.MAX_PAGE_SIZE);
+    page = Math.max(parseInt(page) || 1, 1);
+    const skip = (page - 1) * limit;
+
+    const board = window === 'all'
+      ? await this.allTimeBoard(category, skip, limit, userId)
+      : await this.seasonBoard(category, this.seasonOf(window), skip, limit, userId);
+
+    return { ...board, page, limit, window, category };
+  }
+
+  async allTimeBoard(category, skip, limit, userId) {
+    const field = `stats.${category}`;
+    const query = { isActive: true, [field]: { $gt: 0 } };
+
+    const [users, total, viewer] = await Promise.all([
+      User.find(query)
+        .sort({ [field]: -1, _id: 1 })
+        .skip(skip)
+        .limit(limit)
+        .select('username profile.avatar profile.country stats')
+        .lean(),
+      User.countDocuments(query),
+      userId ? User.findById(userId).select('stats').lean() : null
+    ]);
+
+    const entries = users.map(user => ({ user, value: user.stats[category] }));
+    const firstRank = entries.length
+      ? await User.countDocuments({ isActive: true, [field]: { $gt: entries[0].value } }) + 1
+      : skip + 1;
+
+    let me = null;
+    if (viewer) {
+      const value = viewer.stats?.[category] || 0;
+      me = {
+        value,
+        rank: value > 0 ? await User.countDocuments({ isActive: true, [field]: { $gt: value } }) + 1 : null
+      };
+    }
+
+    return { entries: this.assignRanks(entries, skip, firstRank), total, me, season: null };
+  }
+
+  async seasonBoard(category, season, skip, limit, userId) {
+    const pipeline = this.seasonPipeline(category, season);
+
+    const [result] = await ScoreEvent.aggregate([
+      ...pipeline,
+      { $sort: { value: -1, _id: 1 } },
+      {
+        $facet: {
+          entries: [
+            { $skip: skip },
+            { $limit: limit },
+            {
+              $project: {
+                _id: 0,
+                value: 1,
+                user: {
+                  _id: '$user._id',
+                  username: '$user.username',
+                  profile: { avatar: '$user.profile.avatar', country: '$user.profile.country' }
+                }
+              }
+            }
+          ],
+          total: [{ $count: 'total' }]
+        }
+      }
+    ]);
+
+    const countAbove = async (value) => {
+      const [above] = await ScoreEvent.aggregate([...pipeline, { $match: { value: { $gt: value } } }, { $count: 'total' }]);
+      return above?.total || 0;
+    };
+
+    const entries = result.entries;
+    const firstRank = entries.length ? await countAbove(entries[0].value) + 1 : skip + 1;
+
+    let me = null;
+    if (userId) {
+      const [mine] = await ScoreEvent.aggregate([
+        { $match: { user: userId, createdAt: { $gte: season.start, $lt: season.end } } },
+        { $group: { _id: null, value: { $sum: `$deltas.${category}` } } }
+      ]);
+      const value = mine?.value || 0;
+      me = { value, rank: value > 0 ? await countAbove(value) + 1 : null };
+    }
+
+    return {
+      entries: this.assignRanks(entries, skip, firstRank),
+      total: result.total[0]?.total || 0,
+      me,
+      season
+    };
+  }
+
+  /**
+   * Freezes the final standings of a season; existing snapshots are kept
+   * @param {string} window - 'weekly' or 'monthly'
+   * @param {string} category
+   * @param {{start: Date, end: Date}} season
+   * @returns {Promise<boolean>} Whether a new snapshot was written
+   */
+  async snapshotSeason(window, category, season) {
+    const exists = await LeaderboardSnapshot.exists({ window, category, periodStart: season.start });
+    if (exists) return false;
+
+    const pipeline = this.seasonPipeline(category, season);
+    const [rows, [count]] = await Promise.all([
+      ScoreEvent.aggregate([
+        ...pipeline,
+        { $sort: { value: -1, _id: 1 } },
+        { $limit: this.SNAPSHOT_SIZE },
+        { $project: { _id: 0, user: '$user._id', username: '$user.username', value: 1 } }
+      ]),
+      ScoreEvent.aggregate([...pipeline, { $count: 'total' }])
+    ]);
+
+    await LeaderboardSnapshot.updateOne(
+      { window, category, periodStart: season.start },
+      {
+        $setOnInsert: {
+          periodEnd: season.end,
+          participants: count?.total || 0,
+          entries: this.assignRanks(rows)
+        }
+      },
+      { upsert: true }
+    );
+    return true;
+  }
+
+  /**
+   * Snapshots every board of the seasons that ended most recently.
+   * Run daily; seasons already frozen are skipped.
+   * @returns {Promise<object>} Counts for the job run
+   */
+  async snapshotFinishedSeasons(now = new Date()) {
+    let created = 0;
+    let skipped = 0;
+
+    for (const window of this.SEASONAL_WINDOWS) {
+      const season = this.previousSeason(window, now);
+      for (const category of this.CATEGORIES) {
+        if (await this.snapshotSeason(window, category, season)) created++;
+        else skipped++;
+      }
+    }
+
+    return { created, skipped };
+  }
+
+  /**
+   * Past seasons of a board, newest first, with the podium and the viewer's rank
+   * @param {object} options - { window, category, limit, userId }
+   * @returns {Promise<object[]>}
+   */
+  async getHistory({ window = 'monthly', category = 'points', limit = 12, userId } = {}) {
+    if (!this.SEASONAL_WINDOWS.includes(window)) {
+      throw leaderboardError('Rank history is kept for the monthly and weekly boards');
+    }
+    this.validate(window, category);
+
+    return LeaderboardSnapshot.aggregate([
+      { $match: { window, category } },
+      { $sort: { periodStart: -1 } },
+      { $limit: Math.min(parseInt(limit) || 12, 52) },
+      {
+        $project: {
+          _id: 0,
+          periodStart: 1,
+          periodEnd: 1,
+          participants: 1,
+          podium: { $slice: ['$entries', 3] },
+          me: userId
+            ? { $first: { $filter: { input: '$entries', cond: { $eq: ['$$this.user', userId] } } } }
+            : { $literal: null }
+        }
+      }
+    ]);
+  }
+}
+
+module.exports = new Leaderboard();
@@ -1,9 +1,17 @@
 const axios = require('axios');
 const Asteroid = require('../models/Asteroid');
+const IngestionCheckpoint = require('../models/IngestionCheckpoint');
+const AsteroidRevision = require('../models/AsteroidRevision');
+const revisionTracker = require('./revisions');
+
+const CATALOG_JOB = 'neo_browse';
+const BROWSE_PAGE_SIZE = 20; // NeoWs maximum
+const STALE_RUN_MS = 30 * 60 * 1000; // a run without progress for this long is treated as crashed
 
 class NASAApiService {
   constructor() {
-    this.baseURL = 'https://api.nasa.gov/neo/rest/v1';
+    // Overridable to point at the local fixture server in mock/nasaApiMock.js
+    this.baseURL = process.env.NASA_API_BASE_URL || 'https://api.nasa.gov/neo/rest/v1';
     this.apiKey = process.env.NASA_API_KEY;
     
     // Set default if not configured
@@ -78,6 +86,224 @@ class NASAApiService {
     }
   }
 
+  // Fetch one page of the whole catalog; rate-limit errors are flagged so ingestion can pause
+  async fetchBrowsePage(page = 0, size = BROWSE_PAGE_SIZE) {
+    try {
+      const url = `${this.baseURL}/neo/browse?page=${page}&size=${size}&api_key=${this.apiKey}`;
+      const response = await axios.get(url, {
+        timeout: 30000,
+        headers: {
+          'User-Agent': 'Zuricatas-Simulator/1.0'
+        }
+      });
+
+      return response.data;
+    } catch (error) {
+      console.error(`NASA API browse error (page ${page}):`, error.message);
+      const browseError = new Error(`Failed to fetch catalog page ${page}: ${error.message}`);
+      browseError.status = error.response?.status;
+      browseError.rateLimited = error.response?.status === 429;
+      throw browseError;
+    }
+  }
+
+  // Upsert raw NeoWs objects in a single bulkWrite, computing what the save hook would
+  // and recording what NASA revised since the last sync
+  async bulkUpsertAsteroids(asteroids, { source = 'feed' } = {}) {
+    if (!asteroids.length) {
+      return { newCount: 0, updatedCount: 0, skipped: 0, revisions: 0 };
+    }
+
+    // The feed lists an object once per day it approaches: fold those into one record
+    const incomingById = new Map();
+    asteroids.forEach(asteroidData => {
+      const previous = incomingById.get(asteroidData.neo_reference_id);
+      incomingById.set(asteroidData.neo_reference_id, previous
+        ? {
+          ...previous,
+          ...asteroidData,
+          close_approach_data: revisionTracker.mergeApproaches(previous.close_approach_data, asteroidData.close_approach_data)
+        }
+        : asteroidData);
+    });
+
+    const storedAsteroids = await Asteroid.find({
+      neo_reference_id: { $in: Array.from(incomingById.keys()) }
+    }).lean();
+    const storedById = new Map(storedAsteroids.map(asteroid => [asteroid.neo_reference_id, asteroid]));
+
+    const operations = [];
+    const pending = [];
+    let skipped = 0;
+
+    for (const asteroidData of incomingById.values()) {
+      const stored = storedById.get(asteroidData.neo_reference_id);
+      const asteroid = new Asteroid(this.processAsteroidData(asteroidData));
+
+      if (stored) {
+        // Keep what this endpoint does not report, so the derived properties stay comparable
+        if (!asteroidData.orbital_data && stored.orbital_data) asteroid.orbital_data = stored.orbital_data;
+        if (stored.physical_properties) asteroid.physical_properties = stored.physical_properties;
+        asteroid.close_approach_data = revisionTracker.mergeApproaches(stored.close_approach_data, asteroidData.close_approach_data);
+        // Supplied impact probabilities survive a refresh of the NASA data
+        if (stored.hazard?.probabilitySource === 'user') asteroid.hazard = stored.hazard;
+      }
+      asteroid.calculateProperties();
+
+      const validationError = asteroid.validateSync();
+      if (validationError) {
+        console.error(`Error processing asteroid ${asteroidData.neo_reference_id}:`, validationError.message);
+        skipped++;
+        continue;
+      }
+
+      const { _id, __v, createdAt, updatedAt, ...fields } = asteroid.toObject();
+      fields.metadata.lastUpdated = new Date();
+      operations.push({
+        updateOne: {
+          filter: { neo_reference_id: asteroid.neo_reference_id },
+          update: { $set: fields },
+          upsert: true
+        }
+      });
+      pending.push({ stored, revision: revisionTracker.diff(stored, asteroidData) });
+    }
+
+    if (!operations.length) {
+      return { newCount: 0, updatedCount: 0, skipped, revisions: 0 };
+    }
+
+    const result = await Asteroid.bulkWrite(operations, { ordered: false });
+
+    // Upserted ids are keyed by operation index
+    const revisions = [];
+    pending.forEach(({ stored, revision }, index) => {
+      const asteroidId = stored ? stored._id : result.upsertedIds[index];
+      if (!asteroidId || (stored && !revision.changes.length && !revision.newApproaches.length)) return;
+
+      revisions.push({
+        asteroid: asteroidId,
+        neo_reference_id: operations[index].updateOne.filter.neo_reference_id,
+        kind: stored ? 'updated' : 'created',
+        source,
+        changes: revision.changes,
+        newApproaches: revision.newApproaches
+      });
+    });
+
+    if (revisions.length) {
+      await AsteroidRevision.insertMany(revisions);
+    }
+
+    return { newCount: result.upsertedCount, updatedCount: result.matchedCount, skipped, revisions: revisions.length };
+  }
+
+  /**
+   * Walk the whole NeoWs catalog through neo/browse, one bulk upsert per page.
+   * The page reached is checkpointed in Mongo after every page, so a run stopped
+   * by the rate limit (or by maxPages) resumes from there on the next call.
+   * @param {object} [options] - Ingestion options
+   * @param {number} [options.maxPages] - Pages to fetch in this run, all remaining by default
+   * @param {number} [options.pageSize=20] - Objects per page, fixed for the whole walk
+   * @param {boolean} [options.restart=false] - Start again from the first page
+   * @returns {object} Status, checkpoint position and counts of this run
+   */
+  async ingestCatalog({ maxPages = Infinity, pageSize = BROWSE_PAGE_SIZE, restart = false } = {}) {
+    let checkpoint = await IngestionCheckpoint.findOne({ job: CATALOG_JOB });
+    if (!checkpoint) {
+      checkpoint = new IngestionCheckpoint({ job: CATALOG_JOB });
+    }
+
+    if (checkpoint.status === 'running' && Date.now() - checkpoint.updatedAt.getTime() < STALE_RUN_MS) {
+      throw new Error('Catalog ingestion is already running');
+    }
+
+    // A finished walk starts over; page numbers only line up for the same page size
+    if (restart || checkpoint.status === 'completed' || checkpoint.status === 'idle' || !checkpoint.pageSize) {
+      checkpoint.nextPage = 0;
+      checkpoint.pageSize = pageSize;
+      checkpoint.processed = 0;
+      checkpoint.newCount = 0;
+      checkpoint.updatedCount = 0;
+      checkpoint.startedAt = new Date();
+      checkpoint.completedAt = undefined;
+    }
+
+    checkpoint.status = 'running';
+    checkpoint.lastError = undefined;
+    await checkpoint.save();
+
+    console.log(`🛰️ Catalog ingestion from page ${checkpoint.nextPage} (${checkpoint.pageSize} per page)`);
+
+    const run = { pagesFetched: 0, newCount: 0, updatedCount: 0, skipped: 0 };
+
+    while (run.pagesFetched < maxPages) {
+      let browseData;
+      try {
+        browseData = await this.fetchBrowsePage(checkpoint.nextPage, checkpoint.pageSize);
+      } catch (error) {
+        checkpoint.status = error.rateLimited ? 'paused' : 'failed';
+        checkpoint.lastError = error.message;
+        await checkpoint.save();
+        console.warn(`⏸️ Catalog ingestion ${checkpoint.status} at page ${checkpoint.nextPage}: ${error.message}`);
+        break;
+      }
+
+      const pageAsteroids = browseData.near_earth_objects || [];
+      let result;
+      try {
+        result = await this.bulkUpsertAsteroids(pageAsteroids, { source: 'catalog' });
+      } catch (error) {
+        checkpoint.status = 'failed';
+        checkpoint.lastError = error.message;
+        await checkpoint.save();
+        throw error;
+      }
+
+      run.pagesFetched++;
+      run.newCount += result.newCount;
+      run.updatedCount += result.updatedCount;
+      run.skipped += result.skipped;
+
+      checkpoint.nextPage++;
+      checkpoint.totalPages = browseData.page?.total_pages;
+      checkpoint.totalElements = browseData.page?.total_elements;
+      checkpoint.processed += pageAsteroids.length;
+      checkpoint.newCount += result.newCount;
+      checkpoint.updatedCount += result.updatedCount;
+
+      if (!pageAsteroids.length || checkpoint.nextPage >= checkpoint.totalPages) {
+        checkpoint.status = 'completed';
+        checkpoint.completedAt = new Date();
+      }
+      await checkpoint.save();
+
+      if (checkpoint.status === 'completed') break;
+    }
+
+    // Page budget used up with pages left: resume on the next call
+    if (checkpoint.status === 'running') {
+      checkpoint.status = 'paused';
+      await checkpoint.save();
+    }
+
+    console.log(`✅ Catalog ingestion ${checkpoint.status}: page ${checkpoint.nextPage}/${checkpoint.totalPages ?? '?'}, ${run.newCount} new, ${run.updatedCount} updated`);
+
+    return {
+      status: checkpoint.status,
+      nextPage: checkpoint.nextPage,
+      totalPages: checkpoint.totalPages,
+      totalElements: checkpoint.totalElements,
+      processed: checkpoint.processed,
+      lastError: checkpoint.lastError || null,
+      ...run
+    };
+  }
+
+  async getIngestionStatus() {
+    return IngestionCheckpoint.findOne({ job: CATALOG_JOB }).lean();
+  }
+
   async syncAsteroidData() {
     try {
       console.log('🔄 Syncing asteroid data from NASA API...');
@@ -99,37 +325,10 @@ class NASAApiService {
       const asteroids = Object.values(feedData.near_earth_objects).flat();
       console.log(`📡 Retrieved ${asteroids.length} asteroids from NASA API`);
 
-      let newCount = 0;
-      let updatedCount = 0;
-
-      for (const asteroidData of asteroids) {
-        try {
-          // Process and enhance asteroid data
-          const processedData = this.processAsteroidData(asteroidData);
-          
-          const existingAsteroid = await Asteroid.findOne({
-            neo_reference_id: asteroidData.neo_reference_id
-          });
-
-          if (existingAsteroid) {
-            // Update existing asteroid
-            Object.assign(existingAsteroid, processedData);
-            existingAsteroid.metadata.lastUpdated = new Date();
-            await existingAsteroid.save();
-            updatedCount++;
-          } else {
-            // Create new asteroid
-            const newAsteroid = new Asteroid(processedData);
-            await newAsteroid.save();
-            newCount++;
-          }
-        } catch (error) {
-          console.error(`Error processing asteroid ${asteroidData.neo_reference_id}:`, error.message);
-        }
-      }
+      const { newCount, updatedCount, revisions } = await this.bulkUpsertAsteroids(asteroids, { source: 'feed' });
 
-      console.log(`✅ Asteroid sync complete: ${newCount} new, ${updatedCount} updated`);
-      return { newCount, updatedCount, totalProcessed: asteroids.length };
+      console.log(`✅ Asteroid sync complete: ${newCount} new, ${updatedCount} updated, ${revisions} revised`);
+      return { newCount, updatedCount, revisions, totalProcessed: asteroids.length };
     } catch (error) {
       console.error('❌ Asteroid sync failed:', error.message);
       
@@ -186,13 +385,14 @@ class NASAApiService {
   // Insert fallback data if NASA API is unavailable
   async insertFallbackData() {
     const fallbackData = this.getFallbackAsteroids().map(asteroid => this.processAsteroidData(asteroid));
-    await Asteroid.insertMany(fallbackData);
+    await Asteroid.create(fallbackData); // runs the save hooks that rate each asteroid
     console.log('📦 Fallback asteroid data inserted');
   }
 
   async getPopularAsteroids(limit = 20) {
     try {
       return await Asteroid.find({
+        owner: null,
         'calculatedProperties.averageDiameter': { $exists: true },
         'calculatedProperties.kineticEnergy': { $exists: true }
       })
@@ -208,11 +408,13 @@ class NASAApiService {
     }
   }
 
-  async searchAsteroids(query, limit = 10) {
+  async searchAsteroids(query, limit = 10, ownerId = null) {
     try {
       const searchRegex = new RegExp(query, 'i');
       
+      // Custom impactors only show up for the user who imported them
       return await Asteroid.find({
+        ...Asteroid.visibleTo(ownerId),
         $or: [
           { name: searchRegex },
           { neo_reference_id: searchRegex }
@@ -309,7 +511,10 @@ class NASAApiService {
             kilometers: "38139"
           },
           orbiting_body: "Earth"
-        }]
+        }],
+        orbital_data: {
+          orbit_uncertainty: "0"
+        }
       },
       {
         neo_reference_id: "54016101",
@@ -0,0 +1,388 @@
+const mongoose = require('mongoose');
+const orbit = require('../../../shared/orbit');
+
+/**
+ * Custom impactor import
+ * Turns a JPL Small-Body Database API export, an MPC one-line orbit record
+ * (MPCORB.DAT layout) or hand-entered Keplerian elements into an Asteroid
+ * record shaped like the NeoWs ones. Earth approaches for the next century are
+ * predicted from the elements, so hazard ratings and velocities work as usual.
+ */
+class OrbitImporter {
+  constructor() {
+    this.SOURCES = {
+      sbdb: 'JPL_SBDB',
+      mpc: 'MPC',
+      keplerian: 'manual'
+    };
+    this.KM_PER_AU = orbit.AU_KM;
+    this.MILES_PER_KM = 0.621371;
+    this.GAUSSIAN_MEAN_MOTION = 0.9856076686; // deg/day for a = 1 AU
+    this.APPROACH_HORIZON_YEARS = 100;
+    this.APPROACH_MAX_DISTANCE = 0.05; // AU, the NeoWs close approach cutoff
+    this.PHA_MAX_MOID = 0.05; // AU
+    this.PHA_MAX_H = 22;
+    // Albedo bounds NeoWs uses for its diameter estimates
+    this.ALBEDO_BRIGHT = 0.25;
+    this.ALBEDO_DARK = 0.05;
+    this.MPC_FLAG_PHA = 0x8000;
+    this.MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+  }
+
+  importError(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+  }
+
+  toNumber(value) {
+    if (value === null || value === undefined || value === '') return undefined;
+    const number = parseFloat(value);
+    return isFinite(number) ? number : undefined;
+  }
+
+  /**
+   * Diameter from the absolute magnitude: D = 1329 km / sqrt(p) · 10^(-H/5)
+   * @param {number} absoluteMagnitude - H
+   * @param {number} albedo - Geometric albedo
+   * @returns {number} Diameter in km
+   */
+  diameterFromMagnitude(absoluteMagnitude, albedo) {
+    return (1329 / Math.sqrt(albedo)) * Math.pow(10, -absoluteMagnitude / 5);
+  }
+
+  /**
+   * Parse a JPL SBDB API response (sbd.api with phys-par=1)
+   * @param {object|string} data - Parsed or raw JSON
+   * @returns {object} Normalized orbit record
+   */
+  parseSbdb(data) {
+    let json = data;
+    if (typeof data === 'string') {
+      try {
+        json = JSON.parse(data);
+      } catch (error) {
+        throw this.importError('SBDB export is not valid JSON');
+      }
+    }
+
+    if (json?.list) {
+      throw this.importError('SBDB export matches several objects, export a single one');
+    }
+    if (!json?.object || !json?.orbit) {
+      throw this.importError(json?.message ? `SBDB export: ${json.message}` : 'SBDB export has no object or orbit section');
+    }
+
+    const { object, orbit: solution } = json;
+    const elements = {};
+    (Array.isArray(solution.elements) ? solution.elements : []).forEach(element => {
+      elements[element.name] = this.toNumber(element.value);
+    });
+    const physical = {};
+    (Array.isArray(json.phys_par) ? json.phys_par : []).forEach(parameter => {
+      physical[parameter.name] = parameter.value;
+    });
+
+    const a = elements.a !== undefined ? elements.a : elements.q / (1 - elements.e);
+
+    return {
+      name: object.fullname ? object.fullname.trim() : object.des,
+      designation: object.des,
+      elements: {
+        a,
+        e: elements.e,
+        i: elements.i,
+        node: elements.om,
+        peri: elements.w,
+        M: elements.ma,
+        epoch: this.toNumber(solution.epoch),
+        n: elements.n
+      },
+      absoluteMagnitude: this.toNumber(physical.H),
+      diameter: this.toNumber(physical.diameter),
+      albedo: this.toNumber(physical.albedo),
+      spectralType: physical.spec_B || physical.spec_T,
+      isHazardous: typeof object.pha === 'boolean' ? object.pha : undefined,
+      moid: this.toNumber(solution.moid),
+      tisserand: this.toNumber(solution.t_jup),
+      orbitId: solution.orbit_id || object.orbit_id,
+      uncertainty: solution.condition_code,
+      firstObservation: solution.first_obs,
+      lastObservation: solution.last_obs,
+      arcDays: this.toNumber(solution.data_arc),
+      observations: this.toNumber(solution.n_obs_used),
+      url: object.des ? `https://ssd.jpl.nasa.gov/tools/sbdb_lookup.html#/?sstr=${encodeURIComponent(object.des)}` : undefined
+    };
+  }
+
+  // MPC packed digits: 0-9, A-Z for 10-35, a-z for 36-61
+  unpackDigit(char) {
+    if (/[0-9]/.test(char)) return Number(char);
+    if (/[A-Z]/.test(char)) return char.charCodeAt(0) - 55;
+    if (/[a-z]/.test(char)) return char.charCodeAt(0) - 61;
+    return NaN;
+  }
+
+  /**
+   * Unpack an MPC packed epoch, e.g. K2555 for 2025-05-05 (0h TT)
+   * @param {string} packed - 5-character packed date
+   * @returns {number} Julian date
+   */
+  unpackEpoch(packed) {
+    const century = { I: 18, J: 19, K: 20 }[packed[0]];
+    const year = century * 100 + Number(packed.slice(1, 3));
+    const month = this.unpackDigit(packed[3]);
+    const day = this.unpackDigit(packed[4]);
+    if (!century || isNaN(year) || !(month >= 1 && month <= 12) || !(day >= 1 && day <= 31)) {
+      throw this.importError(`MPC record has an invalid epoch "${packed}"`);
+    }
+    return orbit.toJulianDate(Date.UTC(year, month - 1, day));
+  }
+
+  /**
+   * Unpack an MPC packed designation: 00433 → 433, A1955 → 101955, K04M04N → 2004 MN4
+   * @param {string} packed - Packed designation
+   * @returns {string} Readable designation, or the input when not recognised
+   */
+  unpackDesignation(packed) {
+    if (/^[0-9A-Za-z]\d{4}$/.test(packed)) {
+      return String(this.unpackDigit(packed[0]) * 10000 + Number(packed.slice(1)));
+    }
+    const provisional = packed.match(/^([IJK])(\d{2})([A-Z])([0-9A-Za-z])(\d)([A-Z])$/);
+    if (provisional) {
+      const [, century, year, halfMonth, cycleHigh, cycleLow, order] = provisional;
+      const cycle = this.unpackDigit(cycleHigh) * 10 + Number(cycleLow);
+      return `${{ I: 18, J: 19, K: 20 }[century]}${year} ${halfMonth}${order}${cycle || ''}`;
+    }
+    return packed;
+  }
+
+  /**
+   * Parse one MPC orbit record in the MPCORB.DAT column layout
+   * @param {string} text - The record; the first non-blank line is used
+   * @returns {object} Normalized orbit record
+   */
+  parseMpc(text) {
+    const line = String(text).split(/\r?\n/).find(row => row.trim());
+    if (!line || line.length < 103) {
+      throw this.importError('MPC record is too short, expected the MPCORB.DAT column layout');
+    }
+
+    // Columns are 1-based in the MPC documentation
+    const field = (from, to) => line.slice(from - 1, to).trim();
+    const packed = field(1, 7);
+    const numbers = {
+      absoluteMagnitude: this.toNumber(field(9, 13)),
+      M: this.toNumber(field(27, 35)),
+      peri: this.toNumber(field(38, 46)),
+      node: this.toNumber(field(49, 57)),
+      i: this.toNumber(field(60, 68)),
+      e: this.toNumber(field(71, 79)),
+      n: this.toNumber(field(81, 91)),
+      a: this.toNumber(field(93, 103))
+    };
+    if (!packed || ['M', 'peri', 'node', 'i', 'e', 'a'].some(key => numbers[key] === undefined)) {
+      throw this.importError('MPC record has missing or misaligned orbital elements');
+    }
+
+    const arc = field(128, 136);
+    const arcDays = arc.match(/^(\d+)\s*days$/);
+    const arcYears = arc.match(/^(\d{4})-(\d{4})$/);
+    const lastObservation = field(195, 202);
+    const flags = parseInt(field(162, 165), 16);
+    const uncertainty = field(106, 106);
+
+    return {
+      name: field(167, 194) || this.unpackDesignation(packed),
+      designation: this.unpackDesignation(packed),
+      elements: {
+        a: numbers.a,
+        e: numbers.e,
+        i: numbers.i,
+        node: numbers.node,
+        peri: numbers.peri,
+        M: numbers.M,
+        epoch: this.unpackEpoch(field(21, 25)),
+        n: numbers.n
+      },
+      absoluteMagnitude: numbers.absoluteMagnitude,
+      isHazardous: isNaN(flags) ? undefined : Boolean(flags & this.MPC_FLAG_PHA),
+      orbitId: field(108, 116) || undefined,
+      uncertainty: /^\d$/.test(uncertainty) ? uncertainty : undefined,
+      firstObservation: arcYears ? arcYears[1] : undefined,
+      lastObservation: /^\d{8}$/.test(lastObservation)
+        ? `${lastObservation.slice(0, 4)}-${lastObservation.slice(4, 6)}-${lastObservation.slice(6, 8)}`
+        : undefined,
+      arcDays: arcDays ? Number(arcDays[1]) : undefined,
+      observations: this.toNumber(field(118, 122))
+    };
+  }
+
+  /**
+   * Normalize hand-entered Keplerian elements (validated by schemas.asteroidImport)
+   * @param {object} form - { semiMajorAxis, eccentricity, inclination, ascendingNode, perihelionArgument, meanAnomaly, epoch, absoluteMagnitude, diameter (m), albedo, spectralType }
+   * @returns {object} Normalized orbit record
+   */
+  parseKeplerian(form) {
+    return {
+      name: form.name,
+      elements: {
+        a: form.semiMajorAxis,
+        e: form.eccentricity,
+        i: form.inclination,
+        node: form.ascendingNode,
+        peri: form.perihelionArgument,
+        M: form.meanAnomaly,
+        epoch: orbit.toJulianDate(form.epoch)
+      },
+      absoluteMagnitude: form.absoluteMagnitude,
+      diameter: form.diameter !== undefined ? form.diameter / 1000 : undefined,
+      albedo: form.albedo,
+      spectralType: form.spectralType
+    };
+  }
+
+  /**
+   * Parse an import in any supported format
+   * @param {string} format - sbdb, mpc or keplerian
+   * @param {object|string} data - Export contents or form values
+   * @returns {object} Normalized orbit record
+   */
+  parse(format, data) {
+    switch (format) {
+      case 'sbdb':
+        return this.parseSbdb(data);
+      case 'mpc':
+        return this.parseMpc(data);
+      case 'keplerian':
+        return this.parseKeplerian(data);
+      default:
+        throw this.importError(`Unsupported import format: ${format}`);
+    }
+  }
+
+  // NeoWs-style close approach entry from a predicted approach
+  formatApproach(approach) {
+    const date = approach.date;
+    const pad = value => String(value).padStart(2, '0');
+    const day = `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}`;
+
+    return {
+      close_approach_date: day,
+      close_approach_date_full: `${date.getUTCFullYear()}-${this.MONTH_NAMES[date.getUTCMonth()]}-${pad(date.getUTCDate())} ${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}`,
+      epoch_date_close_approach: date.getTime(),
+      relative_velocity: {
+        kilometers_per_second: String(approach.relativeVelocity),
+        kilometers_per_hour: String(approach.relativeVelocity * 3600),
+        miles_per_hour: String(approach.relativeVelocity * 3600 * this.MILES_PER_KM)
+      },
+      miss_distance: {
+        astronomical: String(approach.distanceAU),
+        lunar: String(approach.distanceLunar),
+        kilometers: String(approach.distanceKm),
+        miles: String(approach.distanceKm * this.MILES_PER_KM)
+      },
+      orbiting_body: 'Earth'
+    };
+  }
+
+  /**
+   * Build the Asteroid document of a parsed record
+   * @param {object} record - Normalized orbit record
+   * @param {object} options - Import options
+   * @param {string} options.format - sbdb, mpc or keplerian
+   * @param {string} options.owner - Id of the importing user
+   * @param {Date} [options.now] - Start of the approach prediction window
+   * @returns {object} Fields for a new Asteroid
+   */
+  buildAsteroid(record, { format, owner, now = new Date() }) {
+    const { elements } = record;
+    if (['a', 'e', 'i', 'node', 'peri', 'M', 'epoch'].some(key => !isFinite(elements[key]))) {
+      throw this.importError('Orbit is missing elements: a, e, i, node, peri, M and epoch are required');
+    }
+    if (!(elements.e >= 0 && elements.e < 1) || !(elements.a > 0)) {
+      throw this.importError('Only elliptic orbits (0 ≤ e < 1) can be imported');
+    }
+
+    let diameterMin;
+    let diameterMax;
+    if (record.diameter > 0) {
+      diameterMin = diameterMax = record.diameter;
+    } else if (isFinite(record.absoluteMagnitude)) {
+      diameterMin = this.diameterFromMagnitude(record.absoluteMagnitude, record.albedo || this.ALBEDO_BRIGHT);
+      diameterMax = this.diameterFromMagnitude(record.absoluteMagnitude, record.albedo || this.ALBEDO_DARK);
+    } else {
+      throw this.importError('An absolute magnitude or a diameter is required to size the impactor');
+    }
+
+    const n = elements.n > 0 ? elements.n : this.GAUSSIAN_MEAN_MOTION / Math.pow(elements.a, 1.5);
+    const fromJd = orbit.toJulianDate(now);
+    const approaches = orbit.findCloseApproaches(
+      { ...elements, n },
+      fromJd,
+      fromJd + this.APPROACH_HORIZON_YEARS * 365.25,
+      { maxDistance: this.APPROACH_MAX_DISTANCE }
+    );
+
+    const isHazardous = record.isHazardous !== undefined
+      ? record.isHazardous
+      : record.moid !== undefined && record.moid <= this.PHA_MAX_MOID &&
+        isFinite(record.absoluteMagnitude) && record.absoluteMagnitude <= this.PHA_MAX_H;
+
+    const _id = new mongoose.Types.ObjectId();
+    const toString = value => (value === undefined || value === null ? undefined : String(value));
+
+    return {
+      _id,
+      neo_reference_id: `custom-${_id}`,
+      name: record.name,
+      owner,
+      nasa_jpl_url: record.url,
+      absolute_magnitude_h: record.absoluteMagnitude,
+      estimated_diameter: {
+        kilometers: {
+          estimated_diameter_min: diameterMin,
+          estimated_diameter_max: diameterMax
+        },
+        meters: {
+          estimated_diameter_min: diameterMin * 1000,
+          estimated_diameter_max: diameterMax * 1000
+        }
+      },
+      is_potentially_hazardous_asteroid: isHazardous,
+      physical_properties: {
+        spectral_type: record.spectralType,
+        albedo: record.albedo,
+        diameter: record.diameter
+      },
+      close_approach_data: approaches.map(approach => this.formatApproach(approach)),
+      orbital_data: {
+        orbit_id: toString(record.orbitId),
+        first_observation_date: record.firstObservation,
+        last_observation_date: record.lastObservation,
+        data_arc_in_days: record.arcDays,
+        observations_used: record.observations,
+        orbit_uncertainty: toString(record.uncertainty),
+        minimum_orbit_intersection: toString(record.moid),
+        jupiter_tisserand_invariant: toString(record.tisserand),
+        epoch_osculation: String(elements.epoch),
+        eccentricity: String(elements.e),
+        semi_major_axis: String(elements.a),
+        inclination: String(elements.i),
+        ascending_node_longitude: String(elements.node),
+        perihelion_argument: String(elements.peri),
+        mean_anomaly: String(elements.M),
+        mean_motion: String(n),
+        orbital_period: String(360 / n),
+        perihelion_distance: String(elements.a * (1 - elements.e)),
+        aphelion_distance: String(elements.a * (1 + elements.e))
+      },
+      metadata: {
+        source: this.SOURCES[format],
+        designation: record.designation
+      }
+    };
+  }
+}
+
+module.exports = new OrbitImporter();
@@ -0,0 +1,90 @@
+/**
+ * Change tracking for NASA asteroid solutions
+ * Compares an incoming NeoWs record with the stored one and lists what NASA
+ * revised: diameter estimates, orbit solution, hazardous flag and approaches.
+ */
+class RevisionTracker {
+  constructor() {
+    this.TRACKED_FIELDS = [
+      'estimated_diameter.meters.estimated_diameter_min',
+      'estimated_diameter.meters.estimated_diameter_max',
+      'is_potentially_hazardous_asteroid',
+      'orbital_data.orbit_id'
+    ];
+    this.RELATIVE_TOLERANCE = 1e-9; // float noise from unit conversions is not a revision
+  }
+
+  getPath(object, path) {
+    return path.split('.').reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), object);
+  }
+
+  isEqual(previous, current) {
+    if (typeof previous === 'number' && typeof current === 'number') {
+      return Math.abs(previous - current) <= this.RELATIVE_TOLERANCE * Math.max(Math.abs(previous), Math.abs(current));
+    }
+    return previous === current;
+  }
+
+  /**
+   * Identity of a close approach across syncs
+   * @param {object} approach - NeoWs close approach
+   * @returns {string} Key from the encounter time and body
+   */
+  approachKey(approach) {
+    return `${approach.close_approach_date_full || approach.close_approach_date}|${approach.orbiting_body || 'Earth'}`;
+  }
+
+  /**
+   * Union of stored and incoming approaches in time order, incoming values win.
+   * The feed only lists the current week, so replacing the list would drop the
+   * approaches known from the catalog.
+   * @param {Array} previous - Stored close approaches
+   * @param {Array} incoming - Close approaches from NASA
+   * @returns {Array} Merged close approaches
+   */
+  mergeApproaches(previous = [], incoming = []) {
+    const byKey = new Map();
+    previous.forEach(approach => byKey.set(this.approachKey(approach), approach));
+    incoming.forEach(approach => byKey.set(this.approachKey(approach), approach));
+
+    const approachTime = approach => approach.epoch_date_close_approach || new Date(approach.close_approach_date).getTime();
+    return Array.from(byKey.values()).sort((a, b) => approachTime(a) - approachTime(b));
+  }
+
+  /**
+   * Revised fields and newly listed approaches of one asteroid
+   * @param {object} previous - Stored asteroid, null when it is new
+   * @param {object} incoming - Asteroid data from NASA
+   * @returns {object} { changes: [{ field, previous, current }], newApproaches }
+   */
+  diff(previous, incoming) {
+    const changes = [];
+
+    this.TRACKED_FIELDS.forEach(field => {
+      const current = this.getPath(incoming, field);
+      // Missing from the incoming record means not reported (the feed has no orbit), not removed
+      if (current === undefined) return;
+
+      const before = previous ? this.getPath(previous, field) : undefined;
+      if (before === undefined || !this.isEqual(before, current)) {
+        changes.push({ field, previous: before ?? null, current });
+      }
+    });
+
+    const knownApproaches = new Set((previous?.close_approach_data || []).map(approach => this.approachKey(approach)));
+    const newApproaches = previous
+      ? (incoming.close_approach_data || [])
+        .filter(approach => !knownApproaches.has(this.approachKey(approach)))
+        .map(approach => ({
+          close_approach_date: approach.close_approach_date_full || approach.close_approach_date,
+          orbiting_body: approach.orbiting_body,
+          miss_distance_km: parseFloat(approach.miss_distance?.kilometers),
+          relative_velocity_kms: parseFloat(approach.relative_velocity?.kilometers_per_second)
+        }))
+      : [];
+
+    return { changes, newApproaches };
+  }
+}
+
+module.exports = new RevisionTracker();
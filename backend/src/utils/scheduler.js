@@ -0,0 +1,145 @@
+const JobRun = require('../models/JobRun');
+const { parseCron } = require('./cron');
+
+/**
+ * In-process job scheduler
+ * Each registered job has a cron schedule and a handler returning its counts.
+ * Every run, scheduled or manual, is persisted as a JobRun with its status and
+ * duration; a job never overlaps with itself within this process.
+ */
+class JobScheduler {
+  constructor() {
+    this.jobs = new Map();
+    this.started = false;
+    this.MAX_TIMEOUT = 2147483647; // setTimeout limit (~24.8 days), longer waits are re-armed
+  }
+
+  /**
+   * Register a job
+   * @param {string} name - Job identifier
+   * @param {object} definition - Job definition
+   * @param {string} definition.description - What the job does
+   * @param {string|null} definition.schedule - Cron expression, null or 'off' for manual-only jobs
+   * @param {Function} definition.handler - Async function returning the counts to persist
+   */
+  register(name, { description, schedule, handler }) {
+    const enabled = Boolean(schedule) && schedule !== 'off';
+
+    this.jobs.set(name, {
+      name,
+      description,
+      schedule: enabled ? schedule : null,
+      cron: enabled ? parseCron(schedule) : null,
+      handler,
+      running: null,
+      timer: null,
+      nextRunAt: null
+    });
+
+    if (this.started) this.arm(this.jobs.get(name));
+  }
+
+  arm(job) {
+    clearTimeout(job.timer);
+    job.nextRunAt = job.cron ? job.cron.next() : null;
+    if (!job.nextRunAt) return;
+
+    const delay = Math.min(job.nextRunAt.getTime() - Date.now(), this.MAX_TIMEOUT);
+    job.timer = setTimeout(() => {
+      if (Date.now() < job.nextRunAt.getTime()) {
+        this.arm(job);
+        return;
+      }
+      this.runJob(job.name, { trigger: 'schedule' })
+        .catch(error => console.error(`⏰ Scheduled job ${job.name} failed:`, error.message))
+        .finally(() => this.arm(job));
+    }, Math.max(delay, 0));
+    // Timers alone should not keep scripts alive
+    job.timer.unref();
+  }
+
+  start() {
+    if (this.started) return;
+    this.started = true;
+    this.jobs.forEach(job => this.arm(job));
+
+    const scheduled = Array.from(this.jobs.values()).filter(job => job.nextRunAt);
+    console.log(`⏰ Job scheduler started: ${scheduled.map(job => `${job.name} (${job.schedule})`).join(', ') || 'no scheduled jobs'}`);
+  }
+
+  stop() {
+    this.started = false;
+    this.jobs.forEach(job => {
+      clearTimeout(job.timer);
+      job.timer = null;
+      job.nextRunAt = null;
+    });
+  }
+
+  /**
+   * Run a job now and persist the run
+   * @param {string} name - Job identifier
+   * @param {object} [options] - Run options
+   * @param {string} [options.trigger='manual'] - schedule, manual or api
+   * @param {string} [options.triggeredBy] - Id of the user who started it
+   * @param {boolean} [options.wait=true] - Resolve when the job finishes, or as soon as the run is recorded
+   * @returns {Promise<object>} The JobRun document
+   */
+  async runJob(name, { trigger = 'manual', triggeredBy, wait = true } = {}) {
+    const job = this.jobs.get(name);
+    if (!job) {
+      const error = new Error(`Unknown job: ${name}`);
+      error.status = 404;
+      throw error;
+    }
+    if (job.running) {
+      const error = new Error(`Job ${name} is already running`);
+      error.status = 409;
+      throw error;
+    }
+
+    // Claim the job before the first await so concurrent triggers see it running
+    job.running = true;
+    const run = new JobRun({ job: name, trigger, triggeredBy });
+    try {
+      await run.save();
+    } catch (error) {
+      job.running = null;
+      throw error;
+    }
+    console.log(`⏰ Job ${name} started (${trigger})`);
+
+    job.running = (async () => {
+      try {
+        run.counts = await job.handler();
+        run.status = 'succeeded';
+      } catch (error) {
+        run.status = 'failed';
+        run.error = error.message;
+        console.error(`❌ Job ${name} failed:`, error.message);
+      } finally {
+        run.finishedAt = new Date();
+        run.durationMs = run.finishedAt - run.startedAt;
+        await run.save().catch(error => console.error(`Failed to record run of job ${name}:`, error.message));
+        job.running = null;
+        console.log(`⏰ Job ${name} ${run.status} in ${run.durationMs} ms`);
+      }
+      return run;
+    })();
+
+    return wait ? job.running : run;
+  }
+
+  // Public description of the registered jobs
+  listJobs() {
+    return Array.from(this.jobs.values()).map(job => ({
+      name: job.name,
+      description: job.description,
+      schedule: job.schedule,
+      nextRunAt: job.nextRunAt,
+      running: Boolean(job.running)
+    }));
+  }
+}
+
+module.exports = new JobScheduler();
@@ -0,0 +1,256 @@
+const geodata = require('./geodata');
+const impactPhysics = require('../../../shared/impactPhysics');
+
+/**
+ * Impact tsunami model
+ * Source amplitude and 1/r decay after Ward & Asphaug (2000) as used in the
+ * Earth Impact Effects Program, shallow-water travel times over the bundled
+ * bathymetry grid and Ward & Asphaug run-up scaling at the coastline segments.
+ */
+class TsunamiModel {
+  constructor() {
+    this.GRAVITY = 9.81; // m/s²
+    this.WATER_DENSITY = 1000; // kg/m³
+    this.STEP_KM = 25; // ray marching step
+    this.MAX_DISTANCE_KM = 20000; // half the Earth's circumference
+    this.MIN_AMPLITUDE = 0.1; // m, waves below this are not tracked
+    this.MIN_DEPTH = 50; // m, depth used for coastal grid cells
+    this.COAST_TOLERANCE_KM = 150; // land closer than this to either end does not block a ray
+    this.BREAKING_RATIO = 0.78; // maximum wave height to depth ratio
+    this.ISOCHRONE_AZIMUTHS = 72;
+    this.ISOCHRONE_MAX_HOURS = 24;
+    this.MAX_SEGMENTS = 50; // coastline segments kept in the results
+  }
+
+  /**
+   * Calculate the tsunami generated by an ocean impact
+   * @param {object} params - Impact parameters
+   * @param {number} params.latitude - Impact latitude in degrees
+   * @param {number} params.longitude - Impact longitude in degrees
+   * @param {number} params.diameter - Impactor diameter in meters
+   * @param {number} params.velocity - Velocity at the water surface in m/s
+   * @param {number} params.angle - Impact angle in degrees from horizontal
+   * @param {number} params.density - Impactor density in kg/m³
+   * @param {number} params.waterDepth - Water depth at the impact site in meters
+   * @returns {object|null} Tsunami source, decay, isochrones and coastal run-up; null without a wave
+   */
+  calculateTsunami({ latitude, longitude, diameter, velocity, angle, density, waterDepth }) {
+    if (!(waterDepth > 0) || !(velocity > 0)) return null;
+
+    // Transient cavity in the water column
+    const cavityDiameter = impactPhysics.transientCraterDiameter({
+      diameter,
+      velocity,
+      angle,
+      density,
+      targetDensity: this.WATER_DENSITY
+    });
+    const cavityRadius = cavityDiameter / 2000; // km
+    const sourceAmplitude = Math.min(cavityDiameter / 14.1, waterDepth); // m
+
+    if (sourceAmplitude < this.MIN_AMPLITUDE) return null;
+
+    const source = { latitude, longitude, cavityRadius, sourceAmplitude, waterDepth };
+
+    return {
+      sourceAmplitude, // m
+      cavityRadius, // km
+      amplitudeProfile: this.buildAmplitudeProfile(source),
+      isochrones: this.buildIsochrones(source),
+      coastalRunup: this.estimateCoastalRunup(source)
+    };
+  }
+
+  /**
+   * Deep-water amplitude at a distance from the impact
+   * @param {object} source - Tsunami source
+   * @param {number} distance - Distance in kilometers
+   * @returns {number} Amplitude in meters
+   */
+  amplitudeAt(source, distance) {
+    if (distance <= source.cavityRadius) return source.sourceAmplitude;
+    return source.sourceAmplitude * source.cavityRadius / distance;
+  }
+
+  // Distance beyond which the wave drops below MIN_AMPLITUDE
+  maxRange(source) {
+    return Math.min(
+      source.sourceAmplitude * source.cavityRadius / this.MIN_AMPLITUDE,
+      this.MAX_DISTANCE_KM
+    );
+  }
+
+  // Amplitude sampled from the cavity rim to the edge of the tracked wave
+  buildAmplitudeProfile(source) {
+    const inner = Math.max(source.cavityRadius, 1);
+    const outer = Math.max(this.maxRange(source), inner * 10);
+    const profile = [];
+    for (let i = 0; i < 10; i++) {
+      const distance = inner * Math.pow(outer / inner, i / 9);
+      profile.push({
+        distance, // km
+        amplitude: this.amplitudeAt(source, distance) // m
+      });
+    }
+    return profile;
+  }
+
+  /**
+   * March along a great circle accumulating shallow-water travel time
+   * @param {object} source - Tsunami source
+   * @param {number} bearing - Direction in degrees
+   * @param {number} maxDistance - Distance to march in kilometers
+   * @param {function} [onStep] - Called with (point, distance, time) after every step
+   * @returns {object} { blocked, distance, time } where the ray stopped
+   */
+  marchRay(source, bearing, maxDistance, onStep) {
+    let time = 0;
+    let distance = 0;
+
+    while (distance < maxDistance) {
+      const step = Math.min(this.STEP_KM, maxDistance - distance);
+      const midpoint = geodata.destinationPoint(source.latitude, source.longitude, bearing, distance + step / 2);
+      const depth = geodata.getGridDepth(midpoint.lat, midpoint.lng);
+
+      // Land in open water blocks the wave; coarse coastal cells near either end do not
+      const nearEnds = distance < this.COAST_TOLERANCE_KM || maxDistance - distance < this.COAST_TOLERANCE_KM;
+      if (depth === 0 && !nearEnds) {
+        return { blocked: true, distance, time };
+      }
+
+      time += (step * 1000) / Math.sqrt(this.GRAVITY * Math.max(depth, this.MIN_DEPTH));
+      distance += step;
+
+      if (onStep) {
+        onStep(geodata.destinationPoint(source.latitude, source.longitude, bearing, distance), distance, time);
+      }
+    }
+
+    return { blocked: false, distance, time };
+  }
+
+  /**
+   * Travel-time isochrones: hourly wave fronts traced along radial rays
+   * @param {object} source - Tsunami source
+   * @returns {Array} [{ hours, paths: [[[lat, lng], ...], ...] }]
+   */
+  buildIsochrones(source) {
+    const range = this.maxRange(source);
+    const fronts = {}; // hours -> point per azimuth (null where the ray never got there)
+
+    for (let i = 0; i < this.ISOCHRONE_AZIMUTHS; i++) {
+      const bearing = (360 * i) / this.ISOCHRONE_AZIMUTHS;
+      let nextHour = 1;
+
+      this.marchRay(source, bearing, range, (point, distance, time) => {
+        while (nextHour <= this.ISOCHRONE_MAX_HOURS && time >= nextHour * 3600) {
+          fronts[nextHour] = fronts[nextHour] || new Array(this.ISOCHRONE_AZIMUTHS).fill(null);
+          fronts[nextHour][i] = [point.lat, point.lng];
+          nextHour++;
+        }
+      });
+    }
+
+    return Object.keys(fronts)
+      .map(Number)
+      .sort((a, b) => a - b)
+      .map(hours => ({ hours, paths: this.splitFront(fronts[hours]) }))
+      .filter(isochrone => isochrone.paths.length > 0);
+  }
+
+  // Join consecutive azimuths into polylines, breaking where a ray was blocked
+  splitFront(points) {
+    const paths = [];
+    let current = [];
+
+    points.forEach(point => {
+      if (point) {
+        current.push(point);
+      } else if (current.length) {
+        paths.push(current);
+        current = [];
+      }
+    });
+
+    // Close the ring when the front wraps around uninterrupted
+    if (current.length) {
+      if (points[0] && paths.length) {
+        paths[0] = current.concat(paths[0]);
+      } else {
+        if (points[0]) current.push(current[0]);
+        paths.push(current);
+      }
+    }
+
+    return paths.filter(path => path.length > 1);
+  }
+
+  /**
+   * Run-up height on the shore (Ward & Asphaug 2000: R = A^(4/5) h^(1/5))
+   * @param {number} amplitude - Wave amplitude at the foot of the beach in meters
+   * @param {number} depth - Water depth at the foot of the beach in meters
+   * @returns {number} Run-up height in meters
+   */
+  calculateRunup(amplitude, depth) {
+    return Math.pow(amplitude, 0.8) * Math.pow(depth, 0.2);
+  }
+
+  /**
+   * Estimate arrival time and run-up for every reachable coastline segment
+   * @param {object} source - Tsunami source
+   * @returns {Array} Segments sorted by run-up, highest first
+   */
+  estimateCoastalRunup(source) {
+    const range = this.maxRange(source);
+    const estimates = [];
+
+    geodata.getCoastlineSegments().forEach(segment => {
+      // Closest point of the segment to the impact (the last point is shared with the next segment)
+      let target = null;
+      let targetDistance = Infinity;
+      const points = segment.points.length > 2 ? segment.points.slice(0, -1) : segment.points;
+      points.forEach(([lng, lat]) => {
+        const distance = geodata.distanceKm(source.latitude, source.longitude, lat, lng);
+        if (distance < targetDistance) {
+          targetDistance = distance;
+          target = { lat, lng };
+        }
+      });
+
+      if (targetDistance > range) return;
+
+      const bearing = geodata.bearing(source.latitude, source.longitude, target.lat, target.lng);
+      const ray = this.marchRay(source, bearing, targetDistance);
+      if (ray.blocked) return;
+
+      // Green's law shoaling from the impact site depth to the foot of the beach
+      const offshoreDepth = Math.max(segment.offshoreDepth, this.MIN_DEPTH);
+      const deepAmplitude = this.amplitudeAt(source, targetDistance);
+      const offshoreAmplitude = Math.min(
+        deepAmplitude * Math.pow(source.waterDepth / offshoreDepth, 0.25),
+        this.BREAKING_RATIO * offshoreDepth
+      );
+      const runup = this.calculateRunup(offshoreAmplitude, offshoreDepth);
+
+      if (runup < this.MIN_AMPLITUDE) return;
+
+      estimates.push({
+        segmentId: segment.id,
+        country: segment.country,
+        countryCode: segment.countryCode,
+        location: { lat: target.lat, lng: target.lng },
+        distance: targetDistance, // km
+        arrivalTime: ray.time, // s
+        offshoreAmplitude, // m
+        runup, // m
+        points: segment.points.map(([lng, lat]) => [lat, lng])
+      });
+    });
+
+    return estimates
+      .sort((a, b) => b.runup - a.runup)
+      .slice(0, this.MAX_SEGMENTS);
+  }
+}
+
+module.exports = new TsunamiModel();
@@ -0,0 +1,89 @@
+const impactCalculator = require('./src/utils/impactCalculator');
+
+// Offline check that blast damage grows with the impactor: sweeps the diameter
+// across the size where bodies stop airbursting and reach the ground, then
+// runs bodies like the Tunguska and Chelyabinsk impactors.
+// Needs no database: runs the calculator directly.
+const LOCATION = { lat: 40.42, lng: -3.70 }; // Madrid, on land
+const DIAMETERS = Array.from({ length: 30 }, (_, i) => 10 * (i + 1)); // m
+const VELOCITIES = [15, 19, 25]; // km/s
+const TIERS = Object.keys(impactCalculator.OVERPRESSURE_THRESHOLDS);
+const JOULES_PER_MEGATON = 4.184e15;
+
+let failures = 0;
+const check = (label, condition, detail) => {
+  console.log(`${condition ? '✅' : '❌'} ${label}${detail ? ` (${detail})` : ''}`);
+  if (!condition) failures++;
+};
+
+const simulate = (diameter, velocity, angle = 45) => impactCalculator.runDetailedSimulation({
+  asteroid: { name: `${diameter} m`, estimated_diameter: { meters: { estimated_diameter_min: diameter, estimated_diameter_max: diameter } } },
+  impactLocation: LOCATION,
+  impactAngle: angle,
+  impactVelocity: velocity,
+  composition: 'stony',
+  includeTsunami: false
+});
+
+function testBlastRadii() {
+  try {
+    console.log('🧪 Testing blast radii across the airburst/surface boundary');
+
+    VELOCITIES.forEach(velocity => {
+      const runs = DIAMETERS.map(diameter => ({ diameter, ...simulate(diameter, velocity) }));
+      const firstSurface = runs.findIndex(run => run.impactType === 'surface');
+      check(`${velocity} km/s: small bodies airburst and large ones reach the ground`,
+        firstSurface > 0 && runs.slice(firstSurface).every(run => run.impactType === 'surface'),
+        firstSurface > 0 ? `surface from ${runs[firstSurface].diameter} m` : 'no boundary in range');
+      if (firstSurface <= 0) return;
+
+      const lastAirburst = runs[firstSurface - 1];
+      const surface = runs[firstSurface];
+      TIERS.forEach(tier => {
+        const before = lastAirburst.detailedEffects.blastRadius[tier];
+        const after = surface.detailedEffects.blastRadius[tier];
+        check(`${velocity} km/s: ${tier} does not shrink at the boundary`, after >= before,
+          `${lastAirburst.diameter} m airburst ${before.toFixed(2)} km → ${surface.diameter} m surface ${after.toFixed(2)} km`);
+      });
+
+      const surfaceRuns = runs.slice(firstSurface);
+      TIERS.forEach(tier => {
+        const growing = surfaceRuns.every((run, i) =>
+          i === 0 || run.detailedEffects.blastRadius[tier] >= surfaceRuns[i - 1].detailedEffects.blastRadius[tier]);
+        check(`${velocity} km/s: surface ${tier} grows with diameter`, growing);
+      });
+    });
+
+    // Tunguska (1908): about 8 Mt at entry, forest flattened and scorched for kilometers
+    const tunguska = simulate(60, 15, 45);
+    const tunguskaEntry = tunguska.detailedEffects.atmosphericEntry;
+    const tunguskaMt = tunguskaEntry.burstEnergy / JOULES_PER_MEGATON;
+    check('Tunguska-like body airbursts', tunguska.impactType === 'airburst');
+    check('Tunguska-like body releases most of its entry energy in the burst', tunguskaEntry.burstEnergy >= 0.8 * tunguska.energy,
+      `${tunguskaMt.toFixed(2)} of ${(tunguska.energy / JOULES_PER_MEGATON).toFixed(2)} Mt`);
+    check('Tunguska-like body causes heavy blast damage', tunguska.detailedEffects.blastRadius.heavyDamage > 0,
+      `${tunguska.detailedEffects.blastRadius.heavyDamage.toFixed(2)} km`);
+    check('Tunguska-like body causes burns', tunguska.detailedEffects.thermalEffects.secondDegreeBurns > 0,
+      `${tunguska.detailedEffects.thermalEffects.secondDegreeBurns.toFixed(2)} km`);
+
+    // Chelyabinsk (2013): about 0.4-0.5 Mt at entry, deposited around 30 km up
+    const chelyabinsk = simulate(19, 19, 18);
+    const chelyabinskEntry = chelyabinsk.detailedEffects.atmosphericEntry;
+    const chelyabinskMt = chelyabinskEntry.burstEnergy / JOULES_PER_MEGATON;
+    check('Chelyabinsk-like body airbursts high up', chelyabinsk.impactType === 'airburst' && chelyabinskEntry.burstAltitude > 20,
+      `${chelyabinskEntry.burstAltitude.toFixed(1)} km`);
+    check('Chelyabinsk-like body releases what it lost before the burst',
+      chelyabinskMt > 0 && chelyabinskEntry.burstEnergy <= chelyabinskEntry.energyDeposited,
+      `${chelyabinskMt.toFixed(3)} Mt`);
+
+    console.log(failures ? `\n❌ ${failures} check(s) failed` : '\n🎉 Blast radii grow across the airburst/surface boundary and match known airbursts');
+  } catch (error) {
+    console.error('❌ Blast radii test failed:');
+    console.error(`   Error: ${error.message}`);
+    failures++;
+  } finally {
+    process.exitCode = failures ? 1 : 0;
+  }
+}
+
+testBlastRadii();
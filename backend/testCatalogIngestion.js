@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+const { createNasaApiMock } = require('./mock/nasaApiMock');
+
+const MOCK_PORT = 5056;
+process.env.NASA_API_BASE_URL = `http://localhost:${MOCK_PORT}/neo/rest/v1`;
+process.env.NASA_API_KEY = 'MOCK_KEY_FOR_TESTS';
+
+const nasaApi = require('./src/utils/nasaApi');
+const Asteroid = require('./src/models/Asteroid');
+const IngestionCheckpoint = require('./src/models/IngestionCheckpoint');
+const AsteroidRevision = require('./src/models/AsteroidRevision');
+
+// Offline check of the catalog ingestion against the fixture-backed NASA mock.
+// Uses its own database, which is wiped first.
+const TEST_DB = process.env.MONGODB_TEST_URI || 'mongodb://localhost:27017/astroimpact_ingestion_test';
+
+let failures = 0;
+const check = (label, condition, detail) => {
+  console.log(`${condition ? '✅' : '❌'} ${label}${detail ? ` (${detail})` : ''}`);
+  if (!condition) failures++;
+};
+
+async function testCatalogIngestion() {
+  const mock = createNasaApiMock({ rateLimitAfter: 2 });
+  const server = await mock.listen(MOCK_PORT);
+
+  try {
+    await mongoose.connect(TEST_DB);
+    await Asteroid.deleteMany({});
+    await IngestionCheckpoint.deleteMany({});
+    await AsteroidRevision.deleteMany({});
+    console.log(`🧪 Testing catalog ingestion against the NASA mock (${TEST_DB})`);
+
+    // The key runs out after two pages: the run pauses with its position saved
+    const first = await nasaApi.ingestCatalog({ restart: true });
+    check('First run pauses on the rate limit', first.status === 'paused', first.lastError);
+    check('Two pages ingested before the limit', first.pagesFetched === 2 && first.nextPage === 2, `next page ${first.nextPage}`);
+    check('Six asteroids inserted', (await Asteroid.countDocuments()) === 6);
+
+    const checkpoint = await IngestionCheckpoint.findOne({ job: 'neo_browse' }).lean();
+    check('Checkpoint stored in Mongo', checkpoint?.nextPage === 2 && checkpoint?.totalPages === 3);
+
+    // A fresh budget resumes from the checkpoint, not from page 0
+    mock.resetRateLimit();
+    const resumed = await nasaApi.ingestCatalog();
+    check('Resumed run completes', resumed.status === 'completed');
+    check('Only the remaining page is fetched', resumed.pagesFetched === 1 && resumed.newCount === 2, `${resumed.pagesFetched} page(s)`);
+    check('Whole catalog stored', (await Asteroid.countDocuments()) === 8);
+
+    // Derived properties are computed although bulkWrite skips the save hook
+    const icarus = await Asteroid.findOne({ neo_reference_id: '2001566' }).lean();
+    check('Derived properties present', icarus?.calculatedProperties?.mass > 0 && icarus?.hazard?.computedAt,
+      icarus?.calculatedProperties?.composition);
+    check('Orbital elements kept', icarus?.orbital_data?.semi_major_axis === '1.078');
+
+    // Walking a completed catalog again updates in place
+    const again = await nasaApi.ingestCatalog({ maxPages: 1 });
+    check('Completed catalog restarts from page 0', again.pagesFetched === 1 && again.updatedCount === 3 && again.newCount === 0);
+    check('Page budget pauses the run', again.status === 'paused' && again.nextPage === 1);
+    check('No duplicates created', (await Asteroid.countDocuments()) === 8);
+
+    // Unchanged solutions leave the history alone; a revised one is recorded
+    check('One creation revision per asteroid', (await AsteroidRevision.countDocuments({ kind: 'created' })) === 8);
+    check('Unchanged objects not revised', (await AsteroidRevision.countDocuments({ kind: 'updated' })) === 0);
+
+    const [eros] = require('./mock/fixtures/browse-page-0.json').near_earth_objects;
+    const revised = {
+      ...eros,
+      is_potentially_hazardous_asteroid: true,
+      orbital_data: { ...eros.orbital_data, orbit_id: '660' },
+      close_approach_data: [...eros.close_approach_data, {
+        ...eros.close_approach_data[1],
+        close_approach_date: '2093-01-20',
+        close_approach_date_full: '2093-Jan-20 04:15',
+        epoch_date_close_approach: 3883263300000
+      }]
+    };
+    await nasaApi.bulkUpsertAsteroids([revised], { source: 'catalog' });
+    const revision = await AsteroidRevision.findOne({ neo_reference_id: eros.neo_reference_id, kind: 'updated' }).lean();
+    check('Revised fields recorded', revision?.changes.map(change => change.field).sort().join() ===
+      'is_potentially_hazardous_asteroid,orbital_data.orbit_id', revision?.changes.map(change => change.field).join());
+    check('New approach recorded', revision?.newApproaches.length === 1 && revision.newApproaches[0].close_approach_date === '2093-Jan-20 04:15');
+
+    console.log(failures ? `\n❌ ${failures} check(s) failed` : '\n🎉 Catalog ingestion works offline');
+  } catch (error) {
+    console.error('❌ Catalog ingestion test failed:');
+    console.error(`   Error: ${error.message}`);
+    failures++;
+  } finally {
+    await mongoose.connection.close();
+    server.close();
+    process.exitCode = failures ? 1 : 0;
+  }
+}
+
+testCatalogIngestion();
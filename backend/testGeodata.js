@@ -0,0 +1,50 @@
+const geodata = require('./src/utils/geodata');
+
+// Offline check of the land/ocean mask and depth lookups against known places.
+// Needs no database: only the bundled datasets are read.
+let failures = 0;
+const check = (label, condition, detail) => {
+  console.log(`${condition ? '✅' : '❌'} ${label}${detail ? ` (${detail})` : ''}`);
+  if (!condition) failures++;
+};
+
+const LAND = [
+  ['Madrid', 40.42, -3.70],
+  ['Sahara', 23.0, 13.0],
+  ['Vostok Station', -78.46, 106.84],
+  ['Antarctic plateau (Dome A)', -80.37, 77.35],
+  ['Antarctic plateau south of the coastline ring', -85, 0],
+  ['South Pole', -90, 0]
+];
+
+const OCEAN = [
+  ['Mid-Atlantic', 0, -30],
+  ['Central Pacific', 0, -150],
+  ['Southern Ocean', -60, 0]
+];
+
+function testGeodata() {
+  try {
+    console.log('🧪 Testing bundled geodata lookups');
+
+    LAND.forEach(([name, lat, lng]) => {
+      const depth = geodata.getWaterDepth(lat, lng);
+      check(`${name} is land`, geodata.isLand(lat, lng) && depth === 0, `${depth} m`);
+    });
+
+    OCEAN.forEach(([name, lat, lng]) => {
+      const depth = geodata.getWaterDepth(lat, lng);
+      check(`${name} is ocean`, !geodata.isLand(lat, lng) && depth > 1000, `${depth} m`);
+    });
+
+    console.log(failures ? `\n❌ ${failures} check(s) failed` : '\n🎉 Land mask and depths match known places');
+  } catch (error) {
+    console.error('❌ Geodata test failed:');
+    console.error(`   Error: ${error.message}`);
+    failures++;
+  } finally {
+    process.exitCode = failures ? 1 : 0;
+  }
+}
+
+testGeodata();
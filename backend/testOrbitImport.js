@@ -0,0 +1,119 @@
+const fs = require('fs');
+const path = require('path');
+const Asteroid = require('./src/models/Asteroid');
+const orbitImporter = require('./src/utils/orbitImport');
+const { schemas } = require('./src/middleware/validation');
+
+// Offline check of the custom impactor parsers against the bundled sample files.
+// Needs no database: documents are only validated, never saved.
+const SAMPLES = path.join(__dirname, 'mock', 'fixtures', 'import');
+const NOW = new Date('2026-01-01T00:00:00Z');
+
+let failures = 0;
+const check = (label, condition, detail) => {
+  console.log(`${condition ? '✅' : '❌'} ${label}${detail ? ` (${detail})` : ''}`);
+  if (!condition) failures++;
+};
+const close = (value, expected, tolerance = 1e-6) => Math.abs(value - expected) <= tolerance * Math.max(1, Math.abs(expected));
+const sample = (name) => fs.readFileSync(path.join(SAMPLES, name), 'utf8');
+
+// Builds and validates the document a POST /api/asteroids/import would save
+const importAsteroid = (body) => {
+  const { error, value } = schemas.asteroidImport.validate(body);
+  if (error) throw error;
+  const record = orbitImporter.parse(value.format, value.data);
+  if (value.name) record.name = value.name;
+  const asteroid = new Asteroid(orbitImporter.buildAsteroid(record, { format: value.format, now: NOW }));
+  asteroid.calculateProperties();
+  const invalid = asteroid.validateSync();
+  if (invalid) throw invalid;
+  return asteroid;
+};
+
+function testOrbitImport() {
+  try {
+    console.log(`🧪 Testing orbit import parsers against ${SAMPLES}`);
+
+    // JPL SBDB export
+    const apophisRecord = orbitImporter.parseSbdb(sample('sbdb-99942.json'));
+    check('SBDB name and designation', apophisRecord.name === '99942 Apophis (2004 MN4)' && apophisRecord.designation === '99942');
+    check('SBDB elements', close(apophisRecord.elements.a, 0.9225835) && close(apophisRecord.elements.e, 0.1911785) &&
+      close(apophisRecord.elements.node, 203.9561) && close(apophisRecord.elements.epoch, 2460600.5));
+    check('SBDB physical parameters', apophisRecord.diameter === 0.34 && apophisRecord.albedo === 0.35 && apophisRecord.spectralType === 'Sq');
+    check('SBDB PHA flag, MOID and Tisserand', apophisRecord.isHazardous === true && apophisRecord.moid === 0.000196 && apophisRecord.tisserand === 6.466);
+
+    const apophis = importAsteroid({ format: 'sbdb', data: JSON.parse(sample('sbdb-99942.json')) });
+    check('SBDB import tagged with its source', apophis.metadata.source === 'JPL_SBDB' && apophis.neo_reference_id === `custom-${apophis._id}`);
+    check('Measured diameter used', apophis.estimated_diameter.meters.estimated_diameter_min === 340 && apophis.calculatedProperties.averageDiameter === 340);
+    const flyby = apophis.close_approach_data.find(approach => approach.close_approach_date.startsWith('2029-04'));
+    check('April 2029 flyby predicted', Boolean(flyby), flyby && `${Math.round(flyby.miss_distance.kilometers)} km`);
+    check('Velocity and energy derived', apophis.calculatedProperties.averageVelocity > 0 && apophis.calculatedProperties.kineticEnergy > 0,
+      `${apophis.calculatedProperties.averageVelocity?.toFixed(2)} km/s`);
+    check('Hazard rated', apophis.hazard.computedAt instanceof Date && apophis.hazard.torinoScale >= 0);
+
+    const bennu = importAsteroid({ format: 'sbdb', data: sample('sbdb-101955.json') });
+    check('SBDB raw JSON accepted', bennu.name === '101955 Bennu (1999 RQ36)' && bennu.physical_properties.spectral_type === 'B');
+    check('Carbonaceous composition from spectral type', bennu.calculatedProperties.composition === 'carbonaceous', bennu.calculatedProperties.composition);
+
+    let error = null;
+    try {
+      orbitImporter.parseSbdb({ message: 'specified object was not found' });
+    } catch (parseError) {
+      error = parseError;
+    }
+    check('SBDB error response rejected', error?.status === 400 && /not found/.test(error.message), error?.message);
+
+    // MPC one-line records
+    const [apophisLine, bennuLine, yr4Line] = sample('mpcorb-sample.txt').split('\n');
+    const mpcApophis = orbitImporter.parseMpc(apophisLine);
+    check('MPC readable name', mpcApophis.name === '(99942) Apophis' && mpcApophis.designation === '99942');
+    check('MPC packed epoch K2555', mpcApophis.elements.epoch === 2460800.5, mpcApophis.elements.epoch);
+    check('MPC elements by column', close(mpcApophis.elements.a, 0.9225009) && close(mpcApophis.elements.i, 3.3387) &&
+      close(mpcApophis.elements.M, 90.81) && close(mpcApophis.absoluteMagnitude, 19.09));
+    check('MPC PHA flag', mpcApophis.isHazardous === true && orbitImporter.parseMpc(yr4Line).isHazardous === false);
+    check('MPC packed number A1955', orbitImporter.parseMpc(bennuLine).designation === '101955');
+    const yr4Record = orbitImporter.parseMpc(yr4Line);
+    check('MPC provisional designation and arc in days', yr4Record.designation === '2024 YR4' && yr4Record.arcDays === 91 && yr4Record.uncertainty === '1');
+    check('MPC packed designations', orbitImporter.unpackDesignation('K04M04N') === '2004 MN4' &&
+      orbitImporter.unpackDesignation('K07Tf8A') === '2007 TA418' && orbitImporter.unpackDesignation('00433') === '433');
+
+    const yr4 = importAsteroid({ format: 'mpc', data: yr4Line });
+    check('MPC import tagged with its source', yr4.metadata.source === 'MPC' && yr4.metadata.designation === '2024 YR4');
+    check('Diameter bounds from H', yr4.estimated_diameter.meters.estimated_diameter_min < yr4.estimated_diameter.meters.estimated_diameter_max,
+      `${Math.round(yr4.estimated_diameter.meters.estimated_diameter_min)}-${Math.round(yr4.estimated_diameter.meters.estimated_diameter_max)} m`);
+
+    error = null;
+    try {
+      orbitImporter.parseMpc(apophisLine.slice(0, 60));
+    } catch (parseError) {
+      error = parseError;
+    }
+    check('Truncated MPC record rejected', error?.status === 400, error?.message);
+
+    // Manual Keplerian form
+    const manual = importAsteroid(JSON.parse(sample('keplerian-sample.json')));
+    check('Keplerian import tagged with its source', manual.metadata.source === 'manual' && manual.name === 'Hypothetical Impactor 2031 A');
+    check('Keplerian epoch converted to JD', close(parseFloat(manual.orbital_data.epoch_osculation), 2461041.5));
+    check('Derived period and distances', close(parseFloat(manual.orbital_data.perihelion_distance), 1.35 * 0.71) &&
+      close(parseFloat(manual.orbital_data.orbital_period), 365.25 * Math.pow(1.35, 1.5), 1e-4),
+      `${parseFloat(manual.orbital_data.orbital_period).toFixed(1)} d`);
+
+    error = null;
+    try {
+      importAsteroid({ format: 'keplerian', name: 'Hyperbolic', data: { ...JSON.parse(sample('keplerian-sample.json')).data, eccentricity: 1.2 } });
+    } catch (validationError) {
+      error = validationError;
+    }
+    check('Unbound orbit rejected', Boolean(error), error?.message);
+
+    console.log(failures ? `\n❌ ${failures} check(s) failed` : '\n🎉 All sample orbits import correctly');
+  } catch (error) {
+    console.error('❌ Orbit import test failed:');
+    console.error(`   Error: ${error.message}`);
+    failures++;
+  } finally {
+    process.exitCode = failures ? 1 : 0;
+  }
+}
+
+testOrbitImport();
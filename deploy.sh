@@ -78,6 +78,9 @@ cd backend
 npm install --production
 sudo cp -r . $APP_DIR/backend/
 cd ..
+# Física compartida con el frontend (requerida por backend/src/utils)
+sudo rm -rf $APP_DIR/shared
+sudo cp -r shared $APP_DIR/shared
 
 # 6. Crear archivo de configuración de entorno
 log "Creando archivo de configuración..."
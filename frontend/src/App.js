@@ -6,8 +6,10 @@ import Home from './pages/Home';
 import Dashboard from './pages/Dashboard';
 import Simulator from './pages/Simulator';
 import Community from './pages/Community';
-// import Leaderboard from './pages/Leaderboard';
+import Leaderboard from './pages/Leaderboard';
 import Profile from './pages/Profile';
+import UserProfile from './pages/UserProfile';
+import Compare from './pages/Compare';
 import Login from './pages/Login';
 import Register from './pages/Register';
 import AsteroidExplorer from './pages/AsteroidExplorer';
@@ -15,6 +17,7 @@ import SimulationResults from './pages/SimulationResults';
 import Enhanced3DTest from './pages/Enhanced3DTest';
 import OrbitViewer from './pages/OrbitViewer';
 import VR from './pages/VR';
+import Admin from './pages/Admin';
 import ProtectedRoute from './components/ProtectedRoute';
 
 import { useAuth } from './context/AuthContext';
@@ -43,8 +46,10 @@ function App() {
           <Route path="/register" element={<Register />} />
           <Route path="/asteroids" element={<AsteroidExplorer />} />
           <Route path="/community" element={<Community />} />
-          {/* <Route path="/leaderboard" element={<Leaderboard />} /> */}
+          <Route path="/leaderboard" element={<Leaderboard />} />
           <Route path="/simulation/:id" element={<SimulationResults />} />
+          <Route path="/users/:username" element={<UserProfile />} />
+          <Route path="/compare" element={<Compare />} />
           {/* Temporarily disabled 3D routes */}
           <Route path="/3d-test" element={<Enhanced3DTest />} />
           <Route path="/orbits" element={<OrbitViewer />} />
@@ -75,6 +80,14 @@ function App() {
               </ProtectedRoute>
             } 
           />
+          <Route 
+            path="/admin" 
+            element={
+              <ProtectedRoute adminOnly>
+                <Admin />
+              </ProtectedRoute>
+            } 
+          />
           
           {/* 404 Route */}
           <Route 
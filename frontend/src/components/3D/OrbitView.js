@@ -2,9 +2,16 @@ import React, { useMemo, useRef } from 'react';
 import { Canvas, useFrame, useThree } from '@react-three/fiber';
 import { OrbitControls, Html, useTexture } from '@react-three/drei';
 import * as THREE from 'three';
+import orbit from '../../shared/orbit';
+
+// Escala de la escena: unidades three.js por unidad astronómica
+const SCENE_SCALE = 5;
+
+// Eclíptica (x, y, z) -> escena three.js (x, z, -y), con el eje Y hacia arriba
+const toScene = (p) => [p.x * SCENE_SCALE, p.z * SCENE_SCALE, -p.y * SCENE_SCALE];
 
 // 🌍 Textured Earth sphere with clouds
-const EarthSphere = () => {
+const EarthSphere = ({ radius = 1.5 }) => {
   const earthRef = useRef();
   const cloudsRef = useRef();
   const [earthColorMap, earthNormalMap, earthClouds] = useTexture([
@@ -16,28 +23,34 @@ const EarthSphere = () => {
   return (
     <group>
       <mesh ref={earthRef}>
-        <sphereGeometry args={[1.5, 48, 48]} />
+        <sphereGeometry args={[radius, 48, 48]} />
         <meshStandardMaterial map={earthColorMap} normalMap={earthNormalMap} roughness={0.9} metalness={0.0} />
       </mesh>
       <mesh ref={cloudsRef}>
-        <sphereGeometry args={[1.52, 48, 48]} />
+        <sphereGeometry args={[radius * 1.013, 48, 48]} />
         <meshPhongMaterial map={earthClouds} transparent opacity={0.4} depthWrite={false} />
       </mesh>
     </group>
   );
 };
 
-// 🌀 Orbit path ellipse ring
-const OrbitRing = ({ a, b }) => {
-  const points = useMemo(() => {
-    const segments = 160;
-    const pts = [];
-    for (let i = 0; i <= segments; i++) {
-      const t = (i / segments) * Math.PI * 2;
-      pts.push([Math.cos(t) * a, 0, Math.sin(t) * b]);
-    }
-    return pts;
-  }, [a, b]);
+// ☀️ Sol en el origen
+const Sun = () => (
+  <group>
+    <mesh>
+      <sphereGeometry args={[0.35, 32, 32]} />
+      <meshBasicMaterial color="#ffd54f" />
+    </mesh>
+    <pointLight intensity={2} distance={0} decay={0} color="#fff4e0" />
+  </group>
+);
+
+// 🌀 Órbita real a partir de los puntos heliocéntricos
+const OrbitRing = ({ points, color = '#7a7a7a', opacity = 1 }) => {
+  const positions = useMemo(
+    () => new Float32Array(points.map(toScene).flat()),
+    [points]
+  );
 
   return (
     <line>
@@ -45,109 +58,65 @@ const OrbitRing = ({ a, b }) => {
         <bufferAttribute
           attach="attributes-position"
           count={points.length}
-          array={new Float32Array(points.flat())}
+          array={positions}
           itemSize={3}
         />
       </bufferGeometry>
-      <lineBasicMaterial color="#7a7a7a" linewidth={1} />
+      <lineBasicMaterial color={color} transparent={opacity < 1} opacity={opacity} />
     </line>
   );
 };
 
-// ☄️ One orbiting asteroid marker con órbita
-const OrbitingAsteroid = React.forwardRef(({ asteroid, index, isSelected, displayOptions = {} }, refProp) => {
-  const ref = useRef();
-  const groupRef = useRef();
+// 🌍 Tierra en su órbita para la fecha elegida
+const EarthOrbit = ({ jd }) => {
+  const elements = useMemo(() => orbit.earthElementsAt(jd), [jd]);
+  const path = useMemo(() => orbit.orbitPath(elements), [elements]);
+  const position = useMemo(() => toScene(orbit.positionAt(elements, jd)), [elements, jd]);
+
+  return (
+    <group>
+      <OrbitRing points={path} color="#2e7dff" />
+      <group position={position}>
+        <EarthSphere radius={0.18} />
+        <Html position={[0, 0.4, 0]} center distanceFactor={10} style={{ pointerEvents: 'none' }}>
+          <div style={{ color: '#8ab4ff', fontSize: '11px', fontWeight: 600 }}>Earth</div>
+        </Html>
+      </group>
+    </group>
+  );
+};
+
+// ☄️ One orbiting asteroid marker con su órbita kepleriana
+const OrbitingAsteroid = React.forwardRef(({ asteroid, elements, jd, earthPosition, isSelected, displayOptions = {} }, refProp) => {
   const [hovered, setHovered] = React.useState(false);
-  const [currentPosition, setCurrentPosition] = React.useState({ x: 0, y: 0, z: 0 });
-  const [orbitalData, setOrbitalData] = React.useState({});
 
   const avgDiameter = asteroid?.calculatedProperties?.averageDiameter ||
     asteroid?.estimated_diameter?.meters?.estimated_diameter_max || 200;
-  const velocityKps = Number(
-    asteroid?.close_approach_data?.[0]?.relative_velocity?.kilometers_per_second
-  ) || asteroid?.calculatedProperties?.averageVelocity || 10;
+  const size = Math.max(0.05, Math.min(0.15, (avgDiameter / 1000) * 0.08));
 
-  const missKm = Number(asteroid?.close_approach_data?.[0]?.miss_distance?.kilometers) || 3.8e5;
-  const aSemi = useMemo(() => Math.max(1.2, Math.min(12, missKm / 12000)), [missKm]);
-  const bSemi = useMemo(() => {
-    const vNorm = Math.max(1, Math.min(50, velocityKps)) / 50;
-    const factor = 0.55 + 0.35 * (0.3 + (index % 7) / 10) * (1 - vNorm);
-    return Math.max(0.6, Math.min(aSemi, aSemi * factor));
-  }, [aSemi, velocityKps, index]);
+  const path = useMemo(() => orbit.orbitPath(elements), [elements]);
+  const heliocentric = useMemo(() => orbit.positionAt(elements, jd), [elements, jd]);
+  const position = useMemo(() => toScene(heliocentric), [heliocentric]);
 
-  const size = Math.max(0.05, Math.min(0.25, (avgDiameter / 1000) * 0.08));
+  // Proximidad real con la Tierra en la fecha elegida
+  const earthProximity = useMemo(() => {
+    const distanceAU = orbit.distance(heliocentric, earthPosition);
+    const distanceKm = distanceAU * orbit.AU_KM;
 
-  const epochMs = Number(asteroid?.close_approach_data?.[0]?.epoch_date_close_approach) || 0;
-  const phase = useMemo(() => {
-    const base = (epochMs / 1e7) % (Math.PI * 2);
-    return base + (index % 16) * (Math.PI / 8);
-  }, [epochMs, index]);
-
-  const idSeed = (asteroid?.neo_reference_id || String(asteroid?._id || index))
-    .split('')
-    .reduce((acc, c) => acc + c.charCodeAt(0), 0);
-  const inclination = ((idSeed % 45) - 22.5) * (Math.PI / 180);
-  const omega = ((idSeed % 360) * Math.PI) / 180;
-  const argPeriapsis = (((idSeed * 3) % 360) * Math.PI) / 180;
-
-  const angularSpeed = useMemo(() => {
-    const v = Math.max(1, Math.min(50, velocityKps));
-    return (v / 50) * 0.7 / Math.max(0.8, (aSemi + bSemi) / 2);
-  }, [velocityKps, aSemi, bSemi]);
-
-  // Calcular proximidad orbital con la Tierra
-  const calculateEarthProximity = useMemo(() => {
-    const earthRadius = 1.5; // Radio de la Tierra en la escala del modelo (actualizado)
-    const asteroidDistance = Math.sqrt(currentPosition.x**2 + currentPosition.y**2 + currentPosition.z**2);
-    const proximityKm = (asteroidDistance - earthRadius) * 6371; // Convertir a km reales
-    const proximityAU = proximityKm / 149597870.7; // Convertir a unidades astronómicas
-    
-    return {
-      distanceKm: proximityKm,
-      distanceAU: proximityAU,
-      isClose: proximityKm < 1000000, // Menos de 1 millón de km
-      isVeryClose: proximityKm < 100000, // Menos de 100,000 km
-      dangerLevel: proximityKm < 100000 ? 'HIGH' : proximityKm < 1000000 ? 'MEDIUM' : 'LOW'
-    };
-  }, [currentPosition]);
-
-  // Calcular datos orbitales en tiempo real
-  const calculateOrbitalData = useMemo(() => {
-    const orbitalPeriod = asteroid?.calculatedProperties?.orbitalPeriod || 
-      asteroid?.orbital_data?.orbital_period || null;
-    
-    const eccentricity = asteroid?.orbital_data?.eccentricity || 0.1;
-    const semiMajorAxis = asteroid?.orbital_data?.semi_major_axis || aSemi;
-    const perihelionDistance = semiMajorAxis * (1 - eccentricity);
-    const aphelionDistance = semiMajorAxis * (1 + eccentricity);
-    
     return {
-      period: orbitalPeriod,
-      eccentricity: eccentricity,
-      semiMajorAxis: semiMajorAxis,
-      perihelionDistance: perihelionDistance,
-      aphelionDistance: aphelionDistance,
-      currentVelocity: velocityKps,
-      currentDistance: calculateEarthProximity.distanceKm
+      distanceKm,
+      distanceAU,
+      isClose: distanceKm < 1000000, // Menos de 1 millón de km
+      isVeryClose: distanceKm < 100000, // Menos de 100,000 km
+      dangerLevel: distanceKm < 100000 ? 'HIGH' : distanceKm < 1000000 ? 'MEDIUM' : 'LOW'
     };
-  }, [asteroid, aSemi, velocityKps, calculateEarthProximity]);
+  }, [heliocentric, earthPosition]);
 
-  useFrame((state) => {
-    const t = state.clock.getElapsedTime();
-    const theta = phase + t * angularSpeed;
-    const x = Math.cos(theta) * aSemi;
-    const z = Math.sin(theta) * bSemi;
-    
-    // Actualizar posición actual
-    setCurrentPosition({ x, y: 0, z });
-    
-    // Actualizar datos orbitales
-    setOrbitalData(calculateOrbitalData);
-    
-    if (ref.current) ref.current.position.set(x, 0, z);
-    if (refProp?.current) refProp.current.position.set(x, 0, z);
-  });
+  const orbitalData = useMemo(() => ({
+    period: orbit.orbitalPeriod(elements),
+    eccentricity: elements.e,
+    semiMajorAxis: elements.a
+  }), [elements]);
 
   const diameterM = useMemo(() => {
     if (asteroid?.calculatedProperties?.averageDiameter)
@@ -171,35 +140,40 @@ const OrbitingAsteroid = React.forwardRef(({ asteroid, index, isSelected, displa
     return undefined;
   }, [asteroid, velocityKmS]);
 
-  // Renderizar órbita elíptica
+  // Renderizar órbita y posición en la fecha
   return (
-    <group ref={groupRef} rotation={[inclination, omega, argPeriapsis]}>
-      <OrbitRing a={aSemi} b={bSemi} />
+    <group>
+      <OrbitRing
+        points={path}
+        color={isSelected ? '#ffeb3b' : asteroid?.is_potentially_hazardous_asteroid ? '#c0504d' : '#7a7a7a'}
+        opacity={isSelected ? 1 : 0.6}
+      />
       <mesh
-        ref={ref}
+        ref={refProp}
+        position={position}
         castShadow
         onPointerOver={(e) => { e.stopPropagation(); setHovered(true); document.body.style.cursor = 'pointer'; }}
         onPointerOut={(e) => { e.stopPropagation(); setHovered(false); document.body.style.cursor = 'default'; }}
       >
         <dodecahedronGeometry args={[size, 0]} />
         <meshStandardMaterial color={hovered ? '#e0b089' : '#b38b6d'} roughness={0.9} metalness={0.05} />
-        <Html position={[0, 0.25 + size * 2, 0]} center distanceFactor={6} style={{ pointerEvents: 'none' }}>
+        <Html position={[0, 0.25 + size * 2, 0]} center distanceFactor={10} style={{ pointerEvents: 'none' }}>
           <div style={{
             background: 'rgba(0,0,0,0.9)',
             color: '#fff',
             padding: '8px 10px',
             borderRadius: '8px',
             fontSize: '11px',
-            border: `1px solid ${calculateEarthProximity.dangerLevel === 'HIGH' ? '#ff4444' : calculateEarthProximity.dangerLevel === 'MEDIUM' ? '#ffaa00' : '#444'}`,
+            border: `1px solid ${earthProximity.dangerLevel === 'HIGH' ? '#ff4444' : earthProximity.dangerLevel === 'MEDIUM' ? '#ffaa00' : '#444'}`,
             maxWidth: '300px',
             boxShadow: '0 4px 12px rgba(0,0,0,0.5)',
             opacity: hovered ? 1 : 0.8
           }}>
             {/* Nombre del asteroide - siempre visible si está habilitado */}
             {displayOptions.name && (
-              <div style={{ fontWeight: 600, marginBottom: 6, color: calculateEarthProximity.dangerLevel === 'HIGH' ? '#ff6666' : '#fff' }}>
+              <div style={{ fontWeight: 600, marginBottom: 6, color: earthProximity.dangerLevel === 'HIGH' ? '#ff6666' : '#fff' }}>
                 {asteroid?.name || asteroid?.neo_reference_id || 'Asteroid'}
-                {displayOptions.riskLevel && calculateEarthProximity.dangerLevel === 'HIGH' && (
+                {displayOptions.riskLevel && earthProximity.dangerLevel === 'HIGH' && (
                   <span style={{ color: '#ff4444', marginLeft: '8px' }}>⚠️ HIGH RISK</span>
                 )}
               </div>
@@ -221,15 +195,15 @@ const OrbitingAsteroid = React.forwardRef(({ asteroid, index, isSelected, displa
               {(displayOptions.distanceToEarth || displayOptions.distanceAU || displayOptions.riskLevel) && (
                 <>
                   <hr style={{ margin: '4px 0', borderColor: '#555' }} />
-                  <div style={{ color: calculateEarthProximity.isVeryClose ? '#ff6666' : calculateEarthProximity.isClose ? '#ffaa00' : '#66ff66' }}>
+                  <div style={{ color: earthProximity.isVeryClose ? '#ff6666' : earthProximity.isClose ? '#ffaa00' : '#66ff66' }}>
                     {displayOptions.distanceToEarth && (
-                      <div><b>Distance to Earth:</b> {calculateEarthProximity.distanceKm.toFixed(0)} km</div>
+                      <div><b>Distance to Earth:</b> {earthProximity.distanceKm.toFixed(0)} km</div>
                     )}
                     {displayOptions.distanceAU && (
-                      <div><b>Distance (AU):</b> {calculateEarthProximity.distanceAU.toFixed(6)} AU</div>
+                      <div><b>Distance (AU):</b> {earthProximity.distanceAU.toFixed(6)} AU</div>
                     )}
                     {displayOptions.riskLevel && (
-                      <div><b>Risk Level:</b> {calculateEarthProximity.dangerLevel}</div>
+                      <div><b>Risk Level:</b> {earthProximity.dangerLevel}</div>
                     )}
                   </div>
                 </>
@@ -241,13 +215,13 @@ const OrbitingAsteroid = React.forwardRef(({ asteroid, index, isSelected, displa
                   <hr style={{ margin: '4px 0', borderColor: '#555' }} />
                   <div style={{ color: '#88ccff' }}>
                     {displayOptions.orbitalPeriod && (
-                      <div><b>Orbital Period:</b> {orbitalData.period ? `${orbitalData.period.toFixed(1)} days` : 'N/A'}</div>
+                      <div><b>Orbital Period:</b> {orbitalData.period.toFixed(1)} days</div>
                     )}
                     {displayOptions.eccentricity && (
-                      <div><b>Eccentricity:</b> {orbitalData.eccentricity ? orbitalData.eccentricity.toFixed(3) : 'N/A'}</div>
+                      <div><b>Eccentricity:</b> {orbitalData.eccentricity.toFixed(3)}</div>
                     )}
                     {displayOptions.semiMajorAxis && (
-                      <div><b>Semi-Major Axis:</b> {orbitalData.semiMajorAxis ? `${orbitalData.semiMajorAxis.toFixed(2)} AU` : 'N/A'}</div>
+                      <div><b>Semi-Major Axis:</b> {orbitalData.semiMajorAxis.toFixed(3)} AU</div>
                     )}
                   </div>
                 </>
@@ -358,35 +332,44 @@ const StarsBackground = () => {
 };
 
 // 🎥 Escena principal
-const Scene = ({ asteroids = [], selectedAsteroid, displayOptions = {} }) => {
+const Scene = ({ asteroids = [], selectedAsteroid, displayOptions = {}, date }) => {
   const asteroidRef = useRef();
   const { camera } = useThree();
 
+  const jd = useMemo(() => orbit.toJulianDate(date || new Date()), [date]);
+  const earthPosition = useMemo(() => orbit.earthPositionAt(jd), [jd]);
+
+  // Solo los asteroides con elementos orbitales completos tienen órbita real
+  const orbiting = useMemo(() => asteroids
+    .map(asteroid => ({ asteroid, elements: orbit.elementsFromOrbitalData(asteroid?.orbital_data) }))
+    .filter(item => item.elements), [asteroids]);
+
   // Seguir asteroide si está activado
   useFrame(() => {
-    if (window.followAsteroid && asteroids.length === 1 && asteroidRef.current) {
+    if (window.followAsteroid && orbiting.length === 1 && asteroidRef.current) {
       const pos = asteroidRef.current.position;
-      camera.position.set(pos.x + 2.5, pos.y + 2.5, pos.z + 6);
+      camera.position.set(pos.x + 1.5, pos.y + 1.5, pos.z + 3);
       camera.lookAt(pos.x, pos.y, pos.z);
     }
   });
 
   return (
     <>
-      <ambientLight intensity={0.45} />
-      <directionalLight position={[6, 8, 5]} intensity={1} castShadow />
-      <pointLight position={[-6, -4, -4]} intensity={0.3} color="#ff6b35" />
+      <ambientLight intensity={0.35} />
 
       <StarsBackground />
       <group>
-        <EarthSphere />
-        {asteroids?.map((a, i) => (
+        <Sun />
+        <EarthOrbit jd={jd} />
+        {orbiting.map(({ asteroid, elements }, i) => (
           <OrbitingAsteroid
-            key={a._id || i}
-            asteroid={a}
-            index={i}
-            isSelected={selectedAsteroid && asteroids.length === 1 && (a._id === selectedAsteroid._id)}
-            ref={asteroids.length === 1 ? asteroidRef : undefined}
+            key={asteroid._id || i}
+            asteroid={asteroid}
+            elements={elements}
+            jd={jd}
+            earthPosition={earthPosition}
+            isSelected={selectedAsteroid && orbiting.length === 1 && (asteroid._id === selectedAsteroid._id)}
+            ref={orbiting.length === 1 ? asteroidRef : undefined}
             displayOptions={displayOptions}
           />
         ))}
@@ -398,10 +381,10 @@ const Scene = ({ asteroids = [], selectedAsteroid, displayOptions = {} }) => {
 };
 
 // 🪐 Contenedor principal con Canvas
-const OrbitView = ({ asteroids = [], selectedAsteroid, displayOptions = {} }) => (
+const OrbitView = ({ asteroids = [], selectedAsteroid, displayOptions = {}, date }) => (
   <div style={{ width: '100%', height: '600px', borderRadius: '12px', overflow: 'hidden', background: '#000' }}>
-    <Canvas shadows camera={{ position: [0, 3, 10], fov: 50 }}>
-      <Scene asteroids={asteroids} selectedAsteroid={selectedAsteroid} displayOptions={displayOptions} />
+    <Canvas shadows camera={{ position: [0, 9, 12], fov: 50 }}>
+      <Scene asteroids={asteroids} selectedAsteroid={selectedAsteroid} displayOptions={displayOptions} date={date} />
     </Canvas>
   </div>
 );
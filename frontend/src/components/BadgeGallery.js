@@ -0,0 +1,56 @@
+import React from 'react';
+import { Row, Col, ProgressBar, OverlayTrigger, Tooltip } from 'react-bootstrap';
+
+export const ACHIEVEMENT_TIERS = {
+  bronze: { label: 'Bronze', color: '#cd7f32' },
+  silver: { label: 'Silver', color: '#c0c0c0' },
+  gold: { label: 'Gold', color: '#ffd700' }
+};
+
+// Every achievement as a badge: unlocked ones in their tier color with the
+// date earned, locked ones greyed out with the progress towards them
+const BadgeGallery = ({ achievements }) => (
+  <Row className="g-3">
+    {achievements.map(achievement => {
+      const tier = ACHIEVEMENT_TIERS[achievement.tier] || ACHIEVEMENT_TIERS.bronze;
+      const unlocked = Boolean(achievement.unlockedAt);
+
+      return (
+        <Col xs={6} md={4} lg={3} key={achievement.key}>
+          <OverlayTrigger
+            placement="top"
+            overlay={
+              <Tooltip>
+                {tier.label} · {achievement.description}
+                {unlocked && <><br />Unlocked {new Date(achievement.unlockedAt).toLocaleDateString()}</>}
+              </Tooltip>
+            }
+          >
+            <div className="text-center p-2 h-100 rounded border border-secondary" style={{ opacity: unlocked ? 1 : 0.45 }}>
+              <i
+                className={`bi ${unlocked ? achievement.icon : 'bi-lock'} display-6`}
+                style={{ color: unlocked ? tier.color : undefined }}
+              ></i>
+              <div className="small fw-bold mt-1">{achievement.name}</div>
+              {unlocked ? (
+                <div className="small text-muted">{new Date(achievement.unlockedAt).toLocaleDateString()}</div>
+              ) : (
+                <>
+                  <ProgressBar
+                    now={(achievement.progress / achievement.target) * 100}
+                    variant="secondary"
+                    style={{ height: '4px' }}
+                    className="mt-2"
+                  />
+                  <div className="small text-muted">{achievement.progress}/{achievement.target}</div>
+                </>
+              )}
+            </div>
+          </OverlayTrigger>
+        </Col>
+      );
+    })}
+  </Row>
+);
+
+export default BadgeGallery;
@@ -0,0 +1,43 @@
+import React from 'react';
+import { Badge } from 'react-bootstrap';
+
+const formatDistance = (approach) => {
+  if (approach.distanceLunar < 100) return `${approach.distanceLunar.toFixed(2)} LD`;
+  return `${(approach.distanceKm / 1e6).toFixed(2)} M km`;
+};
+
+// Vertical timeline of predicted Earth encounters, closest ones highlighted
+const CloseApproachTimeline = ({ approaches = [] }) => {
+  if (!approaches.length) return null;
+
+  return (
+    <ul className="list-unstyled mb-0" style={{ borderLeft: '2px solid #495057', marginLeft: '8px' }}>
+      {approaches.map((approach) => {
+        const color = approach.withinLunarDistance ? '#dc3545' : approach.distanceLunar < 20 ? '#ffc107' : '#0dcaf0';
+
+        return (
+          <li key={approach.date} className="position-relative ps-4 pb-3">
+            <span
+              className="position-absolute rounded-circle"
+              style={{ left: '-7px', top: '4px', width: '12px', height: '12px', background: color }}
+            />
+            <div className="d-flex justify-content-between align-items-center flex-wrap gap-2">
+              <strong>{new Date(approach.date).toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' })}</strong>
+              {approach.withinLunarDistance && (
+                <Badge bg="danger">
+                  <i className="bi bi-moon me-1"></i>
+                  Inside lunar distance
+                </Badge>
+              )}
+            </div>
+            <div className="small text-muted">
+              {formatDistance(approach)} ({approach.distanceAU.toFixed(4)} AU) · {approach.relativeVelocity.toFixed(2)} km/s
+            </div>
+          </li>
+        );
+      })}
+    </ul>
+  );
+};
+
+export default CloseApproachTimeline;
@@ -0,0 +1,295 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { Card, Form, Button, Badge, Dropdown, Spinner } from 'react-bootstrap';
+import { Link } from 'react-router-dom';
+import toast from 'react-hot-toast';
+import api from '../utils/api';
+import { useAuth } from '../context/AuthContext';
+
+const REACTIONS = [
+  { kind: 'like', icon: 'bi-hand-thumbs-up', label: 'Like' },
+  { kind: 'insightful', icon: 'bi-lightbulb', label: 'Insightful' },
+  { kind: 'alarming', icon: 'bi-exclamation-triangle', label: 'Alarming' },
+  { kind: 'funny', icon: 'bi-emoji-laughing', label: 'Funny' }
+];
+
+const REPORT_REASONS = [
+  { reason: 'spam', label: 'Spam' },
+  { reason: 'harassment', label: 'Harassment' },
+  { reason: 'misinformation', label: 'Misinformation' },
+  { reason: 'off_topic', label: 'Off topic' },
+  { reason: 'other', label: 'Other' }
+];
+
+const MENTION_SPLIT = /(@[A-Za-z0-9]{3,30})/;
+
+// Comment text with @mentions of existing users linked to their profiles
+const CommentText = ({ text, mentions }) => {
+  const usernames = new Set(mentions.map(mention => mention.username));
+  return (
+    <div className="mb-1" style={{ whiteSpace: 'pre-wrap', wordBreak: 'break-word' }}>
+      {text.split(MENTION_SPLIT).map((part, index) => (
+        usernames.has(part.slice(1))
+          ? <Link key={index} to={`/users/${part.slice(1)}`} className="text-info">{part}</Link>
+          : <React.Fragment key={index}>{part}</React.Fragment>
+      ))}
+    </div>
+  );
+};
+
+const CommentForm = ({ initialText = '', placeholder, submitLabel, onSubmit, onCancel }) => {
+  const [text, setText] = useState(initialText);
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    const saved = await onSubmit(text.trim());
+    setSubmitting(false);
+    if (saved && !initialText) setText('');
+  };
+
+  return (
+    <Form onSubmit={handleSubmit} className="mb-2">
+      <Form.Control
+        as="textarea"
+        rows={2}
+        maxLength={500}
+        value={text}
+        placeholder={placeholder}
+        onChange={(e) => setText(e.target.value)}
+        className="bg-dark text-light border-secondary"
+      />
+      <div className="d-flex justify-content-between align-items-center mt-1">
+        <small className="text-muted">{text.length}/500 · Mention people with @username</small>
+        <div className="d-flex gap-2">
+          {onCancel && <Button size="sm" variant="outline-secondary" onClick={onCancel}>Cancel</Button>}
+          <Button type="submit" size="sm" variant="primary" disabled={submitting || !text.trim()}>
+            {submitting ? <Spinner animation="border" size="sm" /> : submitLabel}
+          </Button>
+        </div>
+      </div>
+    </Form>
+  );
+};
+
+const CommentItem = ({ comment, childrenByParent, actions, user }) => {
+  const [mode, setMode] = useState(null); // 'reply' | 'edit'
+  const replies = childrenByParent[comment._id] || [];
+  const hidden = comment.text === null;
+  const canEdit = comment.isAuthor && comment.editableUntil && new Date(comment.editableUntil) > new Date();
+  const canDelete = !hidden && (comment.isAuthor || user?.role === 'admin');
+
+  return (
+    <div className={comment.depth > 0 ? 'ms-4 ps-3 border-start border-secondary' : ''}>
+      <div className="py-2">
+        {hidden ? (
+          <div className="text-muted fst-italic small mb-1">
+            {comment.isRemoved ? 'Comment removed by a moderator' : 'Comment deleted'}
+          </div>
+        ) : (
+          <>
+            <div className="small mb-1">
+              <Link to={`/users/${comment.user?.username}`} className="fw-bold text-light text-decoration-none">
+                {comment.user?.username}
+              </Link>
+              <span className="text-muted ms-2">{new Date(comment.createdAt).toLocaleString()}</span>
+              {comment.editedAt && <span className="text-muted ms-1">(edited)</span>}
+            </div>
+
+            {mode === 'edit' ? (
+              <CommentForm
+                initialText={comment.text}
+                submitLabel="Save"
+                onSubmit={async (text) => {
+                  const saved = await actions.edit(comment, text);
+                  if (saved) setMode(null);
+                  return saved;
+                }}
+                onCancel={() => setMode(null)}
+              />
+            ) : (
+              <CommentText text={comment.text} mentions={comment.mentions} />
+            )}
+
+            <div className="d-flex flex-wrap align-items-center gap-1">
+              {REACTIONS.map(({ kind, icon, label }) => (
+                <Button
+                  key={kind}
+                  size="sm"
+                  variant={comment.reactions.mine === kind ? 'info' : 'outline-secondary'}
+                  className="py-0 px-2"
+                  title={label}
+                  disabled={!user}
+                  onClick={() => actions.react(comment, kind)}
+                >
+                  <i className={`bi ${icon}`}></i>
+                  {comment.reactions.counts[kind] > 0 && <span className="ms-1">{comment.reactions.counts[kind]}</span>}
+                </Button>
+              ))}
+
+              {user && (
+                <Button size="sm" variant="link" className="py-0 text-decoration-none" onClick={() => setMode(mode === 'reply' ? null : 'reply')}>
+                  Reply
+                </Button>
+              )}
+              {canEdit && (
+                <Button size="sm" variant="link" className="py-0 text-decoration-none" onClick={() => setMode('edit')}>
+                  Edit
+                </Button>
+              )}
+              {canDelete && (
+                <Button size="sm" variant="link" className="py-0 text-decoration-none text-danger" onClick={() => actions.remove(comment)}>
+                  Delete
+                </Button>
+              )}
+              {user && !comment.isAuthor && (
+                comment.reported ? (
+                  <Badge bg="secondary" className="ms-1">Reported</Badge>
+                ) : (
+                  <Dropdown>
+                    <Dropdown.Toggle size="sm" variant="link" className="py-0 text-decoration-none text-warning">
+                      Report
+                    </Dropdown.Toggle>
+                    <Dropdown.Menu variant="dark">
+                      {REPORT_REASONS.map(({ reason, label }) => (
+                        <Dropdown.Item key={reason} onClick={() => actions.report(comment, reason)}>{label}</Dropdown.Item>
+                      ))}
+                    </Dropdown.Menu>
+                  </Dropdown>
+                )
+              )}
+            </div>
+          </>
+        )}
+
+        {mode === 'reply' && (
+          <div className="mt-2">
+            <CommentForm
+              placeholder={`Reply to ${comment.user?.username}...`}
+              submitLabel="Reply"
+              onSubmit={async (text) => {
+                const saved = await actions.post(text, comment._id);
+                if (saved) setMode(null);
+                return saved;
+              }}
+              onCancel={() => setMode(null)}
+            />
+          </div>
+        )}
+      </div>
+
+      {replies.map(reply => (
+        <CommentItem key={reply._id} comment={reply} childrenByParent={childrenByParent} actions={actions} user={user} />
+      ))}
+    </div>
+  );
+};
+
+// Threaded discussion of a simulation
+const CommentThread = ({ simulationId, canComment }) => {
+  const { user } = useAuth();
+  const [comments, setComments] = useState([]);
+  const [editWindowMinutes, setEditWindowMinutes] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  const loadComments = useCallback(async () => {
+    try {
+      const response = await api.get(`/api/simulations/${simulationId}/comments`);
+      setComments(response.data.comments);
+      setEditWindowMinutes(response.data.editWindowMinutes);
+    } catch (error) {
+      console.error('Failed to load comments:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [simulationId]);
+
+  useEffect(() => {
+    loadComments();
+  }, [loadComments]);
+
+  const childrenByParent = useMemo(() => comments.reduce((groups, comment) => {
+    const key = comment.parent || 'root';
+    (groups[key] = groups[key] || []).push(comment);
+    return groups;
+  }, {}), [comments]);
+
+  const replaceComment = (updated) => {
+    setComments(prev => prev.map(comment => (comment._id === updated._id ? { ...comment, ...updated } : comment)));
+  };
+
+  // Each action resolves to true when the server accepted it
+  const request = async (action) => {
+    try {
+      await action();
+      return true;
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Request failed');
+      return false;
+    }
+  };
+
+  const actions = {
+    post: (text, parent) => request(async () => {
+      const response = await api.post(`/api/simulations/${simulationId}/comments`, parent ? { text, parent } : { text });
+      setComments(prev => [...prev, response.data.comment]);
+      (response.data.achievements || []).forEach(achievement => {
+        toast.success(`Achievement unlocked: ${achievement.name}`, { icon: '🏆' });
+      });
+    }),
+    edit: (comment, text) => request(async () => {
+      const response = await api.put(`/api/comments/${comment._id}`, { text });
+      replaceComment(response.data.comment);
+    }),
+    remove: (comment) => {
+      if (!window.confirm('Delete this comment?')) return false;
+      return request(async () => {
+        await api.delete(`/api/comments/${comment._id}`);
+        await loadComments();
+      });
+    },
+    react: (comment, reaction) => request(async () => {
+      const response = await api.post(`/api/comments/${comment._id}/reactions`, { reaction });
+      replaceComment({ _id: comment._id, reactions: response.data.reactions });
+    }),
+    report: (comment, reason) => request(async () => {
+      await api.post(`/api/comments/${comment._id}/report`, { reason });
+      replaceComment({ _id: comment._id, reported: true });
+      toast.success('Comment reported to the moderators');
+    })
+  };
+
+  const visibleCount = comments.filter(comment => comment.text !== null).length;
+
+  return (
+    <Card className="bg-dark border-secondary">
+      <Card.Header className="d-flex justify-content-between align-items-center">
+        <h6 className="mb-0"><i className="bi bi-chat-left-text me-2"></i>Discussion ({visibleCount})</h6>
+        {editWindowMinutes && <small className="text-muted">Comments can be edited for {editWindowMinutes} minutes</small>}
+      </Card.Header>
+      <Card.Body>
+        {user && canComment ? (
+          <CommentForm placeholder="Share your analysis of this impact..." submitLabel="Comment" onSubmit={(text) => actions.post(text)} />
+        ) : !user ? (
+          <p className="text-muted small">
+            <Link to="/login" className="text-info">Log in</Link> to join the discussion.
+          </p>
+        ) : (
+          <p className="text-muted small">Only public simulations can be discussed.</p>
+        )}
+
+        {loading ? (
+          <div className="text-center py-3"><Spinner animation="border" size="sm" /></div>
+        ) : comments.length > 0 ? (
+          (childrenByParent.root || []).map(comment => (
+            <CommentItem key={comment._id} comment={comment} childrenByParent={childrenByParent} actions={actions} user={user} />
+          ))
+        ) : (
+          <p className="text-muted mb-0">No comments yet.</p>
+        )}
+      </Card.Body>
+    </Card>
+  );
+};
+
+export default CommentThread;
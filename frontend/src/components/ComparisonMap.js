@@ -0,0 +1,88 @@
+import React, { useEffect } from 'react';
+import { MapContainer, TileLayer, Circle, CircleMarker, Tooltip, useMap } from 'react-leaflet';
+import L from 'leaflet';
+
+// Un color por simulación comparada
+export const COMPARISON_COLORS = ['#ff4d4f', '#40a9ff', '#ffc53d', '#73d13d', '#b37feb', '#ff85c0'];
+
+// Anillos de onda expansiva, del daño más leve al más grave; el trazo distingue el nivel
+export const BLAST_RINGS = [
+  { key: 'lightDamage', label: 'Light damage', dashArray: '2 6', fillOpacity: 0.03 },
+  { key: 'moderateDamage', label: 'Moderate damage', dashArray: '6 6', fillOpacity: 0.05 },
+  { key: 'heavyDamage', label: 'Heavy damage', dashArray: '12 4', fillOpacity: 0.08 },
+  { key: 'noSurvivors', label: 'No survivors', dashArray: null, fillOpacity: 0.15 }
+];
+
+const toLatLng = (simulation) => [simulation.impactLocation.latitude, simulation.impactLocation.longitude];
+
+// Encuadra el mapa para que quepa el anillo más externo de cada simulación
+const FitAllRings = ({ simulations }) => {
+  const map = useMap();
+
+  useEffect(() => {
+    if (simulations.length === 0) return;
+    const bounds = L.latLngBounds([]);
+    simulations.forEach(simulation => {
+      const radiusKm = Math.max(
+        simulation.results?.blastRadius?.lightDamage || 0,
+        (simulation.results?.craterDiameter || 0) / 2000,
+        1
+      );
+      bounds.extend(L.latLng(toLatLng(simulation)).toBounds(radiusKm * 2000));
+    });
+    map.fitBounds(bounds, { padding: [20, 20] });
+  }, [map, simulations]);
+
+  return null;
+};
+
+// Anillos de daño de varias simulaciones superpuestos en un mismo mapa
+const ComparisonMap = ({ simulations, height = 450 }) => (
+  <MapContainer center={[0, 0]} zoom={3} style={{ height, width: '100%' }}>
+    <TileLayer
+      attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
+      url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
+    />
+    <FitAllRings simulations={simulations} />
+
+    {simulations.map((simulation, index) => {
+      const color = COMPARISON_COLORS[index % COMPARISON_COLORS.length];
+      const center = toLatLng(simulation);
+      const name = simulation.asteroid?.name || `Simulation ${index + 1}`;
+
+      return (
+        <React.Fragment key={simulation._id}>
+          {BLAST_RINGS.map(ring => {
+            const radiusKm = simulation.results?.blastRadius?.[ring.key];
+            if (!radiusKm) return null;
+            return (
+              <Circle
+                key={ring.key}
+                center={center}
+                radius={radiusKm * 1000}
+                pathOptions={{ color, weight: 2, dashArray: ring.dashArray, fillColor: color, fillOpacity: ring.fillOpacity }}
+              >
+                <Tooltip sticky>{name}: {ring.label} ({radiusKm.toFixed(1)} km)</Tooltip>
+              </Circle>
+            );
+          })}
+
+          {/* Cráter final (diámetro en metros) */}
+          {simulation.results?.craterDiameter > 0 && (
+            <Circle
+              center={center}
+              radius={simulation.results.craterDiameter / 2}
+              pathOptions={{ color, weight: 1, fillColor: color, fillOpacity: 0.6 }}
+            />
+          )}
+
+          <CircleMarker center={center} radius={5} pathOptions={{ color: '#ffffff', weight: 2, fillColor: color, fillOpacity: 1 }}>
+            <Tooltip>{String.fromCharCode(65 + index)} · {name}</Tooltip>
+          </CircleMarker>
+        </React.Fragment>
+      );
+    })}
+  </MapContainer>
+);
+
+export default ComparisonMap;
@@ -0,0 +1,49 @@
+import React from 'react';
+import { Circle, Tooltip } from 'react-leaflet';
+
+// Color del manto de eyecta (marrón, más opaco cuanto más grueso)
+const EJECTA_COLOR = '#a0522d';
+
+// Espesor legible: metros, centímetros o milímetros
+export const formatThickness = (meters) => {
+  if (meters >= 1) return `${meters.toFixed(0)} m`;
+  if (meters >= 0.01) return `${(meters * 100).toFixed(0)} cm`;
+  if (meters >= 0.001) return `${(meters * 1000).toFixed(0)} mm`;
+  return '< 1 mm';
+};
+
+// Isopacas del manto de eyecta: círculos de igual espesor calculados por el backend
+const EjectaIsopachs = ({ impactLocation, simulationResults }) => {
+  const ejecta = simulationResults?.detailedEffects?.ejecta || simulationResults?.ejecta;
+
+  if (!impactLocation || !ejecta?.isopachs?.length) {
+    return null;
+  }
+
+  return (
+    <>
+      {ejecta.isopachs.map((isopach, index) => (
+        <Circle
+          key={isopach.thickness}
+          center={[impactLocation.lat, impactLocation.lng]}
+          radius={isopach.radius * 1000} // km → m
+          pathOptions={{
+            color: EJECTA_COLOR,
+            fillOpacity: 0,
+            weight: 1.5,
+            opacity: 0.9 - index * 0.15,
+            dashArray: '8, 4, 2, 4'
+          }}
+        >
+          <Tooltip sticky>
+            Ejecta: {formatThickness(isopach.thickness)} de espesor
+            <br />
+            Fragmento medio: {formatThickness(isopach.fragmentSize)}
+          </Tooltip>
+        </Circle>
+      ))}
+    </>
+  );
+};
+
+export default EjectaIsopachs;
@@ -0,0 +1,38 @@
+import React, { useState } from 'react';
+import { Button } from 'react-bootstrap';
+import toast from 'react-hot-toast';
+import api from '../utils/api';
+
+// Follow/unfollow toggle for another user; the parent owns the followed state
+const FollowButton = ({ userId, username, isFollowing, onChange, size = 'sm' }) => {
+  const [pending, setPending] = useState(false);
+
+  const handleClick = async () => {
+    setPending(true);
+    try {
+      const response = isFollowing
+        ? await api.delete(`/api/users/${userId}/follow`)
+        : await api.post(`/api/users/${userId}/follow`);
+      onChange(userId, response.data.isFollowing, response.data.followersCount);
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Request failed');
+    } finally {
+      setPending(false);
+    }
+  };
+
+  return (
+    <Button
+      variant={isFollowing ? 'outline-secondary' : 'outline-info'}
+      size={size}
+      onClick={handleClick}
+      disabled={pending}
+      title={isFollowing ? `Unfollow ${username}` : `Follow ${username}`}
+    >
+      <i className={`bi ${isFollowing ? 'bi-person-check' : 'bi-person-plus'} me-1`}></i>
+      {isFollowing ? 'Following' : 'Follow'}
+    </Button>
+  );
+};
+
+export default FollowButton;
@@ -1,20 +1,11 @@
 import React from 'react';
 import { Circle, Popup } from 'react-leaflet';
+import impactPhysics from '../shared/impactPhysics';
+import impactorComposition from '../shared/composition';
 
 // === Constantes Tierra ===
-const g = 9.80665; // m/s^2
-const vEsc = 11186; // m/s (velocidad de escape de la Tierra)
-const KG = 1.0; // Constante empírica régimen gravedad
-const KS = 1.0; // Constante empírica régimen resistencia
 const R_EARTH = 6371000; // Radio de la Tierra en metros
 
-// Tipos de terreno con sus propiedades
-const TERRAIN = {
-  agua: { rho_t: 1000, Y: 5e5 },
-  sedimento: { rho_t: 2000, Y: 5e5 },
-  roca: { rho_t: 2650, Y: 1e7 }
-};
-
 // Función para convertir grados a radianes
 const toRad = (degrees) => degrees * Math.PI / 180;
 
@@ -23,32 +14,57 @@ const metersPerPixel = (lat, zoom) => {
   return (40075016.686 * Math.cos(toRad(lat))) / (256 * Math.pow(2, zoom));
 };
 
-// Función principal: π-scaling → radio final (m)
-const craterRadius = ({ d_m, vinf_kms, alpha_deg, rho_i = 3200, terrain = "roca" }) => {
-  const { rho_t, Y } = TERRAIN[terrain] || TERRAIN.roca;
-  const vinf = vinf_kms * 1000; // Convertir km/s a m/s
-  const v = Math.sqrt(vinf * vinf + vEsc * vEsc); // Velocidad de impacto total
-  const vn = v * Math.sin(toRad(alpha_deg)); // Componente normal
-  
-  if (vn <= 0 || d_m <= 0) return 0;
-
-  // Régimen de gravedad (impactos grandes)
-  const Dt_g = KG * Math.pow(rho_i / rho_t, 1/3) * Math.pow(g, -0.17) *
-               Math.pow(vn, 0.44) * Math.pow(d_m, 0.78);
-
-  // Régimen de resistencia (impactos pequeños/material fuerte)
-  const Dt_s = KS * Math.pow(rho_i / rho_t, 0.4) * Math.pow(Y, -0.22) *
-               Math.pow(vn, 0.79) * Math.pow(d_m, 0.26);
-
-  // Tomar el mayor de los dos regímenes
-  const Dt = Math.max(Dt_g, Dt_s);
-  
-  // Diámetro final (cráteres simples vs complejos)
-  const Df = Dt < 3200 ? 1.25 * Dt : 1.3 * Dt;
-  
-  return Df / 2; // Radio final en metros
+// Radio final del cráter (m) con el mismo modelo físico que usa el backend
+export const craterRadius = ({ asteroidData, impactVelocity, impactAngle, composition, simulationResults }) => {
+  // Material del impactor: el usado por el backend, o la composición elegida/inferida
+  const impactor = simulationResults?.impactor || impactorComposition.resolveImpactor({ asteroid: asteroidData, composition });
+  const { crater } = impactPhysics.simulateImpact({
+    diameter: impactPhysics.getImpactorDiameter(asteroidData),
+    velocity: impactVelocity * 1000, // km/s → m/s
+    angle: impactAngle,
+    density: impactor.density,
+    strength: impactor.strength,
+    pancakeFactor: impactor.pancakeFactor,
+    targetType: simulationResults?.detailedEffects?.targetType || simulationResults?.targetType,
+    waterDepth: simulationResults?.detailedEffects?.waterDepth || simulationResults?.waterDepth || 0
+  });
+  return crater.diameter / 2;
 };
 
+// Anillos térmicos (bola de fuego y radiación), de mayor a menor radio
+export const THERMAL_RINGS = [
+  {
+    key: 'secondDegreeBurns',
+    label: '2nd-Degree Burns',
+    color: '#ffd000',
+    description: 'Quemaduras de segundo grado en piel expuesta'
+  },
+  {
+    key: 'treeIgnition',
+    label: 'Tree Ignition',
+    color: '#7cb342',
+    description: 'Ignición de árboles y vegetación seca'
+  },
+  {
+    key: 'thirdDegreeBurns',
+    label: '3rd-Degree Burns',
+    color: '#ff7a00',
+    description: 'Quemaduras de tercer grado en piel expuesta'
+  },
+  {
+    key: 'clothingIgnition',
+    label: 'Clothing Ignition',
+    color: '#ff2d55',
+    description: 'La ropa expuesta se enciende'
+  },
+  {
+    key: 'fireballRadius',
+    label: 'Fireball',
+    color: '#ffffff',
+    description: 'Bola de fuego - Vaporización total'
+  }
+];
+
 // Área plana (m²)
 const areaPlanar = (Rm) => Math.PI * Rm * Rm;
 
@@ -59,7 +75,7 @@ const areaGeodesic = (Rm) => {
 };
 
 // Componente mejorado para mostrar el círculo de impacto con fórmulas físicas
-const ImpactCircle = ({ impactLocation, simulationResults, asteroidData, impactAngle, impactVelocity }) => {
+const ImpactCircle = ({ impactLocation, simulationResults, asteroidData, impactAngle, impactVelocity, composition }) => {
   console.log('ImpactCircle - Props received:', {
     impactLocation,
     simulationResults,
@@ -84,26 +100,23 @@ const ImpactCircle = ({ impactLocation, simulationResults, asteroidData, impactA
   console.log('ImpactCircle - impactAngle:', impactAngle);
   console.log('ImpactCircle - impactVelocity:', impactVelocity);
 
-  // Extraer datos del asteroide
-  const asteroidDiameter = asteroidData?.calculatedProperties?.averageDiameter || 
-                          asteroidData?.estimated_diameter?.meters?.estimated_diameter_max || 
-                          simulationResults?.craterDiameter * 1000 || 1000; // m
-  
-  const asteroidVelocity = impactVelocity || 
-                          asteroidData?.calculatedProperties?.averageVelocity * 1000 || 
-                          20000; // m/s por defecto
-  
-  const impactAngleDegrees = impactAngle || 45; // grados desde horizontal
+  // Extraer datos del asteroide (velocidad recibida en km/s)
+  const asteroidDiameter = impactPhysics.getImpactorDiameter(asteroidData); // m
+  const asteroidVelocity = impactVelocity * 1000; // m/s
+  const impactAngleDegrees = impactAngle || 45;
   
-  // Calcular radio del cráter usando fórmulas físicas
+  // Calcular radio del cráter con el modelo físico compartido
   const craterRadiusMeters = craterRadius({
-    d_m: asteroidDiameter,
-    vinf_kms: asteroidVelocity / 1000, // Convertir a km/s
-    alpha_deg: impactAngleDegrees,
-    rho_i: 3200, // Densidad típica de asteroide rocoso
-    terrain: "roca" // Tipo de terreno
+    asteroidData,
+    impactVelocity,
+    impactAngle: impactAngleDegrees,
+    composition,
+    simulationResults
   });
 
+  // Efectos térmicos calculados por el backend (solo tras ejecutar la simulación)
+  const thermalEffects = simulationResults?.detailedEffects?.thermalEffects || simulationResults?.thermalEffects;
+
   // Calcular área afectada basada en el radio del cráter (más realista)
   // El área afectada típicamente es 10-50 veces el radio del cráter
   const affectedRadiusMultiplier = 15; // Factor multiplicador para área afectada
@@ -268,6 +281,22 @@ const ImpactCircle = ({ impactLocation, simulationResults, asteroidData, impactA
         }}
       />
       
+      {/* Anillos térmicos - radiación de la bola de fuego */}
+      {thermalEffects && THERMAL_RINGS.map(ring => thermalEffects[ring.key] > 0 && (
+        <Circle
+          key={ring.key}
+          center={[impactLocation.lat, impactLocation.lng]}
+          radius={thermalEffects[ring.key] * 1000} // km → m
+          pathOptions={{
+            color: ring.color,
+            fillOpacity: 0,
+            weight: 2,
+            opacity: 0.8,
+            dashArray: ring.key === 'fireballRadius' ? null : '2, 6'
+          }}
+        />
+      ))}
+      
       {/* Círculo del cráter - área de destrucción total (radio REAL del cráter) */}
       <Circle
         center={[impactLocation.lat, impactLocation.lng]}
@@ -356,6 +385,20 @@ const ImpactCircle = ({ impactLocation, simulationResults, asteroidData, impactA
               </small>
             </div>
 
+            {thermalEffects && (
+              <div style={{ marginBottom: '8px' }}>
+                <strong>Fireball:</strong><br/>
+                <span style={{ color: '#ff6600' }}>
+                  Radius: {thermalEffects.fireballRadius.toFixed(2)} km
+                </span><br/>
+                <small style={{ color: '#666' }}>
+                  Max radiation at: {thermalEffects.fireballDuration.toFixed(2)} s<br/>
+                  3rd-degree burns: {thermalEffects.thirdDegreeBurns.toFixed(1)} km<br/>
+                  2nd-degree burns: {thermalEffects.secondDegreeBurns.toFixed(1)} km
+                </small>
+              </div>
+            )}
+
             <div style={{ marginBottom: '8px' }}>
               <strong>Impact Severity:</strong><br/>
               <span className={`badge bg-${getSeverityBadgeColor(severity)}`}>
@@ -394,7 +437,7 @@ const ImpactCircle = ({ impactLocation, simulationResults, asteroidData, impactA
               Asteroid Diameter: {(asteroidDiameter / 1000).toFixed(2)} km<br/>
               Impact Velocity: {(asteroidVelocity / 1000).toFixed(1)} km/s<br/>
               Impact Angle: {impactAngleDegrees}°<br/>
-              Terrain: Rock (ρ=2650 kg/m³, Y=10⁷ Pa)<br/>
+              Model: {impactPhysics.MODEL_ID}<br/>
               <strong>Calculated Radii:</strong><br/>
               Crater Radius: {craterRadiusKm.toFixed(2)} km<br/>
               Affected Radius: {affectedRadiusKm.toFixed(2)} km<br/>
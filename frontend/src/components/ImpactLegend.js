@@ -1,5 +1,7 @@
 import React from 'react';
 import { Card, Badge } from 'react-bootstrap';
+import { THERMAL_RINGS } from './ImpactCircle';
+import { formatThickness } from './EjectaIsopachs';
 
 // Componente para mostrar la leyenda de colores del impacto
 const ImpactLegend = ({ simulationResults }) => {
@@ -55,6 +57,13 @@ const ImpactLegend = ({ simulationResults }) => {
 
   const severityInfo = getSeverityInfo(severity);
 
+  // Radios térmicos: resultados crudos del calculador o simulación guardada
+  const thermalEffects = simulationResults.detailedEffects?.thermalEffects || simulationResults.thermalEffects;
+  const visibleThermalRings = thermalEffects
+    ? THERMAL_RINGS.filter(ring => thermalEffects[ring.key] > 0)
+    : [];
+  const ejecta = simulationResults.detailedEffects?.ejecta || simulationResults.ejecta;
+
   return (
     <Card className="glass-effect impact-legend" style={{ position: 'absolute', top: '10px', right: '10px', zIndex: 1000, minWidth: '200px' }}>
       <Card.Header className="py-2">
@@ -150,6 +159,52 @@ const ImpactLegend = ({ simulationResults }) => {
           <small className="text-muted">Área afectada - Impacto general</small>
         </div>
 
+        {visibleThermalRings.length > 0 && (
+          <>
+            <hr className="my-2" />
+            <small className="text-muted d-block mb-1">
+              <strong>Thermal Radiation</strong> - exposición sin protección
+            </small>
+            {visibleThermalRings.map(ring => (
+              <div className="mb-2" key={ring.key}>
+                <div className="d-flex align-items-center mb-1">
+                  <div 
+                    style={{ 
+                      width: '12px', 
+                      height: '12px', 
+                      borderRadius: '50%', 
+                      marginRight: '8px',
+                      border: `2px ${ring.key === 'fireballRadius' ? 'solid' : 'dotted'} ${ring.color}`
+                    }}
+                  ></div>
+                  <small><strong>{ring.label}</strong> ({thermalEffects[ring.key].toFixed(1)} km)</small>
+                </div>
+                <small className="text-muted">{ring.description}</small>
+              </div>
+            ))}
+          </>
+        )}
+
+        {ejecta?.isopachs?.length > 0 && (
+          <div className="mb-2">
+            <div className="d-flex align-items-center mb-1">
+              <div 
+                style={{ 
+                  width: '12px', 
+                  height: '12px', 
+                  borderRadius: '50%', 
+                  marginRight: '8px',
+                  border: '2px dashed #a0522d'
+                }}
+              ></div>
+              <small><strong>Ejecta Blanket</strong></small>
+            </div>
+            <small className="text-muted">
+              Isopacas de {formatThickness(ejecta.isopachs[0].thickness)} a {formatThickness(ejecta.isopachs[ejecta.isopachs.length - 1].thickness)} - alcance balístico {ejecta.ballisticRange.toFixed(0)} km
+            </small>
+          </div>
+        )}
+
         <hr className="my-2" />
         
         <div>
@@ -0,0 +1,269 @@
+import React, { useState } from 'react';
+import { Modal, Form, Button, Row, Col, ButtonGroup, Alert, Spinner } from 'react-bootstrap';
+import { useSimulation } from '../context/SimulationContext';
+import { useTranslation } from '../hooks/useTranslation';
+
+const FORMATS = ['sbdb', 'mpc', 'keplerian'];
+const FORMAT_LABELS = { sbdb: 'formatSbdb', mpc: 'formatMpc', keplerian: 'formatKeplerian' };
+
+const ELEMENT_FIELDS = [
+  { key: 'semiMajorAxis', step: 'any', min: 0 },
+  { key: 'eccentricity', step: 'any', min: 0, max: 0.9999 },
+  { key: 'inclination', step: 'any', min: 0, max: 180 },
+  { key: 'ascendingNode', step: 'any', min: 0, max: 360 },
+  { key: 'perihelionArgument', step: 'any', min: 0, max: 360 },
+  { key: 'meanAnomaly', step: 'any', min: 0, max: 360 }
+];
+
+const EMPTY_ELEMENTS = {
+  semiMajorAxis: '',
+  eccentricity: '',
+  inclination: '',
+  ascendingNode: '',
+  perihelionArgument: '',
+  meanAnomaly: '',
+  epoch: new Date().toISOString().slice(0, 10),
+  absoluteMagnitude: '',
+  albedo: '',
+  spectralType: ''
+};
+
+// Numbers from the form, leaving out the empty fields
+const toNumbers = (values) => Object.entries(values).reduce((result, [key, value]) => {
+  if (value !== '') result[key] = key === 'spectralType' || key === 'epoch' ? value : Number(value);
+  return result;
+}, {});
+
+const ImportAsteroidModal = ({ show, onHide, onImported }) => {
+  const { importAsteroid } = useSimulation();
+  const { t } = useTranslation();
+  const [format, setFormat] = useState('sbdb');
+  const [text, setText] = useState('');
+  const [name, setName] = useState('');
+  const [diameter, setDiameter] = useState('');
+  const [elements, setElements] = useState(EMPTY_ELEMENTS);
+  const [error, setError] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const reset = () => {
+    setText('');
+    setName('');
+    setDiameter('');
+    setElements(EMPTY_ELEMENTS);
+    setError('');
+  };
+
+  const handleClose = () => {
+    reset();
+    onHide();
+  };
+
+  const handleFile = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => setText(String(reader.result));
+    reader.readAsText(file);
+  };
+
+  const buildPayload = () => {
+    const payload = { format };
+    if (name.trim()) payload.name = name.trim();
+
+    if (format === 'keplerian') {
+      const data = toNumbers(elements);
+      if (diameter) data.diameter = Number(diameter);
+      if (data.absoluteMagnitude === undefined && data.diameter === undefined) {
+        throw new Error(t('sizeRequired'));
+      }
+      payload.data = { ...data, epoch: new Date(`${elements.epoch}T00:00:00Z`).toISOString() };
+      return payload;
+    }
+
+    if (diameter) payload.diameter = Number(diameter);
+    if (format === 'sbdb') {
+      try {
+        payload.data = JSON.parse(text);
+      } catch (parseError) {
+        throw new Error(t('invalidJsonFile'));
+      }
+    } else {
+      payload.data = text;
+    }
+    return payload;
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    let payload;
+    try {
+      payload = buildPayload();
+    } catch (validationError) {
+      setError(validationError.message);
+      return;
+    }
+
+    setSubmitting(true);
+    const result = await importAsteroid(payload);
+    setSubmitting(false);
+
+    if (result.success) {
+      reset();
+      onImported(result.asteroid);
+    } else {
+      setError(result.error);
+    }
+  };
+
+  return (
+    <Modal show={show} onHide={handleClose} size="lg" centered>
+      <Form onSubmit={handleSubmit}>
+        <Modal.Header closeButton className="bg-dark text-light border-secondary">
+          <Modal.Title>
+            <i className="bi bi-upload me-2"></i>
+            {t('importOrbitTitle')}
+          </Modal.Title>
+        </Modal.Header>
+        <Modal.Body className="bg-dark text-light">
+          <Form.Label>{t('importFormat')}</Form.Label>
+          <div className="mb-3">
+            <ButtonGroup size="sm">
+              {FORMATS.map(option => (
+                <Button
+                  key={option}
+                  variant={format === option ? 'primary' : 'outline-primary'}
+                  onClick={() => { setFormat(option); setError(''); }}
+                >
+                  {t(FORMAT_LABELS[option])}
+                </Button>
+              ))}
+            </ButtonGroup>
+          </div>
+
+          {format !== 'keplerian' ? (
+            <>
+              <Form.Group className="mb-3">
+                <Form.Control
+                  as="textarea"
+                  rows={format === 'mpc' ? 3 : 8}
+                  value={text}
+                  onChange={(e) => setText(e.target.value)}
+                  style={{ fontFamily: 'monospace', fontSize: '0.8rem' }}
+                  required
+                />
+                <Form.Text className="text-muted">{t(format === 'mpc' ? 'mpcHint' : 'sbdbHint')}</Form.Text>
+              </Form.Group>
+              <Form.Group className="mb-3">
+                <Form.Label className="small">{t('uploadFile')}</Form.Label>
+                <Form.Control
+                  type="file"
+                  size="sm"
+                  accept={format === 'mpc' ? '.txt,.dat' : '.json,application/json'}
+                  onChange={handleFile}
+                />
+              </Form.Group>
+            </>
+          ) : (
+            <Row>
+              {ELEMENT_FIELDS.map(field => (
+                <Col md={4} key={field.key} className="mb-3">
+                  <Form.Label className="small">{t(field.key)}</Form.Label>
+                  <Form.Control
+                    type="number"
+                    step={field.step}
+                    min={field.min}
+                    max={field.max}
+                    value={elements[field.key]}
+                    onChange={(e) => setElements(prev => ({ ...prev, [field.key]: e.target.value }))}
+                    required
+                  />
+                </Col>
+              ))}
+              <Col md={4} className="mb-3">
+                <Form.Label className="small">{t('elementsEpoch')}</Form.Label>
+                <Form.Control
+                  type="date"
+                  value={elements.epoch}
+                  onChange={(e) => setElements(prev => ({ ...prev, epoch: e.target.value }))}
+                  required
+                />
+              </Col>
+              <Col md={4} className="mb-3">
+                <Form.Label className="small">{t('absoluteMagnitude')}</Form.Label>
+                <Form.Control
+                  type="number"
+                  step="any"
+                  value={elements.absoluteMagnitude}
+                  onChange={(e) => setElements(prev => ({ ...prev, absoluteMagnitude: e.target.value }))}
+                />
+              </Col>
+              <Col md={2} className="mb-3">
+                <Form.Label className="small">{t('albedo')}</Form.Label>
+                <Form.Control
+                  type="number"
+                  step="any"
+                  min={0.01}
+                  max={1}
+                  value={elements.albedo}
+                  onChange={(e) => setElements(prev => ({ ...prev, albedo: e.target.value }))}
+                />
+              </Col>
+              <Col md={2} className="mb-3">
+                <Form.Label className="small">{t('spectralType')}</Form.Label>
+                <Form.Control
+                  type="text"
+                  maxLength={10}
+                  value={elements.spectralType}
+                  onChange={(e) => setElements(prev => ({ ...prev, spectralType: e.target.value }))}
+                />
+              </Col>
+            </Row>
+          )}
+
+          <Row>
+            <Col md={8} className="mb-3">
+              <Form.Label className="small">{t('customName')}</Form.Label>
+              <Form.Control
+                type="text"
+                maxLength={100}
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                required={format === 'keplerian'}
+              />
+              {format !== 'keplerian' && <Form.Text className="text-muted">{t('customNameHint')}</Form.Text>}
+            </Col>
+            <Col md={4} className="mb-3">
+              <Form.Label className="small">{t('diameterOverride')}</Form.Label>
+              <Form.Control
+                type="number"
+                step="any"
+                min={1}
+                value={diameter}
+                onChange={(e) => setDiameter(e.target.value)}
+              />
+              <Form.Text className="text-muted">{t('diameterOverrideHint')}</Form.Text>
+            </Col>
+          </Row>
+
+          {error && <Alert variant="danger" className="py-2 mb-2">{error}</Alert>}
+          <p className="text-muted small mb-0">{t('importNote')}</p>
+        </Modal.Body>
+        <Modal.Footer className="bg-dark border-secondary">
+          <Button variant="outline-light" onClick={handleClose}>{t('cancel')}</Button>
+          <Button type="submit" variant="primary" disabled={submitting}>
+            {submitting ? (
+              <>
+                <Spinner animation="border" size="sm" className="me-2" />
+                {t('importing')}
+              </>
+            ) : t('import')}
+          </Button>
+        </Modal.Footer>
+      </Form>
+    </Modal>
+  );
+};
+
+export default ImportAsteroidModal;
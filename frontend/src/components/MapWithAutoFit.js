@@ -1,8 +1,12 @@
 import React from 'react';
-import { MapContainer, TileLayer, Marker } from 'react-leaflet';
+import { MapContainer, TileLayer, Marker, LayersControl, LayerGroup } from 'react-leaflet';
 import L from 'leaflet';
-import ImpactCircle from './ImpactCircle';
+import ImpactCircle, { craterRadius } from './ImpactCircle';
 import ImpactLegend from './ImpactLegend';
+import EjectaIsopachs from './EjectaIsopachs';
+import SeismicRings from './SeismicRings';
+import TsunamiLayer from './TsunamiLayer';
+import RiskCorridorLayer from './RiskCorridorLayer';
 import MapClickHandler from './MapClickHandler';
 import TestCircles from './TestCircles';
 import VelocityTestCircles from './VelocityTestCircles';
@@ -15,40 +19,23 @@ const MapContent = ({
   selectedAsteroid, 
   impactAngle, 
   impactVelocity,
+  composition,
+  corridor,
+  corridorResults,
   onLocationSelect 
 }) => {
-  // Calcular radio del cráter para auto-encuadre
+  // Calcular radio del cráter para auto-encuadre (mismo modelo que ImpactCircle)
   const craterRadiusMeters = React.useMemo(() => {
     if (!selectedAsteroid || !impactVelocity || !impactAngle) return 0;
     
-    const asteroidDiameter = selectedAsteroid?.calculatedProperties?.averageDiameter || 1000;
-    const asteroidVelocity = impactVelocity * 1000; // Convertir a m/s
-    
-    // Fórmulas físicas simplificadas para el cálculo
-    const g = 9.80665;
-    const vEsc = 11186;
-    const v = Math.sqrt(asteroidVelocity * asteroidVelocity + vEsc * vEsc);
-    const vn = v * Math.sin(impactAngle * Math.PI / 180);
-    
-    if (vn <= 0 || asteroidDiameter <= 0) return 0;
-    
-    const rho_i = 3200; // Densidad del asteroide
-    const rho_t = 2650; // Densidad del terreno
-    const Y = 1e7; // Resistencia del terreno
-    
-    // Régimen de gravedad
-    const Dt_g = Math.pow(rho_i / rho_t, 1/3) * Math.pow(g, -0.17) *
-                 Math.pow(vn, 0.44) * Math.pow(asteroidDiameter, 0.78);
-    
-    // Régimen de resistencia
-    const Dt_s = Math.pow(rho_i / rho_t, 0.4) * Math.pow(Y, -0.22) *
-                 Math.pow(vn, 0.79) * Math.pow(asteroidDiameter, 0.26);
-    
-    const Dt = Math.max(Dt_g, Dt_s);
-    const Df = Dt < 3200 ? 1.25 * Dt : 1.3 * Dt;
-    
-    return Df / 2; // Radio en metros
-  }, [selectedAsteroid, impactVelocity, impactAngle]);
+    return craterRadius({
+      asteroidData: selectedAsteroid,
+      impactVelocity,
+      impactAngle,
+      composition,
+      simulationResults: simulationResults?.results || simulationResults
+    });
+  }, [selectedAsteroid, impactVelocity, impactAngle, composition, simulationResults]);
 
   // Usar el hook de auto-encuadre (ahora dentro del MapContainer)
   useMapAutoFit(craterRadiusMeters, impactLocation);
@@ -109,9 +96,36 @@ const MapContent = ({
             asteroidData={selectedAsteroid}
             impactAngle={impactAngle}
             impactVelocity={impactVelocity}
+            composition={composition}
+          />
+          <EjectaIsopachs
+            impactLocation={impactLocation}
+            simulationResults={simulationResults?.results || simulationResults}
           />
         </>
       )}
+
+      {/* Corredor de riesgo en el modo de corredor */}
+      {corridor && <RiskCorridorLayer corridor={corridor} results={corridorResults} />}
+
+      {/* Capas opcionales que el usuario activa desde el control del mapa */}
+      {impactLocation && simulationResults && (
+        <LayersControl position="bottomleft">
+          <LayersControl.Overlay checked name="Tsunami (arrival & run-up)">
+            <LayerGroup>
+              <TsunamiLayer simulationResults={simulationResults?.results || simulationResults} />
+            </LayerGroup>
+          </LayersControl.Overlay>
+          <LayersControl.Overlay name="Seismic shaking (MMI)">
+            <LayerGroup>
+              <SeismicRings
+                impactLocation={impactLocation}
+                simulationResults={simulationResults?.results || simulationResults}
+              />
+            </LayerGroup>
+          </LayersControl.Overlay>
+        </LayersControl>
+      )}
     </>
   );
 };
@@ -123,6 +137,9 @@ const MapWithAutoFit = ({
   selectedAsteroid, 
   impactAngle, 
   impactVelocity,
+  composition,
+  corridor,
+  corridorResults,
   onLocationSelect 
 }) => {
   return (
@@ -142,6 +159,9 @@ const MapWithAutoFit = ({
           selectedAsteroid={selectedAsteroid}
           impactAngle={impactAngle}
           impactVelocity={impactVelocity}
+          composition={composition}
+          corridor={corridor}
+          corridorResults={corridorResults}
           onLocationSelect={onLocationSelect}
         />
       </MapContainer>
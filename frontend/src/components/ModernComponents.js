@@ -1,6 +1,7 @@
 import React from 'react';
 import { motion } from 'framer-motion';
 import { Rocket, Search, Users, Database, MapPin, Shield, Share2, Star, AlertTriangle, Cpu, Globe } from 'lucide-react';
+import orbit from '../shared/orbit';
 
 // Animation variants
 const containerVariants = {
@@ -285,7 +286,19 @@ export const FeaturesSection = ({ features }) => {
 };
 
 // Asteroid Card Component
+// Torino scale zones: no hazard, normal, merits attention, threatening, certain collision
+const getTorinoZone = (torino) => {
+  if (torino >= 8) return { color: '#ef4444', label: 'Colisión segura' };
+  if (torino >= 5) return { color: '#f97316', label: 'Amenazante' };
+  if (torino >= 2) return { color: '#eab308', label: 'Requiere atención' };
+  if (torino >= 1) return { color: '#22c55e', label: 'Normal' };
+  return { color: '#e5e7eb', label: 'Sin riesgo' };
+};
+
 export const AsteroidCard = ({ asteroid, onSimulate, isAuthenticated }) => {
+  const hazard = asteroid.hazard;
+  const torinoZone = getTorinoZone(hazard?.torinoScale || 0);
+
   return (
     <GlassCard className="p-6 h-full flex flex-col">
       <div className="flex justify-between items-start mb-4">
@@ -333,6 +346,40 @@ export const AsteroidCard = ({ asteroid, onSimulate, isAuthenticated }) => {
             </p>
           </div>
         )}
+
+        {asteroid.calculatedProperties?.orbitClass && (
+          <div>
+            <span className="text-space-silver text-sm">Órbita:</span>
+            <p className="text-space-white font-semibold">
+              {asteroid.calculatedProperties.orbitClass}
+              {asteroid.calculatedProperties.moid !== undefined && (
+                <span className="text-space-silver text-sm font-normal">
+                  {' '}· MOID {(asteroid.calculatedProperties.moid * orbit.AU_KM / orbit.LUNAR_DISTANCE_KM).toFixed(1)} DL
+                </span>
+              )}
+            </p>
+          </div>
+        )}
+
+        {hazard && (
+          <div>
+            <span className="text-space-silver text-sm">Escalas de riesgo:</span>
+            <div className="flex items-center gap-2 mt-1">
+              <span
+                className="text-xs font-semibold px-2 py-1 rounded"
+                style={{ border: `1px solid ${torinoZone.color}`, color: torinoZone.color }}
+                title={torinoZone.label}
+              >
+                Torino {hazard.torinoScale ?? 0}
+              </span>
+              <span className="text-space-white text-sm font-semibold">
+                Palermo {hazard.palermoScale !== null && hazard.palermoScale !== undefined
+                  ? hazard.palermoScale.toFixed(2)
+                  : '—'}
+              </span>
+            </div>
+          </div>
+        )}
       </div>
       
       <CyberButton
@@ -4,6 +4,7 @@ import { LinkContainer } from 'react-router-bootstrap';
 import { useAuth } from '../context/AuthContext';
 import { useLanguage } from '../context/LanguageContext';
 import { useTranslation } from '../hooks/useTranslation';
+import NotificationBell from './NotificationBell';
 
 const Navigation = () => {
   const { user, logout, isAuthenticated } = useAuth();
@@ -60,9 +61,14 @@ const Navigation = () => {
                 {t('community')}
               </Nav.Link>
             </LinkContainer>
-            
-              {/* Leaderboard eliminado */}
-            
+
+            <LinkContainer to="/leaderboard">
+              <Nav.Link>
+                <i className="bi bi-trophy me-1"></i>
+                {t('leaderboard')}
+              </Nav.Link>
+            </LinkContainer>
+
             <LinkContainer to="/orbits">
               <Nav.Link>
                 <i className="bi bi-globe me-1"></i>
@@ -110,6 +116,8 @@ const Navigation = () => {
                     {t('dashboard')}
                   </Nav.Link>
                 </LinkContainer>
+
+                <NotificationBell />
                 
                 <Dropdown align="end">
                   <Dropdown.Toggle as={Nav.Link} className="d-flex align-items-center">
@@ -129,6 +137,15 @@ const Navigation = () => {
                         {t('profile')}
                       </Dropdown.Item>
                     </LinkContainer>
+
+                    {user?.role === 'admin' && (
+                      <LinkContainer to="/admin">
+                        <Dropdown.Item>
+                          <i className="bi bi-shield-lock me-2"></i>
+                          {t('adminConsole')}
+                        </Dropdown.Item>
+                      </LinkContainer>
+                    )}
                     
                     <Dropdown.Divider />
                     
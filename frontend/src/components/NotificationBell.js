@@ -0,0 +1,105 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Nav, Dropdown, Badge, Button } from 'react-bootstrap';
+import { useNavigate } from 'react-router-dom';
+import api from '../utils/api';
+import { useTranslation } from '../hooks/useTranslation';
+
+const POLL_INTERVAL_MS = 60 * 1000;
+const MENU_SIZE = 8;
+
+const NOTIFICATION_ICONS = {
+  achievement: 'bi-trophy text-warning'
+};
+
+// Bell in the navbar with the latest notifications of the logged-in user
+const NotificationBell = () => {
+  const { t } = useTranslation();
+  const navigate = useNavigate();
+  const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+
+  const loadNotifications = useCallback(async () => {
+    try {
+      const response = await api.get('/api/notifications', { params: { limit: MENU_SIZE } });
+      setNotifications(response.data.notifications);
+      setUnreadCount(response.data.unreadCount);
+    } catch (error) {
+      console.error('Failed to load notifications:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadNotifications();
+    const timer = setInterval(loadNotifications, POLL_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [loadNotifications]);
+
+  const openNotification = async (notification) => {
+    if (!notification.readAt) {
+      try {
+        const response = await api.post(`/api/notifications/${notification._id}/read`);
+        setNotifications(prev => prev.map(item => (item._id === notification._id ? response.data.notification : item)));
+        setUnreadCount(response.data.unreadCount);
+      } catch (error) {
+        console.error('Failed to mark notification as read:', error);
+      }
+    }
+    if (notification.link) navigate(notification.link);
+  };
+
+  const markAllRead = async () => {
+    try {
+      await api.post('/api/notifications/read-all');
+      const now = new Date().toISOString();
+      setNotifications(prev => prev.map(item => ({ ...item, readAt: item.readAt || now })));
+      setUnreadCount(0);
+    } catch (error) {
+      console.error('Failed to mark notifications as read:', error);
+    }
+  };
+
+  return (
+    <Dropdown align="end" onToggle={(open) => open && loadNotifications()}>
+      <Dropdown.Toggle as={Nav.Link} className="d-flex align-items-center" title={t('notifications')}>
+        <i className="bi bi-bell"></i>
+        {unreadCount > 0 && (
+          <Badge bg="danger" pill className="ms-1">{unreadCount > 9 ? '9+' : unreadCount}</Badge>
+        )}
+      </Dropdown.Toggle>
+
+      <Dropdown.Menu className="dropdown-menu-dark" style={{ minWidth: '320px' }}>
+        <div className="d-flex justify-content-between align-items-center px-3 py-1">
+          <strong>{t('notifications')}</strong>
+          {unreadCount > 0 && (
+            <Button variant="link" size="sm" className="p-0 text-info text-decoration-none" onClick={markAllRead}>
+              {t('markAllRead')}
+            </Button>
+          )}
+        </div>
+        <Dropdown.Divider />
+
+        {notifications.length === 0 ? (
+          <Dropdown.ItemText className="text-muted small">{t('noNotifications')}</Dropdown.ItemText>
+        ) : (
+          notifications.map(notification => (
+            <Dropdown.Item
+              key={notification._id}
+              onClick={() => openNotification(notification)}
+              className={`d-flex align-items-start ${notification.readAt ? 'text-muted' : ''}`}
+              style={{ whiteSpace: 'normal' }}
+            >
+              <i className={`bi ${NOTIFICATION_ICONS[notification.type] || 'bi-info-circle'} me-2 mt-1`}></i>
+              <div>
+                <div className={notification.readAt ? '' : 'fw-bold'}>{notification.title}</div>
+                {notification.message && <div className="small">{notification.message}</div>}
+                <div className="small text-muted">{new Date(notification.createdAt).toLocaleString()}</div>
+              </div>
+            </Dropdown.Item>
+          ))
+        )}
+      </Dropdown.Menu>
+    </Dropdown>
+  );
+};
+
+export default NotificationBell;
@@ -0,0 +1,80 @@
+import React, { useMemo } from 'react';
+import { Row, Col, Badge, Table } from 'react-bootstrap';
+import orbit from '../shared/orbit';
+import { useTranslation } from '../hooks/useTranslation';
+
+const ORBIT_CLASS_VARIANTS = { Atira: 'info', Aten: 'danger', Apollo: 'warning', Amor: 'success' };
+
+const format = (value, digits, unit = '') => (value === null || value === undefined ? '—' : `${value.toFixed(digits)}${unit}`);
+
+// Parsed orbital elements plus orbit group, MOID, Tisserand parameter and period
+const OrbitalElementsPanel = ({ orbitalData }) => {
+  const { t } = useTranslation();
+  const summary = useMemo(() => orbit.describeOrbit(orbitalData), [orbitalData]);
+
+  if (!summary) {
+    return <p className="text-muted small mb-0">{t('noOrbitalData')}</p>;
+  }
+
+  const epoch = summary.epoch ? orbit.fromJulianDate(summary.epoch) : null;
+  const elements = [
+    { label: t('semiMajorAxis'), value: format(summary.a, 4) },
+    { label: t('eccentricity'), value: format(summary.e, 4) },
+    { label: t('inclination'), value: format(summary.i, 3) },
+    { label: t('ascendingNode'), value: format(summary.node, 3) },
+    { label: t('perihelionArgument'), value: format(summary.peri, 3) },
+    { label: t('meanAnomaly'), value: format(summary.M, 3) },
+    { label: t('perihelion'), value: format(summary.q, 4, ' AU') },
+    { label: t('aphelion'), value: format(summary.Q, 4, ' AU') },
+    { label: t('elementsEpoch'), value: epoch ? epoch.toLocaleDateString() : '—' }
+  ];
+
+  return (
+    <div>
+      <Row className="mb-3 g-3">
+        <Col xs={6} md={3}>
+          <div className="small text-muted">{t('orbitClass')}</div>
+          {summary.orbitClass ? (
+            <Badge bg={ORBIT_CLASS_VARIANTS[summary.orbitClass]} text={summary.orbitClass === 'Apollo' ? 'dark' : undefined}
+              title={t(`orbitClass${summary.orbitClass}`)}>
+              {summary.orbitClass}
+            </Badge>
+          ) : (
+            <Badge bg="secondary">{t('notNearEarth')}</Badge>
+          )}
+        </Col>
+        <Col xs={6} md={3}>
+          <div className="small text-muted">MOID</div>
+          <strong>{format(summary.moidLunar, 2, ` ${t('lunarDistanceUnit')}`)}</strong>
+          <div className="small text-muted">{format(summary.moid, 5, ' AU')}</div>
+        </Col>
+        <Col xs={6} md={3}>
+          <div className="small text-muted">{t('tisserandParameter')}</div>
+          <strong>{format(summary.tisserand, 3)}</strong>
+        </Col>
+        <Col xs={6} md={3}>
+          <div className="small text-muted">{t('orbitalPeriod')}</div>
+          <strong>{format(summary.period, 1, ` ${t('daysUnit')}`)}</strong>
+          <div className="small text-muted">{format(summary.period / 365.25, 2, ` ${t('yearsUnit')}`)}</div>
+        </Col>
+      </Row>
+
+      {summary.orbitClass && (
+        <p className="small text-muted">{t(`orbitClass${summary.orbitClass}`)}</p>
+      )}
+
+      <Table size="sm" variant="dark" className="mb-0 small">
+        <tbody>
+          {elements.map(element => (
+            <tr key={element.label}>
+              <td className="text-muted">{element.label}</td>
+              <td className="text-end">{element.value}</td>
+            </tr>
+          ))}
+        </tbody>
+      </Table>
+    </div>
+  );
+};
+
+export default OrbitalElementsPanel;
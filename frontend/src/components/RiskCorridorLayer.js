@@ -0,0 +1,72 @@
+import React, { useEffect } from 'react';
+import { Polygon, Polyline, CircleMarker, Tooltip, useMap } from 'react-leaflet';
+
+// Color del punto de impacto según las víctimas estimadas
+const getCasualtyColor = (casualties) => {
+  if (casualties >= 1e6) return '#b71c1c';
+  if (casualties >= 1e5) return '#e53935';
+  if (casualties >= 1e4) return '#fb8c00';
+  if (casualties >= 100) return '#fdd835';
+  return '#66bb6a';
+};
+
+// Corredor de riesgo: banda de posibles impactos, línea central y puntos simulados
+const RiskCorridorLayer = ({ corridor, results }) => {
+  const map = useMap();
+  const polygon = corridor?.polygon;
+
+  // Encuadrar el corredor completo cuando cambia su geometría
+  useEffect(() => {
+    if (!polygon || polygon.length < 3) return;
+    map.fitBounds(polygon, { padding: [20, 20], animate: true });
+  }, [map, polygon]);
+
+  if (!corridor) {
+    return null;
+  }
+
+  // Con resultados se muestran los puntos simulados; si no, los puntos de muestreo previstos
+  const points = results?.points || corridor.samples;
+
+  return (
+    <>
+      {polygon.length >= 3 && (
+        <Polygon
+          positions={polygon}
+          pathOptions={{ color: '#ff7043', weight: 1, fillColor: '#ff7043', fillOpacity: 0.15 }}
+        />
+      )}
+      <Polyline
+        positions={corridor.centerline}
+        pathOptions={{ color: '#ff7043', weight: 2, dashArray: '8, 6' }}
+      />
+      {points.map(point => (
+        <CircleMarker
+          key={`corridor-${point.sigma}`}
+          center={[point.lat, point.lng]}
+          radius={3 + point.weight * 40}
+          pathOptions={{
+            color: '#ffffff',
+            weight: 1,
+            fillColor: results ? getCasualtyColor(point.estimatedCasualties) : '#ff7043',
+            fillOpacity: 0.9
+          }}
+        >
+          <Tooltip>
+            {results && <><strong>{point.country}</strong><br /></>}
+            Desviación: {point.sigma.toFixed(2)}σ · Peso: {(point.weight * 100).toFixed(1)}%
+            {results && (
+              <>
+                <br />
+                {point.impactType === 'airburst' ? 'Explosión aérea' : 'Impacto en superficie'} ·
+                {' '}Víctimas: {Math.round(point.estimatedCasualties).toLocaleString()}
+              </>
+            )}
+          </Tooltip>
+        </CircleMarker>
+      ))}
+    </>
+  );
+};
+
+export default RiskCorridorLayer;
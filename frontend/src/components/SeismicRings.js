@@ -0,0 +1,59 @@
+import React from 'react';
+import { Circle, Tooltip } from 'react-leaflet';
+
+// Colores por intensidad Mercalli (de mayor a menor sacudida)
+const INTENSITY_COLORS = {
+  'XII': '#4a0072',
+  'X-XI': '#6a1b9a',
+  'IX-X': '#8e24aa',
+  'VII-VIII': '#ab47bc',
+  'VI-VII': '#ba68c8',
+  'IV-V': '#ce93d8',
+  'III-IV': '#e1bee7',
+  'I-II': '#f3e5f5'
+};
+
+// Tiempo de llegada legible (s, min u h)
+export const formatArrivalTime = (seconds) => {
+  if (seconds < 60) return `${seconds.toFixed(0)} s`;
+  if (seconds < 3600) return `${(seconds / 60).toFixed(1)} min`;
+  return `${(seconds / 3600).toFixed(1)} h`;
+};
+
+// Anillos de intensidad sísmica (Mercalli modificada) calculados por el backend
+const SeismicRings = ({ impactLocation, simulationResults }) => {
+  const seismicEffects = simulationResults?.detailedEffects?.seismicEffects || simulationResults?.seismicEffects;
+
+  if (!impactLocation || !seismicEffects?.bands?.length) {
+    return null;
+  }
+
+  return (
+    <>
+      {seismicEffects.bands.map(band => (
+        <Circle
+          key={band.intensity}
+          center={[impactLocation.lat, impactLocation.lng]}
+          radius={band.radius * 1000} // km → m
+          pathOptions={{
+            color: INTENSITY_COLORS[band.intensity] || '#9c27b0',
+            fillOpacity: 0,
+            weight: 2,
+            opacity: 0.8,
+            dashArray: '1, 6'
+          }}
+        >
+          <Tooltip sticky>
+            <strong>MMI {band.intensity}</strong> hasta {band.radius.toFixed(0)} km
+            <br />
+            {band.description}
+            <br />
+            Llegada de las ondas: {formatArrivalTime(band.arrivalTime)}
+          </Tooltip>
+        </Circle>
+      ))}
+    </>
+  );
+};
+
+export default SeismicRings;
@@ -0,0 +1,64 @@
+import React from 'react';
+import { Polyline, Tooltip } from 'react-leaflet';
+import { formatArrivalTime } from './SeismicRings';
+
+// Color de la costa según la altura de inundación (run-up) en metros
+const getRunupColor = (runup) => {
+  if (runup >= 20) return '#b71c1c';
+  if (runup >= 10) return '#e53935';
+  if (runup >= 5) return '#fb8c00';
+  if (runup >= 2) return '#fdd835';
+  return '#4fc3f7';
+};
+
+// Isócronas de llegada del tsunami y altura de inundación por tramo de costa
+const TsunamiLayer = ({ simulationResults }) => {
+  const tsunami = simulationResults?.detailedEffects?.tsunami || simulationResults?.tsunami;
+
+  if (!tsunami) {
+    return null;
+  }
+
+  return (
+    <>
+      {/* Frentes de onda cada hora */}
+      {tsunami.isochrones.map(isochrone => (
+        <Polyline
+          key={`isochrone-${isochrone.hours}`}
+          positions={isochrone.paths}
+          pathOptions={{
+            color: '#0288d1',
+            weight: 1.5,
+            opacity: 0.7,
+            dashArray: '6, 6'
+          }}
+        >
+          <Tooltip sticky>Llegada del tsunami: {isochrone.hours} h</Tooltip>
+        </Polyline>
+      ))}
+
+      {/* Tramos de costa alcanzados por la ola */}
+      {tsunami.coastalRunup.map(segment => (
+        <Polyline
+          key={`coast-${segment.segmentId}`}
+          positions={segment.points}
+          pathOptions={{
+            color: getRunupColor(segment.runup),
+            weight: 5,
+            opacity: 0.9
+          }}
+        >
+          <Tooltip sticky>
+            <strong>{segment.country || 'Costa'}</strong>
+            <br />
+            Run-up: {segment.runup.toFixed(1)} m (ola de {segment.offshoreAmplitude.toFixed(1)} m)
+            <br />
+            Llegada: {formatArrivalTime(segment.arrivalTime)} · {segment.distance.toFixed(0)} km
+          </Tooltip>
+        </Polyline>
+      ))}
+    </>
+  );
+};
+
+export default TsunamiLayer;
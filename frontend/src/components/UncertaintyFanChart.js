@@ -0,0 +1,83 @@
+import React from 'react';
+import { Chart as ChartJS, CategoryScale, LinearScale, PointElement, LineElement, Filler, Title, Tooltip, Legend } from 'chart.js';
+import { Line } from 'react-chartjs-2';
+
+ChartJS.register(CategoryScale, LinearScale, PointElement, LineElement, Filler, Title, Tooltip, Legend);
+
+const BLAST_TIERS = [
+  { key: 'noSurvivors', label: 'No Survivors' },
+  { key: 'heavyDamage', label: 'Heavy Damage' },
+  { key: 'moderateDamage', label: 'Moderate Damage' },
+  { key: 'lightDamage', label: 'Light Damage' }
+];
+
+// Fan chart of the blast radii: shaded P5-P95 band around the median
+const UncertaintyFanChart = ({ uncertainty }) => {
+  const blastRadius = uncertainty?.blastRadius;
+  if (!blastRadius) return null;
+
+  const band = (percentile) => BLAST_TIERS.map(tier => blastRadius[tier.key]?.[percentile] ?? null);
+
+  const data = {
+    labels: BLAST_TIERS.map(tier => tier.label),
+    datasets: [
+      {
+        label: 'P5',
+        data: band('p5'),
+        borderColor: 'rgba(255, 159, 64, 0.6)',
+        borderDash: [4, 4],
+        pointRadius: 0,
+        fill: false
+      },
+      {
+        label: 'P95',
+        data: band('p95'),
+        borderColor: 'rgba(255, 159, 64, 0.6)',
+        backgroundColor: 'rgba(255, 159, 64, 0.25)',
+        borderDash: [4, 4],
+        pointRadius: 0,
+        fill: '-1'
+      },
+      {
+        label: 'Median (P50)',
+        data: band('p50'),
+        borderColor: 'rgb(220, 53, 69)',
+        backgroundColor: 'rgb(220, 53, 69)',
+        borderWidth: 2,
+        fill: false
+      }
+    ]
+  };
+
+  const options = {
+    responsive: true,
+    maintainAspectRatio: false,
+    plugins: {
+      legend: { labels: { color: '#ccc' } },
+      title: {
+        display: true,
+        text: `Blast radius over ${uncertainty.runs} runs (P5-P95)`,
+        color: '#ccc'
+      },
+      tooltip: {
+        callbacks: {
+          label: (context) => `${context.dataset.label}: ${context.parsed.y.toFixed(1)} km`
+        }
+      }
+    },
+    scales: {
+      x: { ticks: { color: '#ccc' }, grid: { color: 'rgba(255, 255, 255, 0.1)' } },
+      y: {
+        type: 'linear',
+        beginAtZero: true,
+        title: { display: true, text: 'Radius (km)', color: '#ccc' },
+        ticks: { color: '#ccc' },
+        grid: { color: 'rgba(255, 255, 255, 0.1)' }
+      }
+    }
+  };
+
+  return <Line data={data} options={options} />;
+};
+
+export default UncertaintyFanChart;
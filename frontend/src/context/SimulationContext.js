@@ -66,6 +66,43 @@ export const SimulationProvider = ({ children }) => {
     }
   };
 
+  const getCloseApproaches = async (id, params = {}) => {
+    try {
+      const queryString = new URLSearchParams(params).toString();
+      const response = await api.get(`/api/asteroids/${id}/approaches?${queryString}`);
+      return response.data;
+    } catch (error) {
+      console.error('Failed to predict close approaches:', error);
+      throw error;
+    }
+  };
+
+  const importAsteroid = async (importData) => {
+    try {
+      const response = await api.post('/api/asteroids/import', importData);
+      toast.success(response.data.message);
+      return { success: true, asteroid: response.data.asteroid };
+    } catch (error) {
+      const details = error.response?.data?.details;
+      const message = details?.length ? details[0].message : error.response?.data?.error || 'Import failed';
+      toast.error(message);
+      return { success: false, error: message };
+    }
+  };
+
+  const deleteAsteroid = async (asteroidId) => {
+    try {
+      await api.delete(`/api/asteroids/${asteroidId}`);
+      setAsteroids(prev => prev.filter(asteroid => asteroid._id !== asteroidId));
+      toast.success('Asteroid deleted');
+      return { success: true };
+    } catch (error) {
+      const message = error.response?.data?.error || 'Failed to delete asteroid';
+      toast.error(message);
+      return { success: false, error: message };
+    }
+  };
+
   const runSimulation = async (simulationData) => {
     try {
       setLoading(true);
@@ -75,6 +112,9 @@ export const SimulationProvider = ({ children }) => {
       setCurrentSimulation(newSimulation);
       
       toast.success('Simulation completed successfully!');
+      (response.data.achievements || []).forEach(achievement => {
+        toast.success(`Achievement unlocked: ${achievement.name}`, { icon: '🏆' });
+      });
       return { success: true, simulation: newSimulation };
     } catch (error) {
       const message = error.response?.data?.error || 'Simulation failed';
@@ -85,6 +125,18 @@ export const SimulationProvider = ({ children }) => {
     }
   };
 
+  const runEnsemble = async (ensembleData) => {
+    try {
+      const response = await api.post('/api/simulations/ensemble', ensembleData);
+      toast.success('Uncertainty analysis completed!');
+      return { success: true, ensemble: response.data.ensemble };
+    } catch (error) {
+      const message = error.response?.data?.error || 'Uncertainty analysis failed';
+      toast.error(message);
+      return { success: false, error: message };
+    }
+  };
+
   const fetchUserSimulations = async (params = {}) => {
     try {
       setLoading(true);
@@ -140,10 +192,13 @@ export const SimulationProvider = ({ children }) => {
     }
   };
 
-  const addComment = async (simulationId, text) => {
+  const addComment = async (simulationId, text, parent) => {
     try {
-      const response = await api.post(`/api/simulations/${simulationId}/comments`, { text });
+      const response = await api.post(`/api/simulations/${simulationId}/comments`, parent ? { text, parent } : { text });
       toast.success('Comment added!');
+      (response.data.achievements || []).forEach(achievement => {
+        toast.success(`Achievement unlocked: ${achievement.name}`, { icon: '🏆' });
+      });
       return response.data.comment;
     } catch (error) {
       const message = error.response?.data?.error || 'Failed to add comment';
@@ -189,7 +244,7 @@ export const SimulationProvider = ({ children }) => {
     try {
       setLoading(true);
       const response = await api.post('/api/asteroids/sync');
-      toast.success('Asteroid data synchronized!');
+      toast.success('Asteroid data sync started');
       return response.data;
     } catch (error) {
       const message = error.response?.data?.error || 'Failed to sync data';
@@ -211,11 +266,15 @@ export const SimulationProvider = ({ children }) => {
     fetchFeaturedAsteroids,
     searchAsteroids,
     getAsteroidById,
+    getCloseApproaches,
+    importAsteroid,
+    deleteAsteroid,
     syncAsteroidData,
     getAsteroidStats,
     
     // Simulation methods
     runSimulation,
+    runEnsemble,
     fetchUserSimulations,
     fetchPublicSimulations,
     getSimulationById,
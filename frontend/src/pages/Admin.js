@@ -0,0 +1,618 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Container, Row, Col, Card, Button, Badge, Form, Table, Tabs, Tab } from 'react-bootstrap';
+import { Link } from 'react-router-dom';
+import toast from 'react-hot-toast';
+import api from '../utils/api';
+import { useAuth } from '../context/AuthContext';
+
+const PAGE_SIZE = 20;
+
+const formatDate = (dateString) => (dateString ? new Date(dateString).toLocaleString() : '—');
+
+const formatCounts = (counts) => {
+  if (!counts) return '—';
+  return Object.entries(counts)
+    .filter(([, value]) => typeof value === 'number' || typeof value === 'string')
+    .map(([key, value]) => `${key}: ${value}`)
+    .join(', ');
+};
+
+const RUN_STATUS_VARIANTS = { running: 'info', succeeded: 'success', failed: 'danger' };
+
+const PageControls = ({ pagination, onPageChange }) => {
+  if (!pagination || pagination.totalPages <= 1) return null;
+
+  return (
+    <div className="d-flex justify-content-between align-items-center p-3">
+      <Button
+        variant="outline-light"
+        size="sm"
+        disabled={pagination.currentPage <= 1}
+        onClick={() => onPageChange(pagination.currentPage - 1)}
+      >
+        <i className="bi bi-chevron-left"></i>
+      </Button>
+      <small className="text-muted">
+        Page {pagination.currentPage} of {pagination.totalPages} ({pagination.totalItems} items)
+      </small>
+      <Button
+        variant="outline-light"
+        size="sm"
+        disabled={pagination.currentPage >= pagination.totalPages}
+        onClick={() => onPageChange(pagination.currentPage + 1)}
+      >
+        <i className="bi bi-chevron-right"></i>
+      </Button>
+    </div>
+  );
+};
+
+const Admin = () => {
+  const { user: currentUser } = useAuth();
+  const [activeTab, setActiveTab] = useState('users');
+  const [overview, setOverview] = useState(null);
+
+  const [users, setUsers] = useState({ items: [], pagination: null });
+  const [userFilters, setUserFilters] = useState({ search: '', role: '', active: '', page: 1 });
+
+  const [simulations, setSimulations] = useState({ items: [], pagination: null });
+  const [simulationFilters, setSimulationFilters] = useState({ featured: '', page: 1 });
+
+  const [comments, setComments] = useState({ items: [], pagination: null });
+  const [commentFilters, setCommentFilters] = useState({ status: 'pending', page: 1 });
+
+  const [jobs, setJobs] = useState({ items: [], runs: [], pagination: null });
+  const [runPage, setRunPage] = useState(1);
+
+  const [busy, setBusy] = useState('');
+
+  // Failed requests surface the API message as a toast
+  const request = async (key, action) => {
+    setBusy(key);
+    try {
+      return await action();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Request failed');
+      return null;
+    } finally {
+      setBusy('');
+    }
+  };
+
+  const loadOverview = useCallback(async () => {
+    try {
+      const response = await api.get('/api/admin/overview');
+      setOverview(response.data.overview);
+    } catch (error) {
+      console.error('Failed to load admin overview:', error);
+    }
+  }, []);
+
+  const loadUsers = useCallback(async () => {
+    try {
+      const params = { page: userFilters.page, limit: PAGE_SIZE };
+      if (userFilters.search) params.search = userFilters.search;
+      if (userFilters.role) params.role = userFilters.role;
+      if (userFilters.active) params.active = userFilters.active;
+      const response = await api.get('/api/admin/users', { params });
+      setUsers({ items: response.data.users, pagination: response.data.pagination });
+    } catch (error) {
+      console.error('Failed to load users:', error);
+    }
+  }, [userFilters]);
+
+  const loadSimulations = useCallback(async () => {
+    try {
+      const params = { page: simulationFilters.page, limit: PAGE_SIZE };
+      if (simulationFilters.featured) params.featured = simulationFilters.featured;
+      const response = await api.get('/api/admin/simulations', { params });
+      setSimulations({ items: response.data.simulations, pagination: response.data.pagination });
+    } catch (error) {
+      console.error('Failed to load simulations:', error);
+    }
+  }, [simulationFilters]);
+
+  const loadComments = useCallback(async () => {
+    try {
+      const response = await api.get('/api/admin/comments', { params: { ...commentFilters, limit: PAGE_SIZE } });
+      setComments({ items: response.data.comments, pagination: response.data.pagination });
+    } catch (error) {
+      console.error('Failed to load comments:', error);
+    }
+  }, [commentFilters]);
+
+  const loadJobs = useCallback(async () => {
+    try {
+      const response = await api.get('/api/admin/jobs', { params: { page: runPage, limit: PAGE_SIZE } });
+      setJobs({ items: response.data.jobs, runs: response.data.runs, pagination: response.data.pagination });
+    } catch (error) {
+      console.error('Failed to load jobs:', error);
+    }
+  }, [runPage]);
+
+  useEffect(() => {
+    loadOverview();
+  }, [loadOverview]);
+
+  useEffect(() => {
+    if (activeTab === 'users') loadUsers();
+  }, [activeTab, loadUsers]);
+
+  useEffect(() => {
+    if (activeTab === 'simulations') loadSimulations();
+  }, [activeTab, loadSimulations]);
+
+  useEffect(() => {
+    if (activeTab === 'comments') loadComments();
+  }, [activeTab, loadComments]);
+
+  useEffect(() => {
+    if (activeTab === 'jobs') loadJobs();
+  }, [activeTab, loadJobs]);
+
+  const updateUser = async (target, action) => {
+    if (action === 'reset-stats' && !window.confirm(`Reset all stats of ${target.username}?`)) return;
+
+    const data = await request(`${target._id}-${action}`, () => api.post(`/api/admin/users/${target._id}/${action}`));
+    if (!data) return;
+    toast.success(data.data.message);
+    setUsers(prev => ({
+      ...prev,
+      items: prev.items.map(item => (item._id === target._id ? data.data.user : item))
+    }));
+    loadOverview();
+  };
+
+  const toggleFeatured = async (simulation) => {
+    const action = simulation.isFeatured ? 'unfeature' : 'feature';
+    const data = await request(`${simulation._id}-${action}`, () => api.post(`/api/admin/simulations/${simulation._id}/${action}`));
+    if (!data) return;
+    toast.success(data.data.message);
+    setSimulations(prev => ({
+      ...prev,
+      items: prev.items.map(item => (item._id === simulation._id ? { ...item, isFeatured: data.data.simulation.isFeatured } : item))
+    }));
+    loadOverview();
+  };
+
+  const moderateComment = async (comment, action) => {
+    if (action === 'remove' && !window.confirm('Remove this comment from its thread?')) return;
+
+    const data = await request(`${comment._id}-${action}`, () => api.post(`/api/admin/comments/${comment._id}/${action}`));
+    if (!data) return;
+    toast.success(data.data.message);
+    loadComments();
+    loadOverview();
+  };
+
+  const runJob = async (job) => {
+    const data = await request(`${job.name}-run`, () => api.post(`/api/admin/jobs/${job.name}/run`));
+    if (!data) return;
+    toast.success(data.data.message);
+    loadJobs();
+  };
+
+  return (
+    <Container className="py-5" style={{ marginTop: '100px' }}>
+      <Row>
+        <Col>
+          <div className="mb-4">
+            <h1>
+              <i className="bi bi-shield-lock me-2"></i>
+              Admin Console
+            </h1>
+            <p className="text-muted">Manage users, community content and background jobs</p>
+          </div>
+        </Col>
+      </Row>
+
+      {/* Overview */}
+      {overview && (
+        <Row className="mb-4">
+          {[
+            { label: 'Users', value: overview.totalUsers, detail: `${overview.activeUsers} active · ${overview.admins} admins`, icon: 'bi-people' },
+            { label: 'Simulations', value: overview.totalSimulations, detail: `${overview.featuredSimulations} featured`, icon: 'bi-geo-alt' },
+            { label: 'Comments', value: overview.totalComments, detail: `${overview.reportedComments} awaiting review`, icon: 'bi-chat-dots' }
+          ].map(stat => (
+            <Col md={4} key={stat.label} className="mb-3">
+              <Card className="glass-effect h-100">
+                <Card.Body>
+                  <div className="d-flex justify-content-between align-items-center">
+                    <div>
+                      <small className="text-muted">{stat.label}</small>
+                      <h3 className="mb-0">{stat.value.toLocaleString()}</h3>
+                      <small className="text-muted">{stat.detail}</small>
+                    </div>
+                    <i className={`bi ${stat.icon} fs-1 text-info`}></i>
+                  </div>
+                </Card.Body>
+              </Card>
+            </Col>
+          ))}
+        </Row>
+      )}
+
+      <Card className="glass-effect">
+        <Card.Body>
+          <Tabs activeKey={activeTab} onSelect={(key) => setActiveTab(key)} className="mb-3">
+            {/* Users */}
+            <Tab eventKey="users" title="Users">
+              <Row className="mb-3">
+                <Col md={6} className="mb-2">
+                  <Form.Control
+                    type="text"
+                    placeholder="Search by username or email"
+                    value={userFilters.search}
+                    onChange={(e) => setUserFilters(prev => ({ ...prev, search: e.target.value, page: 1 }))}
+                  />
+                </Col>
+                <Col md={3} className="mb-2">
+                  <Form.Select
+                    className='text-white bg-dark'
+                    value={userFilters.role}
+                    onChange={(e) => setUserFilters(prev => ({ ...prev, role: e.target.value, page: 1 }))}
+                  >
+                    <option value="">All roles</option>
+                    <option value="user">Users</option>
+                    <option value="admin">Admins</option>
+                  </Form.Select>
+                </Col>
+                <Col md={3} className="mb-2">
+                  <Form.Select
+                    className='text-white bg-dark'
+                    value={userFilters.active}
+                    onChange={(e) => setUserFilters(prev => ({ ...prev, active: e.target.value, page: 1 }))}
+                  >
+                    <option value="">Any status</option>
+                    <option value="true">Active</option>
+                    <option value="false">Deactivated</option>
+                  </Form.Select>
+                </Col>
+              </Row>
+
+              <Table responsive variant="dark" className="mb-0">
+                <thead>
+                  <tr>
+                    <th>User</th>
+                    <th className="d-none d-md-table-cell">Joined</th>
+                    <th>Stats</th>
+                    <th>Status</th>
+                    <th>Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {users.items.map(item => {
+                    const isSelf = item._id === currentUser?._id;
+                    return (
+                      <tr key={item._id}>
+                        <td>
+                          <strong>{item.username}</strong>
+                          {item.role === 'admin' && <Badge bg="info" className="ms-2">admin</Badge>}
+                          <div className="small text-muted">{item.email}</div>
+                        </td>
+                        <td className="d-none d-md-table-cell small">{formatDate(item.createdAt)}</td>
+                        <td className="small">
+                          {item.stats?.simulationsRun || 0} sims · {item.stats?.points || 0} pts
+                        </td>
+                        <td>
+                          <Badge bg={item.isActive ? 'success' : 'secondary'}>
+                            {item.isActive ? 'Active' : 'Deactivated'}
+                          </Badge>
+                        </td>
+                        <td>
+                          <div className="d-flex gap-1 flex-wrap">
+                            <Button
+                              variant={item.isActive ? 'outline-danger' : 'outline-success'}
+                              size="sm"
+                              disabled={isSelf || busy !== ''}
+                              onClick={() => updateUser(item, item.isActive ? 'deactivate' : 'activate')}
+                            >
+                              {item.isActive ? 'Deactivate' : 'Activate'}
+                            </Button>
+                            <Button
+                              variant="outline-info"
+                              size="sm"
+                              disabled={(isSelf && item.role === 'admin') || busy !== ''}
+                              onClick={() => updateUser(item, item.role === 'admin' ? 'demote' : 'promote')}
+                            >
+                              {item.role === 'admin' ? 'Demote' : 'Promote'}
+                            </Button>
+                            <Button
+                              variant="outline-warning"
+                              size="sm"
+                              disabled={busy !== ''}
+                              onClick={() => updateUser(item, 'reset-stats')}
+                            >
+                              Reset stats
+                            </Button>
+                          </div>
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </Table>
+              <PageControls
+                pagination={users.pagination}
+                onPageChange={(page) => setUserFilters(prev => ({ ...prev, page }))}
+              />
+            </Tab>
+
+            {/* Simulations */}
+            <Tab eventKey="simulations" title="Simulations">
+              <Row className="mb-3">
+                <Col md={4}>
+                  <Form.Select
+                    className='text-white bg-dark'
+                    value={simulationFilters.featured}
+                    onChange={(e) => setSimulationFilters({ featured: e.target.value, page: 1 })}
+                  >
+                    <option value="">All simulations</option>
+                    <option value="true">Featured</option>
+                    <option value="false">Not featured</option>
+                  </Form.Select>
+                </Col>
+              </Row>
+
+              <Table responsive variant="dark" className="mb-0">
+                <thead>
+                  <tr>
+                    <th>Simulation</th>
+                    <th className="d-none d-md-table-cell">Casualties</th>
+                    <th className="d-none d-md-table-cell">Votes</th>
+                    <th>Visibility</th>
+                    <th>Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {simulations.items.map(simulation => (
+                    <tr key={simulation._id}>
+                      <td>
+                        <Link to={`/simulation/${simulation._id}`} className="text-info">
+                          {simulation.asteroid?.name || 'Custom asteroid'}
+                        </Link>
+                        <div className="small text-muted">
+                          by {simulation.user?.username || 'unknown'} · {formatDate(simulation.createdAt)}
+                        </div>
+                      </td>
+                      <td className="d-none d-md-table-cell">
+                        {simulation.results?.populationEffects?.estimatedCasualties?.toLocaleString() ?? '—'}
+                      </td>
+                      <td className="d-none d-md-table-cell">
+                        <i className="bi bi-hand-thumbs-up me-1"></i>{simulation.votes?.likes || 0}
+                        <i className="bi bi-hand-thumbs-down ms-2 me-1"></i>{simulation.votes?.dislikes || 0}
+                      </td>
+                      <td>
+                        <Badge bg={simulation.isPublic ? 'success' : 'secondary'}>
+                          {simulation.isPublic ? 'Public' : 'Private'}
+                        </Badge>
+                        {simulation.isFeatured && (
+                          <Badge bg="warning" text="dark" className="ms-1">
+                            <i className="bi bi-star-fill me-1"></i>
+                            Featured
+                          </Badge>
+                        )}
+                      </td>
+                      <td>
+                        <Button
+                          variant={simulation.isFeatured ? 'outline-secondary' : 'outline-warning'}
+                          size="sm"
+                          disabled={(!simulation.isPublic && !simulation.isFeatured) || busy !== ''}
+                          onClick={() => toggleFeatured(simulation)}
+                        >
+                          {simulation.isFeatured ? 'Unfeature' : 'Feature'}
+                        </Button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </Table>
+              <PageControls
+                pagination={simulations.pagination}
+                onPageChange={(page) => setSimulationFilters(prev => ({ ...prev, page }))}
+              />
+            </Tab>
+
+            {/* Comments */}
+            <Tab eventKey="comments" title="Comments">
+              <Row className="mb-3">
+                <Col md={4}>
+                  <Form.Select
+                    className='text-white bg-dark'
+                    value={commentFilters.status}
+                    onChange={(e) => setCommentFilters({ status: e.target.value, page: 1 })}
+                  >
+                    <option value="pending">Reported, awaiting review</option>
+                    <option value="removed">Removed</option>
+                    <option value="dismissed">Reviewed and kept</option>
+                    <option value="all">All comments</option>
+                  </Form.Select>
+                </Col>
+              </Row>
+
+              {comments.items.length > 0 ? (
+                <Table responsive variant="dark" className="mb-0">
+                  <thead>
+                    <tr>
+                      <th>Comment</th>
+                      <th>Reports</th>
+                      <th className="d-none d-md-table-cell">Simulation</th>
+                      <th>Actions</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {comments.items.map(comment => (
+                      <tr key={comment._id}>
+                        <td>
+                          <div>{comment.text}</div>
+                          <small className="text-muted">
+                            {comment.user?.username || 'unknown'} · {formatDate(comment.timestamp)}
+                            {comment.editedAt && ' · edited'}
+                          </small>
+                          {comment.isDeleted && <Badge bg="secondary" className="ms-2">Deleted by author</Badge>}
+                          {comment.moderation?.status === 'removed' && <Badge bg="danger" className="ms-2">Removed</Badge>}
+                        </td>
+                        <td>
+                          {comment.reports.length > 0 ? (
+                            <>
+                              <Badge bg="warning" text="dark">{comment.reports.length}</Badge>
+                              {comment.reports.map(report => (
+                                <div key={report._id} className="small text-muted">
+                                  {report.reason.replace(/_/g, ' ')} · {report.user?.username || 'unknown'}
+                                  {report.note && `: ${report.note}`}
+                                </div>
+                              ))}
+                            </>
+                          ) : (
+                            <span className="text-muted">—</span>
+                          )}
+                        </td>
+                        <td className="d-none d-md-table-cell">
+                          {comment.simulation ? (
+                            <Link to={`/simulation/${comment.simulation._id}`} className="text-info">
+                              {comment.simulation.asteroidName || 'Simulation'}
+                            </Link>
+                          ) : (
+                            <span className="text-muted">Deleted</span>
+                          )}
+                        </td>
+                        <td>
+                          <div className="d-flex flex-wrap gap-1">
+                            {comment.moderation?.status === 'pending' && (
+                              <Button
+                                variant="outline-success"
+                                size="sm"
+                                disabled={busy !== ''}
+                                onClick={() => moderateComment(comment, 'dismiss')}
+                              >
+                                <i className="bi bi-check2 me-1"></i>
+                                Keep
+                              </Button>
+                            )}
+                            {comment.moderation?.status === 'removed' ? (
+                              <Button
+                                variant="outline-info"
+                                size="sm"
+                                disabled={busy !== ''}
+                                onClick={() => moderateComment(comment, 'restore')}
+                              >
+                                <i className="bi bi-arrow-counterclockwise me-1"></i>
+                                Restore
+                              </Button>
+                            ) : (
+                              <Button
+                                variant="outline-danger"
+                                size="sm"
+                                disabled={busy !== '' || comment.isDeleted}
+                                onClick={() => moderateComment(comment, 'remove')}
+                              >
+                                <i className="bi bi-trash me-1"></i>
+                                Remove
+                              </Button>
+                            )}
+                          </div>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </Table>
+              ) : (
+                <p className="text-muted text-center py-4 mb-0">No comments to moderate</p>
+              )}
+              <PageControls
+                pagination={comments.pagination}
+                onPageChange={(page) => setCommentFilters(prev => ({ ...prev, page }))}
+              />
+            </Tab>
+
+            {/* Jobs */}
+            <Tab eventKey="jobs" title="Jobs & Sync">
+              <Table responsive variant="dark" className="mb-4">
+                <thead>
+                  <tr>
+                    <th>Job</th>
+                    <th className="d-none d-md-table-cell">Schedule</th>
+                    <th>Last run</th>
+                    <th>Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {jobs.items.map(job => (
+                    <tr key={job.name}>
+                      <td>
+                        <strong>{job.name}</strong>
+                        <div className="small text-muted">{job.description}</div>
+                      </td>
+                      <td className="d-none d-md-table-cell small">
+                        <code>{job.schedule || 'manual only'}</code>
+                        {job.nextRunAt && <div className="text-muted">next {formatDate(job.nextRunAt)}</div>}
+                      </td>
+                      <td className="small">
+                        {job.lastRun ? (
+                          <>
+                            <Badge bg={RUN_STATUS_VARIANTS[job.lastRun.status]}>{job.lastRun.status}</Badge>
+                            <div className="text-muted">{formatDate(job.lastRun.startedAt)}</div>
+                          </>
+                        ) : 'never'}
+                      </td>
+                      <td>
+                        <Button
+                          variant="outline-primary"
+                          size="sm"
+                          disabled={job.running || busy !== ''}
+                          onClick={() => runJob(job)}
+                        >
+                          <i className="bi bi-play-circle me-1"></i>
+                          {job.running ? 'Running…' : 'Run now'}
+                        </Button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </Table>
+
+              <div className="d-flex justify-content-between align-items-center mb-2">
+                <h6 className="mb-0">Recent runs</h6>
+                <Button variant="outline-light" size="sm" onClick={loadJobs}>
+                  <i className="bi bi-arrow-clockwise"></i>
+                </Button>
+              </div>
+              <Table responsive variant="dark" size="sm" className="mb-0">
+                <thead>
+                  <tr>
+                    <th>Job</th>
+                    <th>Status</th>
+                    <th className="d-none d-md-table-cell">Started</th>
+                    <th className="d-none d-md-table-cell">Duration</th>
+                    <th>Result</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {jobs.runs.map(run => (
+                    <tr key={run._id}>
+                      <td>
+                        {run.job}
+                        <div className="small text-muted">
+                          {run.trigger}{run.triggeredBy ? ` by ${run.triggeredBy.username}` : ''}
+                        </div>
+                      </td>
+                      <td><Badge bg={RUN_STATUS_VARIANTS[run.status]}>{run.status}</Badge></td>
+                      <td className="d-none d-md-table-cell small">{formatDate(run.startedAt)}</td>
+                      <td className="d-none d-md-table-cell small">
+                        {run.durationMs !== undefined ? `${(run.durationMs / 1000).toFixed(1)} s` : '—'}
+                      </td>
+                      <td className="small">{run.error ? <span className="text-danger">{run.error}</span> : formatCounts(run.counts)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </Table>
+              <PageControls pagination={jobs.pagination} onPageChange={setRunPage} />
+            </Tab>
+          </Tabs>
+        </Card.Body>
+      </Card>
+    </Container>
+  );
+};
+
+export default Admin;
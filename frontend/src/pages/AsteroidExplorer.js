@@ -1,11 +1,22 @@
 import React, { useState, useEffect } from 'react';
-import { Container, Row, Col, Card, Form, Button, Table, Badge, InputGroup } from 'react-bootstrap';
+import { Container, Row, Col, Card, Form, Button, Table, Badge, InputGroup, Modal, Spinner, Alert } from 'react-bootstrap';
 import { useNavigate } from 'react-router-dom';
 import { useSimulation } from '../context/SimulationContext';
+import { useAuth } from '../context/AuthContext';
 import { useTranslation } from '../hooks/useTranslation';
+import CloseApproachTimeline from '../components/CloseApproachTimeline';
+import ImportAsteroidModal from '../components/ImportAsteroidModal';
+import OrbitalElementsPanel from '../components/OrbitalElementsPanel';
+import orbit from '../shared/orbit';
+
+const APPROACH_SPANS = [10, 25, 50, 100]; // years ahead
+const IMPORT_SOURCES = { JPL_SBDB: 'SBDB', MPC: 'MPC', manual: 'Manual' };
+const AU_IN_LUNAR_DISTANCES = orbit.AU_KM / orbit.LUNAR_DISTANCE_KM;
+const MOID_LIMITS = [1, 5, 19.5]; // lunar distances, 19.5 LD ≈ 0.05 AU (PHA limit)
 
 const AsteroidExplorer = () => {
-  const { fetchAsteroids, searchAsteroids, loading } = useSimulation();
+  const { fetchAsteroids, searchAsteroids, getAsteroidById, getCloseApproaches, deleteAsteroid, loading } = useSimulation();
+  const { user } = useAuth();
   const { t } = useTranslation();
   const navigate = useNavigate();
   const [asteroids, setAsteroids] = useState([]);
@@ -14,6 +25,10 @@ const AsteroidExplorer = () => {
     hazardous: '',
     minSize: '',
     maxSize: '',
+    minTorino: '',
+    custom: '',
+    orbitClass: '',
+    maxMoid: '',
     sortBy: 'calculatedProperties.averageDiameter',
     sortOrder: 'desc'
   });
@@ -22,6 +37,12 @@ const AsteroidExplorer = () => {
     totalPages: 1,
     totalItems: 0
   });
+  const [detailAsteroid, setDetailAsteroid] = useState(null);
+  const [approachYears, setApproachYears] = useState(APPROACH_SPANS[0]);
+  const [approachData, setApproachData] = useState(null);
+  const [approachLoading, setApproachLoading] = useState(false);
+  const [approachError, setApproachError] = useState('');
+  const [showImport, setShowImport] = useState(false);
 
   useEffect(() => {
     loadAsteroids();
@@ -65,6 +86,43 @@ const AsteroidExplorer = () => {
     }
   };
 
+  const loadApproaches = async (asteroid, years) => {
+    const from = new Date();
+    const to = new Date(from.getTime() + years * 365.25 * 86400000);
+
+    try {
+      setApproachLoading(true);
+      setApproachError('');
+      setApproachData(null);
+      const data = await getCloseApproaches(asteroid._id, { from: from.toISOString(), to: to.toISOString() });
+      setApproachData(data);
+    } catch (error) {
+      setApproachError(error.response?.data?.error || t('approachPredictionFailed'));
+    } finally {
+      setApproachLoading(false);
+    }
+  };
+
+  const openDetail = async (asteroid) => {
+    setDetailAsteroid(asteroid);
+    loadApproaches(asteroid, approachYears);
+
+    // Feed asteroids come without orbital elements, the lookup fills them in
+    if (!asteroid.orbital_data?.semi_major_axis) {
+      try {
+        const full = await getAsteroidById(asteroid._id);
+        setDetailAsteroid(current => (current?._id === asteroid._id ? full : current));
+      } catch (error) {
+        console.error('Failed to load orbital elements:', error);
+      }
+    }
+  };
+
+  const handleApproachYearsChange = (years) => {
+    setApproachYears(years);
+    if (detailAsteroid) loadApproaches(detailAsteroid, years);
+  };
+
   const handleFilterChange = (name, value) => {
     setFilters(prev => ({
       ...prev,
@@ -73,6 +131,21 @@ const AsteroidExplorer = () => {
     setPagination(prev => ({ ...prev, currentPage: 1 }));
   };
 
+  const handleImported = () => {
+    setShowImport(false);
+    if (filters.custom === 'mine') {
+      loadAsteroids();
+    } else {
+      handleFilterChange('custom', 'mine');
+    }
+  };
+
+  const handleDelete = async (asteroid) => {
+    if (!window.confirm(t('confirmDeleteImport').replace('{name}', asteroid.name))) return;
+    const result = await deleteAsteroid(asteroid._id);
+    if (result.success) loadAsteroids();
+  };
+
   const handlePageChange = (newPage) => {
     setPagination(prev => ({ ...prev, currentPage: newPage }));
   };
@@ -118,6 +191,12 @@ const AsteroidExplorer = () => {
               </h1>
               <p className="text-muted">{t('browseNasaDatabase')}</p>
             </div>
+            {user && (
+              <Button variant="outline-primary" onClick={() => setShowImport(true)}>
+                <i className="bi bi-upload me-2"></i>
+                {t('importOrbit')}
+              </Button>
+            )}
           </div>
         </Col>
       </Row>
@@ -194,8 +273,71 @@ const AsteroidExplorer = () => {
                     <option value="calculatedProperties.averageVelocity-desc">{t('velocityFastestFirst')}</option>
                     <option value="name-asc">{t('nameAZ')}</option>
                     <option value="lastUpdated-desc">{t('recentlyUpdated')}</option>
+                    <option value="hazard.palermoScale-desc">{t('palermoHighestFirst')}</option>
+                    <option value="hazard.torinoScale-desc">{t('torinoHighestFirst')}</option>
+                    <option value="calculatedProperties.moid-asc">{t('moidClosestFirst')}</option>
+                    <option value="calculatedProperties.orbitClass-asc">{t('orbitClassAZ')}</option>
+                  </Form.Select>
+                </Col>
+
+                <Col xs={12} sm={6} lg={3} className="mb-3">
+                  <Form.Label>{t('minTorino')}</Form.Label>
+                  <Form.Select
+                    className='text-white bg-dark'
+                    value={filters.minTorino}
+                    onChange={(e) => handleFilterChange('minTorino', e.target.value)}
+                  >
+                    <option value="">{t('anyTorino')}</option>
+                    <option value="1">≥ 1</option>
+                    <option value="2">≥ 2</option>
+                    <option value="5">≥ 5</option>
+                    <option value="8">≥ 8</option>
                   </Form.Select>
                 </Col>
+
+                <Col xs={12} sm={6} lg={3} className="mb-3">
+                  <Form.Label>{t('orbitClass')}</Form.Label>
+                  <Form.Select
+                    className='text-white bg-dark'
+                    value={filters.orbitClass}
+                    onChange={(e) => handleFilterChange('orbitClass', e.target.value)}
+                  >
+                    <option value="">{t('anyOrbitClass')}</option>
+                    {orbit.ORBIT_CLASSES.map(orbitClass => (
+                      <option key={orbitClass} value={orbitClass}>{orbitClass}</option>
+                    ))}
+                  </Form.Select>
+                </Col>
+
+                <Col xs={12} sm={6} lg={3} className="mb-3">
+                  <Form.Label>{t('maxMoid')}</Form.Label>
+                  <Form.Select
+                    className='text-white bg-dark'
+                    value={filters.maxMoid}
+                    onChange={(e) => handleFilterChange('maxMoid', e.target.value)}
+                  >
+                    <option value="">{t('anyMoid')}</option>
+                    {MOID_LIMITS.map(limit => (
+                      <option key={limit} value={(limit / AU_IN_LUNAR_DISTANCES).toFixed(6)}>
+                        ≤ {limit} {t('lunarDistanceUnit')}
+                      </option>
+                    ))}
+                  </Form.Select>
+                </Col>
+
+                {user && (
+                  <Col xs={12} sm={6} lg={3} className="mb-3">
+                    <Form.Label>{t('assetSource')}</Form.Label>
+                    <Form.Select
+                      className='text-white bg-dark'
+                      value={filters.custom}
+                      onChange={(e) => handleFilterChange('custom', e.target.value)}
+                    >
+                      <option value="">{t('allSources')}</option>
+                      <option value="mine">{t('myImports')}</option>
+                    </Form.Select>
+                  </Col>
+                )}
               </Row>
             </Card.Body>
           </Card>
@@ -237,9 +379,22 @@ const AsteroidExplorer = () => {
                               <strong className="text-truncate d-block" style={{ maxWidth: '200px' }}>
                                 {asteroid.name}
                               </strong>
+                              {asteroid.owner && (
+                                <Badge bg="secondary" className="mb-1">
+                                  <i className="bi bi-upload me-1"></i>
+                                  {t('imported')} · {IMPORT_SOURCES[asteroid.metadata?.source] || asteroid.metadata?.source}
+                                </Badge>
+                              )}
                               <small className="text-muted d-none d-md-block">
                                 ID: {asteroid.neo_reference_id}
                               </small>
+                              {asteroid.calculatedProperties?.orbitClass && (
+                                <small className="text-info d-block">
+                                  {asteroid.calculatedProperties.orbitClass}
+                                  {asteroid.calculatedProperties.moid !== undefined &&
+                                    ` · MOID ${(asteroid.calculatedProperties.moid * AU_IN_LUNAR_DISTANCES).toFixed(1)} ${t('lunarDistanceUnit')}`}
+                                </small>
+                              )}
                               <div className="d-block d-lg-none small">
                                 <div><strong>{t('diameter')}:</strong> {formatDiameter(asteroid)}</div>
                                 <div><strong>{t('velocity')}:</strong> {formatVelocity(asteroid)}</div>
@@ -268,6 +423,13 @@ const AsteroidExplorer = () => {
                                 {t('safe')}
                               </Badge>
                             )}
+                            {asteroid.hazard && (
+                              <div className="small text-muted mt-1">
+                                Torino {asteroid.hazard.torinoScale ?? 0}
+                                {asteroid.hazard.palermoScale !== null && asteroid.hazard.palermoScale !== undefined &&
+                                  ` · Palermo ${asteroid.hazard.palermoScale.toFixed(2)}`}
+                              </div>
+                            )}
                           </td>
                           <td>
                             <div className="d-flex gap-1 gap-md-2 flex-wrap">
@@ -281,6 +443,15 @@ const AsteroidExplorer = () => {
                                 <i className="bi bi-info-circle"></i>
                                 <span className="d-none d-md-inline ms-1">Info</span>
                               </Button>
+                              <Button
+                                variant="outline-warning"
+                                size="sm"
+                                onClick={() => openDetail(asteroid)}
+                                className="flex-fill flex-md-grow-0"
+                              >
+                                <i className="bi bi-calendar-event"></i>
+                                <span className="d-none d-md-inline ms-1">{t('approaches')}</span>
+                              </Button>
                               <Button
                                 variant="primary"
                                 size="sm"
@@ -292,6 +463,17 @@ const AsteroidExplorer = () => {
                                 <i className="bi bi-play-circle"></i>
                                 <span className="d-none d-md-inline ms-1">Simulate</span>
                               </Button>
+                              {user && asteroid.owner === user._id && (
+                                <Button
+                                  variant="outline-danger"
+                                  size="sm"
+                                  onClick={() => handleDelete(asteroid)}
+                                  className="flex-fill flex-md-grow-0"
+                                >
+                                  <i className="bi bi-trash"></i>
+                                  <span className="d-none d-md-inline ms-1">{t('delete')}</span>
+                                </Button>
+                              )}
                             </div>
                           </td>
                         </tr>
@@ -341,6 +523,81 @@ const AsteroidExplorer = () => {
           </Card>
         </Col>
       </Row>
+
+      <ImportAsteroidModal
+        show={showImport}
+        onHide={() => setShowImport(false)}
+        onImported={handleImported}
+      />
+
+      {/* Asteroid detail with predicted close approaches */}
+      <Modal show={!!detailAsteroid} onHide={() => setDetailAsteroid(null)} size="lg" centered>
+        <Modal.Header closeButton className="bg-dark text-light border-secondary">
+          <Modal.Title>
+            <i className="bi bi-calendar-event me-2"></i>
+            {detailAsteroid?.name}
+          </Modal.Title>
+        </Modal.Header>
+        <Modal.Body className="bg-dark text-light">
+          {detailAsteroid && (
+            <Row className="mb-3 small">
+              <Col xs={6} md={3}><strong>{t('diameter')}:</strong> {formatDiameter(detailAsteroid)}</Col>
+              <Col xs={6} md={3}><strong>{t('velocity')}:</strong> {formatVelocity(detailAsteroid)}</Col>
+              <Col xs={6} md={3}><strong>{t('kineticEnergy')}:</strong> {formatEnergy(detailAsteroid)}</Col>
+              <Col xs={6} md={3}>
+                {detailAsteroid.is_potentially_hazardous_asteroid ? (
+                  <Badge bg="warning" text="dark">{t('hazardous')}</Badge>
+                ) : (
+                  <Badge bg="success">{t('safe')}</Badge>
+                )}
+              </Col>
+            </Row>
+          )}
+
+          {detailAsteroid && (
+            <div className="mb-4">
+              <h6>{t('orbitalElements')}</h6>
+              <OrbitalElementsPanel orbitalData={detailAsteroid.orbital_data} />
+            </div>
+          )}
+
+          <div className="d-flex justify-content-between align-items-center mb-3 flex-wrap gap-2">
+            <h6 className="mb-0">{t('predictedApproaches')}</h6>
+            <Form.Select
+              size="sm"
+              className="text-white bg-dark"
+              style={{ width: 'auto' }}
+              value={approachYears}
+              onChange={(e) => handleApproachYearsChange(parseInt(e.target.value, 10))}
+              disabled={approachLoading}
+            >
+              {APPROACH_SPANS.map(years => (
+                <option key={years} value={years}>{t('nextYears').replace('{years}', years)}</option>
+              ))}
+            </Form.Select>
+          </div>
+
+          {approachLoading && (
+            <div className="text-center py-4">
+              <Spinner animation="border" size="sm" className="me-2" />
+              {t('loading')}
+            </div>
+          )}
+          {approachError && <Alert variant="warning" className="py-2">{approachError}</Alert>}
+          {approachData && (
+            approachData.approaches.length > 0 ? (
+              <CloseApproachTimeline approaches={approachData.approaches} />
+            ) : (
+              <p className="text-muted mb-0">{t('noApproachesFound')}</p>
+            )
+          )}
+          {approachData && (
+            <p className="text-muted small mt-3 mb-0">
+              {t('approachModelNote')} ({new Date(approachData.elementsEpoch).toLocaleDateString()})
+            </p>
+          )}
+        </Modal.Body>
+      </Modal>
     </Container>
   );
 };
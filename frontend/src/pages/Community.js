@@ -2,10 +2,20 @@ import React, { useState, useEffect } from 'react';
 import { Container, Row, Col, Card, Button, Badge, Form } from 'react-bootstrap';
 import { useSimulation } from '../context/SimulationContext';
 import { LinkContainer } from 'react-router-bootstrap';
+import { useNavigate } from 'react-router-dom';
+import api from '../utils/api';
+import { useAuth } from '../context/AuthContext';
+import FollowButton from '../components/FollowButton';
+
+const MAX_COMPARED = 6;
 
 const Community = () => {
   const { fetchPublicSimulations, loading } = useSimulation();
+  const { user, isAuthenticated } = useAuth();
   const [simulations, setSimulations] = useState([]);
+  const [followedIds, setFollowedIds] = useState(new Set());
+  const [compareIds, setCompareIds] = useState([]);
+  const navigate = useNavigate();
   const [filters, setFilters] = useState({
     sortBy: 'votes.likes',
     featured: false
@@ -15,6 +25,25 @@ const Community = () => {
     loadSimulations();
   }, [filters]);
 
+  useEffect(() => {
+    if (!isAuthenticated) {
+      setFollowedIds(new Set());
+      return;
+    }
+    api.get('/api/users/following')
+      .then(response => setFollowedIds(new Set(response.data.following)))
+      .catch(error => console.error('Failed to load followed users:', error));
+  }, [isAuthenticated]);
+
+  const handleFollowChange = (userId, isFollowing) => {
+    setFollowedIds(prev => {
+      const next = new Set(prev);
+      if (isFollowing) next.add(userId);
+      else next.delete(userId);
+      return next;
+    });
+  };
+
   const loadSimulations = async () => {
     try {
       const data = await fetchPublicSimulations(filters);
@@ -24,6 +53,12 @@ const Community = () => {
     }
   };
 
+  const toggleCompare = (simulationId) => {
+    setCompareIds(prev => (prev.includes(simulationId)
+      ? prev.filter(id => id !== simulationId)
+      : [...prev, simulationId].slice(-MAX_COMPARED)));
+  };
+
   const formatDate = (dateString) => {
     return new Date(dateString).toLocaleDateString();
   };
@@ -97,12 +132,22 @@ const Community = () => {
                       by {simulation.user?.username} • {formatDate(simulation.createdAt)}
                     </small>
                   </div>
-                  {simulation.isFeatured && (
-                    <Badge bg="warning" text="dark">
-                      <i className="bi bi-star-fill me-1"></i>
-                      Featured
-                    </Badge>
-                  )}
+                  <div className="d-flex align-items-center gap-2">
+                    {simulation.isFeatured && (
+                      <Badge bg="warning" text="dark">
+                        <i className="bi bi-star-fill me-1"></i>
+                        Featured
+                      </Badge>
+                    )}
+                    {isAuthenticated && simulation.user?._id && simulation.user._id !== user?._id && (
+                      <FollowButton
+                        userId={simulation.user._id}
+                        username={simulation.user.username}
+                        isFollowing={followedIds.has(simulation.user._id)}
+                        onChange={handleFollowChange}
+                      />
+                    )}
+                  </div>
                 </Card.Header>
 
                 <Card.Body>
@@ -158,14 +203,32 @@ const Community = () => {
                       </span>
                       <span>
                         <i className="bi bi-chat text-info me-1"></i>
-                        {simulation.comments?.length || 0}
+                        {simulation.commentCount || 0}
                       </span>
                     </div>
-                    <LinkContainer to={`/simulation/${simulation._id}`}>
-                      <Button variant="primary" size="sm">
-                        View Details
+                    <div className="d-flex gap-2">
+                      <Button
+                        variant={compareIds.includes(simulation._id) ? 'info' : 'outline-info'}
+                        size="sm"
+                        onClick={() => toggleCompare(simulation._id)}
+                        title="Add to comparison"
+                      >
+                        <i className="bi bi-layout-split"></i>
                       </Button>
-                    </LinkContainer>
+                      {isAuthenticated && (
+                        <LinkContainer to={`/simulator?fork=${simulation._id}`}>
+                          <Button variant="outline-warning" size="sm" title="Re-run with your own parameters">
+                            <i className="bi bi-diagram-2 me-1"></i>
+                            Fork
+                          </Button>
+                        </LinkContainer>
+                      )}
+                      <LinkContainer to={`/simulation/${simulation._id}`}>
+                        <Button variant="primary" size="sm">
+                          View Details
+                        </Button>
+                      </LinkContainer>
+                    </div>
                   </div>
                 </Card.Footer>
               </Card>
@@ -181,6 +244,27 @@ const Community = () => {
           </Col>
         )}
       </Row>
+
+      {compareIds.length > 0 && (
+        <div className="position-fixed bottom-0 start-50 translate-middle-x mb-3" style={{ zIndex: 1030 }}>
+          <Card className="glass-effect shadow">
+            <Card.Body className="py-2 d-flex align-items-center gap-3">
+              <span>{compareIds.length} selected for comparison</span>
+              <Button
+                variant="info"
+                size="sm"
+                disabled={compareIds.length < 2}
+                onClick={() => navigate(`/compare?ids=${compareIds.join(',')}`)}
+              >
+                Compare
+              </Button>
+              <Button variant="outline-light" size="sm" onClick={() => setCompareIds([])}>
+                Clear
+              </Button>
+            </Card.Body>
+          </Card>
+        </div>
+      )}
     </Container>
   );
 };
@@ -0,0 +1,190 @@
+import React, { useState, useEffect } from 'react';
+import { Container, Row, Col, Card, Table, Badge, Button, Alert } from 'react-bootstrap';
+import { useSearchParams, Link } from 'react-router-dom';
+import api from '../utils/api';
+import ComparisonMap, { COMPARISON_COLORS, BLAST_RINGS } from '../components/ComparisonMap';
+import impactorComposition from '../shared/composition';
+import 'leaflet/dist/leaflet.css';
+
+const formatNumber = (num) => {
+  if (num == null || isNaN(num)) return '—';
+  if (num >= 1e12) return (num / 1e12).toFixed(2) + 'T';
+  if (num >= 1e9) return (num / 1e9).toFixed(2) + 'B';
+  if (num >= 1e6) return (num / 1e6).toFixed(2) + 'M';
+  if (num >= 1e3) return (num / 1e3).toFixed(2) + 'K';
+  return Number(num).toFixed(0);
+};
+
+const km = (value) => (value ? `${value.toFixed(1)} km` : '—');
+
+// Rows of the comparison table; numeric rows highlight the largest value
+const ROWS = [
+  { label: 'Entry Angle', value: sim => sim.impactAngle, format: v => (v != null ? `${v}°` : '—') },
+  { label: 'Velocity', value: sim => sim.impactVelocity, format: v => (v ? `${v.toFixed(1)} km/s` : '—') },
+  { label: 'Composition', text: sim => impactorComposition.COMPOSITIONS[sim.impactor?.composition]?.label || '—' },
+  {
+    label: 'Mitigation',
+    text: sim => {
+      const mitigation = sim.mitigationStrategy;
+      if (!mitigation || mitigation.method === 'none') return 'None';
+      const method = mitigation.method.replace(/_/g, ' ');
+      return mitigation.missProbability != null ? `${method} (${(mitigation.missProbability * 100).toFixed(0)}% miss)` : method;
+    }
+  },
+  { label: 'Impact Type', text: sim => sim.results?.impactType || '—' },
+  { label: 'Crater Diameter', value: sim => sim.results?.craterDiameter, format: v => (v ? `${(v / 1000).toFixed(2)} km` : '—') },
+  ...BLAST_RINGS.slice().reverse().map(ring => ({
+    label: ring.label,
+    value: sim => sim.results?.blastRadius?.[ring.key],
+    format: km
+  })),
+  { label: 'Third-degree Burns', value: sim => sim.results?.thermalEffects?.thirdDegreeBurns, format: km },
+  { label: 'Seismic Magnitude', value: sim => sim.results?.seismicMagnitude, format: v => (v ? v.toFixed(1) : '—') },
+  { label: 'Tsunami Height', value: sim => sim.results?.tsunamiHeight, format: v => (v ? `${v.toFixed(0)} m` : '—') },
+  { label: 'Casualties', value: sim => sim.results?.populationEffects?.estimatedCasualties, format: formatNumber },
+  { label: 'Affected Population', value: sim => sim.results?.populationEffects?.affectedPopulation, format: formatNumber },
+  { label: 'Economic Damage', value: sim => sim.results?.economicImpact?.estimatedDamage, format: v => (v ? `$${formatNumber(v)}` : '—') }
+];
+
+const Compare = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [simulations, setSimulations] = useState([]);
+  const [missing, setMissing] = useState([]);
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(true);
+
+  const ids = (searchParams.get('ids') || '').split(',').filter(Boolean);
+  const idsKey = ids.join(',');
+
+  useEffect(() => {
+    const load = async () => {
+      setLoading(true);
+      setError('');
+      try {
+        const response = await api.get('/api/simulations/compare', { params: { ids: idsKey } });
+        setSimulations(response.data.simulations);
+        setMissing(response.data.missing);
+      } catch (e) {
+        setSimulations([]);
+        setError(e.response?.data?.error || 'Failed to load simulations.');
+      } finally {
+        setLoading(false);
+      }
+    };
+    load();
+  }, [idsKey]);
+
+  const removeSimulation = (id) => {
+    setSearchParams({ ids: ids.filter(other => other !== id).join(',') });
+  };
+
+  return (
+    <Container className="py-5" style={{ marginTop: '100px' }}>
+      <Row className="mb-3">
+        <Col>
+          <h1 className="mb-1">
+            <i className="bi bi-layout-split me-2"></i>
+            Compare Simulations
+          </h1>
+          <p className="text-muted">Blast rings of each scenario overlaid on one map, with their results side by side</p>
+        </Col>
+      </Row>
+
+      {error && <Alert variant="warning">{error} Pick simulations to compare from the <Link to="/community">community</Link>.</Alert>}
+      {missing.length > 0 && (
+        <Alert variant="secondary">{missing.length} simulation(s) could not be found or are private.</Alert>
+      )}
+
+      {loading ? (
+        <div className="text-center py-5">
+          <div className="loading-spinner"></div>
+          <p className="mt-3">Loading simulations...</p>
+        </div>
+      ) : simulations.length > 0 && (
+        <>
+          <Row className="mb-4">
+            <Col>
+              <Card className="glass-effect">
+                <Card.Body className="p-0">
+                  <ComparisonMap simulations={simulations} />
+                </Card.Body>
+                <Card.Footer className="small text-muted">
+                  {BLAST_RINGS.map(ring => (
+                    <span key={ring.key} className="me-3 text-nowrap">
+                      <svg width="28" height="8" className="me-1">
+                        <line x1="0" y1="4" x2="28" y2="4" stroke="#ffffff" strokeWidth="2" strokeDasharray={ring.dashArray || undefined} />
+                      </svg>
+                      {ring.label}
+                    </span>
+                  ))}
+                </Card.Footer>
+              </Card>
+            </Col>
+          </Row>
+
+          <Row>
+            <Col>
+              <Card className="glass-effect">
+                <Card.Body>
+                  <Table responsive variant="dark" className="mb-0">
+                    <thead>
+                      <tr>
+                        <th></th>
+                        {simulations.map((simulation, index) => (
+                          <th key={simulation._id}>
+                            <div className="d-flex justify-content-between align-items-start">
+                              <div>
+                                <Badge bg="dark" style={{ border: `2px solid ${COMPARISON_COLORS[index % COMPARISON_COLORS.length]}` }} className="me-2">
+                                  {String.fromCharCode(65 + index)}
+                                </Badge>
+                                <Link to={`/simulation/${simulation._id}`} className="text-info">
+                                  {simulation.asteroid?.name || 'Simulation'}
+                                </Link>
+                                <div className="small text-muted fw-normal">
+                                  by {simulation.user?.username} · {simulation.impactLocation?.city || simulation.impactLocation?.country ||
+                                    `${simulation.impactLocation.latitude.toFixed(2)}, ${simulation.impactLocation.longitude.toFixed(2)}`}
+                                </div>
+                              </div>
+                              {simulations.length > 2 && (
+                                <Button variant="link" size="sm" className="text-muted p-0" title="Remove from comparison"
+                                  onClick={() => removeSimulation(simulation._id)}>
+                                  <i className="bi bi-x-lg"></i>
+                                </Button>
+                              )}
+                            </div>
+                          </th>
+                        ))}
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {ROWS.map(row => {
+                        const values = row.value ? simulations.map(row.value) : [];
+                        const max = values.length ? Math.max(...values.filter(v => typeof v === 'number')) : null;
+                        return (
+                          <tr key={row.label}>
+                            <td className="text-muted">{row.label}</td>
+                            {simulations.map((simulation, index) => (
+                              <td key={simulation._id} className="text-capitalize">
+                                {row.text
+                                  ? row.text(simulation)
+                                  : values[index] === max && values[index] > 0 && simulations.length > 1
+                                    ? <strong>{row.format(values[index])}</strong>
+                                    : row.format(values[index])}
+                              </td>
+                            ))}
+                          </tr>
+                        );
+                      })}
+                    </tbody>
+                  </Table>
+                </Card.Body>
+              </Card>
+            </Col>
+          </Row>
+        </>
+      )}
+    </Container>
+  );
+};
+
+export default Compare;
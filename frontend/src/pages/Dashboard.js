@@ -1,5 +1,6 @@
 import React, { useState, useEffect } from 'react';
-import { Container, Row, Col, Card, Table, Badge, Button, Alert } from 'react-bootstrap';
+import { Container, Row, Col, Card, Table, Badge, Button, Alert, ListGroup } from 'react-bootstrap';
+import api from '../utils/api';
 import { useAuth } from '../context/AuthContext';
 import { useSimulation } from '../context/SimulationContext';
 import { LinkContainer } from 'react-router-bootstrap';
@@ -8,17 +9,38 @@ import { Bar } from 'react-chartjs-2';
 
 ChartJS.register(CategoryScale, LinearScale, BarElement, Title, Tooltip, Legend);
 
+const FEED_PAGE_SIZE = 10;
+
 const Dashboard = () => {
   const { user } = useAuth();
   const { fetchUserSimulations, getSimulationStats, getAsteroidStats } = useSimulation();
   const [userSimulations, setUserSimulations] = useState([]);
   const [stats, setStats] = useState({});
   const [loading, setLoading] = useState(true);
+  const [feed, setFeed] = useState({ items: [], following: 0, nextBefore: null });
+  const [feedLoading, setFeedLoading] = useState(false);
 
   useEffect(() => {
     loadDashboardData();
+    loadFeed();
   }, []);
 
+  // Activity of followed users; passing a cursor appends the next page
+  const loadFeed = async (before) => {
+    setFeedLoading(true);
+    try {
+      const response = await api.get('/api/feed', { params: { limit: FEED_PAGE_SIZE, before } });
+      setFeed(prev => ({
+        ...response.data,
+        items: before ? [...prev.items, ...response.data.items] : response.data.items
+      }));
+    } catch (error) {
+      console.error('Failed to load activity feed:', error);
+    } finally {
+      setFeedLoading(false);
+    }
+  };
+
   const loadDashboardData = async () => {
     try {
       const [simulationsData, simStats, asteroidStats] = await Promise.all([
@@ -259,6 +281,82 @@ const Dashboard = () => {
         </Col>
       </Row>
 
+      {/* Following Feed */}
+      <Row>
+        <Col className="mb-4">
+          <Card className="glass-effect">
+            <Card.Header className="d-flex justify-content-between align-items-center">
+              <h5 className="mb-0">
+                <i className="bi bi-broadcast me-2"></i>
+                Following Activity
+              </h5>
+              <small className="text-muted">Following {feed.following} users</small>
+            </Card.Header>
+
+            <Card.Body>
+              {feed.items.length > 0 ? (
+                <>
+                  <ListGroup variant="flush">
+                    {feed.items.map((item) => (
+                      <ListGroup.Item
+                        key={`${item.type}-${item.type === 'comment' ? item.comment._id : item.simulation._id}`}
+                        className="bg-transparent text-light d-flex justify-content-between align-items-start"
+                      >
+                        <div>
+                          <i className={`bi ${item.type === 'comment' ? 'bi-chat-left-text text-info' : 'bi-rocket-takeoff text-warning'} me-2`}></i>
+                          <strong>{item.user?.username}</strong>
+                          {item.type === 'comment' ? (
+                            <>
+                              {' '}commented on a {item.simulation.asteroidName || 'simulation'} impact
+                              <div className="small text-muted fst-italic mt-1">"{item.comment.text}"</div>
+                            </>
+                          ) : (
+                            <>
+                              {' '}simulated {item.simulation.asteroid?.name || 'an asteroid'} hitting{' '}
+                              {item.simulation.impactLocation?.city || 'Unknown'}, {item.simulation.impactLocation?.country || 'Unknown'}
+                              {item.simulation.asteroid?.is_potentially_hazardous_asteroid && (
+                                <Badge bg="warning" text="dark" className="ms-2">
+                                  Hazardous
+                                </Badge>
+                              )}
+                            </>
+                          )}
+                          <div className="small text-muted">{new Date(item.createdAt).toLocaleString()}</div>
+                        </div>
+                        <LinkContainer to={`/simulation/${item.simulation._id}`}>
+                          <Button variant="outline-primary" size="sm">
+                            View
+                          </Button>
+                        </LinkContainer>
+                      </ListGroup.Item>
+                    ))}
+                  </ListGroup>
+                  {feed.nextBefore && (
+                    <div className="text-center mt-3">
+                      <Button variant="outline-light" size="sm" disabled={feedLoading} onClick={() => loadFeed(feed.nextBefore)}>
+                        {feedLoading ? 'Loading...' : 'Load More'}
+                      </Button>
+                    </div>
+                  )}
+                </>
+              ) : (
+                <Alert variant="info" className="mb-0">
+                  <i className="bi bi-info-circle me-2"></i>
+                  {feed.following > 0
+                    ? 'The users you follow have not shared anything yet.'
+                    : 'Follow other users to see their new simulations and comments here.'}
+                  <LinkContainer to="/community">
+                    <Button variant="link" className="p-0 ms-1">
+                      Browse the community
+                    </Button>
+                  </LinkContainer>
+                </Alert>
+              )}
+            </Card.Body>
+          </Card>
+        </Col>
+      </Row>
+
       {/* Global Stats */}
       <Row>
         <Col>
@@ -0,0 +1,270 @@
+import React, { useState, useEffect } from 'react';
+import { Container, Row, Col, Card, Table, Button, ButtonGroup, Form, Alert } from 'react-bootstrap';
+import { Link } from 'react-router-dom';
+import api from '../utils/api';
+import { useAuth } from '../context/AuthContext';
+
+const PAGE_SIZE = 20;
+
+const TIMEFRAMES = [
+  { key: 'all', label: 'All-time' },
+  { key: 'monthly', label: 'This Month' },
+  { key: 'weekly', label: 'This Week' }
+];
+
+const CATEGORIES = [
+  { key: 'points', label: 'Points' },
+  { key: 'simulationsRun', label: 'Simulations Run' },
+  { key: 'votesReceived', label: 'Votes Received' },
+  { key: 'mitigationsProposed', label: 'Mitigations Proposed' }
+];
+
+const MEDALS = { 1: '#ffd700', 2: '#c0c0c0', 3: '#cd7f32' };
+
+const RankCell = ({ rank }) => (
+  MEDALS[rank]
+    ? <i className="bi bi-trophy-fill" style={{ color: MEDALS[rank] }} title={`#${rank}`}></i>
+    : <span className="text-muted">#{rank}</span>
+);
+
+const formatSeason = (season, timeframe) => {
+  const start = new Date(season.periodStart);
+  if (timeframe === 'monthly') {
+    return start.toLocaleDateString(undefined, { month: 'long', year: 'numeric', timeZone: 'UTC' });
+  }
+  const lastDay = new Date(new Date(season.periodEnd).getTime() - 1);
+  const options = { month: 'short', day: 'numeric', timeZone: 'UTC' };
+  return `${start.toLocaleDateString(undefined, options)} – ${lastDay.toLocaleDateString(undefined, options)}`;
+};
+
+const Leaderboard = () => {
+  const { user, isAuthenticated } = useAuth();
+  const [timeframe, setTimeframe] = useState('all');
+  const [category, setCategory] = useState('points');
+  const [page, setPage] = useState(1);
+  const [board, setBoard] = useState(null);
+  const [history, setHistory] = useState([]);
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    const loadBoard = async () => {
+      setLoading(true);
+      setError('');
+      try {
+        const response = await api.get('/api/users/leaderboard', {
+          params: { window: timeframe, category, page, limit: PAGE_SIZE }
+        });
+        setBoard(response.data);
+      } catch (e) {
+        setBoard(null);
+        setError(e.response?.data?.error || 'Failed to load the leaderboard.');
+      } finally {
+        setLoading(false);
+      }
+    };
+    loadBoard();
+  }, [timeframe, category, page]);
+
+  useEffect(() => {
+    if (timeframe === 'all') {
+      setHistory([]);
+      return;
+    }
+    const loadHistory = async () => {
+      try {
+        const response = await api.get('/api/users/leaderboard/history', { params: { window: timeframe, category } });
+        setHistory(response.data.seasons);
+      } catch (e) {
+        console.error('Failed to load leaderboard history:', e);
+        setHistory([]);
+      }
+    };
+    loadHistory();
+  }, [timeframe, category]);
+
+  const changeTimeframe = (key) => {
+    setTimeframe(key);
+    setPage(1);
+  };
+
+  const changeCategory = (key) => {
+    setCategory(key);
+    setPage(1);
+  };
+
+  const categoryLabel = CATEGORIES.find(c => c.key === category).label;
+  const pagination = board?.pagination;
+
+  return (
+    <Container className="py-5" style={{ marginTop: '100px' }}>
+      <Row className="mb-4">
+        <Col>
+          <h1 className="mb-1">
+            <i className="bi bi-trophy me-2"></i>
+            Leaderboard
+          </h1>
+          <p className="text-muted">
+            Top planetary defenders. Weekly boards reset every Monday and monthly boards on the 1st (UTC).
+          </p>
+        </Col>
+      </Row>
+
+      <Row className="mb-4 g-3 align-items-center">
+        <Col md="auto">
+          <ButtonGroup>
+            {TIMEFRAMES.map(option => (
+              <Button
+                key={option.key}
+                variant={timeframe === option.key ? 'primary' : 'outline-primary'}
+                onClick={() => changeTimeframe(option.key)}
+              >
+                {option.label}
+              </Button>
+            ))}
+          </ButtonGroup>
+        </Col>
+        <Col md={3}>
+          <Form.Select value={category} onChange={(e) => changeCategory(e.target.value)}>
+            {CATEGORIES.map(option => (
+              <option key={option.key} value={option.key}>{option.label}</option>
+            ))}
+          </Form.Select>
+        </Col>
+        {board?.season && (
+          <Col className="text-md-end text-muted small">
+            Resets {new Date(board.season.end).toLocaleString()}
+          </Col>
+        )}
+      </Row>
+
+      {error && <Alert variant="warning">{error}</Alert>}
+
+      <Row>
+        <Col lg={8} className="mb-4">
+          <Card className="glass-effect">
+            <Card.Body className="p-0">
+              {loading ? (
+                <div className="text-center py-5">
+                  <div className="loading-spinner"></div>
+                  <p className="mt-3">Loading leaderboard...</p>
+                </div>
+              ) : board?.leaderboard.length > 0 ? (
+                <Table responsive variant="dark" hover className="mb-0">
+                  <thead>
+                    <tr>
+                      <th style={{ width: '80px' }}>Rank</th>
+                      <th>User</th>
+                      <th>Country</th>
+                      <th className="text-end">{categoryLabel}</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {board.leaderboard.map(entry => {
+                      const isMe = user?._id === entry.user._id;
+                      return (
+                        <tr key={entry.user._id} className={isMe ? 'table-active' : ''}>
+                          <td><RankCell rank={entry.rank} /></td>
+                          <td>
+                            <Link to={`/users/${entry.user.username}`} className="text-info text-decoration-none">
+                              {entry.user.username}
+                            </Link>
+                            {isMe && <span className="text-muted ms-2">(you)</span>}
+                          </td>
+                          <td className="text-muted">{entry.user.profile?.country || '—'}</td>
+                          <td className="text-end fw-bold">{entry.value}</td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </Table>
+              ) : !error && (
+                <p className="text-muted text-center py-5 mb-0">
+                  Nobody has scored in this board yet. <Link to="/simulator" className="text-info">Run a simulation</Link> to claim the top spot.
+                </p>
+              )}
+            </Card.Body>
+            {pagination && pagination.totalPages > 1 && (
+              <Card.Footer className="d-flex justify-content-between align-items-center">
+                <Button variant="outline-light" size="sm" disabled={page <= 1} onClick={() => setPage(page - 1)}>
+                  <i className="bi bi-chevron-left"></i>
+                </Button>
+                <small className="text-muted">
+                  Page {pagination.currentPage} of {pagination.totalPages} ({pagination.totalItems} players)
+                </small>
+                <Button variant="outline-light" size="sm" disabled={page >= pagination.totalPages} onClick={() => setPage(page + 1)}>
+                  <i className="bi bi-chevron-right"></i>
+                </Button>
+              </Card.Footer>
+            )}
+          </Card>
+        </Col>
+
+        <Col lg={4}>
+          <Card className="glass-effect mb-4">
+            <Card.Header>
+              <h5 className="mb-0">
+                <i className="bi bi-person-badge me-2"></i>
+                Your Rank
+              </h5>
+            </Card.Header>
+            <Card.Body className="text-center">
+              {!isAuthenticated ? (
+                <p className="text-muted mb-0">
+                  <Link to="/login" className="text-info">Log in</Link> to see where you stand.
+                </p>
+              ) : board?.me?.rank ? (
+                <>
+                  <h2 className="mb-0">#{board.me.rank}</h2>
+                  <p className="text-muted mb-0">
+                    {board.me.value} {categoryLabel.toLowerCase()}
+                    {pagination?.totalItems > 0 && <> · of {pagination.totalItems} players</>}
+                  </p>
+                </>
+              ) : (
+                <p className="text-muted mb-0">You are not ranked on this board yet.</p>
+              )}
+            </Card.Body>
+          </Card>
+
+          {timeframe !== 'all' && (
+            <Card className="glass-effect">
+              <Card.Header>
+                <h5 className="mb-0">
+                  <i className="bi bi-clock-history me-2"></i>
+                  Past Seasons
+                </h5>
+              </Card.Header>
+              <Card.Body>
+                {history.length > 0 ? (
+                  history.map(season => (
+                    <div key={season.periodStart} className="mb-3 pb-2 border-bottom border-secondary">
+                      <div className="d-flex justify-content-between">
+                        <strong>{formatSeason(season, timeframe)}</strong>
+                        <small className="text-muted">{season.participants} players</small>
+                      </div>
+                      {season.podium.map(entry => (
+                        <div key={entry.user} className="small">
+                          <RankCell rank={entry.rank} />{' '}
+                          <Link to={`/users/${entry.username}`} className="text-info text-decoration-none">{entry.username}</Link>
+                          <span className="text-muted"> · {entry.value}</span>
+                        </div>
+                      ))}
+                      {season.me && season.me.rank > 3 && (
+                        <div className="small text-muted">You finished #{season.me.rank} with {season.me.value}</div>
+                      )}
+                    </div>
+                  ))
+                ) : (
+                  <p className="text-muted mb-0">No finished seasons yet.</p>
+                )}
+              </Card.Body>
+            </Card>
+          )}
+        </Col>
+      </Row>
+    </Container>
+  );
+};
+
+export default Leaderboard;
@@ -1,7 +1,16 @@
-import React, { useEffect, useState } from 'react';
+import React, { useEffect, useMemo, useState } from 'react';
 import { Container, Row, Col, Card, Button, Spinner } from 'react-bootstrap';
 import OrbitView from '../components/3D/OrbitView';
 import api from '../utils/api';
+import orbit from '../shared/orbit';
+
+const DAY_MS = 86400000;
+
+// Fecha local en formato yyyy-mm-dd para el input de fecha
+const toDateInput = (date) => {
+  const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+  return local.toISOString().slice(0, 10);
+};
 
 const OrbitViewer = () => {
   const [asteroids, setAsteroids] = useState([]);
@@ -9,6 +18,9 @@ const OrbitViewer = () => {
   const [hazardFilter, setHazardFilter] = useState('all'); // 'all', 'hazardous', 'nonhazardous'
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
+  // Fecha base y desplazamiento en días para propagar las órbitas
+  const [baseDate, setBaseDate] = useState(() => toDateInput(new Date()));
+  const [dayOffset, setDayOffset] = useState(0);
   const [orbitalStats, setOrbitalStats] = useState({
     totalAsteroids: 0,
     hazardousCount: 0,
@@ -69,11 +81,12 @@ const OrbitViewer = () => {
     });
     const averageVelocity = velocities.reduce((sum, v) => sum + v, 0) / velocities.length;
     
-    // Calcular niveles de riesgo basados en distancia
+    // Niveles de riesgo según la escala de Torino calculada en el backend
     const riskLevels = { HIGH: 0, MEDIUM: 0, LOW: 0 };
-    distances.forEach(distance => {
-      if (distance < 100000) riskLevels.HIGH++;
-      else if (distance < 1000000) riskLevels.MEDIUM++;
+    asteroidList.forEach(a => {
+      const torino = a?.hazard?.torinoScale || 0;
+      if (torino >= 5) riskLevels.HIGH++;
+      else if (torino >= 2) riskLevels.MEDIUM++;
       else riskLevels.LOW++;
     });
 
@@ -90,6 +103,30 @@ const OrbitViewer = () => {
     loadAsteroids();
   }, []);
 
+  // El feed de NeoWs no trae elementos orbitales: al seleccionar un asteroide se piden al detalle
+  useEffect(() => {
+    if (selectedAsteroidId === 'all') return;
+    const selected = asteroids.find(a => String(a._id) === String(selectedAsteroidId));
+    if (!selected || orbit.elementsFromOrbitalData(selected.orbital_data)) return;
+
+    let cancelled = false;
+    api.get(`/api/asteroids/${selected._id}`)
+      .then(({ data }) => {
+        if (cancelled || !data.asteroid?.orbital_data) return;
+        setAsteroids(prev => prev.map(a => (
+          String(a._id) === String(selected._id) ? { ...a, orbital_data: data.asteroid.orbital_data } : a
+        )));
+      })
+      .catch(e => console.error('Failed to load orbital data', e));
+
+    return () => { cancelled = true; };
+  }, [selectedAsteroidId, asteroids]);
+
+  const viewDate = useMemo(
+    () => new Date(new Date(`${baseDate}T00:00:00`).getTime() + dayOffset * DAY_MS),
+    [baseDate, dayOffset]
+  );
+
   // Filtrar asteroides según peligrosidad y selección
   const filteredAsteroids = asteroids.filter(a => {
     if (hazardFilter === 'hazardous') return a.is_potentially_hazardous_asteroid;
@@ -99,6 +136,7 @@ const OrbitViewer = () => {
   const visibleAsteroids = selectedAsteroidId === 'all'
     ? filteredAsteroids
     : filteredAsteroids.filter(a => String(a._id) === String(selectedAsteroidId));
+  const withoutElements = visibleAsteroids.filter(a => !orbit.elementsFromOrbitalData(a.orbital_data)).length;
 
   return (
     <div className="py-4" style={{
@@ -446,6 +484,51 @@ const OrbitViewer = () => {
                 ))}
               </select>
             </Col>
+            <Col md={4}>
+              <label htmlFor="orbit-date" className="form-label">Fecha de las posiciones:</label>
+              <div className="d-flex gap-2">
+                <input
+                  id="orbit-date"
+                  type="date"
+                  className="form-control"
+                  value={baseDate}
+                  onChange={e => {
+                    if (!e.target.value) return;
+                    setBaseDate(e.target.value);
+                    setDayOffset(0);
+                  }}
+                />
+                <Button
+                  variant="outline-light"
+                  onClick={() => {
+                    setBaseDate(toDateInput(new Date()));
+                    setDayOffset(0);
+                  }}
+                >
+                  Hoy
+                </Button>
+              </div>
+            </Col>
+          </Row>
+        )}
+
+        {asteroids.length > 0 && (
+          <Row className="mb-3">
+            <Col md={12}>
+              <label htmlFor="day-offset" className="form-label">
+                Desplazamiento: {dayOffset > 0 ? '+' : ''}{dayOffset} días ({viewDate.toLocaleDateString()})
+              </label>
+              <input
+                id="day-offset"
+                type="range"
+                className="form-range"
+                min={-365}
+                max={365}
+                step={1}
+                value={dayOffset}
+                onChange={e => setDayOffset(parseInt(e.target.value, 10))}
+              />
+            </Col>
           </Row>
         )}
 
@@ -454,17 +537,23 @@ const OrbitViewer = () => {
             {error && (
               <div className="alert alert-warning py-2 mb-3">{error}</div>
             )}
+            {withoutElements > 0 && (
+              <div className="alert alert-info py-2 mb-3">
+                {withoutElements} asteroid(s) have no orbital elements yet and are not drawn. Select one to load its orbit from NASA.
+              </div>
+            )}
             <OrbitView 
               asteroids={visibleAsteroids}
               selectedAsteroid={visibleAsteroids.length === 1 ? visibleAsteroids[0] : null}
               displayOptions={displayOptions}
+              date={viewDate}
             />
           </Card.Body>
         </Card>
 
         <div className="text-muted" style={{ fontSize: 12 }}>
-          <strong>Real-time NASA Data:</strong> Orbital calculations use actual NASA asteroid data including proximity, velocity, and risk assessment. 
-          Distances and velocities are calculated from real close approach data. Risk levels: HIGH (&lt;100k km), MEDIUM (&lt;1M km), LOW (&gt;1M km).
+          <strong>Real NASA orbits:</strong> Heliocentric positions are propagated with a two-body Keplerian model from the NASA osculating elements and Earth's mean orbit, for the chosen date.
+          Planetary perturbations are ignored, so positions drift for dates far from the element epoch. Risk levels follow the Torino scale: HIGH (5-10), MEDIUM (2-4), LOW (0-1).
         </div>
       </Container>
     </div>
@@ -2,6 +2,8 @@ import React, { useEffect, useMemo, useState } from 'react';
 import { Container, Row, Col, Card, Alert, Form, Button, Table, Badge } from 'react-bootstrap';
 import { useAuth } from '../context/AuthContext';
 import { useSimulation } from '../context/SimulationContext';
+import api from '../utils/api';
+import BadgeGallery from '../components/BadgeGallery';
 
 const Profile = () => {
   const { user, updateProfile, changePassword } = useAuth();
@@ -17,6 +19,8 @@ const Profile = () => {
   const [savingProfile, setSavingProfile] = useState(false);
   const [changingPassword, setChangingPassword] = useState(false);
   const [simRows, setSimRows] = useState([]);
+  const [achievements, setAchievements] = useState([]);
+  const [unlockedCount, setUnlockedCount] = useState(0);
 
   useEffect(() => {
     const load = async () => {
@@ -26,6 +30,20 @@ const Profile = () => {
     load();
   }, [fetchUserSimulations]);
 
+  useEffect(() => {
+    if (!user?._id) return;
+    const loadAchievements = async () => {
+      try {
+        const response = await api.get(`/api/users/${user._id}/achievements`);
+        setAchievements(response.data.achievements);
+        setUnlockedCount(response.data.unlockedCount);
+      } catch (error) {
+        console.error('Failed to load achievements:', error);
+      }
+    };
+    loadAchievements();
+  }, [user?._id]);
+
   useEffect(() => {
     setProfileForm({
       firstName: user?.profile?.firstName || '',
@@ -94,6 +112,24 @@ const Profile = () => {
 
         <Col md={8}>
           <Row className="g-3">
+            <Col md={12}>
+              <Card className="glass-effect" id="achievements">
+                <Card.Header className="d-flex justify-content-between align-items-center">
+                  <h5 className="mb-0"><i className="bi bi-award me-2"></i>Badges</h5>
+                  {achievements.length > 0 && (
+                    <small className="text-muted">{unlockedCount} of {achievements.length} unlocked</small>
+                  )}
+                </Card.Header>
+                <Card.Body>
+                  {achievements.length === 0 ? (
+                    <div className="text-muted">Loading badges...</div>
+                  ) : (
+                    <BadgeGallery achievements={achievements} />
+                  )}
+                </Card.Body>
+              </Card>
+            </Col>
+
             <Col md={12}>
               <Card className="glass-effect">
                 <Card.Header>
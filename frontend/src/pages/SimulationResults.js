@@ -1,8 +1,12 @@
 import React, { useEffect, useMemo, useState } from 'react';
-import { Container, Row, Col, Card, Alert, Badge, Button } from 'react-bootstrap';
-import { useParams, useNavigate } from 'react-router-dom';
+import { Container, Row, Col, Card, Alert, Badge, Button, Table, Spinner } from 'react-bootstrap';
+import { useParams, useNavigate, Link } from 'react-router-dom';
 import { useSimulation } from '../context/SimulationContext';
+import { useAuth } from '../context/AuthContext';
 import { SafeEnhancedImpact3D } from '../components/3D';
+import UncertaintyFanChart from '../components/UncertaintyFanChart';
+import CommentThread from '../components/CommentThread';
+import impactorComposition from '../shared/composition';
 
 const formatNumber = (num) => {
   if (num == null || isNaN(num)) return 'N/A';
@@ -16,10 +20,12 @@ const formatNumber = (num) => {
 const SimulationResults = () => {
   const { id } = useParams();
   const navigate = useNavigate();
-  const { getSimulationById, loading } = useSimulation();
+  const { getSimulationById, runEnsemble, loading } = useSimulation();
+  const { user } = useAuth();
   const [sim, setSim] = useState(null);
   const [error, setError] = useState('');
   const [animate3D, setAnimate3D] = useState(false);
+  const [runningEnsemble, setRunningEnsemble] = useState(false);
 
   useEffect(() => {
     const load = async () => {
@@ -36,6 +42,27 @@ const SimulationResults = () => {
   const impact = sim?.results || sim?.impact || {};
   const asteroid = sim?.asteroid || sim?.asteroidData || {};
   const impactLocation = sim?.impactLocation || sim?.location || null;
+  const uncertainty = sim?.uncertainty?.runs ? sim.uncertainty : null;
+  const isOwner = Boolean(user && sim?.user && (sim.user._id || sim.user) === user._id);
+
+  // Monte Carlo runs around this simulation; the backend stores the bands on it
+  const handleRunEnsemble = async () => {
+    setRunningEnsemble(true);
+    const result = await runEnsemble({ simulationId: sim._id, runs: 200 });
+    if (result.success) {
+      setSim(prev => ({ ...prev, uncertainty: result.ensemble }));
+    }
+    setRunningEnsemble(false);
+  };
+
+  const uncertaintyRows = uncertainty ? [
+    { label: 'Energy (tons TNT)', band: uncertainty.tntEquivalent, format: formatNumber },
+    { label: 'Crater Diameter', band: uncertainty.craterDiameter, format: (m) => `${(m / 1000).toFixed(2)} km` },
+    { label: 'Third-degree Burns', band: uncertainty.thermalRadius, format: (km) => `${km.toFixed(1)} km` },
+    { label: 'Affected Area', band: uncertainty.affectedArea, format: (km2) => `${formatNumber(km2)} km²` },
+    { label: 'Casualties', band: uncertainty.estimatedCasualties, format: formatNumber },
+    { label: 'Economic Damage', band: uncertainty.economicDamage, format: (usd) => `$${formatNumber(usd)}` }
+  ] : [];
 
   const summary = useMemo(() => ({
     energyJ: impact.energy,
@@ -60,12 +87,31 @@ const SimulationResults = () => {
               </h1>
               <div className="text-muted">
                 {sim?._id && <small>ID: {sim._id}</small>}
+                {sim?.forkedFrom && (
+                  <small className="ms-3">
+                    <i className="bi bi-diagram-2 me-1"></i>
+                    Forked from <Link to={`/simulation/${sim.forkedFrom._id}`} className="text-info">
+                      {sim.forkedFrom.asteroid?.name || 'a simulation'}
+                    </Link> by {sim.forkedFrom.user?.username}
+                  </small>
+                )}
+                {sim?.forkCount > 0 && <small className="ms-3">{sim.forkCount} fork{sim.forkCount === 1 ? '' : 's'}</small>}
               </div>
             </div>
             <div className="d-flex gap-2">
               <Button variant="outline-secondary" onClick={() => navigate(-1)}>
                 <i className="bi bi-arrow-left me-1"></i>Back
               </Button>
+              {sim?.forkedFrom && (
+                <Button variant="outline-info" onClick={() => navigate(`/compare?ids=${sim.forkedFrom._id},${sim._id}`)}>
+                  <i className="bi bi-layout-split me-1"></i>Compare with Original
+                </Button>
+              )}
+              {user && sim && (sim.isPublic || isOwner) && (
+                <Button variant="outline-warning" onClick={() => navigate(`/simulator?fork=${sim._id}`)}>
+                  <i className="bi bi-diagram-2 me-1"></i>Fork
+                </Button>
+              )}
               <Button variant="primary" onClick={() => setAnimate3D(true)} disabled={!impactLocation}>
                 <i className="bi bi-play-fill me-1"></i>Replay Impact
               </Button>
@@ -126,6 +172,68 @@ const SimulationResults = () => {
         </Col>
       </Row>
 
+      {/* Uncertainty bands */}
+      {(uncertainty || isOwner) && (
+        <Row className="mb-3">
+          <Col>
+            <Card className="bg-dark border-secondary">
+              <Card.Header className="d-flex justify-content-between align-items-center">
+                <h6 className="mb-0"><i className="bi bi-distribute-vertical me-2"></i>Uncertainty</h6>
+                {isOwner && (
+                  <Button size="sm" variant="outline-warning" onClick={handleRunEnsemble} disabled={runningEnsemble}>
+                    {runningEnsemble
+                      ? <><Spinner animation="border" size="sm" className="me-1" />Running...</>
+                      : <><i className="bi bi-shuffle me-1"></i>{uncertainty ? 'Re-run' : 'Run'} Monte Carlo</>}
+                  </Button>
+                )}
+              </Card.Header>
+              <Card.Body>
+                {uncertainty ? (
+                  <Row className="g-3">
+                    <Col lg={6} style={{ height: 300 }}>
+                      <UncertaintyFanChart uncertainty={uncertainty} />
+                    </Col>
+                    <Col lg={6}>
+                      <Table size="sm" variant="dark" className="mb-2">
+                        <thead>
+                          <tr>
+                            <th></th>
+                            <th>P5</th>
+                            <th>Median</th>
+                            <th>P95</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {uncertaintyRows.filter(row => row.band).map(row => (
+                            <tr key={row.label}>
+                              <td>{row.label}</td>
+                              <td>{row.format(row.band.p5)}</td>
+                              <td><strong>{row.format(row.band.p50)}</strong></td>
+                              <td>{row.format(row.band.p95)}</td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </Table>
+                      <small className="text-muted">
+                        {uncertainty.runs} runs sampling diameter {uncertainty.ranges?.diameter?.min?.toFixed(0)}-{uncertainty.ranges?.diameter?.max?.toFixed(0)} m,
+                        density {uncertainty.ranges?.density?.min?.toFixed(0)}-{uncertainty.ranges?.density?.max?.toFixed(0)} kg/m³,
+                        velocity {uncertainty.ranges?.velocity?.min?.toFixed(1)}-{uncertainty.ranges?.velocity?.max?.toFixed(1)} km/s
+                        and angle {uncertainty.ranges?.angle?.min?.toFixed(0)}-{uncertainty.ranges?.angle?.max?.toFixed(0)}°.
+                        Airburst in {(uncertainty.airburstProbability * 100).toFixed(0)}% of runs.
+                      </small>
+                    </Col>
+                  </Row>
+                ) : (
+                  <div className="text-muted">
+                    Sample the uncertain diameter, density, velocity and entry angle to see P5/P50/P95 bands for the crater, blast radii, casualties and damage.
+                  </div>
+                )}
+              </Card.Body>
+            </Card>
+          </Col>
+        </Row>
+      )}
+
       {/* Asteroid info */}
       <Row className="mb-3">
         <Col md={4}>
@@ -138,6 +246,20 @@ const SimulationResults = () => {
               <div className="mb-1"><strong>ID:</strong> {asteroid.neo_reference_id || asteroid._id || 'N/A'}</div>
               <div className="mb-1"><strong>Diameter:</strong> {(asteroid?.estimatedDiameter?.kilometers?.estimated_diameter_max)?.toFixed ? asteroid.estimatedDiameter.kilometers.estimated_diameter_max.toFixed(2) : 'N/A'} km</div>
               <div className="mb-1"><strong>Hazard:</strong> {asteroid.isPotentiallyHazardousAsteroid ? 'Hazardous' : 'Not Hazardous'}</div>
+              {sim?.impactor?.composition && (
+                <div className="mb-1">
+                  <strong>Composition:</strong> {impactorComposition.COMPOSITIONS[sim.impactor.composition]?.label}
+                  {sim.impactor.compositionSource !== 'user' && ' (inferred)'}, {sim.impactor.density} kg/m³
+                </div>
+              )}
+              {sim?.mitigationStrategy?.outcome && (
+                <div className="mb-1">
+                  <strong>Deflection:</strong> {sim.mitigationStrategy.method.replace(/_/g, ' ')}{' '}
+                  <Badge bg={sim.mitigationStrategy.outcome === 'miss' ? 'success' : 'danger'}>
+                    {(sim.mitigationStrategy.missProbability * 100).toFixed(0)}% miss
+                  </Badge>
+                </div>
+              )}
             </Card.Body>
           </Card>
         </Col>
@@ -170,6 +292,15 @@ const SimulationResults = () => {
         </Col>
       </Row>
 
+      {/* Discussion */}
+      {sim?._id && (
+        <Row className="mb-3">
+          <Col>
+            <CommentThread simulationId={sim._id} canComment={sim.isPublic} />
+          </Col>
+        </Row>
+      )}
+
       {!sim && !loading && !error && (
         <Row>
           <Col>
@@ -1,5 +1,5 @@
-import React, { useState, useEffect, useContext } from 'react';
-import { Container, Row, Col, Card, Button, Form, Alert, Badge, Modal } from 'react-bootstrap';
+import React, { useState, useEffect, useContext, useMemo, useCallback } from 'react';
+import { Container, Row, Col, Card, Button, Form, Alert, Badge, Modal, Table, ButtonGroup } from 'react-bootstrap';
 // useMapEvents se usa en MapClickHandler.js
 import { useLocation, useSearchParams } from 'react-router-dom';
 import { toast } from 'react-hot-toast';
@@ -7,7 +7,10 @@ import L from 'leaflet';
 import { AuthContext } from '../context/AuthContext';
 import { SafeEarth3D, SafeAsteroid3D, SafeImpact3D, SafeEnhancedImpact3D, is3DSupported } from '../components/3D';
 import MapWithAutoFit from '../components/MapWithAutoFit';
+import { formatArrivalTime } from '../components/SeismicRings';
 import MapClickHandler from '../components/MapClickHandler';
+import impactorComposition from '../shared/composition';
+import riskCorridor from '../shared/corridor';
 import api from '../utils/api';
 import 'leaflet/dist/leaflet.css';
 
@@ -34,6 +37,14 @@ const impactIcon = new L.Icon({
 
 // MapClickHandler ahora está en su propio archivo
 
+// Deflection methods modelled by the backend planner
+const DEFLECTION_METHODS = {
+  kinetic_impactor: { label: 'Kinetic Impactor', defaultMass: 600 },
+  gravity_tractor: { label: 'Gravity Tractor', defaultMass: 20000 },
+  nuclear_device: { label: 'Nuclear Standoff Burst', defaultMass: 1000 },
+  ion_beam: { label: 'Ion Beam Shepherd', defaultMass: 2000 }
+};
+
 const Simulator = () => {
   const { user } = useContext(AuthContext);
   const location = useLocation();
@@ -44,6 +55,8 @@ const Simulator = () => {
   const [impactLocation, setImpactLocation] = useState({ lat: 23.8785, lng: 90.3217 }); // Default to DIU 23.8785, 90.3217
   const [impactAngle, setImpactAngle] = useState(45);
   const [impactVelocity, setImpactVelocity] = useState(20);
+  const [composition, setComposition] = useState(''); // '' = inferred from the asteroid
+  const [deflection, setDeflection] = useState({ method: 'none', leadTime: 10, spacecraftMass: '', beta: 3 });
   const [simulationResults, setSimulationResults] = useState(null);
   const [showResults, setShowResults] = useState(false);
   const [loading, setLoading] = useState(false);
@@ -51,9 +64,36 @@ const Simulator = () => {
   const [animate3D, setAnimate3D] = useState(false);
   const [webGL3DSupported, setWebGL3DSupported] = useState(true);
   const [useEnhanced3D, setUseEnhanced3D] = useState(true); // Toggle for enhanced vs basic 3D
+  const [impactMode, setImpactMode] = useState('point'); // 'point' or 'corridor'
+  const [corridorParams, setCorridorParams] = useState({
+    azimuth: 90,
+    lovSigma: riskCorridor.DEFAULT_LOV_SIGMA,
+    crossSigma: riskCorridor.DEFAULT_CROSS_SIGMA,
+    samples: riskCorridor.DEFAULT_SAMPLES
+  });
+  const [corridorResults, setCorridorResults] = useState(null);
+  const [forkSource, setForkSource] = useState(null); // simulation being re-run with changed parameters
+
+  // Ground track of possible impact points, previewed before running the batch
+  const corridorPreview = useMemo(() => {
+    if (impactMode !== 'corridor') return null;
+    return riskCorridor.generateCorridor({
+      lat: impactLocation.lat,
+      lng: impactLocation.lng,
+      azimuth: Number(corridorParams.azimuth),
+      entryAngle: Number(impactAngle),
+      lovSigma: Number(corridorParams.lovSigma),
+      crossSigma: Number(corridorParams.crossSigma),
+      samples: Number(corridorParams.samples)
+    });
+  }, [impactMode, impactLocation, impactAngle, corridorParams]);
+
+  // Results no longer match a corridor whose geometry changed
+  useEffect(() => {
+    setCorridorResults(null);
+  }, [corridorPreview, impactVelocity, composition, selectedAsteroid]);
   
   useEffect(() => {
-    loadAsteroids();
     // Check 3D support
     setWebGL3DSupported(is3DSupported());
   }, []);
@@ -70,14 +110,25 @@ const Simulator = () => {
     }
   }, [asteroids, location.state, searchParams]);
 
-  const loadAsteroids = async () => {
+  const loadAsteroids = useCallback(async (preferredAsteroidId) => {
     try {
       const response = await api.get('/api/asteroids');
       const data = response.data;
-      setAsteroids(data.asteroids || []);
-      
+
       // Check for pre-selected asteroid
-      const asteroidId = location.state?.asteroidId || searchParams.get('asteroid');
+      const asteroidId = preferredAsteroidId || location.state?.asteroidId || searchParams.get('asteroid');
+
+      // Imported or less prominent asteroids are not on the first page, fetch them directly
+      if (asteroidId && data.asteroids && !data.asteroids.some(ast => ast._id === asteroidId)) {
+        try {
+          const selected = await api.get(`/api/asteroids/${asteroidId}`);
+          data.asteroids = [selected.data.asteroid, ...data.asteroids];
+        } catch (lookupError) {
+          console.warn('Pre-selected asteroid not found:', asteroidId);
+        }
+      }
+      setAsteroids(data.asteroids || []);
+
       if (asteroidId && data.asteroids) {
         const preSelectedAsteroid = data.asteroids.find(ast => ast._id === asteroidId);
         if (preSelectedAsteroid) {
@@ -92,7 +143,45 @@ const Simulator = () => {
       console.error('Error loading asteroids:', error);
       toast.error('Failed to load asteroid data');
     }
-  };
+  }, [location.state, searchParams]);
+
+  // Prefill every parameter from the simulation being forked
+  const loadForkSource = useCallback(async (forkId) => {
+    let asteroidId;
+    try {
+      const response = await api.get(`/api/simulations/${forkId}`);
+      const source = response.data.simulation;
+      const mitigation = source.mitigationStrategy || {};
+
+      setImpactLocation({ lat: source.impactLocation.latitude, lng: source.impactLocation.longitude });
+      setImpactAngle(source.impactAngle ?? 45);
+      setImpactVelocity(source.impactVelocity || 20);
+      if (source.impactor?.compositionSource === 'user') setComposition(source.impactor.composition);
+      if (DEFLECTION_METHODS[mitigation.method]) {
+        setDeflection({
+          method: mitigation.method,
+          leadTime: mitigation.leadTime ?? 10,
+          spacecraftMass: mitigation.spacecraftMass ?? '',
+          beta: mitigation.beta ?? 3
+        });
+      }
+      setForkSource(source);
+      asteroidId = source.asteroid?._id;
+    } catch (error) {
+      console.error('Failed to load simulation to fork:', error);
+      toast.error('Could not load the simulation to fork');
+    }
+    loadAsteroids(asteroidId);
+  }, [loadAsteroids]);
+
+  useEffect(() => {
+    const forkId = searchParams.get('fork');
+    if (forkId) {
+      loadForkSource(forkId);
+    } else {
+      loadAsteroids();
+    }
+  }, [searchParams, loadForkSource, loadAsteroids]);
 
   const handleLocationSelect = (latlng) => {
     setImpactLocation(latlng);
@@ -122,8 +211,18 @@ const Simulator = () => {
         impactLocation,
         impactAngle,
         impactVelocity,
-        asteroidData: selectedAsteroid
+        composition: composition || undefined,
+        asteroidData: selectedAsteroid,
+        forkedFrom: forkSource?._id
       };
+      if (deflection.method !== 'none') {
+        simulationData.mitigationStrategy = {
+          method: deflection.method,
+          leadTime: Number(deflection.leadTime),
+          spacecraftMass: Number(deflection.spacecraftMass) || undefined,
+          beta: deflection.method === 'kinetic_impactor' ? Number(deflection.beta) : undefined
+        };
+      }
 
   console.log('Sending simulation data:', simulationData);
 
@@ -143,6 +242,40 @@ const Simulator = () => {
     }
   };
 
+  const runCorridorSimulations = async () => {
+    if (!selectedAsteroid) {
+      toast.error('Please select an asteroid');
+      return;
+    }
+
+    if (!user) {
+      toast.error('Please log in to run simulations');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const response = await api.post('/api/simulations/corridor', {
+        asteroidData: selectedAsteroid,
+        impactLocation,
+        azimuth: Number(corridorParams.azimuth),
+        entryAngle: Number(impactAngle),
+        impactVelocity: Number(impactVelocity),
+        lovSigma: Number(corridorParams.lovSigma),
+        crossSigma: Number(corridorParams.crossSigma),
+        samples: Number(corridorParams.samples),
+        composition: composition || undefined
+      });
+      setCorridorResults(response.data.corridor);
+      toast.success(`Simulated ${response.data.corridor.points.length} impact points along the corridor`);
+    } catch (error) {
+      console.error('Corridor simulation failed:', error);
+      toast.error(error.response?.data?.error || 'Corridor simulation failed');
+    } finally {
+      setLoading(false);
+    }
+  };
+
   const formatNumber = (num) => {
     if (num >= 1e9) return (num / 1e9).toFixed(1) + 'B';
     if (num >= 1e6) return (num / 1e6).toFixed(1) + 'M';
@@ -179,6 +312,20 @@ const Simulator = () => {
         </Alert>
       )}
       
+      {forkSource && (
+        <Alert variant="info" className="mb-4 d-flex justify-content-between align-items-center">
+          <span>
+            <i className="bi bi-diagram-2 me-2"></i>
+            Forking the {forkSource.asteroid?.name || 'asteroid'} impact
+            {forkSource.impactLocation?.country && ` in ${forkSource.impactLocation.country}`} by {forkSource.user?.username}.
+            Change the angle, velocity or mitigation and run it to save your version.
+          </span>
+          <Button variant="outline-light" size="sm" onClick={() => setForkSource(null)}>
+            Unlink fork
+          </Button>
+        </Alert>
+      )}
+
       <Row>
         <Col>
           <h1>
@@ -268,9 +415,160 @@ const Simulator = () => {
                 <small className="text-muted text-white">{impactVelocity} km/s</small>
               </Form.Group>
 
+              <Form.Group className="mb-3">
+                <Form.Label>Composition</Form.Label>
+                <Form.Select
+                  className='text-white bg-dark'
+                  value={composition}
+                  onChange={(e) => setComposition(e.target.value)}
+                >
+                  <option value="">
+                    Auto ({impactorComposition.COMPOSITIONS[impactorComposition.inferComposition(selectedAsteroid).composition].label})
+                  </option>
+                  {Object.entries(impactorComposition.COMPOSITIONS).map(([key, preset]) => (
+                    <option key={key} value={key}>{preset.label}</option>
+                  ))}
+                </Form.Select>
+                {(() => {
+                  const impactor = impactorComposition.resolveImpactor({ asteroid: selectedAsteroid, composition });
+                  return (
+                    <small className="text-muted text-white">
+                      {impactorComposition.COMPOSITIONS[impactor.composition].description}.
+                      {' '}{impactor.density} kg/m³, strength {(impactor.strength / 1e6).toFixed(2)} MPa
+                    </small>
+                  );
+                })()}
+              </Form.Group>
+
+              {/* Deflection Mission */}
+              <Form.Group className="mb-3">
+                <Form.Label>Deflection Mission</Form.Label>
+                <Form.Select
+                  className='text-white bg-dark'
+                  value={deflection.method}
+                  onChange={(e) => setDeflection({ ...deflection, method: e.target.value })}
+                >
+                  <option value="none">None</option>
+                  {Object.entries(DEFLECTION_METHODS).map(([key, method]) => (
+                    <option key={key} value={key}>{method.label}</option>
+                  ))}
+                </Form.Select>
+              </Form.Group>
+
+              {deflection.method !== 'none' && (
+                <Card className="mb-3 bg-dark border-secondary">
+                  <Card.Body className="p-3">
+                    <Form.Group className="mb-2">
+                      <Form.Label className="small">Lead Time (years before impact)</Form.Label>
+                      <Form.Range
+                        min="1"
+                        max="30"
+                        value={deflection.leadTime}
+                        onChange={(e) => setDeflection({ ...deflection, leadTime: e.target.value })}
+                      />
+                      <small className="text-muted text-white">{deflection.leadTime} years</small>
+                    </Form.Group>
+                    <Form.Group className="mb-2">
+                      <Form.Label className="small">Spacecraft Mass (kg)</Form.Label>
+                      <Form.Control
+                        type="number"
+                        min="1"
+                        className="text-white bg-dark"
+                        placeholder={String(DEFLECTION_METHODS[deflection.method].defaultMass)}
+                        value={deflection.spacecraftMass}
+                        onChange={(e) => setDeflection({ ...deflection, spacecraftMass: e.target.value })}
+                      />
+                    </Form.Group>
+                    {deflection.method === 'kinetic_impactor' && (
+                      <Form.Group>
+                        <Form.Label className="small">Momentum Enhancement (β)</Form.Label>
+                        <Form.Range
+                          min="1"
+                          max="6"
+                          step="0.1"
+                          value={deflection.beta}
+                          onChange={(e) => setDeflection({ ...deflection, beta: e.target.value })}
+                        />
+                        <small className="text-muted text-white">β = {deflection.beta} (DART measured ~3.6)</small>
+                      </Form.Group>
+                    )}
+                  </Card.Body>
+                </Card>
+              )}
+
+              {/* Impact Mode */}
+              <Form.Group className="mb-3">
+                <Form.Label>Impact Mode</Form.Label>
+                <ButtonGroup className="w-100">
+                  <Button
+                    variant={impactMode === 'point' ? 'primary' : 'outline-primary'}
+                    onClick={() => setImpactMode('point')}
+                  >
+                    <i className="bi bi-crosshair me-1"></i>Single Point
+                  </Button>
+                  <Button
+                    variant={impactMode === 'corridor' ? 'primary' : 'outline-primary'}
+                    onClick={() => setImpactMode('corridor')}
+                  >
+                    <i className="bi bi-signpost-split me-1"></i>Risk Corridor
+                  </Button>
+                </ButtonGroup>
+              </Form.Group>
+
+              {impactMode === 'corridor' && (
+                <Card className="mb-3 bg-dark border-secondary">
+                  <Card.Body className="p-3">
+                    <Form.Group className="mb-2">
+                      <Form.Label className="small">Entry Azimuth (direction of travel)</Form.Label>
+                      <Form.Range
+                        min="0"
+                        max="359"
+                        value={corridorParams.azimuth}
+                        onChange={(e) => setCorridorParams({ ...corridorParams, azimuth: e.target.value })}
+                      />
+                      <small className="text-muted text-white">{corridorParams.azimuth}° from north · entry angle {impactAngle}°</small>
+                    </Form.Group>
+                    <Form.Group className="mb-2">
+                      <Form.Label className="small">Along-track Uncertainty (1σ, km)</Form.Label>
+                      <Form.Range
+                        min="50"
+                        max="5000"
+                        step="50"
+                        value={corridorParams.lovSigma}
+                        onChange={(e) => setCorridorParams({ ...corridorParams, lovSigma: e.target.value })}
+                      />
+                      <small className="text-muted text-white">{corridorParams.lovSigma} km in the B-plane</small>
+                    </Form.Group>
+                    <Form.Group className="mb-2">
+                      <Form.Label className="small">Cross-track Uncertainty (1σ, km)</Form.Label>
+                      <Form.Control
+                        type="number"
+                        min="1"
+                        max="1000"
+                        className="text-white bg-dark"
+                        value={corridorParams.crossSigma}
+                        onChange={(e) => setCorridorParams({ ...corridorParams, crossSigma: e.target.value })}
+                      />
+                    </Form.Group>
+                    <Form.Group>
+                      <Form.Label className="small">Simulated Impact Points</Form.Label>
+                      <Form.Range
+                        min="5"
+                        max={riskCorridor.MAX_SAMPLES}
+                        value={corridorParams.samples}
+                        onChange={(e) => setCorridorParams({ ...corridorParams, samples: e.target.value })}
+                      />
+                      <small className="text-muted text-white">
+                        {corridorPreview?.samples.length ?? 0} of {corridorParams.samples} points hit the Earth
+                      </small>
+                    </Form.Group>
+                  </Card.Body>
+                </Card>
+              )}
+
               {/* Location Display */}
               <Form.Group className="mb-3">
-                <Form.Label>Impact Coordinates</Form.Label>
+                <Form.Label>{impactMode === 'corridor' ? 'Nominal Impact Point' : 'Impact Coordinates'}</Form.Label>
                 <Form.Control
                   type="text"
                   value={`${impactLocation.lat.toFixed(4)}, ${impactLocation.lng.toFixed(4)}`}
@@ -283,7 +581,7 @@ const Simulator = () => {
                 variant="danger" 
                 size="lg" 
                 className="w-100"
-                onClick={runImpactSimulation}
+                onClick={impactMode === 'corridor' ? runCorridorSimulations : runImpactSimulation}
                 disabled={loading || !selectedAsteroid || !user}
               >
                 {loading ? (
@@ -294,7 +592,7 @@ const Simulator = () => {
                 ) : (
                   <>
                     <i className="bi bi-play-fill me-2"></i>
-                    Run Impact Simulation
+                    {impactMode === 'corridor' ? 'Run Corridor Simulations' : 'Run Impact Simulation'}
                   </>
                 )}
               </Button>
@@ -369,6 +667,9 @@ const Simulator = () => {
                       selectedAsteroid={selectedAsteroid}
                       impactAngle={impactAngle}
                       impactVelocity={impactVelocity}
+                      composition={composition}
+                      corridor={corridorPreview}
+                      corridorResults={corridorResults}
                       onLocationSelect={handleLocationSelect}
                     />
                     
@@ -514,6 +815,60 @@ const Simulator = () => {
               </div>
             </Card.Body>
           </Card>
+
+          {/* Risk Corridor Results */}
+          {impactMode === 'corridor' && corridorResults && (
+            <Card className="glass-effect mt-4">
+              <Card.Header>
+                <h5><i className="bi bi-signpost-split me-2"></i>Risk Corridor Results</h5>
+              </Card.Header>
+              <Card.Body>
+                <Row className="text-center mb-3">
+                  <Col xs={4}>
+                    <h6 className="text-info mb-1">Hits the Earth</h6>
+                    <h5>{(corridorResults.impactProbability * 100).toFixed(1)}%</h5>
+                    <small className="text-muted">of the ±{corridorResults.geometry.sigmaSpan}σ window</small>
+                  </Col>
+                  <Col xs={4}>
+                    <h6 className="text-warning mb-1">Expected Casualties</h6>
+                    <h5>{formatNumber(corridorResults.expectedCasualties)}</h5>
+                    <small className="text-muted">probability-weighted</small>
+                  </Col>
+                  <Col xs={4}>
+                    <h6 className="text-danger mb-1">Worst Case</h6>
+                    <h5>{formatNumber(corridorResults.worstCaseCasualties)}</h5>
+                    <small className="text-muted">single impact point</small>
+                  </Col>
+                </Row>
+                <Table responsive variant="dark" size="sm" className="mb-0">
+                  <thead>
+                    <tr>
+                      <th>Country</th>
+                      <th className="text-end">Points</th>
+                      <th className="text-end">Impact Share</th>
+                      <th className="text-end">Expected Casualties</th>
+                      <th className="text-end">Worst Case</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {corridorResults.countries.map(country => (
+                      <tr key={country.countryCode || country.country}>
+                        <td>{country.country}</td>
+                        <td className="text-end">{country.points}</td>
+                        <td className="text-end">{(country.impactProbability * 100).toFixed(1)}%</td>
+                        <td className="text-end">{formatNumber(country.expectedCasualties)}</td>
+                        <td className="text-end">{formatNumber(country.maxCasualties)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </Table>
+                <small className="text-muted d-block mt-2">
+                  Casualties are attributed to the country of each impact point. Straight-line approach:
+                  Earth's gravity and rotation are ignored.
+                </small>
+              </Card.Body>
+            </Card>
+          )}
         </Col>
       </Row>
 
@@ -547,18 +902,39 @@ const Simulator = () => {
                   </Card>
                 </Col>
                 <Col xs={6} md={6}>
-                  <Card className="bg-dark border-secondary mb-2">
-                    <Card.Body className="p-2">
-                      <h6 className="text-warning mb-1">Crater</h6>
-                      <h5 className="mb-1">{simulationResults.results.craterDiameter.toFixed(1)} km</h5>
-                      <small className="text-muted text-white">
-                        Depth: {simulationResults.results.craterDepth.toFixed(1)} km
-                      </small>
-                    </Card.Body>
-                  </Card>
+                  {simulationResults.results.impactType === 'airburst' ? (
+                    <Card className="bg-dark border-secondary mb-2">
+                      <Card.Body className="p-2">
+                        <h6 className="text-warning mb-1">Airburst</h6>
+                        <h5 className="mb-1">{simulationResults.results.detailedEffects.atmosphericEntry.burstAltitude.toFixed(1)} km</h5>
+                        <small className="text-muted text-white">
+                          Released: {formatNumber(simulationResults.results.detailedEffects.atmosphericEntry.burstEnergy)} J
+                        </small>
+                      </Card.Body>
+                    </Card>
+                  ) : (
+                    <Card className="bg-dark border-secondary mb-2">
+                      <Card.Body className="p-2">
+                        <h6 className="text-warning mb-1">Crater</h6>
+                        <h5 className="mb-1">{simulationResults.results.craterDiameter.toFixed(1)} km</h5>
+                        <small className="text-muted text-white">
+                          Depth: {simulationResults.results.craterDepth.toFixed(1)} km
+                        </small>
+                      </Card.Body>
+                    </Card>
+                  )}
                 </Col>
               </Row>
 
+              {simulationResults.results.impactor && (
+                <div className="mb-3 small text-muted text-white">
+                  <i className="bi bi-gem me-1"></i>
+                  {impactorComposition.COMPOSITIONS[simulationResults.results.impactor.composition]?.label}
+                  {simulationResults.results.impactor.compositionSource !== 'user' && ' (inferred)'}
+                  {' '}• {simulationResults.results.impactor.density} kg/m³
+                </div>
+              )}
+
               <Row className="mb-3">
                 <Col xs={12}>
                   <div className="d-flex align-items-center justify-content-between">
@@ -597,6 +973,68 @@ const Simulator = () => {
                 </Col>
               </Row>
 
+              {simulationResults.results.detailedEffects?.seismicEffects && (
+                <div className="mb-3">
+                  <h6 className="mb-2">Ground Shaking</h6>
+                  <Row>
+                    {simulationResults.results.detailedEffects.seismicEffects.atDistances.map(site => (
+                      <Col xs={4} key={site.distance}>
+                        <Card className="bg-dark border-secondary mb-2">
+                          <Card.Body className="p-2 text-center">
+                            <small className="text-muted d-block">{site.distance} km</small>
+                            <h6 className="mb-0">{site.intensity ? `MMI ${site.intensity}` : 'Not felt'}</h6>
+                            <small className="text-muted">
+                              after {formatArrivalTime(site.arrivalTime)}
+                            </small>
+                          </Card.Body>
+                        </Card>
+                      </Col>
+                    ))}
+                  </Row>
+                </div>
+              )}
+
+              {simulationResults.results.detailedEffects?.tsunami?.coastalRunup?.length > 0 && (
+                <div className="mb-3">
+                  <h6 className="mb-2">Tsunami Run-up</h6>
+                  {simulationResults.results.detailedEffects.tsunami.coastalRunup.slice(0, 3).map(segment => (
+                    <div key={segment.segmentId} className="d-flex justify-content-between">
+                      <small>{segment.country || 'Unknown coast'}</small>
+                      <small className="text-muted">
+                        {segment.runup.toFixed(1)} m in {formatArrivalTime(segment.arrivalTime)}
+                      </small>
+                    </div>
+                  ))}
+                </div>
+              )}
+
+              {simulationResults.simulation?.mitigationStrategy?.outcome && (() => {
+                const plan = simulationResults.simulation.mitigationStrategy;
+                return (
+                  <Card className={`bg-dark mb-3 border-${plan.outcome === 'miss' ? 'success' : 'danger'}`}>
+                    <Card.Body className="p-2">
+                      <div className="d-flex align-items-center justify-content-between mb-1">
+                        <h6 className="mb-0">
+                          <i className="bi bi-rocket-takeoff me-2"></i>
+                          {DEFLECTION_METHODS[plan.method]?.label}
+                        </h6>
+                        <Badge bg={plan.outcome === 'miss' ? 'success' : 'danger'}>
+                          {plan.outcome === 'miss' ? 'EARTH MISSED' : 'STILL HITS'}
+                        </Badge>
+                      </div>
+                      <small className="text-muted text-white d-block">
+                        Δv: {plan.deltaV < 0.01 ? `${(plan.deltaV * 1000).toFixed(2)} mm/s` : `${plan.deltaV.toFixed(3)} m/s`}
+                        {' '}• B-plane shift: {formatNumber(plan.missDistanceShift)} km (capture radius {formatNumber(plan.captureRadius)} km)
+                      </small>
+                      <small className="text-muted text-white d-block">
+                        Miss probability: {(plan.missProbability * 100).toFixed(1)}% with {plan.leadTime} years of lead time
+                        {plan.fragmentationRisk && ' • Risk of fragmenting the asteroid'}
+                      </small>
+                    </Card.Body>
+                  </Card>
+                );
+              })()}
+
               {simulationResults.results.mitigationStrategies && (
                 <div className="mt-3">
                   <h6 className="mb-2">Recommended Actions</h6>
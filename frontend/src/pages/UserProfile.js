@@ -0,0 +1,190 @@
+import React, { useState, useEffect } from 'react';
+import { Container, Row, Col, Card, Table, Badge, Button, Alert } from 'react-bootstrap';
+import { useParams } from 'react-router-dom';
+import { LinkContainer } from 'react-router-bootstrap';
+import api from '../utils/api';
+import { useAuth } from '../context/AuthContext';
+import FollowButton from '../components/FollowButton';
+import { ACHIEVEMENT_TIERS } from '../components/BadgeGallery';
+
+// Public profile of another user, reached from @mentions and author names
+const UserProfile = () => {
+  const { username } = useParams();
+  const { user, isAuthenticated } = useAuth();
+  const [profile, setProfile] = useState(null);
+  const [simulations, setSimulations] = useState([]);
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    const load = async () => {
+      setLoading(true);
+      setError('');
+      try {
+        const response = await api.get(`/api/users/profile/${encodeURIComponent(username)}`);
+        setProfile(response.data.user);
+        setSimulations(response.data.recentSimulations || []);
+      } catch (e) {
+        setProfile(null);
+        setError(e.response?.status === 404 ? 'User not found.' : 'Failed to load profile.');
+      } finally {
+        setLoading(false);
+      }
+    };
+    load();
+  }, [username]);
+
+  const handleFollowChange = (userId, isFollowing, followersCount) => {
+    setProfile(prev => ({ ...prev, isFollowing, followersCount }));
+  };
+
+  if (loading) {
+    return (
+      <Container className="py-5 mt-5">
+        <div className="text-center">
+          <div className="loading-spinner"></div>
+          <p className="mt-3">Loading profile...</p>
+        </div>
+      </Container>
+    );
+  }
+
+  if (!profile) {
+    return (
+      <Container className="py-5" style={{ marginTop: '100px' }}>
+        <Alert variant="warning">{error}</Alert>
+      </Container>
+    );
+  }
+
+  const fullName = [profile.profile?.firstName, profile.profile?.lastName].filter(Boolean).join(' ');
+  const isSelf = user?._id === profile._id;
+
+  return (
+    <Container className="py-5" style={{ marginTop: '100px' }}>
+      <Row className="mb-4">
+        <Col>
+          <div className="d-flex justify-content-between align-items-center">
+            <div>
+              <h1 className="mb-1">
+                <i className="bi bi-person-circle me-2"></i>
+                {profile.username}
+              </h1>
+              <p className="text-muted mb-0">
+                {fullName && <>{fullName} · </>}
+                {profile.profile?.city && <>{profile.profile.city}, </>}
+                {profile.profile?.country || 'Planet Earth'} · Member since {new Date(profile.createdAt).toLocaleDateString()}
+              </p>
+            </div>
+            {isAuthenticated && !isSelf && (
+              <FollowButton
+                userId={profile._id}
+                username={profile.username}
+                isFollowing={profile.isFollowing}
+                onChange={handleFollowChange}
+              />
+            )}
+            {isSelf && (
+              <LinkContainer to="/profile">
+                <Button variant="outline-primary">Edit Profile</Button>
+              </LinkContainer>
+            )}
+          </div>
+        </Col>
+      </Row>
+
+      <Row className="mb-4">
+        {[
+          { label: 'Followers', value: profile.followersCount, icon: 'bi-people text-info' },
+          { label: 'Following', value: profile.followingCount, icon: 'bi-person-check text-primary' },
+          { label: 'Simulations Run', value: profile.stats?.simulationsRun || 0, icon: 'bi-cpu text-success' },
+          { label: 'Points Earned', value: profile.stats?.points || 0, icon: 'bi-star text-warning' }
+        ].map(stat => (
+          <Col md={3} key={stat.label} className="mb-3">
+            <Card className="glass-effect h-100">
+              <Card.Body className="text-center">
+                <i className={`bi ${stat.icon} display-6 mb-2`}></i>
+                <h4>{stat.value}</h4>
+                <p className="text-muted mb-0">{stat.label}</p>
+              </Card.Body>
+            </Card>
+          </Col>
+        ))}
+      </Row>
+
+      <Row>
+        <Col lg={8} className="mb-4">
+          <Card className="glass-effect">
+            <Card.Header>
+              <h5 className="mb-0">
+                <i className="bi bi-clock-history me-2"></i>
+                Public Simulations
+              </h5>
+            </Card.Header>
+            <Card.Body>
+              {simulations.length > 0 ? (
+                <Table responsive variant="dark" className="mb-0">
+                  <thead>
+                    <tr>
+                      <th>Asteroid</th>
+                      <th>Location</th>
+                      <th>Date</th>
+                      <th></th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {simulations.map(simulation => (
+                      <tr key={simulation._id}>
+                        <td><strong>{simulation.asteroid?.name || 'Custom impactor'}</strong></td>
+                        <td>{simulation.impactLocation?.city || 'Unknown'}, {simulation.impactLocation?.country || 'Unknown'}</td>
+                        <td>{new Date(simulation.createdAt).toLocaleDateString()}</td>
+                        <td>
+                          <LinkContainer to={`/simulation/${simulation._id}`}>
+                            <Button variant="outline-primary" size="sm">View</Button>
+                          </LinkContainer>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </Table>
+              ) : (
+                <p className="text-muted mb-0">{profile.username} has not shared any simulations yet.</p>
+              )}
+            </Card.Body>
+          </Card>
+        </Col>
+
+        <Col lg={4} className="mb-4">
+          <Card className="glass-effect">
+            <Card.Header>
+              <h5 className="mb-0">
+                <i className="bi bi-award me-2"></i>
+                Achievements
+              </h5>
+            </Card.Header>
+            <Card.Body>
+              {profile.achievements?.length > 0 ? (
+                profile.achievements.map(achievement => (
+                  <Badge
+                    key={achievement.key}
+                    bg="dark"
+                    className="me-2 mb-2"
+                    style={{ border: `1px solid ${ACHIEVEMENT_TIERS[achievement.tier]?.color}` }}
+                    title={`${achievement.description} · Unlocked ${new Date(achievement.unlockedAt).toLocaleDateString()}`}
+                  >
+                    <i className={`bi ${achievement.icon} me-1`} style={{ color: ACHIEVEMENT_TIERS[achievement.tier]?.color }}></i>
+                    {achievement.name}
+                  </Badge>
+                ))
+              ) : (
+                <p className="text-muted mb-0">No achievements yet.</p>
+              )}
+            </Card.Body>
+          </Card>
+        </Col>
+      </Row>
+    </Container>
+  );
+};
+
+export default UserProfile;
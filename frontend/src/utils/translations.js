@@ -4,11 +4,16 @@ export const translations = {
     // Navigation
     exploreAsteroids: "Explorar Asteroides",
     community: "Comunidad",
+    leaderboard: "Clasificación",
     orbits: "Órbitas",
     vrExperience: "Experiencia VR",
     dashboard: "Panel de Control",
     profile: "Perfil",
     logout: "Cerrar Sesión",
+    notifications: "Notificaciones",
+    markAllRead: "Marcar todo como leído",
+    noNotifications: "No tienes notificaciones",
+    adminConsole: "Administración",
     login: "Iniciar Sesión",
     register: "Registrarse",
     
@@ -74,6 +79,10 @@ export const translations = {
     velocityFastestFirst: "Velocidad (Más Rápido Primero)",
     nameAZ: "Nombre (A-Z)",
     recentlyUpdated: "Actualizado Recientemente",
+    palermoHighestFirst: "Palermo (Mayor Primero)",
+    torinoHighestFirst: "Torino (Mayor Primero)",
+    minTorino: "Torino Mínimo",
+    anyTorino: "Cualquier Valor",
     asteroids: "Asteroides",
     name: "Nombre",
     safe: "Seguro",
@@ -81,6 +90,71 @@ export const translations = {
     tryAdjustingCriteria: "Intenta ajustar tus criterios de búsqueda o filtros",
     page: "Página",
     of: "de",
+    approaches: "Aproximaciones",
+    predictedApproaches: "Aproximaciones previstas a la Tierra (< 0.05 UA)",
+    nextYears: "Próximos {years} años",
+    noApproachesFound: "No se prevén aproximaciones cercanas en este periodo",
+    approachPredictionFailed: "No se pudieron predecir las aproximaciones",
+    approachModelNote: "Propagación kepleriana de dos cuerpos desde los elementos orbitales de la NASA; ignora perturbaciones planetarias. Época de los elementos",
+
+    // Import of custom impactors
+    importOrbit: "Importar órbita",
+    importOrbitTitle: "Importar impactor personalizado",
+    importFormat: "Formato",
+    formatSbdb: "JPL SBDB (JSON)",
+    formatMpc: "MPC (una línea)",
+    formatKeplerian: "Elementos keplerianos",
+    sbdbHint: "Pega la respuesta JSON de la API SBDB (sbd.api?sstr=...&phys-par=1) o sube el archivo exportado",
+    mpcHint: "Pega un registro de órbita con el formato de columnas de MPCORB.DAT",
+    uploadFile: "Subir archivo",
+    invalidJsonFile: "El archivo no contiene JSON válido",
+    customName: "Nombre",
+    customNameHint: "Opcional, reemplaza el nombre del archivo",
+    diameterOverride: "Diámetro (m)",
+    diameterOverrideHint: "Opcional, reemplaza la estimación a partir de H",
+    semiMajorAxis: "Semieje mayor (UA)",
+    eccentricity: "Excentricidad",
+    inclination: "Inclinación (°)",
+    ascendingNode: "Longitud del nodo ascendente (°)",
+    perihelionArgument: "Argumento del perihelio (°)",
+    meanAnomaly: "Anomalía media (°)",
+    elementsEpoch: "Época de los elementos",
+    absoluteMagnitude: "Magnitud absoluta H",
+    albedo: "Albedo",
+    spectralType: "Tipo espectral",
+    sizeRequired: "Indica la magnitud absoluta o el diámetro",
+    importing: "Importando...",
+    import: "Importar",
+    cancel: "Cancelar",
+    importNote: "El impactor solo es visible para ti. Sus aproximaciones a la Tierra se predicen para los próximos 100 años.",
+    assetSource: "Origen",
+    allSources: "Todos",
+    myImports: "Mis importaciones",
+    imported: "Importado",
+    delete: "Eliminar",
+    confirmDeleteImport: "¿Eliminar {name}? Las simulaciones que lo usaron conservan sus resultados.",
+
+    // Orbital elements
+    orbitalElements: "Elementos orbitales",
+    orbitClass: "Clase orbital",
+    anyOrbitClass: "Todas las clases",
+    maxMoid: "MOID máximo",
+    anyMoid: "Cualquier MOID",
+    moidClosestFirst: "MOID (más cercano primero)",
+    orbitClassAZ: "Clase orbital (A-Z)",
+    tisserandParameter: "Parámetro de Tisserand (Júpiter)",
+    orbitalPeriod: "Periodo orbital",
+    perihelion: "Perihelio q",
+    aphelion: "Afelio Q",
+    lunarDistanceUnit: "DL",
+    daysUnit: "días",
+    yearsUnit: "años",
+    notNearEarth: "No cercano a la Tierra",
+    noOrbitalData: "No hay elementos orbitales disponibles para este asteroide",
+    orbitClassAtira: "Atira: órbita contenida dentro de la terrestre (Q < 0.983 UA)",
+    orbitClassAten: "Aten: cruza la órbita terrestre con un semieje mayor menor de 1 UA",
+    orbitClassApollo: "Apollo: cruza la órbita terrestre con un semieje mayor mayor de 1 UA",
+    orbitClassAmor: "Amor: se acerca a la órbita terrestre desde fuera sin cruzarla (1.017 < q < 1.3 UA)",
     
     // Common
     unknown: "Desconocido",
@@ -95,11 +169,16 @@ export const translations = {
     // Navigation
     exploreAsteroids: "Explore Asteroids",
     community: "Community",
+    leaderboard: "Leaderboard",
     orbits: "Orbits",
     vrExperience: "VR Experience",
     dashboard: "Dashboard",
     profile: "Profile",
     logout: "Logout",
+    notifications: "Notifications",
+    markAllRead: "Mark all as read",
+    noNotifications: "No notifications yet",
+    adminConsole: "Admin Console",
     login: "Login",
     register: "Register",
     
@@ -165,6 +244,10 @@ export const translations = {
     velocityFastestFirst: "Velocity (Fastest First)",
     nameAZ: "Name (A-Z)",
     recentlyUpdated: "Recently Updated",
+    palermoHighestFirst: "Palermo (Highest First)",
+    torinoHighestFirst: "Torino (Highest First)",
+    minTorino: "Minimum Torino",
+    anyTorino: "Any Value",
     asteroids: "Asteroids",
     name: "Name",
     safe: "Safe",
@@ -172,6 +255,71 @@ export const translations = {
     tryAdjustingCriteria: "Try adjusting your search criteria or filters",
     page: "Page",
     of: "of",
+    approaches: "Approaches",
+    predictedApproaches: "Predicted Earth approaches (< 0.05 AU)",
+    nextYears: "Next {years} years",
+    noApproachesFound: "No close approaches predicted in this period",
+    approachPredictionFailed: "Failed to predict close approaches",
+    approachModelNote: "Two-body Keplerian propagation of NASA orbital elements; planetary perturbations are ignored. Elements epoch",
+
+    // Import of custom impactors
+    importOrbit: "Import orbit",
+    importOrbitTitle: "Import custom impactor",
+    importFormat: "Format",
+    formatSbdb: "JPL SBDB (JSON)",
+    formatMpc: "MPC (one line)",
+    formatKeplerian: "Keplerian elements",
+    sbdbHint: "Paste the JSON response of the SBDB API (sbd.api?sstr=...&phys-par=1) or upload the exported file",
+    mpcHint: "Paste one orbit record in the MPCORB.DAT column format",
+    uploadFile: "Upload file",
+    invalidJsonFile: "The file does not contain valid JSON",
+    customName: "Name",
+    customNameHint: "Optional, replaces the name in the file",
+    diameterOverride: "Diameter (m)",
+    diameterOverrideHint: "Optional, replaces the estimate from H",
+    semiMajorAxis: "Semi-major axis (AU)",
+    eccentricity: "Eccentricity",
+    inclination: "Inclination (°)",
+    ascendingNode: "Longitude of ascending node (°)",
+    perihelionArgument: "Argument of perihelion (°)",
+    meanAnomaly: "Mean anomaly (°)",
+    elementsEpoch: "Elements epoch",
+    absoluteMagnitude: "Absolute magnitude H",
+    albedo: "Albedo",
+    spectralType: "Spectral type",
+    sizeRequired: "Enter the absolute magnitude or the diameter",
+    importing: "Importing...",
+    import: "Import",
+    cancel: "Cancel",
+    importNote: "Only you can see this impactor. Its Earth approaches are predicted for the next 100 years.",
+    assetSource: "Source",
+    allSources: "All",
+    myImports: "My imports",
+    imported: "Imported",
+    delete: "Delete",
+    confirmDeleteImport: "Delete {name}? Simulations that used it keep their results.",
+
+    // Orbital elements
+    orbitalElements: "Orbital elements",
+    orbitClass: "Orbit class",
+    anyOrbitClass: "Any class",
+    maxMoid: "Max MOID",
+    anyMoid: "Any MOID",
+    moidClosestFirst: "MOID (closest first)",
+    orbitClassAZ: "Orbit class (A-Z)",
+    tisserandParameter: "Tisserand parameter (Jupiter)",
+    orbitalPeriod: "Orbital period",
+    perihelion: "Perihelion q",
+    aphelion: "Aphelion Q",
+    lunarDistanceUnit: "LD",
+    daysUnit: "days",
+    yearsUnit: "years",
+    notNearEarth: "Not near-Earth",
+    noOrbitalData: "No orbital elements available for this asteroid",
+    orbitClassAtira: "Atira: orbit entirely inside Earth's (Q < 0.983 AU)",
+    orbitClassAten: "Aten: Earth-crossing with a semi-major axis under 1 AU",
+    orbitClassApollo: "Apollo: Earth-crossing with a semi-major axis over 1 AU",
+    orbitClassAmor: "Amor: approaches Earth's orbit from outside without crossing it (1.017 < q < 1.3 AU)",
     
     // Common
     unknown: "Unknown",
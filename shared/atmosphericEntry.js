@@ -0,0 +1,162 @@
+/**
+ * Atmospheric entry model
+ * Pancake fragmentation model from Collins, Melosh & Marcus (2005),
+ * "Earth Impact Effects Program", Meteoritics & Planetary Science 40(6)
+ *
+ * Shared by the backend and the frontend: keep it plain CommonJS with no
+ * dependencies and no syntax that needs Babel runtime helpers (classes, spread).
+ */
+const SURFACE_AIR_DENSITY = 1; // kg/m³ (ρ0)
+const SCALE_HEIGHT = 8000; // m (H)
+const DRAG_COEFFICIENT = 2; // C_D
+const PANCAKE_FACTOR = 7; // default maximum L/L0 before the swarm bursts (f_p)
+const INTEGRATION_STEPS = 400;
+
+/**
+ * Estimate yield strength from bulk density (Collins et al. eq. 10)
+ * @param {number} density - Impactor density in kg/m³
+ * @returns {number} Yield strength in Pa
+ */
+function estimateStrength(density) {
+  return Math.pow(10, 2.107 + 0.0624 * Math.sqrt(density));
+}
+
+/**
+ * Atmospheric density at altitude (exponential atmosphere)
+ * @param {number} altitude - Altitude in meters
+ * @returns {number} Air density in kg/m³
+ */
+function airDensity(altitude) {
+  return SURFACE_AIR_DENSITY * Math.exp(-altitude / SCALE_HEIGHT);
+}
+
+// Assemble the public result with derived energies
+function buildResult({ outcome, strength, density, mass, entryEnergy, breakupAltitude, burstAltitude, burstVelocity = 0, surfaceVelocity, surfaceDiameter }) {
+  // An airburst releases what the swarm has lost by the burst altitude, not what it still carries
+  const burstEnergy = burstAltitude > 0 ? entryEnergy - 0.5 * mass * burstVelocity * burstVelocity : 0;
+  const surfaceEnergy = 0.5 * mass * surfaceVelocity * surfaceVelocity;
+
+  return {
+    outcome,
+    strength, // Pa
+    density, // kg/m³
+    breakupAltitude, // m
+    burstAltitude, // m
+    burstVelocity, // m/s
+    burstEnergy, // J deposited in the atmosphere down to the burst altitude
+    surfaceVelocity, // m/s
+    surfaceDiameter, // m (dispersed swarm diameter for fragmented impacts)
+    surfaceEnergy, // J delivered to the ground
+    energyDeposited: entryEnergy - surfaceEnergy // J lost in the atmosphere
+  };
+}
+
+/**
+ * Simulate the passage of an impactor through the atmosphere
+ * @param {object} params - Entry parameters
+ * @param {number} params.diameter - Impactor diameter in meters
+ * @param {number} params.density - Impactor density in kg/m³
+ * @param {number} params.velocity - Entry velocity in m/s
+ * @param {number} params.angle - Entry angle in degrees from horizontal
+ * @param {number} [params.strength] - Yield strength in Pa (estimated from density if omitted)
+ * @param {number} [params.pancakeFactor] - Maximum spreading L/L0 of the fragment swarm
+ * @returns {object} Entry outcome
+ */
+function simulateEntry({ diameter, density, velocity, angle = 45, strength, pancakeFactor = PANCAKE_FACTOR }) {
+  const H = SCALE_HEIGHT;
+  const CD = DRAG_COEFFICIENT;
+  const rho0 = SURFACE_AIR_DENSITY;
+  const L0 = diameter;
+  const rhoI = density;
+  const sinTheta = Math.max(Math.sin(angle * Math.PI / 180), 0.05);
+  const Y = strength || estimateStrength(density);
+  const mass = (4 / 3) * Math.PI * Math.pow(L0 / 2, 3) * rhoI;
+  const entryEnergy = 0.5 * mass * velocity * velocity;
+
+  // Velocity at altitude before breakup (drag only, no ablation)
+  const intactVelocity = (altitude) =>
+    velocity * Math.exp(-3 * airDensity(altitude) * CD * H / (4 * rhoI * L0 * sinTheta));
+
+  // Breakup condition (eq. 12): If >= 1 means the body never fragments
+  const If = 4.07 * CD * H * Y / (rhoI * L0 * velocity * velocity * sinTheta);
+
+  if (If >= 1) {
+    return buildResult({
+      outcome: 'intact',
+      strength: Y,
+      density: rhoI,
+      mass,
+      entryEnergy,
+      breakupAltitude: 0,
+      burstAltitude: 0,
+      surfaceVelocity: intactVelocity(0),
+      surfaceDiameter: L0
+    });
+  }
+
+  // Breakup altitude (eq. 11)
+  const breakupAltitude = Math.max(0, -H * (
+    Math.log(Y / (rho0 * velocity * velocity)) + 1.308 - 0.314 * If - 1.303 * Math.sqrt(1 - If)
+  ));
+  const breakupVelocity = intactVelocity(breakupAltitude);
+  const rhoBreakup = airDensity(breakupAltitude);
+
+  // Dispersion length scale (eq. 16) and pancake diameter (eq. 15)
+  const l = L0 * sinTheta * Math.sqrt(rhoI / (CD * rhoBreakup));
+  const pancakeDiameter = (altitude) =>
+    L0 * Math.sqrt(1 + Math.pow(2 * H / l, 2) * Math.pow(Math.exp((breakupAltitude - altitude) / (2 * H)) - 1, 2));
+
+  // Airburst altitude (eq. 18)
+  const fp = pancakeFactor;
+  const burstAltitude = breakupAltitude - 2 * H * Math.log(1 + (l / (2 * H)) * Math.sqrt(fp * fp - 1));
+
+  // Velocity of the spreading swarm (eq. 17), integrated numerically
+  const swarmVelocity = (altitude) => {
+    const steps = INTEGRATION_STEPS;
+    const dz = (breakupAltitude - altitude) / steps;
+    let integral = 0;
+    for (let i = 0; i <= steps; i++) {
+      const z = altitude + i * dz;
+      const weight = i === 0 || i === steps ? 0.5 : 1;
+      integral += weight * Math.exp((breakupAltitude - z) / H) * Math.pow(pancakeDiameter(z), 2) * dz;
+    }
+    const exponent = (3 / 4) * (CD * rhoBreakup / (rhoI * Math.pow(L0, 3) * sinTheta)) * integral;
+    return breakupVelocity * Math.exp(-exponent);
+  };
+
+  if (burstAltitude > 0) {
+    return buildResult({
+      outcome: 'airburst',
+      strength: Y,
+      density: rhoI,
+      mass,
+      entryEnergy,
+      breakupAltitude,
+      burstAltitude,
+      burstVelocity: swarmVelocity(burstAltitude),
+      surfaceVelocity: 0,
+      surfaceDiameter: 0
+    });
+  }
+
+  // Fragments reach the ground as a dispersed swarm
+  return buildResult({
+    outcome: 'fragmented_impact',
+    strength: Y,
+    density: rhoI,
+    mass,
+    entryEnergy,
+    breakupAltitude,
+    burstAltitude: 0,
+    surfaceVelocity: swarmVelocity(0),
+    surfaceDiameter: Math.min(pancakeDiameter(0), fp * L0)
+  });
+}
+
+module.exports = {
+  SCALE_HEIGHT,
+  DRAG_COEFFICIENT,
+  estimateStrength,
+  airDensity,
+  simulateEntry
+};
@@ -0,0 +1,133 @@
+/**
+ * Impactor composition classes
+ * Bulk density, yield strength and pancake spreading factor per class, and
+ * inference of a default class from the physical and orbital data of an asteroid.
+ * Keep this file plain CommonJS with no syntax that needs Babel runtime helpers.
+ */
+const COMPOSITIONS = {
+  stony: {
+    label: 'Stony (S-type)',
+    density: 2600, // kg/m³, ordinary chondrite with some porosity
+    strength: 1e6, // Pa, Chelyabinsk-like fragmentation
+    pancakeFactor: 7,
+    description: 'Silicate rock, the most common near-Earth asteroid class'
+  },
+  iron: {
+    label: 'Iron (M-type)',
+    density: 7800, // kg/m³, iron-nickel
+    strength: 5e7, // Pa
+    pancakeFactor: 3, // cohesive fragments spread little before reaching the ground
+    description: 'Metallic core fragment, survives entry far better than rock'
+  },
+  carbonaceous: {
+    label: 'Carbonaceous (C-type)',
+    density: 1500, // kg/m³, porous rubble pile (Bennu, Ryugu ~1200)
+    strength: 1e5, // Pa
+    pancakeFactor: 7,
+    description: 'Dark, porous, volatile-rich rock that breaks up high in the atmosphere'
+  },
+  cometary_ice: {
+    label: 'Cometary ice',
+    density: 600, // kg/m³, comet nucleus bulk density
+    strength: 1e4, // Pa
+    pancakeFactor: 10,
+    description: 'Porous ice and dust, fragments easily and spreads widely'
+  }
+};
+
+const DEFAULT_COMPOSITION = 'stony';
+
+// Leading letter of SMASS/Tholen spectral types
+const SPECTRAL_CLASSES = {
+  S: 'stony', Q: 'stony', V: 'stony', R: 'stony', A: 'stony', K: 'stony', L: 'stony', O: 'stony', E: 'stony',
+  M: 'iron',
+  C: 'carbonaceous', B: 'carbonaceous', F: 'carbonaceous', G: 'carbonaceous', D: 'carbonaceous', P: 'carbonaceous', T: 'carbonaceous'
+};
+
+const LOW_ALBEDO = 0.1; // below: dark carbonaceous surfaces
+const HIGH_ALBEDO = 0.3; // above: bright enstatite (E-type) surfaces
+const COMETARY_TISSERAND = 2; // Tj below this: Halley-type or long-period comet orbit
+
+/**
+ * Geometric albedo from absolute magnitude and a measured diameter
+ * (D = 1329 km / sqrt(p) · 10^(-H/5), Pravec & Harris 2007)
+ * @param {number} absoluteMagnitude - Absolute magnitude H
+ * @param {number} diameterKm - Measured diameter in kilometers
+ * @returns {number|null} Geometric albedo
+ */
+function albedoFromMagnitude(absoluteMagnitude, diameterKm) {
+  if (!(diameterKm > 0) || typeof absoluteMagnitude !== 'number') return null;
+  return Math.pow(1329 * Math.pow(10, -absoluteMagnitude / 5) / diameterKm, 2);
+}
+
+/**
+ * Infer the most likely composition of an asteroid: spectral type first, then
+ * albedo (given, or derived from H and a measured diameter), then the orbit.
+ * NeoWs diameters are themselves derived from H with an assumed albedo range,
+ * so only independently measured diameters are used here.
+ * @param {object} asteroid - Asteroid data
+ * @returns {object} { composition, source }
+ */
+function inferComposition(asteroid) {
+  const physical = (asteroid && asteroid.physical_properties) || {};
+  const spectralType = String(physical.spectral_type || '').trim().toUpperCase();
+  const albedo = physical.albedo > 0
+    ? physical.albedo
+    : albedoFromMagnitude(asteroid && asteroid.absolute_magnitude_h, physical.diameter);
+
+  // X-complex types are only told apart by albedo (P dark, M moderate, E bright)
+  if (spectralType.charAt(0) === 'X' && albedo) {
+    if (albedo < LOW_ALBEDO) return { composition: 'carbonaceous', source: 'spectral_type' };
+    if (albedo <= HIGH_ALBEDO) return { composition: 'iron', source: 'spectral_type' };
+    return { composition: 'stony', source: 'spectral_type' };
+  }
+
+  if (SPECTRAL_CLASSES[spectralType.charAt(0)]) {
+    return { composition: SPECTRAL_CLASSES[spectralType.charAt(0)], source: 'spectral_type' };
+  }
+
+  if (albedo) {
+    return { composition: albedo < LOW_ALBEDO ? 'carbonaceous' : 'stony', source: 'albedo' };
+  }
+
+  const tisserand = parseFloat(asteroid && asteroid.orbital_data && asteroid.orbital_data.jupiter_tisserand_invariant);
+  if (tisserand < COMETARY_TISSERAND) {
+    return { composition: 'cometary_ice', source: 'orbit' };
+  }
+
+  return { composition: DEFAULT_COMPOSITION, source: 'default' };
+}
+
+/**
+ * Resolve the impactor material for a simulation
+ * Explicit density and strength override the values of the composition class.
+ * @param {object} params - Impactor parameters
+ * @param {object} [params.asteroid] - Asteroid data used to infer a default class
+ * @param {string} [params.composition] - Key of COMPOSITIONS chosen by the user
+ * @param {number} [params.density] - Density override in kg/m³
+ * @param {number} [params.strength] - Strength override in Pa
+ * @returns {object} { composition, compositionSource, density, strength, pancakeFactor }
+ */
+function resolveImpactor({ asteroid, composition, density, strength }) {
+  // Own keys only: "constructor" or "toString" must not resolve to a prototype member
+  const chosen = Object.prototype.hasOwnProperty.call(COMPOSITIONS, composition)
+    ? { composition, source: 'user' }
+    : inferComposition(asteroid);
+  const preset = COMPOSITIONS[chosen.composition];
+
+  return {
+    composition: chosen.composition,
+    compositionSource: chosen.source,
+    density: density > 0 ? density : preset.density, // kg/m³
+    strength: strength > 0 ? strength : preset.strength, // Pa
+    pancakeFactor: preset.pancakeFactor
+  };
+}
+
+module.exports = {
+  COMPOSITIONS,
+  DEFAULT_COMPOSITION,
+  albedoFromMagnitude,
+  inferComposition,
+  resolveImpactor
+};
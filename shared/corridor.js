@@ -0,0 +1,186 @@
+/**
+ * Impact risk corridors
+ * A threatening object is only known to lie somewhere along its line of
+ * variations (LOV), the 1D uncertainty region of the orbit solution. Shifting
+ * the approach trajectory along the LOV and intersecting it with the Earth
+ * gives the ground track of possible impact points: long along the direction of
+ * travel (stretched by 1 / sin of the entry angle), narrow across it.
+ * The trajectory is a straight line near Earth; its bending by Earth's gravity
+ * and Earth's rotation during the timing uncertainty are ignored.
+ * Keep this file plain CommonJS with no syntax that needs Babel runtime helpers.
+ */
+const EARTH_RADIUS = 6371; // km
+const DEG = Math.PI / 180;
+
+const DEFAULT_LOV_SIGMA = 500; // km, 1σ along the line of variations in the B-plane
+const DEFAULT_CROSS_SIGMA = 20; // km, 1σ across it
+const DEFAULT_SIGMA_SPAN = 3; // corridor covers ±3σ
+const DEFAULT_SAMPLES = 25;
+const MAX_SAMPLES = 100;
+const TRACK_RESOLUTION = 120; // points along the drawn centreline and edges
+
+function scale(a, factor) {
+  return { x: a.x * factor, y: a.y * factor, z: a.z * factor };
+}
+
+function add(a, b, factor) {
+  return { x: a.x + b.x * factor, y: a.y + b.y * factor, z: a.z + b.z * factor };
+}
+
+function combine(a, wa, b, wb) {
+  return { x: a.x * wa + b.x * wb, y: a.y * wa + b.y * wb, z: a.z * wa + b.z * wb };
+}
+
+function cross(a, b) {
+  return { x: a.y * b.z - a.z * b.y, y: a.z * b.x - a.x * b.z, z: a.x * b.y - a.y * b.x };
+}
+
+function dot(a, b) {
+  return a.x * b.x + a.y * b.y + a.z * b.z;
+}
+
+function normalizeLongitude(lng) {
+  return ((lng + 540) % 360) - 180;
+}
+
+// Standard normal probability density
+function normalPdf(z) {
+  return Math.exp(-z * z / 2) / Math.sqrt(2 * Math.PI);
+}
+
+/**
+ * Local frame of the approach at the nominal impact point
+ * @param {number} lat - Nominal latitude in degrees
+ * @param {number} lng - Nominal longitude in degrees
+ * @param {number} azimuth - Direction of travel, degrees clockwise from north
+ * @param {number} entryAngle - Degrees above the horizontal
+ * @returns {object} Unit vectors { up, velocity, lov, cross } in Earth-centred coordinates
+ */
+function approachFrame(lat, lng, azimuth, entryAngle) {
+  const phi = lat * DEG;
+  const lambda = lng * DEG;
+  const gamma = entryAngle * DEG;
+  const up = { x: Math.cos(phi) * Math.cos(lambda), y: Math.cos(phi) * Math.sin(lambda), z: Math.sin(phi) };
+  const east = { x: -Math.sin(lambda), y: Math.cos(lambda), z: 0 };
+  const north = { x: -Math.sin(phi) * Math.cos(lambda), y: -Math.sin(phi) * Math.sin(lambda), z: Math.cos(phi) };
+  const heading = combine(east, Math.sin(azimuth * DEG), north, Math.cos(azimuth * DEG));
+
+  // Descending trajectory, and the in-plane direction perpendicular to it
+  const velocity = combine(heading, Math.cos(gamma), up, -Math.sin(gamma));
+  const lov = combine(heading, Math.sin(gamma), up, Math.cos(gamma));
+
+  return { up, velocity, lov, cross: cross(velocity, lov) };
+}
+
+/**
+ * Ground point hit by the trajectory shifted in the B-plane
+ * @param {object} frame - Approach frame
+ * @param {number} offset - Shift along the line of variations in km (positive moves the hit downrange)
+ * @param {number} crossOffset - Shift across it in km
+ * @returns {object|null} { lat, lng } or null when the shifted trajectory misses the Earth
+ */
+function groundPoint(frame, offset, crossOffset) {
+  const origin = add(add(scale(frame.up, EARTH_RADIUS), frame.lov, offset), frame.cross, crossOffset);
+  const b = dot(origin, frame.velocity);
+  const discriminant = b * b - (dot(origin, origin) - EARTH_RADIUS * EARTH_RADIUS);
+  if (discriminant < 0) return null;
+
+  // First intersection of origin + t·velocity with the sphere
+  const t = -b - Math.sqrt(discriminant);
+  const point = add(origin, frame.velocity, t);
+  const r = Math.sqrt(dot(point, point));
+
+  return {
+    lat: Math.asin(point.z / r) / DEG,
+    lng: normalizeLongitude(Math.atan2(point.y, point.x) / DEG)
+  };
+}
+
+// Keep consecutive longitudes continuous so lines do not wrap across the map
+function unwrap(points, referenceLng) {
+  let previous = referenceLng;
+  return points.map(function (point) {
+    let lng = point.lng;
+    while (lng - previous > 180) lng -= 360;
+    while (lng - previous < -180) lng += 360;
+    previous = lng;
+    return [point.lat, lng];
+  });
+}
+
+/**
+ * Generate the risk corridor of an approach geometry
+ * @param {object} params - Approach geometry
+ * @param {number} params.lat - Nominal impact latitude
+ * @param {number} params.lng - Nominal impact longitude
+ * @param {number} params.azimuth - Direction of travel, degrees clockwise from north
+ * @param {number} params.entryAngle - Entry angle above the horizontal in degrees
+ * @param {number} [params.lovSigma=500] - 1σ along the line of variations in km
+ * @param {number} [params.crossSigma=20] - 1σ across it in km
+ * @param {number} [params.sigmaSpan=3] - Half-width of the corridor in σ
+ * @param {number} [params.samples=25] - Impact points sampled for simulations
+ * @returns {object} { centerline, polygon, samples, impactProbability }
+ */
+function generateCorridor(params) {
+  const lovSigma = params.lovSigma > 0 ? params.lovSigma : DEFAULT_LOV_SIGMA;
+  const crossSigma = params.crossSigma > 0 ? params.crossSigma : DEFAULT_CROSS_SIGMA;
+  const sigmaSpan = params.sigmaSpan > 0 ? params.sigmaSpan : DEFAULT_SIGMA_SPAN;
+  const sampleCount = Math.min(Math.max(Math.round(params.samples || DEFAULT_SAMPLES), 2), MAX_SAMPLES);
+  const frame = approachFrame(params.lat, params.lng, params.azimuth, params.entryAngle);
+  const halfWidth = sigmaSpan * crossSigma;
+
+  // Drawn geometry: centreline and both edges of the ±span band
+  const centerline = [];
+  const leftEdge = [];
+  const rightEdge = [];
+  for (let i = 0; i <= TRACK_RESOLUTION; i++) {
+    const offset = lovSigma * sigmaSpan * (2 * i / TRACK_RESOLUTION - 1);
+    const center = groundPoint(frame, offset, 0);
+    const left = groundPoint(frame, offset, halfWidth);
+    const right = groundPoint(frame, offset, -halfWidth);
+    if (center) centerline.push(center);
+    if (left && right) {
+      leftEdge.push(left);
+      rightEdge.push(right);
+    }
+  }
+
+  // Simulation samples, weighted by the probability of their stretch of the LOV
+  const step = 2 * sigmaSpan / (sampleCount - 1);
+  const weights = [];
+  let totalWeight = 0;
+  for (let k = 0; k < sampleCount; k++) {
+    const weight = normalPdf(-sigmaSpan + k * step);
+    weights.push(weight);
+    totalWeight += weight;
+  }
+
+  const samples = [];
+  let impactProbability = 0;
+  for (let k = 0; k < sampleCount; k++) {
+    const sigma = -sigmaSpan + k * step;
+    const point = groundPoint(frame, sigma * lovSigma, 0);
+    if (!point) continue;
+    const weight = weights[k] / totalWeight;
+    impactProbability += weight;
+    samples.push({ lat: point.lat, lng: point.lng, sigma, offset: sigma * lovSigma, weight });
+  }
+
+  return {
+    centerline: unwrap(centerline, params.lng),
+    polygon: unwrap(leftEdge.concat(rightEdge.reverse()), params.lng),
+    samples,
+    impactProbability // share of the ±span LOV window that hits the Earth
+  };
+}
+
+module.exports = {
+  DEFAULT_LOV_SIGMA,
+  DEFAULT_CROSS_SIGMA,
+  DEFAULT_SIGMA_SPAN,
+  DEFAULT_SAMPLES,
+  MAX_SAMPLES,
+  approachFrame,
+  groundPoint,
+  generateCorridor
+};
@@ -0,0 +1,198 @@
+/**
+ * Impact physics shared by the backend calculator and the frontend map
+ * Crater scaling from Collins, Melosh & Marcus (2005), "Earth Impact Effects Program"
+ *
+ * Bump MODEL_VERSION whenever a formula or constant changes: it is stored with
+ * every simulation so results computed by different models can be told apart.
+ * Keep this file plain CommonJS with no syntax that needs Babel runtime helpers.
+ */
+const atmosphericEntry = require('./atmosphericEntry');
+
+const MODEL_NAME = 'collins2005-pi-scaling';
+const MODEL_VERSION = '1.3.0';
+const MODEL_ID = `${MODEL_NAME}@${MODEL_VERSION}`;
+
+const GRAVITY = 9.80665; // m/s²
+const WATER_DENSITY = 1000; // kg/m³
+const SIMPLE_COMPLEX_TRANSITION = 3200; // m, final diameter above which craters collapse (D_c)
+const DEFAULT_IMPACTOR_DENSITY = 2600; // kg/m³
+const DEFAULT_IMPACTOR_DIAMETER = 1000; // m
+
+// Target materials (Collins et al. table 1)
+const TARGETS = {
+  rock: { density: 2750 }, // crystalline rock
+  sediment: { density: 2500 }, // sedimentary rock
+  water: { density: WATER_DENSITY } // ocean over a crystalline seafloor
+};
+
+/**
+ * Resolve the impactor diameter from any of the asteroid shapes used in the app
+ * (stored Asteroid documents, raw NeoWs objects and legacy sample data)
+ * @param {object} asteroid - Asteroid data
+ * @returns {number} Diameter in meters
+ */
+function getImpactorDiameter(asteroid) {
+  if (!asteroid) return DEFAULT_IMPACTOR_DIAMETER;
+
+  const calculated = asteroid.calculatedProperties && asteroid.calculatedProperties.averageDiameter;
+  if (calculated > 0) return calculated;
+
+  const meters = asteroid.estimated_diameter && asteroid.estimated_diameter.meters;
+  if (meters && meters.estimated_diameter_max > 0) {
+    return ((meters.estimated_diameter_min || meters.estimated_diameter_max) + meters.estimated_diameter_max) / 2;
+  }
+
+  const kilometers = asteroid.estimatedDiameter && asteroid.estimatedDiameter.kilometers;
+  if (kilometers && kilometers.estimated_diameter_max > 0) {
+    return kilometers.estimated_diameter_max * 1000;
+  }
+
+  return DEFAULT_IMPACTOR_DIAMETER;
+}
+
+/**
+ * Map the backend land/water classification to a target material
+ * @param {string} targetType - 'land' or 'water'
+ * @returns {string} Key of TARGETS
+ */
+function targetForType(targetType) {
+  return targetType === 'water' ? 'water' : 'rock';
+}
+
+/**
+ * Velocity left when the impactor reaches the seafloor (Collins et al. eq. 27)
+ * @param {number} velocity - Velocity at the water surface in m/s
+ * @param {number} diameter - Impactor diameter in meters
+ * @param {number} density - Impactor density in kg/m³
+ * @param {number} angle - Impact angle in degrees from horizontal
+ * @param {number} waterDepth - Water depth in meters
+ * @returns {number} Seafloor impact velocity in m/s
+ */
+function seafloorVelocity(velocity, diameter, density, angle, waterDepth) {
+  const sinTheta = Math.max(Math.sin(angle * Math.PI / 180), 0.05);
+  const drag = 3 * WATER_DENSITY * atmosphericEntry.DRAG_COEFFICIENT * waterDepth / (2 * density * diameter * sinTheta);
+  return velocity * Math.exp(-drag);
+}
+
+/**
+ * Transient crater diameter in the gravity regime (Collins et al. eq. 21)
+ * @param {object} params - Impact parameters
+ * @param {number} params.diameter - Impactor diameter in meters
+ * @param {number} params.velocity - Impact velocity in m/s
+ * @param {number} params.angle - Impact angle in degrees from horizontal
+ * @param {number} params.density - Impactor density in kg/m³
+ * @param {number} params.targetDensity - Target density in kg/m³
+ * @returns {number} Transient crater diameter in meters
+ */
+function transientCraterDiameter({ diameter, velocity, angle, density, targetDensity }) {
+  const sinTheta = Math.max(Math.sin(angle * Math.PI / 180), 0.05);
+  return 1.161 * Math.pow(density / targetDensity, 1 / 3) *
+    Math.pow(diameter, 0.78) * Math.pow(velocity, 0.44) *
+    Math.pow(GRAVITY, -0.22) * Math.pow(sinTheta, 1 / 3);
+}
+
+/**
+ * Calculate transient and final crater dimensions (Collins et al. eqs. 21-28)
+ * @param {object} params - Impact parameters
+ * @param {number} params.diameter - Impactor diameter in meters
+ * @param {number} params.velocity - Velocity at the surface in m/s
+ * @param {number} [params.angle=45] - Impact angle in degrees from horizontal
+ * @param {number} [params.density] - Impactor density in kg/m³
+ * @param {string} [params.target='rock'] - Key of TARGETS
+ * @param {number} [params.waterDepth=0] - Water depth in meters for ocean targets
+ * @returns {object} Crater dimensions in meters
+ */
+function calculateCrater({ diameter, velocity, angle = 45, density = DEFAULT_IMPACTOR_DENSITY, target = 'rock', waterDepth = 0 }) {
+  let impactVelocity = velocity;
+  let targetDensity = (TARGETS[target] || TARGETS.rock).density;
+
+  // The water column slows the impactor, the crater itself forms in the seafloor
+  if (target === 'water') {
+    impactVelocity = seafloorVelocity(velocity, diameter, density, angle, waterDepth);
+    targetDensity = TARGETS.rock.density;
+  }
+
+  if (!(diameter > 0) || !(impactVelocity > 0)) {
+    return { transientDiameter: 0, diameter: 0, depth: 0, morphology: 'none', impactVelocity: 0 };
+  }
+
+  const transientDiameter = transientCraterDiameter({
+    diameter,
+    velocity: impactVelocity,
+    angle,
+    density,
+    targetDensity
+  });
+
+  // Simple bowl-shaped crater: rim widens the transient crater by 25%
+  const simpleDiameter = 1.25 * transientDiameter;
+  if (simpleDiameter <= SIMPLE_COMPLEX_TRANSITION) {
+    return {
+      transientDiameter,
+      diameter: simpleDiameter,
+      depth: 0.2 * simpleDiameter, // typical breccia-filled depth-to-diameter ratio
+      morphology: 'simple',
+      impactVelocity
+    };
+  }
+
+  // Complex crater: walls collapse into a wider, shallower basin
+  const complexDiameter = 1.17 * Math.pow(transientDiameter, 1.13) / Math.pow(SIMPLE_COMPLEX_TRANSITION, 0.13);
+  return {
+    transientDiameter,
+    diameter: complexDiameter,
+    depth: 0.4 * Math.pow(complexDiameter / 1000, 0.3) * 1000, // eq. 28 is in km
+    morphology: 'complex',
+    impactVelocity
+  };
+}
+
+/**
+ * Run atmospheric entry and crater scaling for one scenario
+ * @param {object} params - Scenario parameters
+ * @param {number} params.diameter - Impactor diameter in meters
+ * @param {number} params.velocity - Entry velocity in m/s
+ * @param {number} [params.angle=45] - Impact angle in degrees from horizontal
+ * @param {number} [params.density] - Impactor density in kg/m³
+ * @param {number} [params.strength] - Impactor yield strength in Pa
+ * @param {number} [params.pancakeFactor] - Maximum spreading of the fragment swarm
+ * @param {string} [params.targetType='land'] - 'land' or 'water'
+ * @param {number} [params.waterDepth=0] - Water depth in meters
+ * @returns {object} { modelId, impactType, entry, crater }
+ */
+function simulateImpact({ diameter, velocity, angle = 45, density = DEFAULT_IMPACTOR_DENSITY, strength, pancakeFactor, targetType = 'land', waterDepth = 0 }) {
+  const entry = atmosphericEntry.simulateEntry({ diameter, density, velocity, angle, strength, pancakeFactor });
+  const isAirburst = entry.outcome === 'airburst';
+
+  const crater = isAirburst
+    ? calculateCrater({ diameter, velocity: 0, angle, density })
+    : calculateCrater({
+      diameter,
+      velocity: entry.surfaceVelocity,
+      angle,
+      density,
+      target: targetForType(targetType),
+      waterDepth
+    });
+
+  return {
+    modelId: MODEL_ID,
+    impactType: isAirburst ? 'airburst' : 'surface',
+    entry,
+    crater
+  };
+}
+
+module.exports = {
+  MODEL_ID,
+  MODEL_NAME,
+  MODEL_VERSION,
+  TARGETS,
+  DEFAULT_IMPACTOR_DENSITY,
+  getImpactorDiameter,
+  targetForType,
+  seafloorVelocity,
+  transientCraterDiameter,
+  calculateCrater,
+  simulateImpact
+};
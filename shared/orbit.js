@@ -0,0 +1,452 @@
+/**
+ * Two-body Keplerian propagation of heliocentric orbits
+ * Turns osculating elements (NeoWs orbital_data) into ecliptic J2000 positions
+ * at any date, and provides Earth's own orbit from the JPL mean elements
+ * (Standish, "Keplerian Elements for Approximate Positions of the Major Planets").
+ * Keep this file plain CommonJS with no syntax that needs Babel runtime helpers.
+ */
+const AU_KM = 149597870.7;
+const LUNAR_DISTANCE_KM = 384400;
+const GAUSSIAN_GRAVITY = 0.01720209895; // k, sqrt(GM_sun) in AU^1.5 / day
+const J2000 = 2451545.0; // Julian date of 2000-01-01 12:00 TT
+const DAYS_PER_CENTURY = 36525;
+const DEG = Math.PI / 180;
+const JUPITER_SEMI_MAJOR_AXIS = 5.2026; // AU
+
+// Boundaries of the near-Earth asteroid groups, in AU
+const EARTH_PERIHELION = 0.983;
+const EARTH_APHELION = 1.017;
+const NEO_PERIHELION_LIMIT = 1.3;
+const ORBIT_CLASSES = ['Atira', 'Aten', 'Apollo', 'Amor'];
+
+// Earth-Moon barycentre: value at J2000 and rate per Julian century
+const EARTH_ELEMENTS = {
+  a: [1.00000261, 0.00000562], // AU
+  e: [0.01671123, -0.00004392],
+  i: [-0.00001531, -0.01294668], // deg
+  L: [100.46457166, 35999.37244981], // mean longitude, deg
+  longPeri: [102.93768193, 0.32327364], // longitude of perihelion, deg
+  node: [0, 0] // deg
+};
+
+/**
+ * Julian date of a JavaScript date
+ * @param {Date|number|string} date - Date
+ * @returns {number} Julian date
+ */
+function toJulianDate(date) {
+  return new Date(date).getTime() / 86400000 + 2440587.5;
+}
+
+/**
+ * JavaScript date of a Julian date
+ * @param {number} jd - Julian date
+ * @returns {Date} Date
+ */
+function fromJulianDate(jd) {
+  return new Date((jd - 2440587.5) * 86400000);
+}
+
+/**
+ * Parse NeoWs orbital_data (strings, degrees, AU) into numeric elements
+ * @param {object} orbitalData - Asteroid.orbital_data
+ * @returns {object|null} { a, e, i, node, peri, M, epoch, n } or null when incomplete or not elliptic
+ */
+function elementsFromOrbitalData(orbitalData) {
+  if (!orbitalData) return null;
+
+  const a = parseFloat(orbitalData.semi_major_axis);
+  const e = parseFloat(orbitalData.eccentricity);
+  const elements = {
+    a, // AU
+    e,
+    i: parseFloat(orbitalData.inclination), // deg
+    node: parseFloat(orbitalData.ascending_node_longitude), // deg
+    peri: parseFloat(orbitalData.perihelion_argument), // deg
+    M: parseFloat(orbitalData.mean_anomaly), // deg at epoch
+    epoch: parseFloat(orbitalData.epoch_osculation) // JD
+  };
+
+  const complete = Object.keys(elements).every(key => isFinite(elements[key]));
+  if (!complete || !(a > 0) || !(e >= 0 && e < 1)) return null;
+
+  // Mean motion in deg/day, from the data when present
+  const meanMotion = parseFloat(orbitalData.mean_motion);
+  elements.n = meanMotion > 0 ? meanMotion : GAUSSIAN_GRAVITY / Math.pow(a, 1.5) / DEG;
+
+  return elements;
+}
+
+/**
+ * Earth's osculating elements at a date
+ * @param {number} jd - Julian date
+ * @returns {object} { a, e, i, node, peri, M, epoch, n }
+ */
+function earthElementsAt(jd) {
+  const T = (jd - J2000) / DAYS_PER_CENTURY;
+  const value = function (key) {
+    return EARTH_ELEMENTS[key][0] + EARTH_ELEMENTS[key][1] * T;
+  };
+  const longPeri = value('longPeri');
+  const node = value('node');
+  const a = value('a');
+
+  return {
+    a,
+    e: value('e'),
+    i: value('i'),
+    node,
+    peri: longPeri - node,
+    M: value('L') - longPeri,
+    epoch: jd,
+    n: GAUSSIAN_GRAVITY / Math.pow(a, 1.5) / DEG
+  };
+}
+
+/**
+ * Solve Kepler's equation M = E - e sin E by Newton iteration
+ * @param {number} M - Mean anomaly in radians
+ * @param {number} e - Eccentricity (< 1)
+ * @returns {number} Eccentric anomaly in radians
+ */
+function solveKepler(M, e) {
+  const meanAnomaly = ((M % (2 * Math.PI)) + 3 * Math.PI) % (2 * Math.PI) - Math.PI;
+  let E = e < 0.8 ? meanAnomaly : Math.PI * Math.sign(meanAnomaly || 1);
+
+  for (let i = 0; i < 30; i++) {
+    const delta = (E - e * Math.sin(E) - meanAnomaly) / (1 - e * Math.cos(E));
+    E -= delta;
+    if (Math.abs(delta) < 1e-12) break;
+  }
+
+  return E;
+}
+
+// Rotate a position in the orbital plane into ecliptic coordinates
+function orbitalToEcliptic(elements, xOrbit, yOrbit) {
+  const cosPeri = Math.cos(elements.peri * DEG);
+  const sinPeri = Math.sin(elements.peri * DEG);
+  const cosNode = Math.cos(elements.node * DEG);
+  const sinNode = Math.sin(elements.node * DEG);
+  const cosI = Math.cos(elements.i * DEG);
+  const sinI = Math.sin(elements.i * DEG);
+
+  return {
+    x: (cosPeri * cosNode - sinPeri * sinNode * cosI) * xOrbit + (-sinPeri * cosNode - cosPeri * sinNode * cosI) * yOrbit,
+    y: (cosPeri * sinNode + sinPeri * cosNode * cosI) * xOrbit + (-sinPeri * sinNode + cosPeri * cosNode * cosI) * yOrbit,
+    z: (sinPeri * sinI) * xOrbit + (cosPeri * sinI) * yOrbit
+  };
+}
+
+/**
+ * Heliocentric ecliptic J2000 position at a date
+ * @param {object} elements - Orbital elements
+ * @param {number} jd - Julian date
+ * @returns {object} { x, y, z } in AU
+ */
+function positionAt(elements, jd) {
+  const M = (elements.M + elements.n * (jd - elements.epoch)) * DEG;
+  const E = solveKepler(M, elements.e);
+  const xOrbit = elements.a * (Math.cos(E) - elements.e);
+  const yOrbit = elements.a * Math.sqrt(1 - elements.e * elements.e) * Math.sin(E);
+  return orbitalToEcliptic(elements, xOrbit, yOrbit);
+}
+
+/**
+ * Heliocentric ecliptic J2000 velocity at a date
+ * @param {object} elements - Orbital elements
+ * @param {number} jd - Julian date
+ * @returns {object} { x, y, z } in AU/day
+ */
+function velocityAt(elements, jd) {
+  const n = elements.n * DEG; // rad/day
+  const E = solveKepler((elements.M + elements.n * (jd - elements.epoch)) * DEG, elements.e);
+  const rate = n / (1 - elements.e * Math.cos(E)); // dE/dt
+  const vxOrbit = -elements.a * Math.sin(E) * rate;
+  const vyOrbit = elements.a * Math.sqrt(1 - elements.e * elements.e) * Math.cos(E) * rate;
+  return orbitalToEcliptic(elements, vxOrbit, vyOrbit);
+}
+
+/**
+ * Earth's heliocentric position at a date
+ * @param {number} jd - Julian date
+ * @returns {object} { x, y, z } in AU
+ */
+function earthPositionAt(jd) {
+  return positionAt(earthElementsAt(jd), jd);
+}
+
+/**
+ * Points along one full revolution, denser near perihelion
+ * @param {object} elements - Orbital elements
+ * @param {number} [segments=180] - Number of segments
+ * @returns {Array} [{ x, y, z }] in AU, closed
+ */
+function orbitPath(elements, segments) {
+  const count = segments || 180;
+  const points = [];
+  const p = elements.a * (1 - elements.e * elements.e);
+
+  for (let k = 0; k <= count; k++) {
+    const trueAnomaly = (2 * Math.PI * k) / count;
+    const r = p / (1 + elements.e * Math.cos(trueAnomaly));
+    points.push(orbitalToEcliptic(elements, r * Math.cos(trueAnomaly), r * Math.sin(trueAnomaly)));
+  }
+
+  return points;
+}
+
+/**
+ * Distance between two positions
+ * @param {object} a - { x, y, z } in AU
+ * @param {object} b - { x, y, z } in AU
+ * @returns {number} Distance in AU
+ */
+function distance(a, b) {
+  return Math.sqrt(Math.pow(a.x - b.x, 2) + Math.pow(a.y - b.y, 2) + Math.pow(a.z - b.z, 2));
+}
+
+// Geocentric distance of a body in AU
+function earthDistance(elements, jd) {
+  return distance(positionAt(elements, jd), earthPositionAt(jd));
+}
+
+/**
+ * Close approaches to Earth between two dates
+ * Scans the geocentric distance on a fixed step, then refines every local
+ * minimum with a golden-section search. Earth's gravity and planetary
+ * perturbations are ignored, so this is a screening tool, not an ephemeris.
+ * @param {object} elements - Orbital elements
+ * @param {number} fromJd - Start Julian date
+ * @param {number} toJd - End Julian date
+ * @param {object} [options] - Search options
+ * @param {number} [options.maxDistance=0.05] - Largest distance reported, in AU
+ * @param {number} [options.step=0.5] - Scan step in days
+ * @returns {Array} [{ jd, date, distanceAU, distanceKm, distanceLunar, relativeVelocity, withinLunarDistance }]
+ */
+function findCloseApproaches(elements, fromJd, toJd, options) {
+  const settings = options || {};
+  const maxDistance = settings.maxDistance > 0 ? settings.maxDistance : 0.05;
+  const step = settings.step > 0 ? settings.step : 0.5;
+  const goldenRatio = (Math.sqrt(5) - 1) / 2;
+  const approaches = [];
+
+  let previous = earthDistance(elements, fromJd);
+  let current = earthDistance(elements, fromJd + step);
+
+  for (let jd = fromJd + step; jd < toJd; jd += step) {
+    const next = earthDistance(elements, Math.min(jd + step, toJd));
+    if (current <= previous && current < next) {
+      // Golden-section refinement on [jd - step, jd + step]
+      let low = jd - step;
+      let high = jd + step;
+      for (let i = 0; i < 40 && high - low > 1e-5; i++) {
+        const left = high - goldenRatio * (high - low);
+        const right = low + goldenRatio * (high - low);
+        if (earthDistance(elements, left) < earthDistance(elements, right)) {
+          high = right;
+        } else {
+          low = left;
+        }
+      }
+
+      const time = (low + high) / 2;
+      const distanceAU = earthDistance(elements, time);
+      if (distanceAU <= maxDistance) {
+        const asteroidVelocity = velocityAt(elements, time);
+        const earthVelocity = velocityAt(earthElementsAt(time), time);
+        const relativeVelocity = distance(asteroidVelocity, earthVelocity) * AU_KM / 86400; // km/s
+        const distanceKm = distanceAU * AU_KM;
+
+        approaches.push({
+          jd: time,
+          date: fromJulianDate(time),
+          distanceAU,
+          distanceKm,
+          distanceLunar: distanceKm / LUNAR_DISTANCE_KM,
+          relativeVelocity,
+          withinLunarDistance: distanceKm < LUNAR_DISTANCE_KM
+        });
+      }
+    }
+    previous = current;
+    current = next;
+  }
+
+  return approaches;
+}
+
+/**
+ * Orbital period
+ * @param {object} elements - Orbital elements
+ * @returns {number} Period in days
+ */
+function orbitalPeriod(elements) {
+  return 360 / elements.n;
+}
+
+// Point of an orbit at a true anomaly, in AU
+function pointAtTrueAnomaly(elements, trueAnomaly) {
+  const r = (elements.a * (1 - elements.e * elements.e)) / (1 + elements.e * Math.cos(trueAnomaly));
+  return orbitalToEcliptic(elements, r * Math.cos(trueAnomaly), r * Math.sin(trueAnomaly));
+}
+
+/**
+ * Minimum orbit intersection distance with Earth
+ * Grid search over both true anomalies, then each local minimum of the grid is
+ * refined by a shrinking pattern search. Accurate to ~1e-6 AU for ordinary
+ * NEO orbits; nearly coplanar, nearly circular orbits converge more slowly.
+ * @param {object} elements - Orbital elements
+ * @param {number} [jd] - Date of Earth's elements, defaults to the elements epoch
+ * @returns {number} MOID in AU
+ */
+function computeMoid(elements, jd) {
+  const earth = earthElementsAt(jd || elements.epoch);
+  const samples = 72;
+  const step = (2 * Math.PI) / samples;
+  const earthPoints = [];
+  for (let j = 0; j < samples; j++) {
+    earthPoints.push(pointAtTrueAnomaly(earth, j * step));
+  }
+
+  // Closest Earth sample to each asteroid sample
+  const grid = [];
+  for (let k = 0; k < samples; k++) {
+    const point = pointAtTrueAnomaly(elements, k * step);
+    let best = { distance: Infinity, earthIndex: 0 };
+    for (let j = 0; j < samples; j++) {
+      const d = distance(point, earthPoints[j]);
+      if (d < best.distance) best = { distance: d, earthIndex: j };
+    }
+    grid.push(best);
+  }
+
+  const separation = function (u, v) {
+    return distance(pointAtTrueAnomaly(elements, u), pointAtTrueAnomaly(earth, v));
+  };
+
+  let moid = Infinity;
+  for (let k = 0; k < samples; k++) {
+    const previous = grid[(k + samples - 1) % samples].distance;
+    const next = grid[(k + 1) % samples].distance;
+    if (grid[k].distance > previous || grid[k].distance > next) continue;
+
+    let u = k * step;
+    let v = grid[k].earthIndex * step;
+    let current = grid[k].distance;
+    for (let delta = step; delta > 1e-9; delta /= 2) {
+      let improved = true;
+      while (improved) {
+        improved = false;
+        const moves = [[delta, 0], [-delta, 0], [0, delta], [0, -delta]];
+        for (let m = 0; m < moves.length; m++) {
+          const candidate = separation(u + moves[m][0], v + moves[m][1]);
+          if (candidate < current) {
+            current = candidate;
+            u += moves[m][0];
+            v += moves[m][1];
+            improved = true;
+          }
+        }
+      }
+    }
+    moid = Math.min(moid, current);
+  }
+
+  return moid;
+}
+
+/**
+ * Tisserand parameter with respect to Jupiter
+ * T_J > 3 for most asteroids, 2 < T_J < 3 for Jupiter-family comets
+ * @param {object} elements - { a, e, i }
+ * @returns {number} T_J
+ */
+function tisserandParameter(elements) {
+  return JUPITER_SEMI_MAJOR_AXIS / elements.a +
+    2 * Math.cos(elements.i * DEG) * Math.sqrt((elements.a / JUPITER_SEMI_MAJOR_AXIS) * (1 - elements.e * elements.e));
+}
+
+/**
+ * Near-Earth asteroid group from the orbit size and shape (CNEOS definitions)
+ * Atira: Q < 0.983 AU; Aten: a < 1 AU, Q > 0.983 AU;
+ * Apollo: a > 1 AU, q < 1.017 AU; Amor: a > 1 AU, 1.017 < q < 1.3 AU
+ * @param {object} elements - { a, e }
+ * @returns {string|null} Atira, Aten, Apollo or Amor, null when not a near-Earth orbit
+ */
+function classifyOrbit(elements) {
+  if (!(elements.a > 0) || !(elements.e >= 0 && elements.e < 1)) return null;
+
+  const q = elements.a * (1 - elements.e);
+  const Q = elements.a * (1 + elements.e);
+  if (elements.a < 1) return Q < EARTH_PERIHELION ? 'Atira' : 'Aten';
+  if (q < EARTH_APHELION) return 'Apollo';
+  if (q < NEO_PERIHELION_LIMIT) return 'Amor';
+  return null;
+}
+
+/**
+ * Numeric orbital elements and derived quantities of NeoWs orbital_data
+ * Unlike elementsFromOrbitalData, partial data is kept. MOID and Tisserand
+ * come from the data when NASA provides them and are computed otherwise.
+ * @param {object} orbitalData - Asteroid.orbital_data
+ * @returns {object|null} { a, e, i, node, peri, M, epoch, q, Q, period, orbitClass, moid, moidLunar, tisserand }
+ */
+function describeOrbit(orbitalData) {
+  if (!orbitalData) return null;
+
+  const number = function (value) {
+    const parsed = parseFloat(value);
+    return isFinite(parsed) ? parsed : null;
+  };
+  const a = number(orbitalData.semi_major_axis);
+  const e = number(orbitalData.eccentricity);
+  const i = number(orbitalData.inclination);
+  if (a === null || e === null) return null;
+
+  const elements = elementsFromOrbitalData(orbitalData);
+  const statedMoid = number(orbitalData.minimum_orbit_intersection);
+  const moid = statedMoid !== null ? statedMoid : (elements ? computeMoid(elements) : null);
+  const statedTisserand = number(orbitalData.jupiter_tisserand_invariant);
+  const period = number(orbitalData.orbital_period);
+
+  return {
+    a,
+    e,
+    i,
+    node: number(orbitalData.ascending_node_longitude),
+    peri: number(orbitalData.perihelion_argument),
+    M: number(orbitalData.mean_anomaly),
+    epoch: number(orbitalData.epoch_osculation),
+    q: number(orbitalData.perihelion_distance) !== null ? number(orbitalData.perihelion_distance) : a * (1 - e),
+    Q: number(orbitalData.aphelion_distance) !== null ? number(orbitalData.aphelion_distance) : a * (1 + e),
+    period: period !== null ? period : 360 / (GAUSSIAN_GRAVITY / Math.pow(a, 1.5) / DEG), // days
+    orbitClass: classifyOrbit({ a, e }),
+    moid, // AU
+    moidLunar: moid !== null ? (moid * AU_KM) / LUNAR_DISTANCE_KM : null,
+    tisserand: statedTisserand !== null ? statedTisserand : (i !== null ? tisserandParameter({ a, e, i }) : null)
+  };
+}
+
+module.exports = {
+  AU_KM,
+  LUNAR_DISTANCE_KM,
+  J2000,
+  toJulianDate,
+  fromJulianDate,
+  elementsFromOrbitalData,
+  earthElementsAt,
+  solveKepler,
+  positionAt,
+  velocityAt,
+  earthPositionAt,
+  orbitPath,
+  distance,
+  findCloseApproaches,
+  orbitalPeriod,
+  ORBIT_CLASSES,
+  computeMoid,
+  tisserandParameter,
+  classifyOrbit,
+  describeOrbit
+};
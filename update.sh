@@ -62,6 +62,9 @@ npm install --production
 sudo rm -rf $APP_DIR/backend/*
 sudo cp -r . $APP_DIR/backend/
 cd ..
+# Física compartida con el frontend (requerida por backend/src/utils)
+sudo rm -rf $APP_DIR/shared
+sudo cp -r shared $APP_DIR/shared
 
 # 5. Restaurar archivo .env
 log "Restaurando configuración..."